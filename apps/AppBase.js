@@ -12,11 +12,22 @@
  *   - onFocus(): Handle focus (optional)
  *   - onBlur(): Handle blur (optional)
  *   - onMount(): Post-render initialization (optional)
+ *
+ * SESSION RESTORE:
+ * When the user turns on session restore, open windows are reopened after a reload
+ * (see SessionManager). Apps can take part by implementing:
+ *   - getSessionState(): Return serializable state for the current window
+ *   - onRestoreSession(state): Re-apply that state after onMount()
+ *   - canRestoreSession(): Return false to never be reopened
  */
 
 import EventBus from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import WindowManager from '../core/WindowManager.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import ShortcutManager from '../core/ShortcutManager.js';
+import NotificationManager from '../core/NotificationManager.js';
+import SystemTray from '../core/SystemTray.js';
 
 class AppBase {
     /**
@@ -30,12 +41,20 @@ class AppBase {
         this.width = config.width || 500;
         this.height = config.height || 'auto';
         this.resizable = config.resizable !== false;
+        // Optional limits on how far the user can resize the window (pixels)
+        this.minWidth = config.minWidth;
+        this.minHeight = config.minHeight;
+        this.maxWidth = config.maxWidth;
+        this.maxHeight = config.maxHeight;
         this.singleton = config.singleton === true; // Default: allow multiple instances
 
         // Menu/category properties (used by AppRegistry for Start Menu)
         this.category = config.category || 'accessories';
         this.showInMenu = config.showInMenu !== false;
 
+        // File extensions this app can open (see FileAssociations); '*' means any file
+        this.fileTypes = config.fileTypes || [];
+
         // Runtime state - track all open instances
         this.openWindows = new Map(); // windowId -> { state, boundHandlers, eventUnsubscribers }
         this.instanceCounter = 0;
@@ -47,6 +66,9 @@ class AppBase {
         // Pending launch parameters (set via setParams, consumed on next launch)
         this._pendingParams = null;
 
+        // Pending saved session state (set via setSessionState, consumed on next launch)
+        this._pendingSessionState = null;
+
         // Legacy support for single-window apps
         this.windowId = null;
         this.isOpen = false;
@@ -60,6 +82,14 @@ class AppBase {
         this._pendingParams = params;
     }
 
+    /**
+     * Set saved session state to be restored into the next launched window
+     * @param {Object} state - Value previously returned by getSessionState()
+     */
+    setSessionState(state) {
+        this._pendingSessionState = state;
+    }
+
     // ===== LIFECYCLE METHODS (Override in subclass) =====
 
     /**
@@ -109,6 +139,31 @@ class AppBase {
         // Override for cleanup
     }
 
+    /**
+     * Whether this app's windows should be reopened by session restore
+     * Override and return false for apps that shouldn't come back after a reload.
+     * @returns {boolean}
+     */
+    canRestoreSession() {
+        return true;
+    }
+
+    /**
+     * Called when the session is saved - return serializable state for the current window
+     * @returns {Object|null} State to pass to onRestoreSession(), or null for none
+     */
+    getSessionState() {
+        return null;
+    }
+
+    /**
+     * Called after onMount() when the window is reopened from a saved session
+     * @param {Object} state - Value previously returned by getSessionState()
+     */
+    onRestoreSession(state) {
+        // Override to re-apply saved state
+    }
+
     // ===== PUBLIC API =====
 
     /**
@@ -121,6 +176,7 @@ class AppBase {
             WindowManager.focus(firstWindowId);
             // Clear pending params since we're not creating a new window
             this._pendingParams = null;
+            this._pendingSessionState = null;
             return;
         }
 
@@ -131,16 +187,22 @@ class AppBase {
         // Set context BEFORE calling onOpen so it can use helpers if needed
         this._currentWindowId = windowId;
 
+        // Consume pending parameters and session state
+        const params = this._pendingParams || {};
+        const sessionState = this._pendingSessionState;
+        this._pendingParams = null;
+        this._pendingSessionState = null;
+
         // Initialize instance data structure
         this.openWindows.set(windowId, {
             state: {},                    // Per-instance state storage
+            params,                       // Launch parameters (saved with the session)
+            sessionState,                 // Saved session state being restored, if any
             boundHandlers: new Map(),     // DOM event handlers for cleanup
             eventUnsubscribers: []        // EventBus subscriptions for cleanup
         });
 
-        // Get content from subclass, passing any pending parameters
-        const params = this._pendingParams || {};
-        this._pendingParams = null; // Clear params after use
+        // Get content from subclass, passing the launch parameters
         const content = this.onOpen(params);
 
         // Create window with unique ID
@@ -152,6 +214,11 @@ class AppBase {
             width: this.width,
             height: this.height,
             resizable: this.resizable,
+            minWidth: this.minWidth,
+            minHeight: this.minHeight,
+            maxWidth: this.maxWidth,
+            maxHeight: this.maxHeight,
+            appId: this.id,
             onClose: () => this.handleClose(windowId)
         });
 
@@ -170,6 +237,11 @@ class AppBase {
             // Set context before calling onMount
             this._currentWindowId = windowId;
             this.onMount();
+
+            if (sessionState) {
+                this._currentWindowId = windowId;
+                this.onRestoreSession(sessionState);
+            }
         }, 50);
     }
 
@@ -217,7 +289,8 @@ class AppBase {
 
             // Clean up EventBus subscriptions
             if (instanceData.eventUnsubscribers) {
-                instanceData.eventUnsubscribers.forEach(unsub => unsub());
+                // A copy, since watchPath() unsubscribers remove themselves from the list
+                [...instanceData.eventUnsubscribers].forEach(unsub => unsub());
             }
         }
 
@@ -239,6 +312,40 @@ class AppBase {
         }
     }
 
+    /**
+     * Collect launch parameters and session state for every open window
+     * @returns {Array<{windowId: string, params: Object, state: Object|null}>}
+     */
+    getSessionWindows() {
+        if (!this.canRestoreSession()) return [];
+
+        const previousContext = this._currentWindowId;
+        const windows = [];
+
+        for (const [windowId, instanceData] of this.openWindows) {
+            this._currentWindowId = windowId;
+            let state = null;
+            try {
+                state = this.getSessionState();
+            } catch (error) {
+                console.warn(`[${this.id}] getSessionState failed:`, error);
+            }
+            windows.push({ windowId, params: instanceData.params, state });
+        }
+
+        this._currentWindowId = previousContext;
+        return windows;
+    }
+
+    /**
+     * Get the saved session state the current window was reopened with
+     * Useful in onOpen()/onMount() to skip work that onRestoreSession() will redo.
+     * @returns {Object|null}
+     */
+    getRestoredSession() {
+        return this.openWindows.get(this._currentWindowId)?.sessionState || null;
+    }
+
     // ===== INSTANCE STATE MANAGEMENT =====
     // These methods store state per-window, so multiple instances don't conflict
 
@@ -401,6 +508,100 @@ class AppBase {
         return unsubscribe;
     }
 
+    /**
+     * Watch a file system path with automatic cleanup
+     * @param {string|string[]} path - Directory (or file) to watch
+     * @param {Object} options - { recursive }
+     * @param {Function} handler - Receives the coalesced changes (see FileSystemManager.watch)
+     * @returns {Function} Unsubscribe function; calling it also drops the watch from the window's cleanup list
+     */
+    watchPath(path, options, handler) {
+        const windowId = this._currentWindowId;
+        const instanceData = this.openWindows.get(windowId);
+        if (!instanceData) return () => {};
+
+        const capturedWindowId = windowId;
+        const unwatch = FileSystemManager.watch(path, options, (changes) => {
+            this._currentWindowId = capturedWindowId;
+            return handler.call(this, changes);
+        });
+
+        // Watches get replaced on every navigation, so the list mustn't keep the old ones
+        const unsubscribe = () => {
+            unwatch();
+            const index = instanceData.eventUnsubscribers.indexOf(unsubscribe);
+            if (index !== -1) instanceData.eventUnsubscribers.splice(index, 1);
+        };
+        instanceData.eventUnsubscribers.push(unsubscribe);
+        return unsubscribe;
+    }
+
+    /**
+     * Register a keyboard shortcut that only fires while the current window is
+     * focused, with automatic cleanup when it closes
+     * @param {string|string[]} keys - Default combo(s), e.g. 'Ctrl+S'
+     * @param {Function} handler - Receives the KeyboardEvent; return false to let the key through
+     * @param {Object} options - { id, description, allowInInputs } (see ShortcutManager.register)
+     * @returns {Function} Unregister function
+     */
+    registerShortcut(keys, handler, options = {}) {
+        const windowId = this._currentWindowId;
+        const instanceData = this.openWindows.get(windowId);
+        if (!instanceData) return () => {};
+
+        const capturedWindowId = windowId;
+        const unregister = ShortcutManager.register({
+            id: `${this.id}.${[].concat(keys).join(',')}`,
+            category: this.name,
+            ...options,
+            keys,
+            windowId,
+            handler: (e) => {
+                this._currentWindowId = capturedWindowId;
+                return handler.call(this, e);
+            }
+        });
+        instanceData.eventUnsubscribers.push(unregister);
+        return unregister;
+    }
+
+    /**
+     * Add an icon to the system tray, removed automatically when this window closes.
+     * Handlers run in the context of the window that added the icon.
+     * @param {Object} options - See SystemTray.register (id defaults to the app ID, icon to the app icon)
+     * @returns {Function} Unregister function
+     */
+    addTrayIcon(options = {}) {
+        const windowId = this._currentWindowId;
+        const instanceData = this.openWindows.get(windowId);
+        if (!instanceData) return () => {};
+
+        const bind = (fn) => typeof fn !== 'function' ? fn : (...args) => {
+            this._currentWindowId = windowId;
+            return fn.apply(this, args);
+        };
+        const bindItems = (items) => Array.isArray(items)
+            ? items.map(item => item?.action ? { ...item, action: bind(item.action) } : item)
+            : items;
+
+        const menu = typeof options.menu === 'function'
+            ? (...args) => bindItems(bind(options.menu)(...args))
+            : bindItems(options.menu);
+
+        const unregister = SystemTray.register({
+            id: this.id,
+            icon: this.icon,
+            tooltip: this.name,
+            ...options,
+            onClick: bind(options.onClick),
+            popup: bind(options.popup),
+            menu,
+            owner: this.id
+        });
+        instanceData.eventUnsubscribers.push(unregister);
+        return unregister;
+    }
+
     /**
      * Emit an event through the event bus
      * @param {string} event - Event name
@@ -489,6 +690,16 @@ class AppBase {
         EventBus.emit('dialog:alert', { message });
     }
 
+    /**
+     * Post a notification from this app
+     * @param {Object|string} options - See NotificationManager.notify (source and icon default to the app's)
+     * @returns {number} Notification ID
+     */
+    notify(options) {
+        if (typeof options === 'string') options = { message: options };
+        return NotificationManager.notify({ source: this.name, icon: this.icon, ...options });
+    }
+
     /**
      * Unlock an achievement
      * @param {string} id - Achievement ID
@@ -12,12 +12,16 @@
  *   // In your app file:
  *   super({ id: 'myapp', name: 'My App', icon: '📱', category: 'accessories' });
  *
+ *   // Apps that open files list their extensions and receive params.filePath:
+ *   super({ id: 'myviewer', name: 'My Viewer', fileTypes: ['txt', 'md'] });
+ *
  *   // In initialize():
  *   this.register(new MyApp());  // Category is auto-detected from app config!
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import { CATEGORIES } from '../core/Constants.js';
+import FileAssociations from '../core/FileAssociations.js';
 
 // --- App Imports ---
 import Calculator from './Calculator.js';
@@ -51,6 +55,8 @@ import Zork from './Zork.js';
 import HyperCard from './HyperCard.js';
 import FeaturesSettings from './FeaturesSettings.js';
 import ScenarioPlayer from './ScenarioPlayer.js';
+import ScenarioEditor from './ScenarioEditor.js';
+import ScenarioDebugger from './ScenarioDebugger.js';
 // --- System App Placeholders (Simple implementations for completeness) ---
 import AppBase from './AppBase.js';
 
@@ -62,6 +68,10 @@ class SimpleApp extends AppBase {
     onOpen() {
         return `<div style="padding:20px;">${this.content || 'Coming soon...'}</div>`;
     }
+    canRestoreSession() {
+        // Placeholder windows like Run and Shut Down shouldn't reappear after a reload
+        return false;
+    }
 }
 
 class AppRegistryClass {
@@ -98,10 +108,14 @@ class AppRegistryClass {
             showInMenu: app.showInMenu !== undefined ? app.showInMenu :
                        (appConfig.showInMenu !== undefined ? appConfig.showInMenu :
                        (meta.showInMenu !== undefined ? meta.showInMenu : true)),
+            // File types: app config, or meta.fileTypes for apps that don't declare them
+            fileTypes: meta.fileTypes || app.fileTypes || [],
             // Include any extra metadata
             ...meta
         });
 
+        FileAssociations.registerApp(app.id, this.metadata.get(app.id).fileTypes);
+
         console.log(`[AppRegistry] Registered: ${app.name} (${app.id}) [${this.metadata.get(app.id).category}]`);
     }
 
@@ -134,6 +148,8 @@ class AppRegistryClass {
             new Terminal(),
             new Defrag(),
             new TaskManager(),
+            new ScenarioEditor(),
+            new ScenarioDebugger(),
         ]);
 
         // --- Games ---
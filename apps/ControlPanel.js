@@ -8,6 +8,9 @@ import AppRegistry from './AppRegistry.js';
 import StateManager from '../core/StateManager.js';
 import StorageManager from '../core/StorageManager.js';
 import EventBus from '../core/EventBus.js';
+import FileAssociations from '../core/FileAssociations.js';
+import ShortcutManager from '../core/ShortcutManager.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { ControlPanelEvents } from '../core/scripted-events/SemanticEvents.js';
 
 class ControlPanel extends AppBase {
@@ -23,7 +26,10 @@ class ControlPanel extends AppBase {
         });
     }
 
-    onOpen() {
+    onOpen(params = {}) {
+        // Optional section to scroll to, e.g. { section: 'file-types' }
+        this._initialSection = params.section || null;
+
         console.log('[ControlPanel] Opening Control Panel...');
         const settings = StateManager.getState('settings');
         const desktopBg = StorageManager.get('desktopBg') || '#008080';
@@ -165,6 +171,57 @@ class ControlPanel extends AppBase {
                     border-style: inset;
                     background: #a0a0a0;
                 }
+                .file-type-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 3px 0;
+                    font-size: 12px;
+                }
+                .file-type-ext {
+                    width: 60px;
+                    font-weight: bold;
+                    font-family: monospace;
+                }
+                .file-type-row select {
+                    flex: 1;
+                    padding: 2px;
+                    border: 2px inset #fff;
+                }
+                .file-type-row.customized .file-type-ext {
+                    color: #000080;
+                }
+                .shortcut-category {
+                    margin: 8px 0 2px;
+                    font-size: 11px;
+                    font-weight: bold;
+                    color: #404040;
+                }
+                .shortcut-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 2px 0;
+                    font-size: 12px;
+                }
+                .shortcut-desc {
+                    flex: 1;
+                }
+                .shortcut-keys {
+                    min-width: 130px;
+                    font-family: monospace;
+                    font-weight: bold;
+                }
+                .shortcut-row.customized .shortcut-keys {
+                    color: #000080;
+                }
+                .shortcut-row.conflict .shortcut-keys {
+                    color: #c00000;
+                }
+                .shortcut-row .control-button {
+                    padding: 2px 8px;
+                    font-weight: normal;
+                }
             </style>
 
             <div class="control-panel">
@@ -263,6 +320,34 @@ class ControlPanel extends AppBase {
                     </div>
                 </div>
 
+                <div class="control-section">
+                    <div class="control-section-title">🪟 Windows</div>
+
+                    <div class="control-item">
+                        <div class="control-item-icon">🔁</div>
+                        <div class="control-item-info">
+                            <div class="control-item-label">Restore Windows on Startup</div>
+                            <div class="control-item-desc">Reopen your windows and their contents after a reload</div>
+                        </div>
+                        <div class="control-toggle">
+                            <input type="checkbox" id="restore-session" ${settings.restoreSession ? 'checked' : ''}>
+                            <label for="restore-session">${settings.restoreSession ? 'On' : 'Off'}</label>
+                        </div>
+                    </div>
+
+                    <div class="control-item">
+                        <div class="control-item-icon">🔲</div>
+                        <div class="control-item-info">
+                            <div class="control-item-label">Auto-arrange Windows</div>
+                            <div class="control-item-desc">Tile the windows on each desktop in a grid as they open and close</div>
+                        </div>
+                        <div class="control-toggle">
+                            <input type="checkbox" id="auto-tile" ${settings.autoTile ? 'checked' : ''}>
+                            <label for="auto-tile">${settings.autoTile ? 'On' : 'Off'}</label>
+                        </div>
+                    </div>
+                </div>
+
                 <div class="control-section">
                     <div class="control-section-title">📋 System Information</div>
 
@@ -289,6 +374,40 @@ class ControlPanel extends AppBase {
                     </div>
                 </div>
 
+                <div class="control-section" id="file-types-section">
+                    <div class="control-section-title">📂 File Types</div>
+
+                    <div class="control-item">
+                        <div class="control-item-icon">📄</div>
+                        <div class="control-item-info">
+                            <div class="control-item-label">Default Programs</div>
+                            <div class="control-item-desc">Choose which program opens each type of file</div>
+                        </div>
+                        <button class="control-button" id="file-types-reset">Restore Defaults</button>
+                    </div>
+
+                    <div id="file-types-list">
+                        ${this.renderFileTypes()}
+                    </div>
+                </div>
+
+                <div class="control-section" id="shortcuts-section">
+                    <div class="control-section-title">⌨️ Keyboard Shortcuts</div>
+
+                    <div class="control-item">
+                        <div class="control-item-icon">⌨️</div>
+                        <div class="control-item-info">
+                            <div class="control-item-label">Key Bindings</div>
+                            <div class="control-item-desc">Click Change, then press the new keys (Esc cancels). Open an app to see its shortcuts.</div>
+                        </div>
+                        <button class="control-button" id="shortcuts-reset">Restore Defaults</button>
+                    </div>
+
+                    <div id="shortcuts-list">
+                        ${this.renderShortcuts()}
+                    </div>
+                </div>
+
                 <div class="control-section">
                     <div class="control-section-title">📋 More Settings</div>
 
@@ -431,6 +550,57 @@ class ControlPanel extends AppBase {
             });
         }
 
+        // Session restore toggle
+        const restoreToggle = this.getElement('#restore-session');
+        if (restoreToggle) {
+            this.addHandler(restoreToggle, 'change', (e) => {
+                const enabled = e.target.checked;
+                StateManager.setState('settings.restoreSession', enabled, true);
+                e.target.nextElementSibling.textContent = enabled ? 'On' : 'Off';
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: 'restoreSession', value: enabled });
+            });
+        }
+
+        // Auto-tile toggle
+        const autoTileToggle = this.getElement('#auto-tile');
+        if (autoTileToggle) {
+            this.addHandler(autoTileToggle, 'change', (e) => {
+                const enabled = e.target.checked;
+                StateManager.setState('settings.autoTile', enabled, true);
+                e.target.nextElementSibling.textContent = enabled ? 'On' : 'Off';
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: 'autoTile', value: enabled });
+            });
+        }
+
+        // File type defaults
+        this.bindFileTypes();
+        const fileTypesReset = this.getElement('#file-types-reset');
+        if (fileTypesReset) {
+            this.addHandler(fileTypesReset, 'click', () => {
+                FileAssociations.getAll()
+                    .filter(type => type.customized)
+                    .forEach(type => FileAssociations.resetDefault(type.extension));
+                this.getElement('#file-types-list').innerHTML = this.renderFileTypes();
+                this.bindFileTypes();
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: 'fileAssociations', value: null });
+            });
+        }
+
+        // Keyboard shortcuts
+        this.bindShortcuts();
+        const shortcutsReset = this.getElement('#shortcuts-reset');
+        if (shortcutsReset) {
+            this.addHandler(shortcutsReset, 'click', () => {
+                ShortcutManager.resetAll();
+                this.refreshShortcuts();
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: 'shortcuts', value: null });
+            });
+        }
+
+        if (this._initialSection) {
+            this.getElement(`#${this._initialSection}-section`)?.scrollIntoView();
+        }
+
         // Storage info
         this.updateStorageInfo();
 
@@ -461,8 +631,8 @@ class ControlPanel extends AppBase {
         // Export button - Complete System Snapshot
         const exportButton = this.getElement('#export-button');
         if (exportButton) {
-            this.addHandler(exportButton, 'click', () => {
-                const data = StateManager.exportCompleteState();
+            this.addHandler(exportButton, 'click', async () => {
+                const data = await StateManager.exportCompleteState();
                 const json = JSON.stringify(data, null, 2);
                 const blob = new Blob([json], { type: 'application/json' });
                 const url = URL.createObjectURL(blob);
@@ -523,6 +693,130 @@ class ControlPanel extends AppBase {
         }
     }
 
+    /**
+     * Render one row per registered file type with a default-program picker
+     * @returns {string} HTML
+     */
+    renderFileTypes() {
+        return FileAssociations.getAll().map(type => `
+            <div class="file-type-row ${type.customized ? 'customized' : ''}">
+                <span class="file-type-ext">.${type.extension.toUpperCase()}</span>
+                <select class="file-type-select" data-extension="${type.extension}">
+                    ${type.handlers.map(appId => `
+                        <option value="${appId}" ${appId === type.defaultApp ? 'selected' : ''}>${FileAssociations.getAppName(appId)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Attach change handlers to the file type pickers
+     */
+    bindFileTypes() {
+        this.getElements('.file-type-select').forEach(select => {
+            this.addHandler(select, 'change', (e) => {
+                const extension = e.target.dataset.extension;
+                FileAssociations.setDefault(extension, e.target.value);
+                e.target.closest('.file-type-row').classList.add('customized');
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, {
+                    setting: `fileAssociations.${extension}`,
+                    value: e.target.value
+                });
+            });
+        });
+    }
+
+    /**
+     * Render the registered keyboard shortcuts grouped by category
+     * @returns {string} HTML
+     */
+    renderShortcuts() {
+        const groups = new Map();
+        for (const shortcut of ShortcutManager.getAll()) {
+            if (!groups.has(shortcut.category)) groups.set(shortcut.category, []);
+            groups.get(shortcut.category).push(shortcut);
+        }
+
+        return [...groups].map(([category, shortcuts]) => `
+            <div class="shortcut-category">${category}</div>
+            ${shortcuts.map(shortcut => {
+                const conflicts = shortcut.keys.flatMap(combo =>
+                    ShortcutManager.findConflicts(combo, { excludeId: shortcut.id, windowId: shortcut.windowId }));
+                const classes = [shortcut.customized && 'customized', conflicts.length && 'conflict'].filter(Boolean).join(' ');
+                const title = conflicts.length ? `Also used by: ${conflicts.map(b => b.description || b.id).join(', ')}` : '';
+                return `
+                    <div class="shortcut-row ${classes}" title="${title}">
+                        <span class="shortcut-desc">${shortcut.description || shortcut.id}</span>
+                        <span class="shortcut-keys">${shortcut.keys.join(' or ') || '(none)'}</span>
+                        <button class="control-button shortcut-change" data-shortcut="${shortcut.id}">Change</button>
+                        <button class="control-button shortcut-reset" data-shortcut="${shortcut.id}" ${shortcut.customized ? '' : 'disabled'}>Reset</button>
+                    </div>
+                `;
+            }).join('')}
+        `).join('');
+    }
+
+    /**
+     * Attach handlers to the shortcut Change/Reset buttons
+     */
+    bindShortcuts() {
+        this.getElements('.shortcut-change').forEach(button => {
+            this.addHandler(button, 'click', () => this.changeShortcut(button));
+        });
+        this.getElements('.shortcut-reset').forEach(button => {
+            this.addHandler(button, 'click', () => {
+                ShortcutManager.resetKeys(button.dataset.shortcut);
+                this.refreshShortcuts();
+                EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: `shortcuts.${button.dataset.shortcut}`, value: null });
+            });
+        });
+    }
+
+    refreshShortcuts() {
+        const list = this.getElement('#shortcuts-list');
+        if (!list) return;
+        list.innerHTML = this.renderShortcuts();
+        this.bindShortcuts();
+    }
+
+    /**
+     * Record a new combo for a shortcut, asking before taking it from another one
+     * @param {HTMLElement} button - The Change button
+     */
+    async changeShortcut(button) {
+        const id = button.dataset.shortcut;
+        const shortcut = ShortcutManager.getAll().find(s => s.id === id);
+        if (!shortcut) return;
+
+        button.textContent = 'Press keys...';
+        const combo = await ShortcutManager.recordCombo();
+        if (!combo) {
+            this.refreshShortcuts();
+            return;
+        }
+
+        const conflicts = ShortcutManager.findConflicts(combo, { excludeId: id, windowId: shortcut.windowId });
+        if (conflicts.length > 0) {
+            const names = conflicts.map(b => `"${b.description || b.id}"`).join(', ');
+            const replace = await SystemDialogs.confirm(
+                `${combo} is already used by ${names}. Use it for "${shortcut.description || id}" instead?`,
+                'Shortcut Conflict'
+            );
+            if (!replace) {
+                this.refreshShortcuts();
+                return;
+            }
+            for (const other of conflicts) {
+                ShortcutManager.setKeys(other.id, ShortcutManager.getKeys(other).filter(k => k !== combo));
+            }
+        }
+
+        ShortcutManager.setKeys(id, [combo]);
+        this.refreshShortcuts();
+        EventBus.emit(ControlPanelEvents.SETTING_CHANGED, { setting: `shortcuts.${id}`, value: combo });
+    }
+
     updateStorageInfo() {
         const storageInfo = this.getElement('#storage-info');
         if (!storageInfo) return;
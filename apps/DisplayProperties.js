@@ -7,7 +7,10 @@ import AppBase from './AppBase.js';
 import StateManager from '../core/StateManager.js';
 import StorageManager from '../core/StorageManager.js';
 import EventBus from '../core/EventBus.js';
+import WindowManager from '../core/WindowManager.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { DisplayPropertiesEvents } from '../core/scripted-events/SemanticEvents.js';
+import { DESKTOP } from '../core/Constants.js';
 
 // Color scheme definitions
 const COLOR_SCHEMES = {
@@ -162,6 +165,7 @@ class DisplayProperties extends AppBase {
         const menuShadows = StorageManager.get('menuShadows') !== false;
         const smoothScrolling = StorageManager.get('smoothScrolling') !== false;
         const iconSize = StorageManager.get('iconSize') || 'medium';
+        const gridSize = StateManager.getState('settings.desktop.gridSize');
 
         // Store current settings
         this.selectedColor = currentBg;
@@ -173,6 +177,7 @@ class DisplayProperties extends AppBase {
         this.menuShadows = menuShadows;
         this.smoothScrolling = smoothScrolling;
         this.iconSize = iconSize;
+        this.gridSize = gridSize;
 
         return `
             <style>
@@ -573,6 +578,20 @@ class DisplayProperties extends AppBase {
                                     <option value="large" ${iconSize === 'large' ? 'selected' : ''}>Large</option>
                                 </select>
                             </div>
+                            <div class="display-row">
+                                <label>Grid spacing:</label>
+                                <select id="icon-grid-size">
+                                    ${DESKTOP.GRID_SIZES.map(size => `<option value="${size}" ${size === gridSize ? 'selected' : ''}>${size} pixels</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="display-group">
+                            <div class="display-group-title">Windows</div>
+                            <div class="display-row">
+                                <label>Programs reopen where you last left their windows.</label>
+                            </div>
+                            <button class="display-btn" id="btn-reset-windows">Reset window positions</button>
                         </div>
                     </div>
                 </div>
@@ -753,6 +772,14 @@ class DisplayProperties extends AppBase {
             });
         }
 
+        // Icon grid spacing dropdown
+        const gridSizeSelect = this.getElement('#icon-grid-size');
+        if (gridSizeSelect) {
+            this.addHandler(gridSizeSelect, 'change', (e) => {
+                this.gridSize = Number(e.target.value);
+            });
+        }
+
         // Preview button
         const previewBtn = this.getElement('#btn-preview-ss');
         if (previewBtn) {
@@ -761,6 +788,15 @@ class DisplayProperties extends AppBase {
             });
         }
 
+        // Reset window positions button
+        const resetWindowsBtn = this.getElement('#btn-reset-windows');
+        if (resetWindowsBtn) {
+            this.addHandler(resetWindowsBtn, 'click', () => {
+                WindowManager.resetRememberedGeometry();
+                SystemDialogs.alert('Programs will open at their default window positions.', 'Display Properties', 'info');
+            });
+        }
+
         // Footer buttons
         this.addHandler(this.getElement('#btn-ok'), 'click', () => {
             this.applySettings();
@@ -884,6 +920,11 @@ class DisplayProperties extends AppBase {
         document.body.classList.remove('icon-size-small', 'icon-size-medium', 'icon-size-large');
         document.body.classList.add(`icon-size-${this.iconSize}`);
 
+        // Apply icon grid spacing
+        if (this.gridSize !== StateManager.getState('settings.desktop.gridSize')) {
+            StateManager.setState('settings.desktop.gridSize', this.gridSize, true);
+        }
+
         EventBus.emit('desktop:bg-change', { color: this.selectedColor, wallpaper: this.selectedWallpaper });
         EventBus.emit('desktop:settings-change', {
             colorScheme: this.colorScheme,
@@ -4,8 +4,10 @@
  */
 
 import AppBase from './AppBase.js';
-import FileSystemManager from '../core/FileSystemManager.js';
+import SearchIndex from '../core/SearchIndex.js';
 import AppRegistry from './AppRegistry.js';
+import FileAssociations from '../core/FileAssociations.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import EventBus from '../core/EventBus.js';
 import { FindFilesEvents } from '../core/scripted-events/SemanticEvents.js';
 
@@ -61,6 +63,25 @@ class FindFiles extends AppBase {
                     padding: 10px;
                     background: #c0c0c0;
                 }
+                .find-panel {
+                    display: none;
+                }
+                .find-panel.active {
+                    display: block;
+                }
+                .find-row input[type="number"] {
+                    width: 70px;
+                    padding: 3px;
+                    border: 2px inset #fff;
+                    font-family: inherit;
+                    font-size: 13px;
+                }
+                .find-row input[type="date"] {
+                    padding: 2px;
+                    border: 2px inset #fff;
+                    font-family: inherit;
+                    font-size: 13px;
+                }
                 .find-row {
                     display: flex;
                     align-items: center;
@@ -164,6 +185,19 @@ class FindFiles extends AppBase {
                     align-items: center;
                     gap: 5px;
                 }
+                .result-item .result-snippet {
+                    grid-column: 1 / -1;
+                    padding: 0 8px 4px 29px;
+                    font-size: 12px;
+                    color: #555;
+                }
+                .result-item.selected .result-snippet {
+                    color: #ddd;
+                }
+                .result-snippet mark {
+                    background: #ffff80;
+                    color: #000;
+                }
                 .find-status {
                     padding: 5px;
                     background: #c0c0c0;
@@ -201,31 +235,69 @@ class FindFiles extends AppBase {
                 <div class="find-content">
                     <div style="display: flex;">
                         <div style="flex: 1;">
-                            <div class="find-row">
-                                <label>Named:</label>
-                                <input type="text" id="search-name" placeholder="*.txt">
-                            </div>
-                            <div class="find-row">
-                                <label>Containing:</label>
-                                <input type="text" id="search-content" placeholder="text to find">
+                            <div class="find-panel active" data-panel="name">
+                                <div class="find-row">
+                                    <label>Named:</label>
+                                    <input type="text" id="search-name" placeholder="*.txt">
+                                </div>
+                                <div class="find-row">
+                                    <label>Containing text:</label>
+                                    <input type="text" id="search-content" placeholder='words or "exact phrase"'>
+                                </div>
+                                <div class="find-row">
+                                    <label>Look in:</label>
+                                    <select id="search-location">
+                                        <option value="C:">Local Disk (C:)</option>
+                                        <option value="C:/Users">My Documents</option>
+                                        <option value="C:/Users/User/Desktop">Desktop</option>
+                                        <option value="all">All Drives</option>
+                                    </select>
+                                </div>
+                                <div class="find-options">
+                                    <div class="find-check">
+                                        <input type="checkbox" id="search-subfolders" checked>
+                                        <label for="search-subfolders">Include subfolders</label>
+                                    </div>
+                                    <div class="find-check">
+                                        <input type="checkbox" id="search-case">
+                                        <label for="search-case">Case sensitive</label>
+                                    </div>
+                                </div>
                             </div>
-                            <div class="find-row">
-                                <label>Look in:</label>
-                                <select id="search-location">
-                                    <option value="C:">Local Disk (C:)</option>
-                                    <option value="C:/Users">My Documents</option>
-                                    <option value="C:/Users/User/Desktop">Desktop</option>
-                                    <option value="all">All Drives</option>
-                                </select>
+                            <div class="find-panel" data-panel="date">
+                                <div class="find-row find-check">
+                                    <input type="radio" name="date-mode" id="date-mode-all" value="all" checked>
+                                    <label for="date-mode-all">All files</label>
+                                </div>
+                                <div class="find-row find-check">
+                                    <input type="radio" name="date-mode" id="date-mode-within" value="within">
+                                    <label for="date-mode-within">Modified during the previous</label>
+                                    <input type="number" id="date-within" min="1" value="1">
+                                    <select id="date-within-unit">
+                                        <option value="1">day(s)</option>
+                                        <option value="30">month(s)</option>
+                                    </select>
+                                </div>
+                                <div class="find-row find-check">
+                                    <input type="radio" name="date-mode" id="date-mode-between" value="between">
+                                    <label for="date-mode-between">Modified between</label>
+                                    <input type="date" id="date-from">
+                                    <span>and</span>
+                                    <input type="date" id="date-to">
+                                </div>
                             </div>
-                            <div class="find-options">
-                                <div class="find-check">
-                                    <input type="checkbox" id="search-subfolders" checked>
-                                    <label for="search-subfolders">Include subfolders</label>
+                            <div class="find-panel" data-panel="advanced">
+                                <div class="find-row">
+                                    <label>Extensions:</label>
+                                    <input type="text" id="search-extensions" placeholder="txt, md">
+                                </div>
+                                <div class="find-row">
+                                    <label>Size at least:</label>
+                                    <input type="number" id="search-min-size" min="0"> KB
                                 </div>
-                                <div class="find-check">
-                                    <input type="checkbox" id="search-case">
-                                    <label for="search-case">Case sensitive</label>
+                                <div class="find-row">
+                                    <label>Size at most:</label>
+                                    <input type="number" id="search-max-size" min="0"> KB
                                 </div>
                             </div>
                         </div>
@@ -268,13 +340,20 @@ class FindFiles extends AppBase {
         // New Search button
         this.addHandler(this.getElement('#btn-new-search'), 'click', () => this.newSearch());
 
-        // Enter key in search field
-        const searchInput = this.getElement('#search-name');
-        if (searchInput) {
-            this.addHandler(searchInput, 'keydown', (e) => {
-                if (e.key === 'Enter') this.startSearch();
-            });
-        }
+        // Enter key in the text fields
+        ['#search-name', '#search-content', '#search-extensions'].forEach(selector => {
+            const input = this.getElement(selector);
+            if (input) {
+                this.addHandler(input, 'keydown', (e) => {
+                    if (e.key === 'Enter') this.startSearch();
+                });
+            }
+        });
+
+        // Tabs
+        this.getElements('.find-tab').forEach(tab => {
+            this.addHandler(tab, 'click', () => this.switchTab(tab.dataset.tab));
+        });
 
         // Sort headers
         const headers = this.getElements('.results-header div');
@@ -288,6 +367,49 @@ class FindFiles extends AppBase {
         EventBus.emit(FindFilesEvents.OPENED, {});
     }
 
+    switchTab(name) {
+        this.getElements('.find-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        this.getElements('.find-panel').forEach(panel => {
+            panel.classList.toggle('active', panel.dataset.panel === name);
+        });
+        EventBus.emit(FindFilesEvents.FILTER_CHANGED, { tab: name });
+    }
+
+    /**
+     * Read the date and advanced tabs into SearchIndex filter options
+     * @returns {object}
+     */
+    getFilters() {
+        const filters = {};
+
+        const dateMode = this.getElement('input[name="date-mode"]:checked')?.value || 'all';
+        if (dateMode === 'within') {
+            const count = Math.max(1, parseInt(this.getElement('#date-within')?.value, 10) || 1);
+            const unitDays = parseInt(this.getElement('#date-within-unit')?.value, 10) || 1;
+            filters.modifiedAfter = Date.now() - count * unitDays * 24 * 60 * 60 * 1000;
+        } else if (dateMode === 'between') {
+            const from = this.getElement('#date-from')?.value;
+            const to = this.getElement('#date-to')?.value;
+            if (from) filters.modifiedAfter = new Date(`${from}T00:00:00`).getTime();
+            if (to) filters.modifiedBefore = new Date(`${to}T23:59:59.999`).getTime();
+        }
+
+        const extensions = (this.getElement('#search-extensions')?.value || '')
+            .split(/[\s,;]+/)
+            .map(ext => ext.replace(/^\*?\./, '').toLowerCase())
+            .filter(Boolean);
+        if (extensions.length > 0) filters.extensions = extensions;
+
+        const minSize = parseFloat(this.getElement('#search-min-size')?.value);
+        const maxSize = parseFloat(this.getElement('#search-max-size')?.value);
+        if (!Number.isNaN(minSize)) filters.minSize = minSize * 1024;
+        if (!Number.isNaN(maxSize)) filters.maxSize = maxSize * 1024;
+
+        return filters;
+    }
+
     async startSearch() {
         const searchName = this.getElement('#search-name')?.value?.trim() || '*';
         const searchContent = this.getElement('#search-content')?.value?.trim() || '';
@@ -308,25 +430,36 @@ class FindFiles extends AppBase {
             resultsBody.innerHTML = '<div class="searching"><span class="searching-animation">🔍</span> Searching...</div>';
         }
 
-        // Convert pattern to regex
-        const pattern = this.wildcardToRegex(searchName, caseSensitive);
+        EventBus.emit(FindFilesEvents.SEARCH_STARTED, { query: searchName, content: searchContent, location });
 
-        // Get starting paths
-        const startPaths = location === 'all'
-            ? [['C:']]
-            : [location.split('/')];
+        const search = {
+            name: searchName,
+            query: searchContent,
+            scope: location === 'all' ? [] : location.split('/'),
+            recursive: includeSubfolders,
+            caseSensitive,
+            ...this.getFilters()
+        };
+        await this.runSearch(search);
 
-        // Search the virtual file system
-        for (const startPath of startPaths) {
-            if (!this.isSearching) break;
-            await this.searchDirectory(startPath, pattern, searchContent, includeSubfolders, caseSensitive);
+        this.getElement('#btn-find-now').disabled = false;
+        this.getElement('#btn-stop').disabled = true;
+        if (!this.isSearching) {
+            // Stopped while the index was still being built
+            this.searchResults = [];
+            if (resultsBody) {
+                resultsBody.innerHTML = '<div class="no-results">Search stopped.</div>';
+            }
+            return;
         }
+        this.isSearching = false;
 
         // Display results
         this.displayResults();
-        this.isSearching = false;
-        this.getElement('#btn-find-now').disabled = false;
-        this.getElement('#btn-stop').disabled = true;
+
+        // Keep the results current while files change under the searched folder
+        this.lastSearch = search;
+        this.watchSearchLocation([search.scope], includeSubfolders || search.scope.length === 0);
 
         // Emit search complete event
         EventBus.emit(FindFilesEvents.SEARCH_COMPLETE, {
@@ -336,74 +469,22 @@ class FindFiles extends AppBase {
         });
     }
 
-    async searchDirectory(path, pattern, contentSearch, includeSubfolders, caseSensitive) {
-        if (!this.isSearching) return;
-
-        try {
-            const items = FileSystemManager.listDirectory(path);
-
-            for (const item of items) {
-                if (!this.isSearching) break;
-
-                const itemPath = [...path, item.name];
-
-                // Check if name matches pattern
-                const nameToMatch = caseSensitive ? item.name : item.name.toLowerCase();
-                if (pattern.test(nameToMatch)) {
-                    // If content search is specified, check file contents
-                    if (contentSearch && item.type === 'file') {
-                        try {
-                            const content = FileSystemManager.readFile(itemPath);
-                            const contentToSearch = caseSensitive ? content : content.toLowerCase();
-                            const searchTerm = caseSensitive ? contentSearch : contentSearch.toLowerCase();
-
-                            if (contentToSearch.includes(searchTerm)) {
-                                this.addResult(item, path);
-                            }
-                        } catch (e) {
-                            // Can't read file, skip
-                        }
-                    } else if (!contentSearch) {
-                        this.addResult(item, path);
-                    }
-                }
-
-                // Recurse into directories
-                if (item.type === 'directory' && includeSubfolders) {
-                    await this.searchDirectory(itemPath, pattern, contentSearch, includeSubfolders, caseSensitive);
-                    // Small delay to prevent blocking
-                    await new Promise(resolve => setTimeout(resolve, 1));
-                }
-            }
-        } catch (e) {
-            // Directory doesn't exist or can't be read
-        }
-    }
-
-    addResult(item, folder) {
-        this.searchResults.push({
-            name: item.name,
-            folder: folder.join('/'),
-            size: item.size || 0,
-            type: item.type === 'directory' ? 'Folder' : this.getFileType(item.extension),
-            extension: item.extension,
-            path: [...folder, item.name],
-            isDirectory: item.type === 'directory'
-        });
-
-        // Update status
-        this.updateStatus(`Found ${this.searchResults.length} item(s)...`);
-    }
-
-    wildcardToRegex(pattern, caseSensitive) {
-        // Convert * and ? wildcards to regex
-        let regex = pattern
-            .replace(/[.+^${}()|[\]\\]/g, '\\$&') // Escape special chars
-            .replace(/\*/g, '.*')  // * matches anything
-            .replace(/\?/g, '.');   // ? matches single char
-
-        const flags = caseSensitive ? '' : 'i';
-        return new RegExp(`^${regex}$`, flags);
+    /**
+     * Query the search index and collect the results
+     * @param {object} search - SearchIndex.search options
+     */
+    async runSearch(search) {
+        const results = await SearchIndex.search(search);
+        this.searchResults = results.map(result => ({
+            name: result.name,
+            folder: result.folder.join('/'),
+            size: result.size || 0,
+            type: result.type === 'directory' ? 'Folder' : this.getFileType(result.extension),
+            extension: result.extension,
+            path: result.path,
+            isDirectory: result.type === 'directory',
+            snippet: result.snippet
+        }));
     }
 
     getFileType(extension) {
@@ -463,11 +544,14 @@ class FindFiles extends AppBase {
             <div class="result-item" data-index="${index}">
                 <div class="result-icon">
                     <span>${this.getFileIcon(result)}</span>
-                    <span>${result.name}</span>
+                    <span>${this.escapeHtml(result.name)}</span>
                 </div>
-                <div>${result.folder}</div>
+                <div>${this.escapeHtml(result.folder)}</div>
                 <div>${this.formatSize(result.size)}</div>
                 <div>${result.type}</div>
+                ${result.snippet ? `
+                    <div class="result-snippet">${this.escapeHtml(result.snippet.before)}<mark>${this.escapeHtml(result.snippet.match)}</mark>${this.escapeHtml(result.snippet.after)}</div>
+                ` : ''}
             </div>
         `).join('');
 
@@ -497,19 +581,53 @@ class FindFiles extends AppBase {
             isDirectory: result.isDirectory
         });
 
-        if (result.isDirectory) {
-            // Open in My Computer
-            AppRegistry.launch('mycomputer', { path: result.path });
-        } else {
-            // Open file based on type
-            if (result.extension === 'txt' || result.extension === 'md' || result.extension === 'log') {
-                AppRegistry.launch('notepad', { filePath: result.path });
-            } else if (['png', 'jpg', 'bmp', 'gif'].includes(result.extension)) {
-                AppRegistry.launch('paint', { filePath: result.path });
-            } else {
-                // Try to open parent folder
-                AppRegistry.launch('mycomputer', { path: result.path.slice(0, -1) });
+        // Folders open in My Computer, files in their associated app
+        try {
+            if (!FileAssociations.openFile(result.path)) {
+                // Nothing can open it - show the containing folder instead
+                AppRegistry.launch('mycomputer', { initialPath: result.path.slice(0, -1) });
             }
+        } catch (e) {
+            SystemDialogs.fileError(e, 'opening file');
+        }
+    }
+
+    /**
+     * Watch the searched folders, replacing the watch of a previous search
+     * @param {string[][]} startPaths - Searched folders
+     * @param {boolean} recursive - Whether subfolders were searched
+     */
+    watchSearchLocation(startPaths, recursive) {
+        this.unwatchSearchLocation();
+        const unwatchers = startPaths.map(path =>
+            this.watchPath(path, { recursive }, () => this.refreshResults()));
+        this.setInstanceState('unwatch', () => unwatchers.forEach(unwatch => unwatch()));
+    }
+
+    unwatchSearchLocation() {
+        this.getInstanceState('unwatch')?.();
+        this.setInstanceState('unwatch', null);
+    }
+
+    /**
+     * Run the last search again without resetting the form
+     */
+    async refreshResults() {
+        if (!this.lastSearch) return;
+        if (this.isSearching) {
+            // Run again once the current search has finished
+            this.refreshPending = true;
+            return;
+        }
+
+        this.isSearching = true;
+        await this.runSearch(this.lastSearch);
+        this.isSearching = false;
+        this.displayResults();
+
+        if (this.refreshPending) {
+            this.refreshPending = false;
+            this.refreshResults();
         }
     }
 
@@ -529,9 +647,15 @@ class FindFiles extends AppBase {
     }
 
     newSearch() {
+        this.unwatchSearchLocation();
+        this.lastSearch = null;
         this.searchResults = [];
         this.getElement('#search-name').value = '';
         this.getElement('#search-content').value = '';
+        this.getElement('#search-extensions').value = '';
+        this.getElement('#search-min-size').value = '';
+        this.getElement('#search-max-size').value = '';
+        this.getElement('#date-mode-all').checked = true;
 
         const resultsBody = this.getElement('#results-body');
         if (resultsBody) {
@@ -541,6 +665,12 @@ class FindFiles extends AppBase {
         this.updateStatus('Ready');
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     updateStatus(message) {
         const status = this.getElement('#find-status');
         if (status) status.textContent = message;
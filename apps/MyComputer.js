@@ -7,10 +7,22 @@ import AppBase from './AppBase.js';
 import StateManager from '../core/StateManager.js';
 import AppRegistry from './AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import FileTransfer from '../core/FileTransfer.js';
+import FileAssociations from '../core/FileAssociations.js';
 import EventBus from '../core/EventBus.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { PATHS } from '../core/Constants.js';
 import { ExplorerEvents } from '../core/scripted-events/SemanticEvents.js';
 
+// Display details per drive type reported by FileSystemManager.getDrives()
+const DRIVE_TYPES = {
+    fixed: { icon: '💾', name: 'Local Disk', fileSystem: 'FAT32' },
+    cdrom: { icon: '💿', name: 'CD-ROM Drive', fileSystem: 'CDFS' },
+    floppy: { icon: '💾', name: '3½ Floppy', fileSystem: 'FAT12' },
+    ram: { icon: '⚡', name: 'RAM Disk', fileSystem: 'FAT16' },
+    network: { icon: '🌐', name: 'Network Drive', fileSystem: 'NTFS' }
+};
+
 class MyComputer extends AppBase {
     constructor() {
         super({
@@ -259,6 +271,117 @@ class MyComputer extends AppBase {
                     outline: 2px dashed #0000ff;
                     outline-offset: -2px;
                 }
+                .mycomputer-app {
+                    position: relative;
+                }
+                .mycomputer-properties {
+                    position: absolute;
+                    inset: 0;
+                    background: rgba(0, 0, 0, 0.2);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    z-index: 10;
+                }
+                .mycomputer-properties-dialog {
+                    width: 380px;
+                    max-height: 90%;
+                    display: flex;
+                    flex-direction: column;
+                    background: #c0c0c0;
+                    border: 2px outset #fff;
+                    box-shadow: 2px 2px 0 #000;
+                }
+                .mycomputer-properties-body {
+                    padding: 10px;
+                    overflow-y: auto;
+                }
+                .mycomputer-properties-row {
+                    display: flex;
+                    font-size: 13px;
+                    padding: 3px 0;
+                }
+                .mycomputer-properties-row span:first-child {
+                    width: 90px;
+                    flex-shrink: 0;
+                }
+                .mycomputer-attributes {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px 12px;
+                }
+                .mycomputer-versions {
+                    background: white;
+                    border: 2px inset #fff;
+                    height: 110px;
+                    overflow-y: auto;
+                    font-size: 13px;
+                }
+                .mycomputer-version {
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 2px 6px;
+                    cursor: pointer;
+                }
+                .mycomputer-version.selected {
+                    background: #000080;
+                    color: white;
+                }
+                .mycomputer-version-actions {
+                    display: flex;
+                    gap: 6px;
+                    margin-top: 8px;
+                }
+                .mycomputer-diff {
+                    margin: 8px 0 0 0;
+                    background: white;
+                    border: 2px inset #fff;
+                    max-height: 140px;
+                    overflow: auto;
+                    font-size: 12px;
+                    font-family: 'Courier New', monospace;
+                    white-space: pre-wrap;
+                }
+                .mycomputer-diff .diff-added {
+                    background: #d0ffd0;
+                }
+                .mycomputer-diff .diff-removed {
+                    background: #ffd0d0;
+                }
+                .mycomputer-disk-usage {
+                    margin-top: 8px;
+                    padding-top: 8px;
+                    border-top: 2px groove #fff;
+                }
+                .mycomputer-disk-usage .mycomputer-properties-row span:first-child {
+                    width: 110px;
+                }
+                .mycomputer-swatch {
+                    display: inline-block;
+                    width: 12px;
+                    height: 12px;
+                    border: 1px solid #000;
+                    margin-right: 6px;
+                    vertical-align: middle;
+                }
+                .mycomputer-pie {
+                    width: 110px;
+                    height: 110px;
+                    margin: 10px auto 4px;
+                    border-radius: 50%;
+                    border: 1px solid #000;
+                    box-shadow: 0 4px 0 #404040;
+                }
+                .mycomputer-quota {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-size: 13px;
+                    margin-top: 8px;
+                }
+                .mycomputer-quota input[type="number"] {
+                    width: 70px;
+                }
             </style>
 
             <div class="mycomputer-app">
@@ -273,6 +396,15 @@ class MyComputer extends AppBase {
                     <button class="mycomputer-btn" id="view-btn">
                         📋 View
                     </button>
+                    <button class="mycomputer-btn" id="props-btn">
+                        📄 Properties
+                    </button>
+                    <button class="mycomputer-btn" id="export-zip-btn" title="Export folder as ZIP">
+                        📦 Export
+                    </button>
+                    <button class="mycomputer-btn" id="import-zip-btn" title="Import ZIP here">
+                        📥 Import
+                    </button>
                     <div class="mycomputer-address">
                         <span class="mycomputer-address-label">Address:</span>
                         <div class="mycomputer-address-bar" id="address-bar">${this._initialPath && this._initialPath.length > 0 ? 'My Computer\\' + this._initialPath.join('\\') : 'My Computer'}</div>
@@ -304,15 +436,11 @@ class MyComputer extends AppBase {
         // Setup drag and drop handlers for content area
         this.setupDragDropHandlers();
 
-        // Subscribe to filesystem changes for real-time updates
-        this.fsChangeHandler = () => this.refreshView();
-        EventBus.on('filesystem:changed', this.fsChangeHandler);
-        EventBus.on('filesystem:file:changed', this.fsChangeHandler);
-        EventBus.on('filesystem:directory:changed', this.fsChangeHandler);
-
         // If we have an initial path, navigate to it after mount
         if (initialPath.length > 0) {
             this.refreshView();
+        } else {
+            this.watchCurrentFolder(initialPath);
         }
 
         // Update status
@@ -341,8 +469,9 @@ class MyComputer extends AppBase {
             // Only allow drops when inside a directory (not at My Computer root)
             const hasFileData = e.dataTransfer.types.includes('application/retros-file');
             const hasShortcutData = e.dataTransfer.types.includes('application/retros-shortcut');
-            if (currentPath.length > 0 && (hasFileData || hasShortcutData)) {
-                e.dataTransfer.dropEffect = hasShortcutData ? 'copy' : 'move';
+            const hasHostFiles = FileTransfer.hasHostFiles(e);
+            if (currentPath.length > 0 && (hasFileData || hasShortcutData || hasHostFiles)) {
+                e.dataTransfer.dropEffect = (hasShortcutData || hasHostFiles) ? 'copy' : 'move';
                 content.classList.add('drop-target');
             }
         });
@@ -374,6 +503,12 @@ class MyComputer extends AppBase {
             return;
         }
 
+        // Files dragged in from the host desktop
+        if (FileTransfer.hasHostFiles(e) && e.dataTransfer.files.length > 0) {
+            this.importHostFiles(e.dataTransfer.files, currentPath);
+            return;
+        }
+
         // Check for shortcut data (app icons dragged from desktop)
         const shortcutData = e.dataTransfer.getData('application/retros-shortcut');
         if (shortcutData) {
@@ -533,47 +668,42 @@ class MyComputer extends AppBase {
         }
     }
 
-    onClose() {
-        // Clean up filesystem event listeners
-        if (this.fsChangeHandler) {
-            EventBus.off('filesystem:changed', this.fsChangeHandler);
-            EventBus.off('filesystem:file:changed', this.fsChangeHandler);
-            EventBus.off('filesystem:directory:changed', this.fsChangeHandler);
-        }
-    }
-
     getDrives() {
-        // Get drives from FileSystemManager
-        const drives = [];
-        const rootItems = FileSystemManager.listDirectory([]);
-
-        for (const item of rootItems) {
-            if (item.type === 'drive') {
-                const icon = item.name === 'C:' ? '💾' : (item.name === 'D:' ? '💿' : '💾');
-                const type = item.name === 'C:' ? 'hard' : (item.name === 'D:' ? 'cdrom' : 'floppy');
-
-                // Calculate drive size
-                const totalBytes = FileSystemManager.getDirectorySize([item.name]);
-                const totalGB = totalBytes / (1024 * 1024 * 1024);
-
-                // Check if drive is empty
-                const contents = FileSystemManager.listDirectory([item.name]);
-                const isEmpty = contents.length === 0;
-
-                drives.push({
-                    id: item.name.toLowerCase().replace(':', ''),
-                    letter: item.name,
-                    label: item.label || 'Local Disk',
-                    icon: icon,
-                    type: type,
-                    used: totalGB,
-                    total: type === 'hard' ? 10 : 0.65,
-                    isEmpty: isEmpty
-                });
-            }
-        }
+        // Get drives (persisted and mounted) from FileSystemManager
+        return FileSystemManager.getDrives().map(info => {
+            const driveType = DRIVE_TYPES[info.driveType] || DRIVE_TYPES.fixed;
+
+            return {
+                id: info.letter.toLowerCase().replace(':', ''),
+                letter: info.letter,
+                label: info.label,
+                icon: driveType.icon,
+                typeName: driveType.name,
+                fileSystem: driveType.fileSystem,
+                readOnly: info.readOnly,
+                ...this.getDriveUsage(info),
+                // RAM disks and plugin drives start empty but are always "inserted"
+                isEmpty: !info.mounted && FileSystemManager.listDirectory([info.letter]).length === 0
+            };
+        });
+    }
 
-        return drives;
+    /**
+     * Space figures for a drive as shown in the drive view and its properties
+     * @param {object} info - Entry from FileSystemManager.getDrives()
+     * @returns {{used: number, total: number, limit: number, free: number, quota: number|null}}
+     */
+    getDriveUsage(info) {
+        const space = FileSystemManager.getDriveSpace(info.letter);
+        const used = space?.used || 0;
+        const limit = space?.limit || 0;
+        return {
+            used,
+            total: info.capacity,
+            limit,
+            free: limit ? space.free : 0,
+            quota: space?.quota || null
+        };
     }
 
     renderRootView() {
@@ -631,7 +761,7 @@ class MyComputer extends AppBase {
                 }
 
                 if (drive) {
-                    const usedPercent = (drive.used / drive.total * 100).toFixed(1);
+                    const usedPercent = drive.limit ? Math.min(100, drive.used / drive.limit * 100).toFixed(1) : '0.0';
 
                     html += `
                         <div class="mycomputer-drive-info">
@@ -639,21 +769,21 @@ class MyComputer extends AppBase {
                                 <div class="mycomputer-drive-icon">${drive.icon}</div>
                                 <div class="mycomputer-drive-details">
                                     <h3>${drive.label} (${drive.letter})</h3>
-                                    <p>Type: ${drive.type === 'hard' ? 'Local Disk' : 'Removable Disk'}</p>
-                                    <p>File System: FAT32</p>
+                                    <p>Type: ${drive.typeName}${drive.readOnly ? ' (read-only)' : ''}</p>
+                                    <p>File System: ${drive.fileSystem}</p>
                                 </div>
                             </div>
                             <div style="margin-top: 15px;">
                                 <div style="display: flex; justify-content: space-between; margin-bottom: 5px; font-size: 13px;">
-                                    <span>Used: ${drive.used.toFixed(2)} GB</span>
-                                    <span>Free: ${(drive.total - drive.used).toFixed(2)} GB</span>
+                                    <span>Used: ${FileSystemManager.formatSize(drive.used)}</span>
+                                    <span>Free: ${FileSystemManager.formatSize(drive.free)}</span>
                                 </div>
                                 <div class="mycomputer-progress">
                                     <div class="mycomputer-progress-bar" style="width: ${usedPercent}%"></div>
                                     <div class="mycomputer-progress-text">${usedPercent}% used</div>
                                 </div>
                                 <div style="margin-top: 5px; font-size: 13px; text-align: right;">
-                                    Capacity: ${drive.total} GB
+                                    Capacity: ${FileSystemManager.formatSize(drive.total)}${drive.quota ? ` (quota ${FileSystemManager.formatSize(drive.quota)})` : ''}
                                 </div>
                             </div>
                         </div>
@@ -829,6 +959,29 @@ class MyComputer extends AppBase {
             });
         }
 
+        // Properties button
+        const propsBtn = this.getElement('#props-btn');
+        if (propsBtn) {
+            this.addHandler(propsBtn, 'click', () => {
+                this.showProperties();
+            });
+        }
+
+        // ZIP export/import buttons
+        const exportBtn = this.getElement('#export-zip-btn');
+        if (exportBtn) {
+            this.addHandler(exportBtn, 'click', () => {
+                this.exportFolderAsZip();
+            });
+        }
+
+        const importBtn = this.getElement('#import-zip-btn');
+        if (importBtn) {
+            this.addHandler(importBtn, 'click', () => {
+                this.importZipHere();
+            });
+        }
+
         // Setup content click handlers
         this.setupContentHandlers();
     }
@@ -949,6 +1102,9 @@ class MyComputer extends AppBase {
                         if (data.type === 'link' && data.target) {
                             // Open URL in browser or new tab
                             window.open(data.target, '_blank');
+                        } else if (data.type === 'path') {
+                            // Shortcut to a file or folder
+                            this.openFile(e.currentTarget.dataset.name);
                         } else if (data.target) {
                             // Launch the app
                             AppRegistry.launch(data.target);
@@ -989,6 +1145,11 @@ class MyComputer extends AppBase {
                 const itemName = e.currentTarget.dataset.name;
                 const itemType = e.currentTarget.dataset.type;
                 const currentPath = this.getInstanceState('currentPath') || [];
+                this.setInstanceState('selectedItem', {
+                    name: itemName,
+                    type: itemType,
+                    drive: e.currentTarget.dataset.drive
+                });
                 EventBus.emit(ExplorerEvents.FILE_SELECTED, {
                     name: itemName,
                     type: itemType,
@@ -1115,6 +1276,70 @@ class MyComputer extends AppBase {
         }
     }
 
+    /**
+     * Import files dropped from the host desktop
+     * @param {FileList} files - Dropped host files
+     * @param {string[]} targetPath - Directory to import into
+     */
+    async importHostFiles(files, targetPath) {
+        try {
+            const created = await FileTransfer.importFiles(files, targetPath);
+            this.showDropFeedback(created.length === 1
+                ? `Imported "${created[0]}"`
+                : `Imported ${created.length} files`, 'success');
+        } catch (err) {
+            console.error('Failed to import files:', err);
+            await SystemDialogs.fileError(err, 'importing files');
+        }
+    }
+
+    /**
+     * Download the selected folder (or the current one) as a ZIP file
+     */
+    async exportFolderAsZip() {
+        const currentPath = this.getInstanceState('currentPath') || [];
+        const selected = this.getInstanceState('selectedItem');
+
+        let path = currentPath;
+        if (selected?.drive) {
+            path = [selected.drive];
+        } else if (selected?.type === 'directory') {
+            path = [...currentPath, selected.name];
+        }
+
+        if (path.length === 0) {
+            SystemDialogs.alert('Select a folder or drive to export.', 'Export', 'info');
+            return;
+        }
+
+        try {
+            await FileTransfer.exportZip(path);
+        } catch (err) {
+            await SystemDialogs.alert(`Unable to export folder: ${err.message}`, 'Error', 'error');
+        }
+    }
+
+    /**
+     * Ask for a ZIP file on the host and extract it into the current folder
+     */
+    async importZipHere() {
+        const currentPath = this.getInstanceState('currentPath') || [];
+        if (currentPath.length === 0) {
+            SystemDialogs.alert('Open a drive or folder to import into.', 'Import', 'info');
+            return;
+        }
+
+        const file = await FileTransfer.pickFile('.zip,application/zip');
+        if (!file) return;
+
+        try {
+            const count = await FileTransfer.importZip(file, currentPath);
+            this.showDropFeedback(`Imported ${count} file(s) from ${file.name}`, 'success');
+        } catch (err) {
+            await SystemDialogs.fileError(err, 'importing ZIP');
+        }
+    }
+
     /**
      * Handle file drop onto a drive
      * @param {DragEvent} e - Drag event
@@ -1262,18 +1487,14 @@ class MyComputer extends AppBase {
                 size: fileInfo.size
             });
 
-            // Determine which app to use based on file extension
-            if (fileInfo.extension === 'txt' || fileInfo.extension === 'md' || fileInfo.extension === 'log') {
-                // Open in Notepad
-                AppRegistry.launch('notepad', { filePath });
-            } else if (fileInfo.extension === 'png' || fileInfo.extension === 'jpg' || fileInfo.extension === 'bmp') {
-                // Open in Paint
-                AppRegistry.launch('paint', { filePath });
+            // Open with the app associated with the file type
+            FileAssociations.openFile(filePath);
+        } catch (e) {
+            if (e.name === 'FileSystemError') {
+                SystemDialogs.fileError(e, 'opening file');
             } else {
-                console.log('No app registered for this file type:', fileInfo.extension);
+                console.error('Error opening file:', e);
             }
-        } catch (e) {
-            console.error('Error opening file:', e);
         }
     }
 
@@ -1363,10 +1584,347 @@ class MyComputer extends AppBase {
 
         if (content) content.innerHTML = html;
         if (addressBar) addressBar.textContent = address;
+        this.setInstanceState('selectedItem', null);
 
         // Re-setup handlers for new content
         this.setupContentHandlers();
         this.updateStatus();
+
+        // Refresh automatically when the folder being shown changes
+        this.watchCurrentFolder(currentPath);
+    }
+
+    /**
+     * Watch the folder being shown, replacing the previous watch after navigation.
+     * The root view watches everything so drive usage stays current.
+     * @param {string[]} path - Folder being shown
+     */
+    watchCurrentFolder(path) {
+        const watchedPath = this.getInstanceState('watchedPath');
+        if (watchedPath && watchedPath.join('\\') === path.join('\\')) return;
+
+        this.getInstanceState('unwatch')?.();
+        this.setInstanceState('watchedPath', [...path]);
+        this.setInstanceState('unwatch', this.watchPath(path, { recursive: path.length === 0 },
+            (changes) => this.handleFolderChanges(changes)));
+    }
+
+    /**
+     * Re-render after the shown folder changed. Follows the folder when it (or a parent)
+     * is renamed or moved, and falls back to the closest existing parent when it is deleted.
+     * @param {Array} changes - Changes reported by FileSystemManager.watch
+     */
+    handleFolderChanges(changes) {
+        let currentPath = this.getInstanceState('currentPath') || [];
+
+        for (const change of changes) {
+            if (change.type === 'rename' && change.oldPath.every((part, i) => currentPath[i] === part)) {
+                currentPath = [...change.path, ...currentPath.slice(change.oldPath.length)];
+            }
+        }
+        while (currentPath.length > 0 && !FileSystemManager.exists(currentPath)) {
+            currentPath = currentPath.slice(0, -1);
+        }
+
+        this.setInstanceState('currentPath', currentPath);
+        this.refreshView();
+    }
+
+    /**
+     * Show the properties view for the selected item (or the current folder)
+     */
+    showProperties() {
+        const currentPath = this.getInstanceState('currentPath') || [];
+        const selected = this.getInstanceState('selectedItem');
+
+        let path = currentPath;
+        if (selected?.drive) {
+            path = [selected.drive];
+        } else if (selected?.name) {
+            path = [...currentPath, selected.name];
+        }
+
+        if (path.length === 0 || !FileSystemManager.exists(path)) {
+            SystemDialogs.alert('Select a file, folder or drive first.', 'Properties', 'info');
+            return;
+        }
+
+        this.closeProperties();
+
+        const info = FileSystemManager.getInfo(path);
+        const isFile = info.type === 'file';
+        const driveInfo = info.type === 'drive' ? this.getDrives().find(d => d.letter === path[0]) : null;
+        const typeNames = { file: `${(info.extension || 'File').toUpperCase()} File`, directory: 'File Folder', drive: driveInfo?.typeName || 'Local Disk' };
+        const size = info.type === 'file' ? info.size : FileSystemManager.getDirectorySize(path);
+        const formatDate = (date) => date ? new Date(date).toLocaleString() : '—';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'mycomputer-properties';
+        overlay.innerHTML = `
+            <div class="mycomputer-properties-dialog">
+                <div class="dialog-titlebar">
+                    <span>${this.escapeHtml(info.name)} Properties</span>
+                    <button class="dialog-close-btn" data-props-action="close">×</button>
+                </div>
+                <div class="mycomputer-properties-body">
+                    <div class="tab-container">
+                        <div class="tab-buttons">
+                            <button class="tab-btn active" data-props-tab="general">General</button>
+                            ${isFile ? '<button class="tab-btn" data-props-tab="versions">Previous Versions</button>' : ''}
+                        </div>
+                    </div>
+                    <div class="tab-content">
+                        <div class="tab-pane active" data-props-pane="general">
+                            <div class="mycomputer-properties-row"><span>Name:</span><span>${this.escapeHtml(info.name)}</span></div>
+                            <div class="mycomputer-properties-row"><span>Type:</span><span>${typeNames[info.type] || info.type}</span></div>
+                            <div class="mycomputer-properties-row"><span>Location:</span><span>${this.escapeHtml(path.slice(0, -1).join('\\') || 'My Computer')}</span></div>
+                            <div class="mycomputer-properties-row"><span>Size:</span><span>${FileSystemManager.formatSize(size)} (${size.toLocaleString()} bytes)</span></div>
+                            <div class="mycomputer-properties-row"><span>Created:</span><span>${formatDate(info.created)}</span></div>
+                            <div class="mycomputer-properties-row"><span>Modified:</span><span>${formatDate(info.modified)}</span></div>
+                            ${driveInfo ? this.renderDiskUsage(driveInfo) : ''}
+                            ${info.type !== 'drive' ? `
+                            <div class="mycomputer-properties-row">
+                                <span>Attributes:</span>
+                                <span class="mycomputer-attributes">
+                                    <label><input type="checkbox" data-attr="readOnly" ${info.attributes.readOnly ? 'checked' : ''}> Read-only</label>
+                                    <label><input type="checkbox" data-attr="hidden" ${info.attributes.hidden ? 'checked' : ''}> Hidden</label>
+                                    <label><input type="checkbox" data-attr="archive" ${info.attributes.archive ? 'checked' : ''}> Archive</label>
+                                    <label><input type="checkbox" data-attr="system" ${info.attributes.system ? 'checked' : ''} disabled> System</label>
+                                </span>
+                            </div>
+                            ` : ''}
+                        </div>
+                        ${isFile ? `
+                        <div class="tab-pane" data-props-pane="versions">
+                            <div style="font-size: 13px; margin-bottom: 6px;">Previous versions come from earlier saves of this file.</div>
+                            <div class="mycomputer-versions" id="props-versions"></div>
+                            <div class="mycomputer-version-actions">
+                                <button class="btn" data-props-action="compare" disabled>Compare</button>
+                                <button class="btn" data-props-action="restore" disabled>Restore</button>
+                            </div>
+                            <div class="mycomputer-diff" id="props-diff" style="display: none;"></div>
+                        </div>
+                        ` : ''}
+                    </div>
+                </div>
+                <div class="dialog-buttons">
+                    <button class="btn" data-props-action="apply">OK</button>
+                    <button class="btn" data-props-action="close">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        this.getElement('.mycomputer-app')?.appendChild(overlay);
+        this.propertiesPath = path;
+
+        overlay.querySelectorAll('[data-props-tab]').forEach(tab => {
+            this.addHandler(tab, 'click', () => {
+                overlay.querySelectorAll('[data-props-tab]').forEach(t => t.classList.toggle('active', t === tab));
+                overlay.querySelectorAll('[data-props-pane]').forEach(pane => {
+                    pane.classList.toggle('active', pane.dataset.propsPane === tab.dataset.propsTab);
+                });
+            });
+        });
+
+        overlay.querySelectorAll('[data-props-action]').forEach(button => {
+            this.addHandler(button, 'click', () => {
+                const action = button.dataset.propsAction;
+                if (action === 'close') this.closeProperties();
+                else if (action === 'apply') this.applyProperties();
+                else if (action === 'compare') this.compareSelectedVersion();
+                else if (action === 'restore') this.restoreSelectedVersion();
+            });
+        });
+
+        if (isFile) {
+            this.renderVersionList();
+        }
+    }
+
+    /**
+     * Render the used/free pie chart and quota setting for the drive properties view
+     * @param {object} drive - Entry from getDrives()
+     * @returns {string} HTML
+     */
+    renderDiskUsage(drive) {
+        const usedPercent = drive.limit ? Math.min(100, drive.used / drive.limit * 100) : 0;
+        const formatBytes = (bytes) => `${FileSystemManager.formatSize(bytes)} (${bytes.toLocaleString()} bytes)`;
+        const quotaMB = drive.quota ? Math.round(drive.quota / (1024 * 1024) * 100) / 100 : '';
+
+        return `
+            <div class="mycomputer-disk-usage">
+                <div class="mycomputer-properties-row">
+                    <span><i class="mycomputer-swatch" style="background: #0000ff;"></i>Used space:</span>
+                    <span>${formatBytes(drive.used)}</span>
+                </div>
+                <div class="mycomputer-properties-row">
+                    <span><i class="mycomputer-swatch" style="background: #ff00ff;"></i>Free space:</span>
+                    <span>${formatBytes(drive.free)}</span>
+                </div>
+                <div class="mycomputer-properties-row">
+                    <span>Capacity:</span>
+                    <span>${formatBytes(drive.total)}</span>
+                </div>
+                <div class="mycomputer-pie" style="background: conic-gradient(#0000ff 0 ${usedPercent}%, #ff00ff ${usedPercent}% 100%);"
+                    title="${usedPercent.toFixed(1)}% used"></div>
+                <div style="text-align: center; font-size: 13px;">Drive ${drive.letter}</div>
+                ${drive.readOnly ? '' : `
+                <div class="mycomputer-quota">
+                    <label><input type="checkbox" id="props-quota-enabled" ${drive.quota ? 'checked' : ''}> Limit disk usage to</label>
+                    <input type="number" id="props-quota" min="0.01" step="0.01" value="${quotaMB}"> MB
+                </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Save attribute changes from the properties view, then close it
+     */
+    async applyProperties() {
+        const path = this.propertiesPath;
+
+        const quotaToggle = this.getElement('#props-quota-enabled');
+        if (path && path.length === 1 && quotaToggle) {
+            const current = FileSystemManager.getDriveSpace(path[0])?.quota || null;
+            const megabytes = parseFloat(this.getElement('#props-quota')?.value);
+            let quota = null;
+            if (quotaToggle.checked) {
+                if (!(megabytes > 0)) {
+                    await SystemDialogs.alert('Enter the disk usage limit in megabytes.', 'Properties', 'warning');
+                    return;
+                }
+                quota = Math.round(megabytes * 1024 * 1024);
+            }
+
+            if (quota !== current) {
+                try {
+                    FileSystemManager.setDriveQuota(path[0], quota);
+                } catch (e) {
+                    await SystemDialogs.alert(`Unable to change the disk quota: ${e.message}`, 'Error', 'error');
+                    return;
+                }
+            }
+        }
+
+        const checkboxes = this.getElements('.mycomputer-attributes input[data-attr]:not([disabled])');
+
+        if (path && checkboxes.length > 0) {
+            const current = FileSystemManager.getAttributes(path);
+            const changes = {};
+            checkboxes.forEach(box => {
+                if (box.checked !== current[box.dataset.attr]) {
+                    changes[box.dataset.attr] = box.checked;
+                }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                try {
+                    FileSystemManager.setAttributes(path, changes);
+                } catch (e) {
+                    await SystemDialogs.alert(`Unable to change attributes: ${e.message}`, 'Error', 'error');
+                    return;
+                }
+            }
+        }
+
+        this.closeProperties();
+    }
+
+    /**
+     * Close the properties view if it is open
+     */
+    closeProperties() {
+        this.getElement('.mycomputer-properties')?.remove();
+        this.propertiesPath = null;
+        this.selectedVersionId = null;
+    }
+
+    /**
+     * Render the Previous Versions list for the file shown in the properties view
+     */
+    renderVersionList() {
+        const list = this.getElement('#props-versions');
+        if (!list || !this.propertiesPath) return;
+
+        const versions = FileSystemManager.getVersions(this.propertiesPath);
+        this.selectedVersionId = null;
+        this.updateVersionButtons();
+
+        if (versions.length === 0) {
+            list.innerHTML = '<div style="padding: 6px; color: #666;">There are no previous versions available.</div>';
+            return;
+        }
+
+        list.innerHTML = versions.map(version => `
+            <div class="mycomputer-version" data-version-id="${version.id}">
+                <span>${new Date(version.timestamp).toLocaleString()}</span>
+                <span>${FileSystemManager.formatSize(version.size)}</span>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.mycomputer-version').forEach(row => {
+            this.addHandler(row, 'click', () => {
+                list.querySelectorAll('.mycomputer-version').forEach(r => r.classList.toggle('selected', r === row));
+                this.selectedVersionId = row.dataset.versionId;
+                this.updateVersionButtons();
+            });
+        });
+    }
+
+    updateVersionButtons() {
+        const disabled = !this.selectedVersionId;
+        this.getElements('[data-props-action="compare"], [data-props-action="restore"]').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    /**
+     * Show a line diff between the selected version and the current file
+     */
+    async compareSelectedVersion() {
+        const diffEl = this.getElement('#props-diff');
+        if (!diffEl || !this.selectedVersionId) return;
+
+        try {
+            const diff = await FileSystemManager.diffVersions(this.propertiesPath, this.selectedVersionId);
+            const markers = { same: ' ', added: '+', removed: '-' };
+            diffEl.innerHTML = diff.map(entry =>
+                `<div class="diff-${entry.type}">${markers[entry.type]} ${this.escapeHtml(entry.line)}</div>`
+            ).join('');
+            diffEl.style.display = 'block';
+        } catch (e) {
+            await SystemDialogs.alert(`Unable to compare versions: ${e.message}`, 'Error', 'error');
+        }
+    }
+
+    /**
+     * Restore the file shown in the properties view to the selected version
+     */
+    async restoreSelectedVersion() {
+        if (!this.selectedVersionId) return;
+
+        const fileName = this.propertiesPath[this.propertiesPath.length - 1];
+        const confirmed = await SystemDialogs.confirm(
+            `Restore "${fileName}" to the selected version? The current version will be kept in Previous Versions.`,
+            'Restore Previous Version'
+        );
+        if (!confirmed) return;
+
+        try {
+            await FileSystemManager.restoreVersion(this.propertiesPath, this.selectedVersionId);
+            const diffEl = this.getElement('#props-diff');
+            if (diffEl) diffEl.style.display = 'none';
+            this.renderVersionList();
+        } catch (e) {
+            await SystemDialogs.alert(`Unable to restore version: ${e.message}`, 'Error', 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     updateStatus() {
@@ -19,7 +19,8 @@ class Notepad extends AppBase {
             icon: '📝',
             width: 600,
             height: 500,
-            category: 'accessories'
+            category: 'accessories',
+            fileTypes: ['txt', 'md', 'log', 'ini', 'cfg', 'inf', 'json', 'csv', 'xml', 'html', 'css', 'js', 'bat', '*']
         });
 
         this.storageKey = 'notepadContent';
@@ -32,15 +33,11 @@ class Notepad extends AppBase {
         let fileName = 'Untitled';
 
         if (filePath) {
-            try {
-                content = FileSystemManager.readFile(filePath);
-                fileName = filePath[filePath.length - 1];
-                this.setInstanceState('currentFile', filePath);
-                this.setInstanceState('fileName', fileName);
-            } catch (e) {
-                console.error('Error loading file:', e);
-                content = '';
-            }
+            // The body may still be in storage; onMount() loads it
+            fileName = filePath[filePath.length - 1];
+            this.setInstanceState('currentFile', filePath);
+            this.setInstanceState('fileName', fileName);
+            this.setInstanceState('loadingFile', filePath);
         } else {
             // Load from StorageManager (legacy support)
             content = StorageManager.get(this.storageKey) || '';
@@ -125,7 +122,10 @@ class Notepad extends AppBase {
         this.getElement('#btnDownload')?.addEventListener('click', () => this.download());
 
         // Keyboard shortcut
-        this.addHandler(document, 'keydown', this.handleKeypress);
+        this.registerShortcut('Ctrl+S', () => this.save(), {
+            id: 'notepad.save',
+            description: 'Save the current file'
+        });
 
         // Text input handler for typing events (debounced)
         const textarea = this.getElement('#notepadText');
@@ -145,11 +145,15 @@ class Notepad extends AppBase {
             });
         }
 
-        // Emit opened event
-        EventBus.emit(NotepadEvents.OPENED, {
-            path: this.getInstanceState('currentFile'),
-            content: this.getElement('#notepadText')?.value || ''
-        });
+        const loadingFile = this.getInstanceState('loadingFile');
+        if (loadingFile) {
+            this.loadFile(loadingFile);
+        } else {
+            EventBus.emit(NotepadEvents.OPENED, {
+                path: this.getInstanceState('currentFile'),
+                content: this.getElement('#notepadText')?.value || ''
+            });
+        }
 
         // Focus textarea
         setTimeout(() => {
@@ -157,14 +161,64 @@ class Notepad extends AppBase {
         }, 100);
     }
 
-    handleKeypress(e) {
-        if (!this.isOpen || !this.getWindow()?.classList.contains('active')) return;
+    getSessionState() {
+        return {
+            content: this.getElement('#notepadText')?.value || '',
+            currentFile: this.getInstanceState('currentFile'),
+            fileName: this.getInstanceState('fileName')
+        };
+    }
 
-        // Ctrl+S to save
-        if (e.ctrlKey && e.key === 's') {
-            e.preventDefault();
-            this.save();
+    /**
+     * Fill the editor with the file passed to onOpen()
+     * @param {string[]} filePath
+     */
+    async loadFile(filePath) {
+        let content = '';
+        let error = null;
+        try {
+            content = await FileSystemManager.readFileAsync(filePath);
+        } catch (e) {
+            console.error('Error loading file:', e);
+            error = e;
         }
+
+        // A restored session replaces the file with its own buffer
+        if (this.getInstanceState('loadingFile') !== filePath) return;
+        this.setInstanceState('loadingFile', null);
+
+        if (error) {
+            this.setInstanceState('currentFile', null);
+            this.setInstanceState('fileName', 'Untitled');
+            SystemDialogs.fileError(error, 'opening file');
+        }
+
+        const textarea = this.getElement('#notepadText');
+        if (textarea) {
+            textarea.value = content;
+        }
+        this.updateTitle(this.getInstanceState('fileName'));
+        this.updateFilePathDisplay();
+
+        EventBus.emit(NotepadEvents.OPENED, {
+            path: this.getInstanceState('currentFile'),
+            content
+        });
+    }
+
+    onRestoreSession(state) {
+        this.setInstanceState('loadingFile', null);
+
+        // The buffer may hold unsaved edits, so it wins over the file on disk
+        const textarea = this.getElement('#notepadText');
+        if (textarea) {
+            textarea.value = state.content || '';
+        }
+
+        this.setInstanceState('currentFile', state.currentFile || null);
+        this.setInstanceState('fileName', state.fileName || 'Untitled');
+        this.updateTitle(state.fileName || 'Untitled');
+        this.updateFilePathDisplay();
     }
 
     async openFile() {
@@ -172,13 +226,14 @@ class Notepad extends AppBase {
         const result = await SystemDialogs.showFileOpen({
             title: 'Open',
             filter: 'txt',
-            initialPath: [...PATHS.DOCUMENTS]
+            initialPath: [...PATHS.DOCUMENTS],
+            owner: this.getCurrentWindowId()
         });
 
         if (!result) return;
 
         try {
-            const content = FileSystemManager.readFile(result.fullPath);
+            const content = await FileSystemManager.readFileAsync(result.fullPath);
             const fileName = result.filename;
 
             const textarea = this.getElement('#notepadText');
@@ -227,7 +282,7 @@ class Notepad extends AppBase {
                     path: currentFile,
                     error: e.message
                 });
-                await SystemDialogs.alert(`Error saving file: ${e.message}`, 'Error', 'error');
+                await SystemDialogs.fileError(e, 'saving file');
             }
         } else {
             // No file selected, prompt for Save As
@@ -251,7 +306,8 @@ class Notepad extends AppBase {
             title: 'Save As',
             filter: 'txt',
             initialPath: [...PATHS.DESKTOP],
-            defaultFilename: defaultName
+            defaultFilename: defaultName,
+            owner: this.getCurrentWindowId()
         });
 
         if (!result) return;
@@ -273,7 +329,7 @@ class Notepad extends AppBase {
             this.updateFilePathDisplay();
             this.alert('💾 File saved to ' + fullPath.join('/'));
         } catch (e) {
-            await SystemDialogs.alert(`Error saving file: ${e.message}`, 'Error', 'error');
+            await SystemDialogs.fileError(e, 'saving file');
         }
     }
 
@@ -6,6 +6,7 @@
 import AppBase from './AppBase.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import EventBus from '../core/EventBus.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { PaintEvents } from '../core/scripted-events/SemanticEvents.js';
 
 class Paint extends AppBase {
@@ -17,7 +18,8 @@ class Paint extends AppBase {
             width: 830,
             height: 625,
             resizable: true,
-            singleton: false // Allow multiple Paint windows for working on multiple images
+            singleton: false, // Allow multiple Paint windows for working on multiple images
+            fileTypes: ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico']
         });
 
         this.ctx = null;
@@ -134,9 +136,9 @@ class Paint extends AppBase {
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
 
-        // Load image if file was specified
+        // Load image if file was specified (a restored session brings its own canvas)
         const currentFile = this.getInstanceState('currentFile');
-        if (currentFile) {
+        if (currentFile && !this.getRestoredSession()) {
             this.loadImageFromFile(currentFile);
         }
 
@@ -237,6 +239,33 @@ class Paint extends AppBase {
         }
     }
 
+    getSessionState() {
+        const canvas = this.getElement('#paintCanvas');
+        return {
+            image: canvas ? canvas.toDataURL('image/png') : null,
+            currentFile: this.getInstanceState('currentFile'),
+            fileName: this.getInstanceState('fileName')
+        };
+    }
+
+    onRestoreSession(state) {
+        this.setInstanceState('currentFile', state.currentFile || null);
+        this.setInstanceState('fileName', state.fileName || 'Untitled');
+        this.updateWindowTitle();
+
+        const canvas = this.getElement('#paintCanvas');
+        if (!canvas || !state.image?.startsWith('data:image/')) return;
+
+        const img = new Image();
+        img.onload = () => {
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0);
+        };
+        img.src = state.image;
+    }
+
     onClose() {
         // Clean up ResizeObserver
         if (this.resizeObserver) {
@@ -408,9 +437,9 @@ class Paint extends AppBase {
         EventBus.emit(PaintEvents.CANVAS_CLEARED, { width: canvas.width, height: canvas.height });
     }
 
-    loadImageFromFile(filePath) {
+    async loadImageFromFile(filePath) {
         try {
-            const content = FileSystemManager.readFile(filePath);
+            const content = await FileSystemManager.readFileAsync(filePath);
             const canvas = this.getElement('#paintCanvas');
             if (!canvas) return;
 
@@ -486,7 +515,7 @@ class Paint extends AppBase {
                 this.alert('💾 Image saved!');
                 EventBus.emit(PaintEvents.SAVED, { filePath: currentFile.join('/'), isNew: false });
             } catch (e) {
-                alert(`Error saving image: ${e.message}`);
+                SystemDialogs.fileError(e, 'saving image');
             }
         } else {
             // No file selected, prompt for Save As
@@ -527,7 +556,7 @@ class Paint extends AppBase {
             this.alert('💾 Image saved to ' + parsedPath.join('/'));
             EventBus.emit(PaintEvents.SAVED, { filePath: parsedPath.join('/'), isNew: true });
         } catch (e) {
-            alert(`Error saving image: ${e.message}`);
+            SystemDialogs.fileError(e, 'saving image');
         }
     }
 }
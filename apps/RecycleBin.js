@@ -7,6 +7,7 @@ import AppBase from './AppBase.js';
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { RecycleBinEvents } from '../core/scripted-events/SemanticEvents.js';
 
 class RecycleBin extends AppBase {
@@ -263,6 +264,9 @@ class RecycleBin extends AppBase {
             this.refreshView();
         });
 
+        // Restore hints depend on the original folders, so watch them too
+        this.watchOriginalFolders();
+
         // Emit opened event
         const recycledItems = StateManager.getState('recycledItems') || [];
         EventBus.emit(RecycleBinEvents.OPENED, {
@@ -346,7 +350,8 @@ class RecycleBin extends AppBase {
         if (item.type === 'recycled_file' && item.originalPath) {
             const path = item.originalPath.join('\\');
             const date = item.deletedAt ? new Date(item.deletedAt).toLocaleDateString() : 'Unknown';
-            return `Original: ${path} • Deleted: ${date}`;
+            const restoreHint = this.getRestoreHint(item);
+            return `Original: ${path} • Deleted: ${date}${restoreHint ? ` • ${restoreHint}` : ''}`;
         } else if (item.url) {
             return `Type: ${item.type || 'link'} • URL: ${item.url}`;
         } else {
@@ -354,6 +359,45 @@ class RecycleBin extends AppBase {
         }
     }
 
+    /**
+     * Describe why restoring a file to its original location would fail
+     * @param {Object} item - Recycled file item
+     * @returns {string} Hint, or '' if it can be restored
+     */
+    getRestoreHint(item) {
+        if (!FileSystemManager.exists(item.originalPath.slice(0, -1))) {
+            return 'Original folder no longer exists';
+        }
+        if (FileSystemManager.exists(item.originalPath)) {
+            return 'An item with this name already exists';
+        }
+        return '';
+    }
+
+    /**
+     * Watch the folders recycled files came from so restore hints stay current.
+     * Called again whenever the list changes.
+     */
+    watchOriginalFolders() {
+        const recycledItems = StateManager.getState('recycledItems') || [];
+        const folders = new Map();
+        for (const item of recycledItems) {
+            if (item.type === 'recycled_file' && item.originalPath) {
+                const folder = item.originalPath.slice(0, -1);
+                folders.set(folder.join('\\'), folder);
+            }
+        }
+
+        const key = [...folders.keys()].sort().join('|');
+        if (this.getInstanceState('watchedFolders') === key) return;
+        this.getInstanceState('unwatch')?.();
+        this.setInstanceState('watchedFolders', key);
+
+        const unwatchers = [...folders.values()].map(folder =>
+            this.watchPath(folder, {}, () => this.refreshView()));
+        this.setInstanceState('unwatch', () => unwatchers.forEach(unwatch => unwatch()));
+    }
+
     setupToolbarHandlers() {
         // Restore button
         const restoreBtn = this.getElement('#restore-btn');
@@ -528,7 +572,7 @@ class RecycleBin extends AppBase {
         }
     }
 
-    handleFileDrop(dataString) {
+    async handleFileDrop(dataString) {
         try {
             const fileData = JSON.parse(dataString);
 
@@ -543,7 +587,7 @@ class RecycleBin extends AppBase {
 
             if (fileData.fileType !== 'directory') {
                 try {
-                    content = FileSystemManager.readFile(fileData.filePath);
+                    content = await FileSystemManager.readFileAsync(fileData.filePath);
                     const info = FileSystemManager.getInfo(fileData.filePath);
                     extension = info.extension || extension;
                 } catch (e) {
@@ -551,6 +595,19 @@ class RecycleBin extends AppBase {
                 }
             }
 
+            // Delete from filesystem first - protected (read-only/system) items stay put
+            try {
+                if (fileData.fileType === 'directory') {
+                    FileSystemManager.deleteDirectory(fileData.filePath, true);
+                } else {
+                    FileSystemManager.deleteFile(fileData.filePath);
+                }
+            } catch (e) {
+                console.error('Failed to delete item:', e);
+                this.alert(`Cannot delete ${fileData.fileName}: ${e.message}`);
+                return;
+            }
+
             // Add to recycled items
             const recycledItem = {
                 id: `recycled_file_${Date.now()}`,
@@ -568,21 +625,6 @@ class RecycleBin extends AppBase {
             recycledItems.push(recycledItem);
             StateManager.setState('recycledItems', recycledItems, true);
 
-            // Delete from filesystem
-            if (fileData.fileType === 'directory') {
-                try {
-                    FileSystemManager.deleteDirectory(fileData.filePath, true);
-                } catch (e) {
-                    console.error('Failed to delete directory:', e);
-                }
-            } else {
-                try {
-                    FileSystemManager.deleteFile(fileData.filePath);
-                } catch (e) {
-                    console.error('Failed to delete file:', e);
-                }
-            }
-
             this.playSound('recycle');
             EventBus.emit('filesystem:changed');
             this.refreshView();
@@ -697,7 +739,7 @@ class RecycleBin extends AppBase {
             console.log(`[RecycleBin] Restored file to: ${originalPath.join('\\')}`);
         } catch (err) {
             console.error('[RecycleBin] Failed to restore file:', err);
-            alert(`Failed to restore "${item.label}": ${err.message}`);
+            SystemDialogs.fileError(err, `restoring "${item.label}"`);
         }
     }
 
@@ -783,6 +825,7 @@ class RecycleBin extends AppBase {
 
         // Re-setup item handlers for new content
         this.setupItemHandlers();
+        this.watchOriginalFolders();
 
         // Reset selection
         this.updateToolbarButtons(false);
@@ -0,0 +1,807 @@
+/**
+ * ScenarioDebugger App
+ * Developer panel for the running scenario
+ *
+ * - Timeline of the events the trigger engine sees, the triggers they matched
+ *   (fired, rejected by their conditions, or skipped) and the actions run, with timings
+ * - Condition result tree for each trigger, showing which part rejected it
+ * - Scenario state, editable in place
+ * - Breakpoints on trigger IDs and event patterns, and step-through of actions
+ *
+ * The recording and pausing are done by DebugController, which is attached
+ * while this window is open (and always when the Scenario Manager's
+ * debugMode setting is on).
+ */
+
+import AppBase from './AppBase.js';
+import { ScenarioManager } from '../core/scripted-events/ScenarioManager.js';
+import { debugController } from '../core/scripted-events/DebugController.js';
+import { ScenarioEvents } from '../core/scripted-events/SemanticEvents.js';
+
+// Timeline filter options
+const FILTERS = {
+    all: 'All',
+    event: 'Events',
+    trigger: 'Triggers',
+    action: 'Actions'
+};
+
+// Scenario events after which the state and status are redrawn
+const REFRESH_EVENTS = [
+    ScenarioEvents.LOADED,
+    ScenarioEvents.STARTED,
+    ScenarioEvents.RESTORED,
+    ScenarioEvents.STAGE_ENTERED,
+    ScenarioEvents.STATE_CHANGED,
+    ScenarioEvents.COMPLETED,
+    ScenarioEvents.FAILED,
+    ScenarioEvents.ABORTED,
+    ScenarioEvents.PAUSED,
+    ScenarioEvents.RESUMED
+];
+
+const TRIGGER_RESULTS = {
+    fired: { icon: '⚡', label: 'fired' },
+    debounced: { icon: '⏳', label: 'debounced' },
+    rejected: { icon: '✗', label: 'rejected' },
+    skipped: { icon: '⤼', label: 'skipped' }
+};
+
+class ScenarioDebugger extends AppBase {
+    constructor() {
+        super({
+            id: 'scenario-debugger',
+            name: 'Scenario Debugger',
+            icon: '🐞',
+            width: 900,
+            height: 600,
+            minWidth: 620,
+            minHeight: 400,
+            resizable: true,
+            singleton: true,
+            category: 'systemtools'
+        });
+    }
+
+    onOpen() {
+        this.updateInstanceState({
+            filter: 'all',
+            selectedEntry: null
+        });
+
+        return `
+            <style>
+                #window-scenario-debugger .window-content {
+                    padding: 0 !important;
+                    overflow: hidden !important;
+                }
+                .sdbg {
+                    display: flex;
+                    flex-direction: column;
+                    height: 100%;
+                    background: #c0c0c0;
+                    font-size: 12px;
+                }
+                .sdbg-toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 2px;
+                    padding: 4px;
+                    border-bottom: 1px solid #808080;
+                    flex-shrink: 0;
+                }
+                .sdbg-toolbar select {
+                    margin-left: 4px;
+                    font-size: 11px;
+                }
+                .sdbg-spacer {
+                    flex: 1;
+                }
+                .sdbg-pausebar {
+                    padding: 4px 8px;
+                    background: #ffffcc;
+                    border-bottom: 1px solid #808080;
+                    font-weight: bold;
+                    flex-shrink: 0;
+                }
+                .sdbg-pausebar[hidden] {
+                    display: none;
+                }
+                .sdbg-main {
+                    display: flex;
+                    flex: 1;
+                    min-height: 0;
+                }
+                .sdbg-column {
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 0;
+                }
+                .sdbg-column.left {
+                    flex: 1;
+                    border-right: 2px groove #fff;
+                }
+                .sdbg-column.right {
+                    width: 300px;
+                }
+                .sdbg-pane-header {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 3px 6px;
+                    font-weight: bold;
+                    flex-shrink: 0;
+                }
+                .sdbg-pane-header span {
+                    flex: 1;
+                }
+                .sdbg-box {
+                    margin: 0 4px 4px;
+                    background: #fff;
+                    border: 2px inset #fff;
+                    overflow: auto;
+                }
+                .sdbg-timeline {
+                    flex: 3;
+                    font-family: 'Courier New', monospace;
+                    font-size: 11px;
+                }
+                .sdbg-detail {
+                    flex: 2;
+                    padding: 4px 6px;
+                }
+                .sdbg-state {
+                    flex: 1;
+                }
+                .sdbg-breakpoints {
+                    height: 110px;
+                    flex-shrink: 0;
+                }
+                .sdbg-entry {
+                    display: flex;
+                    gap: 6px;
+                    padding: 1px 4px;
+                    cursor: pointer;
+                    white-space: nowrap;
+                }
+                .sdbg-entry:hover {
+                    background: #e0e0ff;
+                }
+                .sdbg-entry.selected {
+                    background: #000080;
+                    color: #fff;
+                }
+                .sdbg-entry.nested {
+                    padding-left: 20px;
+                }
+                .sdbg-entry-time {
+                    color: #808080;
+                }
+                .sdbg-entry.selected .sdbg-entry-time {
+                    color: #c0c0c0;
+                }
+                .sdbg-entry-text {
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .sdbg-entry.kind-trigger .sdbg-entry-text {
+                    font-weight: bold;
+                }
+                .sdbg-entry.rejected, .sdbg-entry.failed {
+                    color: #c00000;
+                }
+                .sdbg-entry.skipped {
+                    color: #808080;
+                }
+                .sdbg-entry.fired, .sdbg-entry.completed {
+                    color: #006000;
+                }
+                .sdbg-detail h4 {
+                    margin: 0 0 4px;
+                    font-size: 12px;
+                }
+                .sdbg-detail table {
+                    border-collapse: collapse;
+                    margin-bottom: 4px;
+                }
+                .sdbg-detail td {
+                    padding: 1px 8px 1px 0;
+                    vertical-align: top;
+                }
+                .sdbg-detail td:first-child {
+                    color: #808080;
+                }
+                .sdbg-detail pre {
+                    margin: 2px 0 6px;
+                    padding: 4px;
+                    background: #f4f4f4;
+                    font-size: 11px;
+                    white-space: pre-wrap;
+                    word-break: break-all;
+                }
+                .sdbg-tree, .sdbg-tree ul {
+                    list-style: none;
+                    margin: 0;
+                    padding-left: 14px;
+                    font-family: 'Courier New', monospace;
+                    font-size: 11px;
+                }
+                .sdbg-tree {
+                    padding-left: 0;
+                    margin-bottom: 6px;
+                }
+                .sdbg-tree .pass > .sdbg-node {
+                    color: #006000;
+                }
+                .sdbg-tree .fail > .sdbg-node {
+                    color: #c00000;
+                }
+                .sdbg-node-actual {
+                    color: #808080;
+                }
+                .sdbg-state-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 1px 4px;
+                }
+                .sdbg-state-path {
+                    width: 45%;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-family: 'Courier New', monospace;
+                    font-size: 11px;
+                }
+                .sdbg-state-row input {
+                    flex: 1;
+                    min-width: 0;
+                    font-family: 'Courier New', monospace;
+                    font-size: 11px;
+                }
+                .sdbg-form {
+                    display: flex;
+                    gap: 2px;
+                    margin: 0 4px 4px;
+                    flex-shrink: 0;
+                }
+                .sdbg-form input {
+                    flex: 1;
+                    min-width: 0;
+                    font-size: 11px;
+                }
+                .sdbg-form select {
+                    font-size: 11px;
+                }
+                .sdbg .sdbg-small {
+                    margin: 0;
+                    padding: 1px 6px;
+                    font-size: 11px;
+                    min-width: 0;
+                }
+                .sdbg-breakpoint {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 1px 4px;
+                }
+                .sdbg-breakpoint span {
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .sdbg-empty {
+                    padding: 6px;
+                    color: #808080;
+                }
+                .sdbg-statusbar {
+                    display: flex;
+                    gap: 4px;
+                    padding: 2px 4px;
+                    font-size: 11px;
+                    flex-shrink: 0;
+                }
+                .sdbg-statusbar span {
+                    padding: 1px 6px;
+                    border: 1px inset #fff;
+                }
+                .sdbg-statusbar span:first-child {
+                    flex: 1;
+                    overflow: hidden;
+                    white-space: nowrap;
+                    text-overflow: ellipsis;
+                }
+            </style>
+            <div class="sdbg">
+                <div class="sdbg-toolbar">
+                    <button class="btn" data-cmd="resume" title="Run to the next breakpoint">▶️ Continue</button>
+                    <button class="btn" data-cmd="step" title="Run one action and pause again">⤵️ Step</button>
+                    <button class="btn" data-cmd="break" title="Pause before the next action">⏸️ Break</button>
+                    <select id="sdbgFilter" title="Show in the timeline">
+                        ${Object.entries(FILTERS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <span class="sdbg-spacer"></span>
+                    <button class="btn" data-cmd="clear">🗑️ Clear</button>
+                </div>
+                <div class="sdbg-pausebar" id="sdbgPause" hidden></div>
+                <div class="sdbg-main">
+                    <div class="sdbg-column left">
+                        <div class="sdbg-pane-header"><span>Timeline</span></div>
+                        <div class="sdbg-box sdbg-timeline" id="sdbgTimeline"></div>
+                        <div class="sdbg-box sdbg-detail" id="sdbgDetail"></div>
+                    </div>
+                    <div class="sdbg-column right">
+                        <div class="sdbg-pane-header"><span>State</span></div>
+                        <div class="sdbg-box sdbg-state" id="sdbgState"></div>
+                        <div class="sdbg-form">
+                            <input id="sdbgNewPath" placeholder="path">
+                            <input id="sdbgNewValue" placeholder="value">
+                            <button class="btn sdbg-small" data-cmd="add-state">Set</button>
+                        </div>
+                        <div class="sdbg-pane-header"><span>Breakpoints</span></div>
+                        <div class="sdbg-box sdbg-breakpoints" id="sdbgBreakpoints"></div>
+                        <div class="sdbg-form">
+                            <select id="sdbgBreakKind">
+                                <option value="trigger">Trigger ID</option>
+                                <option value="event">Event</option>
+                            </select>
+                            <input id="sdbgBreakValue" list="sdbgTriggerIds" placeholder="mystery-opened or notepad:*">
+                            <button class="btn sdbg-small" data-cmd="add-breakpoint">Add</button>
+                        </div>
+                    </div>
+                </div>
+                <div class="sdbg-statusbar">
+                    <span id="sdbgScenario"></span>
+                    <span id="sdbgCount"></span>
+                </div>
+                <datalist id="sdbgTriggerIds"></datalist>
+            </div>
+        `;
+    }
+
+    onMount() {
+        const root = this.getElement('.sdbg');
+        if (!root) return;
+
+        debugController.attach(this.id);
+
+        this.addHandler(root, 'click', (e) => this.handleCommand(e));
+        this.addHandler(root, 'change', (e) => this.handleChange(e));
+        this.addHandler(root, 'keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('#sdbgNewValue, #sdbgBreakValue')) {
+                this.handleCommand({ target: e.target.parentElement.querySelector('[data-cmd]') });
+            }
+        });
+
+        this.onEvent(ScenarioEvents.DEBUG_ENTRY, ({ entry }) => this.appendEntry(entry));
+        this.onEvent(ScenarioEvents.DEBUG_ENTRY_UPDATED, ({ entry }) => this.updateEntry(entry));
+        this.onEvent(ScenarioEvents.DEBUG_CLEARED, () => this.renderTimeline());
+        this.onEvent(ScenarioEvents.DEBUG_PAUSED, () => this.renderPause());
+        this.onEvent(ScenarioEvents.DEBUG_RESUMED, () => this.renderPause());
+        this.onEvent(ScenarioEvents.DEBUG_BREAKPOINTS_CHANGED, () => this.renderBreakpoints());
+        REFRESH_EVENTS.forEach(event => this.onEvent(event, () => {
+            this.renderState();
+            this.renderStatus();
+        }));
+        this.onEvent(ScenarioEvents.LOADED, () => this.fillTriggerIds());
+
+        this.fillTriggerIds();
+        this.renderTimeline();
+        this.renderState();
+        this.renderBreakpoints();
+        this.renderPause();
+        this.renderStatus();
+    }
+
+    onClose() {
+        debugController.detach(this.id);
+    }
+
+    // ===== COMMANDS =====
+
+    handleCommand(e) {
+        const target = e.target?.closest('[data-cmd], [data-entry]');
+        if (!target) return;
+
+        if (target.dataset.entry) {
+            this.selectEntry(Number(target.dataset.entry));
+            return;
+        }
+
+        switch (target.dataset.cmd) {
+            case 'resume': debugController.resume(); break;
+            case 'step': debugController.step(); break;
+            case 'break':
+                debugController.breakNext();
+                this.renderPause();
+                break;
+            case 'clear':
+                this.setInstanceState('selectedEntry', null);
+                debugController.clear();
+                break;
+            case 'add-state': this.addStateValue(); break;
+            case 'add-breakpoint': {
+                const input = this.getElement('#sdbgBreakValue');
+                if (debugController.addBreakpoint(this.getElement('#sdbgBreakKind').value, input.value)) {
+                    input.value = '';
+                }
+                break;
+            }
+            case 'break-on':
+                debugController.addBreakpoint(target.dataset.kind, target.dataset.value);
+                break;
+            case 'remove-breakpoint':
+                debugController.removeBreakpoint(Number(target.dataset.id));
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const target = e.target;
+
+        if (target.id === 'sdbgFilter') {
+            this.setInstanceState('filter', target.value);
+            this.renderTimeline();
+        } else if (target.dataset.statePath) {
+            this.setStateValue(target.dataset.statePath, target.value);
+        } else if (target.dataset.breakpoint) {
+            debugController.setBreakpointEnabled(Number(target.dataset.breakpoint), target.checked);
+        }
+    }
+
+    // ===== TIMELINE =====
+
+    renderTimeline() {
+        const timeline = this.getElement('#sdbgTimeline');
+        if (!timeline) return;
+
+        const entries = debugController.entries.filter(entry => this.isShown(entry));
+        timeline.innerHTML = entries.length > 0
+            ? entries.map(entry => this.renderEntry(entry)).join('')
+            : '<div class="sdbg-empty">Nothing recorded yet. Events, triggers and actions of the running scenario appear here.</div>';
+        timeline.scrollTop = timeline.scrollHeight;
+
+        this.renderDetail();
+        this.renderCount();
+    }
+
+    appendEntry(entry) {
+        const timeline = this.getElement('#sdbgTimeline');
+        if (!timeline) return;
+
+        this.renderCount();
+        if (!this.isShown(entry)) return;
+
+        timeline.querySelector('.sdbg-empty')?.remove();
+        const atBottom = timeline.scrollTop + timeline.clientHeight >= timeline.scrollHeight - 4;
+        timeline.insertAdjacentHTML('beforeend', this.renderEntry(entry));
+
+        // Keep in step with the entries DebugController still holds
+        const first = debugController.entries[0]?.id;
+        while (timeline.firstElementChild && Number(timeline.firstElementChild.dataset.entry) < first) {
+            timeline.firstElementChild.remove();
+        }
+
+        if (atBottom) timeline.scrollTop = timeline.scrollHeight;
+    }
+
+    updateEntry(entry) {
+        const row = this.getElement(`[data-entry="${entry.id}"]`);
+        if (row) row.outerHTML = this.renderEntry(entry);
+        if (this.getInstanceState('selectedEntry') === entry.id) this.renderDetail();
+    }
+
+    isShown(entry) {
+        const filter = this.getInstanceState('filter');
+        return filter === 'all' || entry.kind === filter;
+    }
+
+    renderEntry(entry) {
+        const selected = this.getInstanceState('selectedEntry') === entry.id;
+        let icon;
+        let text;
+        let status = '';
+
+        if (entry.kind === 'event') {
+            icon = '📨';
+            text = entry.event;
+        } else if (entry.kind === 'trigger') {
+            const result = TRIGGER_RESULTS[entry.result] || TRIGGER_RESULTS.fired;
+            icon = result.icon;
+            text = `${entry.triggerId} ${result.label}${entry.reason ? ` - ${entry.reason}` : ''}`;
+            status = entry.result;
+        } else {
+            icon = '▸';
+            status = entry.status;
+            text = entry.status === 'running'
+                ? `${entry.type} running...`
+                : `${entry.type} ${formatDuration(entry.duration)}${entry.error ? ` - ${entry.error}` : ''}`;
+        }
+
+        const classes = [
+            'sdbg-entry',
+            `kind-${entry.kind}`,
+            status,
+            entry.kind === 'action' && entry.triggerId ? 'nested' : '',
+            selected ? 'selected' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <div class="${classes}" data-entry="${entry.id}">
+                <span class="sdbg-entry-time">${formatTime(entry.time)}</span>
+                <span>${icon}</span>
+                <span class="sdbg-entry-text">${escapeHtml(text)}</span>
+            </div>
+        `;
+    }
+
+    selectEntry(id) {
+        const previous = this.getInstanceState('selectedEntry');
+        this.setInstanceState('selectedEntry', id);
+
+        this.getElement(`[data-entry="${previous}"]`)?.classList.remove('selected');
+        this.getElement(`[data-entry="${id}"]`)?.classList.add('selected');
+        this.renderDetail();
+    }
+
+    renderDetail() {
+        const detail = this.getElement('#sdbgDetail');
+        if (!detail) return;
+
+        const entry = debugController.entries.find(e => e.id === this.getInstanceState('selectedEntry'));
+        if (!entry) {
+            detail.innerHTML = '<div class="sdbg-empty">Select an entry to see its details.</div>';
+            return;
+        }
+
+        if (entry.kind === 'event') {
+            detail.innerHTML = `
+                <h4>📨 ${escapeHtml(entry.event)}</h4>
+                ${this.renderRows({ Time: formatTime(entry.time) })}
+                <pre>${escapeHtml(toJson(entry.data))}</pre>
+                ${this.renderBreakButton('event', entry.event, 'Break on this event')}
+            `;
+        } else if (entry.kind === 'trigger') {
+            detail.innerHTML = `
+                <h4>${TRIGGER_RESULTS[entry.result]?.icon || ''} Trigger ${escapeHtml(entry.triggerId)}</h4>
+                ${this.renderRows({
+                    Result: entry.result,
+                    Reason: entry.reason,
+                    Event: entry.event,
+                    Stage: entry.stageId || '(global)',
+                    Time: formatTime(entry.time)
+                })}
+                ${entry.conditions ? `<ul class="sdbg-tree">${this.renderCondition(entry.conditions)}</ul>` : ''}
+                ${this.renderBreakButton('trigger', entry.triggerId, 'Break on this trigger')}
+            `;
+        } else {
+            detail.innerHTML = `
+                <h4>▸ ${escapeHtml(entry.type)}</h4>
+                ${this.renderRows({
+                    Status: entry.status,
+                    Duration: entry.status === 'running' ? null : formatDuration(entry.duration),
+                    Trigger: entry.triggerId,
+                    Error: entry.error,
+                    Time: formatTime(entry.time)
+                })}
+                <pre>${escapeHtml(toJson(entry.params))}</pre>
+                ${entry.result !== undefined ? `<pre>${escapeHtml(toJson(entry.result))}</pre>` : ''}
+            `;
+        }
+    }
+
+    renderRows(rows) {
+        return `<table>${Object.entries(rows)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([label, value]) => `<tr><td>${label}</td><td>${escapeHtml(value)}</td></tr>`)
+            .join('')}</table>`;
+    }
+
+    renderBreakButton(kind, value, label) {
+        if (debugController.breakpoints.some(bp => bp.kind === kind && bp.value === value)) return '';
+        return `<button class="btn sdbg-small" data-cmd="break-on" data-kind="${kind}" data-value="${escapeHtml(value)}">🔴 ${label}</button>`;
+    }
+
+    /**
+     * One node of a ConditionEvaluator.explain() tree, with its children
+     * @param {Object} node
+     * @returns {string}
+     */
+    renderCondition(node) {
+        const params = Object.entries(node.params || {})
+            .map(([key, value]) => `${key}=${toJson(value, 0)}`)
+            .join(' ');
+        const actual = 'actual' in node ? ` <span class="sdbg-node-actual">(is ${escapeHtml(toJson(node.actual, 0))})</span>` : '';
+        const children = node.children?.length
+            ? `<ul>${node.children.map(child => this.renderCondition(child)).join('')}</ul>`
+            : '';
+
+        return `
+            <li class="${node.result ? 'pass' : 'fail'}">
+                <span class="sdbg-node">${node.result ? '✓' : '✗'} ${escapeHtml(node.type || 'and')} ${escapeHtml(params)}</span>${actual}
+                ${children}
+            </li>
+        `;
+    }
+
+    renderCount() {
+        const count = this.getElement('#sdbgCount');
+        if (count) count.textContent = `${debugController.entries.length} entries`;
+    }
+
+    // ===== PAUSE =====
+
+    renderPause() {
+        const bar = this.getElement('#sdbgPause');
+        if (!bar) return;
+
+        const pause = debugController.pause;
+        if (pause) {
+            bar.textContent = `⏸️ Paused: ${pause.reason}`;
+        } else if (debugController.stepping) {
+            bar.textContent = 'Will pause before the next action...';
+        }
+        bar.hidden = !pause && !debugController.stepping;
+
+        const paused = debugController.isPaused();
+        this.getElement('[data-cmd="resume"]').disabled = !paused && !debugController.stepping;
+        this.getElement('[data-cmd="step"]').disabled = !paused;
+        this.getElement('[data-cmd="break"]').disabled = paused;
+    }
+
+    // ===== STATE =====
+
+    renderState() {
+        const container = this.getElement('#sdbgState');
+        if (!container) return;
+
+        // Don't yank a value out from under the cursor
+        if (container.contains(document.activeElement)) return;
+
+        if (!ScenarioManager.scenario) {
+            container.innerHTML = '<div class="sdbg-empty">No scenario loaded.</div>';
+            return;
+        }
+
+        const rows = flattenState(ScenarioManager.getState());
+        container.innerHTML = rows.length > 0
+            ? rows.map(([path, value]) => `
+                <div class="sdbg-state-row">
+                    <span class="sdbg-state-path" title="${escapeHtml(path)}">${escapeHtml(path)}</span>
+                    <input data-state-path="${escapeHtml(path)}" value="${escapeHtml(toJson(value, 0))}">
+                </div>
+            `).join('')
+            : '<div class="sdbg-empty">The scenario state is empty.</div>';
+    }
+
+    /**
+     * Set a state value typed into the inspector. JSON is parsed; anything else is a string.
+     * @param {string} path
+     * @param {string} text
+     */
+    setStateValue(path, text) {
+        if (!ScenarioManager.scenario) return;
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch {
+            value = text;
+        }
+        ScenarioManager.setState(path, value);
+    }
+
+    addStateValue() {
+        const pathInput = this.getElement('#sdbgNewPath');
+        const valueInput = this.getElement('#sdbgNewValue');
+        const path = pathInput.value.trim();
+        if (!path || !ScenarioManager.scenario) return;
+
+        this.setStateValue(path, valueInput.value);
+        pathInput.value = '';
+        valueInput.value = '';
+        this.renderState();
+    }
+
+    // ===== BREAKPOINTS =====
+
+    renderBreakpoints() {
+        const container = this.getElement('#sdbgBreakpoints');
+        if (!container) return;
+
+        const kinds = { trigger: 'Trigger', event: 'Event' };
+        container.innerHTML = debugController.breakpoints.length > 0
+            ? debugController.breakpoints.map(bp => `
+                <div class="sdbg-breakpoint">
+                    <input type="checkbox" data-breakpoint="${bp.id}" ${bp.enabled ? 'checked' : ''} title="Enabled">
+                    <span title="${escapeHtml(bp.value)}">${kinds[bp.kind]}: ${escapeHtml(bp.value)}</span>
+                    <button class="btn sdbg-small" data-cmd="remove-breakpoint" data-id="${bp.id}" title="Remove">✕</button>
+                </div>
+            `).join('')
+            : '<div class="sdbg-empty">No breakpoints.</div>';
+
+        this.renderDetail();
+    }
+
+    /**
+     * Suggest the loaded scenario's trigger IDs when adding a breakpoint
+     */
+    fillTriggerIds() {
+        const list = this.getElement('#sdbgTriggerIds');
+        const scenario = ScenarioManager.scenario;
+        if (!list) return;
+
+        const triggers = scenario
+            ? [...scenario.globalTriggers, ...scenario.stages.flatMap(stage => stage.triggers)]
+            : [];
+        list.innerHTML = triggers.map(t => `<option value="${escapeHtml(t.id)}"></option>`).join('');
+    }
+
+    // ===== STATUS =====
+
+    renderStatus() {
+        const status = this.getElement('#sdbgScenario');
+        if (!status) return;
+
+        const info = ScenarioManager.getScenarioInfo();
+        if (!info) {
+            status.textContent = 'No scenario loaded';
+            return;
+        }
+
+        const stage = ScenarioManager.scenario.stages.find(s => s.id === info.currentStage);
+        const state = info.isRunning ? (info.isPaused ? 'Paused' : 'Running') : 'Stopped';
+        status.textContent = `${info.name} - ${state}${stage ? ` - Stage: ${stage.name}` : ''}`;
+    }
+}
+
+/**
+ * List the leaves of the state object as [path, value] pairs. Arrays are leaves.
+ */
+function flattenState(value, prefix = '') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return prefix ? [[prefix, value]] : [];
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) return [[prefix, value]];
+    return entries.flatMap(([key, child]) => flattenState(child, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * JSON for display; copes with cycles and values JSON can't represent
+ */
+function toJson(value, indent = 2) {
+    if (value === undefined) return 'undefined';
+    const seen = new WeakSet();
+    try {
+        return JSON.stringify(value, (key, v) => {
+            if (key === '_meta') return undefined;
+            if (v instanceof Set) return [...v];
+            if (typeof v === 'object' && v !== null) {
+                if (seen.has(v)) return '[circular]';
+                seen.add(v);
+            }
+            return v;
+        }, indent) ?? String(value);
+    } catch {
+        return String(value);
+    }
+}
+
+function formatTime(time) {
+    const date = new Date(time);
+    return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function formatDuration(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+export default ScenarioDebugger;
@@ -0,0 +1,1614 @@
+/**
+ * ScenarioEditor App
+ * Visual editor for .scenario.json files
+ *
+ * - Stage graph: one box per stage, with arrows for the advanceStage,
+ *   completeScenario and failScenario actions that lead out of it
+ * - Forms for the scenario, its stages, hints, triggers, conditions and actions.
+ *   Condition and action fields come from the types registered with
+ *   ConditionEvaluator and ActionExecutor, so plugin types show up too
+ * - Validation as you type, against ScenarioLoader's checks and scenarios/schema.json
+ * - "Test from this stage" runs the scenario in ScenarioManager starting at a stage
+ * - Open and save in the virtual file system
+ */
+
+import AppBase from './AppBase.js';
+import AppRegistry from './AppRegistry.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import WindowManager from '../core/WindowManager.js';
+import SystemDialogs from '../features/SystemDialogs.js';
+import { PATHS } from '../core/Constants.js';
+import { ScenarioManager } from '../core/scripted-events/ScenarioManager.js';
+import { scenarioLoader } from '../core/scripted-events/ScenarioLoader.js';
+import { getActionTypes, getActionParams } from '../core/scripted-events/ActionExecutor.js';
+import { getConditionTypes, getConditionParams } from '../core/scripted-events/ConditionEvaluator.js';
+import { hasTemplate } from '../core/scripted-events/ExpressionEvaluator.js';
+import { Events } from '../core/scripted-events/SemanticEvents.js';
+
+// Bundled scenarios, served as static files
+const EXAMPLES = [
+    { url: './scenarios/tutorial.scenario.json', label: 'IlluminatOS Tutorial' },
+    { url: './scenarios/cipher-hunt.scenario.json', label: 'The Cipher Hunt' }
+];
+
+// Stage graph layout (pixels)
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 46;
+const COLUMN_GAP = 50;
+const ROW_GAP = 18;
+const GRAPH_PADDING = 16;
+
+// Graph nodes for the end of the scenario
+const COMPLETE_NODE = '$complete';
+const FAIL_NODE = '$fail';
+
+// What the Add buttons insert
+const TEMPLATES = {
+    action: () => ({ type: 'showDialog', title: '', message: '' }),
+    condition: () => ({ type: 'stateEquals', path: '', value: '' }),
+    trigger: () => ({ event: '', actions: [] }),
+    hint: () => ({ delay: 30000, message: '' })
+};
+
+class ScenarioEditor extends AppBase {
+    constructor() {
+        super({
+            id: 'scenario-editor',
+            name: 'Scenario Editor',
+            icon: '🧩',
+            width: 920,
+            height: 620,
+            minWidth: 640,
+            minHeight: 420,
+            resizable: true,
+            singleton: true,
+            category: 'systemtools',
+            fileTypes: ['json']
+        });
+    }
+
+    onOpen(params = {}) {
+        // A file passed in is loaded by onMount(), since its body may still be in storage
+        this.updateInstanceState({
+            scenario: this.createScenario(),
+            currentFile: null,
+            loadingFile: params.filePath || null,
+            selected: { kind: 'scenario' },
+            showJson: false,
+            dirty: false,
+            errors: []
+        });
+
+        return `
+            <style>
+                #window-scenario-editor .window-content {
+                    padding: 0 !important;
+                    overflow: hidden !important;
+                }
+                .sedit {
+                    display: flex;
+                    flex-direction: column;
+                    height: 100%;
+                    background: #c0c0c0;
+                    font-size: 12px;
+                }
+                .sedit-toolbar {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 2px;
+                    padding: 4px;
+                    border-bottom: 1px solid #808080;
+                    flex-shrink: 0;
+                }
+                .sedit-toolbar select {
+                    margin-left: 4px;
+                    font-size: 11px;
+                }
+                .sedit-toolbar .sedit-spacer {
+                    flex: 1;
+                }
+                .sedit-main {
+                    display: flex;
+                    flex: 1;
+                    min-height: 0;
+                }
+                .sedit-graph-pane {
+                    width: 42%;
+                    display: flex;
+                    flex-direction: column;
+                    border-right: 2px groove #fff;
+                }
+                .sedit-pane-header {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 3px 6px;
+                    font-weight: bold;
+                    flex-shrink: 0;
+                }
+                .sedit-pane-header span {
+                    flex: 1;
+                }
+                .sedit-graph {
+                    flex: 1;
+                    overflow: auto;
+                    margin: 0 4px 4px;
+                    background: #fff;
+                    border: 2px inset #fff;
+                }
+                .sedit-graph-canvas {
+                    position: relative;
+                }
+                .sedit-graph-canvas svg {
+                    position: absolute;
+                    left: 0;
+                    top: 0;
+                    pointer-events: none;
+                }
+                .sedit-node {
+                    position: absolute;
+                    box-sizing: border-box;
+                    padding: 4px 6px;
+                    background: #c0c0c0;
+                    border: 2px outset #fff;
+                    cursor: pointer;
+                    overflow: hidden;
+                }
+                .sedit-node.initial {
+                    background: #dfe8ff;
+                }
+                .sedit-node.selected {
+                    outline: 2px solid #000080;
+                }
+                .sedit-node.unreached {
+                    border-style: dashed;
+                    border-color: #808080;
+                }
+                .sedit-node.has-errors {
+                    border-color: #c00000;
+                }
+                .sedit-node.end {
+                    cursor: default;
+                    text-align: center;
+                    border-radius: 20px;
+                }
+                .sedit-node-title {
+                    font-weight: bold;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .sedit-node-meta {
+                    font-size: 10px;
+                    color: #404040;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .sedit-panel {
+                    flex: 1;
+                    overflow-y: auto;
+                    padding: 6px 8px;
+                }
+                .sedit-json {
+                    width: 100%;
+                    height: 100%;
+                    box-sizing: border-box;
+                    font-family: 'Courier New', monospace;
+                    font-size: 12px;
+                    resize: none;
+                }
+                .sedit-section {
+                    margin-bottom: 10px;
+                    padding: 6px;
+                    border: 2px groove #fff;
+                }
+                .sedit-section-title {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    margin-bottom: 6px;
+                    font-weight: bold;
+                    color: #000080;
+                }
+                .sedit-section-title span {
+                    flex: 1;
+                }
+                .sedit-field {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 6px;
+                    margin-bottom: 4px;
+                }
+                .sedit-field-label {
+                    width: 110px;
+                    flex-shrink: 0;
+                    padding-top: 3px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .sedit-field input[type="text"],
+                .sedit-field input[type="number"],
+                .sedit-field select,
+                .sedit-field textarea {
+                    flex: 1;
+                    min-width: 0;
+                    font-size: 12px;
+                    box-sizing: border-box;
+                }
+                .sedit-field textarea {
+                    resize: vertical;
+                }
+                .sedit-code {
+                    font-family: 'Courier New', monospace;
+                }
+                .sedit .invalid {
+                    outline: 2px solid #c00000;
+                }
+                .sedit-item {
+                    margin: 4px 0;
+                    padding: 4px 6px;
+                    background: #d4d0c8;
+                    border: 1px solid #808080;
+                }
+                .sedit-item .sedit-item {
+                    background: #e4e0d8;
+                }
+                .sedit-item-head {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    margin-bottom: 4px;
+                }
+                .sedit-item-head select,
+                .sedit-item-title {
+                    flex: 1;
+                    min-width: 0;
+                    font-weight: bold;
+                }
+                .sedit-sub {
+                    margin: 4px 0 4px 12px;
+                    padding-left: 6px;
+                    border-left: 2px solid #808080;
+                }
+                .sedit-sub-title {
+                    font-weight: bold;
+                    margin-bottom: 2px;
+                }
+                .sedit .sedit-small {
+                    margin: 0;
+                    padding: 1px 6px;
+                    font-size: 11px;
+                    min-width: 0;
+                }
+                .sedit-problems {
+                    max-height: 84px;
+                    overflow-y: auto;
+                    margin: 0 4px;
+                    background: #fff;
+                    border: 2px inset #fff;
+                    flex-shrink: 0;
+                }
+                .sedit-problems:empty {
+                    display: none;
+                }
+                .sedit-problem {
+                    padding: 2px 6px;
+                    cursor: pointer;
+                }
+                .sedit-problem:hover {
+                    background: #000080;
+                    color: #fff;
+                }
+                .sedit-problem-field {
+                    font-family: 'Courier New', monospace;
+                    margin-right: 6px;
+                }
+                .sedit-statusbar {
+                    display: flex;
+                    gap: 4px;
+                    padding: 2px 4px;
+                    font-size: 11px;
+                    flex-shrink: 0;
+                }
+                .sedit-statusbar span {
+                    padding: 1px 6px;
+                    border: 1px inset #fff;
+                }
+                .sedit-statusbar span:first-child {
+                    flex: 1;
+                    overflow: hidden;
+                    white-space: nowrap;
+                    text-overflow: ellipsis;
+                }
+            </style>
+            <div class="sedit">
+                <div class="sedit-toolbar">
+                    <button class="btn" data-cmd="new">📄 New</button>
+                    <button class="btn" data-cmd="open">📂 Open</button>
+                    <button class="btn" data-cmd="save">💾 Save</button>
+                    <button class="btn" data-cmd="save-as">💾 Save As</button>
+                    <select id="seditExamples" title="Open a bundled scenario">
+                        <option value="">Open example...</option>
+                        ${EXAMPLES.map(e => `<option value="${e.url}">${e.label}</option>`).join('')}
+                    </select>
+                    <span class="sedit-spacer"></span>
+                    <button class="btn" data-cmd="validate">✔️ Validate</button>
+                    <button class="btn" data-cmd="toggle-json">{ } JSON</button>
+                    <button class="btn" data-cmd="test-stage">▶️ Test from Stage</button>
+                </div>
+                <div class="sedit-main">
+                    <div class="sedit-graph-pane">
+                        <div class="sedit-pane-header">
+                            <span>Stages</span>
+                            <button class="btn sedit-small" data-cmd="select-scenario">⚙️ Scenario</button>
+                            <button class="btn sedit-small" data-cmd="add-stage">+ Stage</button>
+                        </div>
+                        <div class="sedit-graph" id="seditGraph"></div>
+                    </div>
+                    <div class="sedit-panel" id="seditPanel"></div>
+                </div>
+                <div class="sedit-problems" id="seditProblems"></div>
+                <div class="sedit-statusbar">
+                    <span id="seditFile"></span>
+                    <span id="seditProblemCount"></span>
+                </div>
+                <datalist id="seditEvents"></datalist>
+                <datalist id="seditApps"></datalist>
+            </div>
+        `;
+    }
+
+    onMount() {
+        const root = this.getElement('.sedit');
+        if (!root) return;
+
+        this.addHandler(root, 'click', (e) => this.handleCommand(e));
+        this.addHandler(root, 'change', (e) => this.handleChange(e));
+
+        const examples = this.getElement('#seditExamples');
+        this.addHandler(examples, 'change', () => {
+            const url = examples.value;
+            examples.value = '';
+            if (url) this.openExample(url);
+        });
+
+        this.registerShortcut('Ctrl+S', () => this.save(), {
+            id: 'scenario-editor.save',
+            description: 'Save the scenario'
+        });
+
+        this.fillDatalists();
+        this.render();
+
+        const loadingFile = this.getInstanceState('loadingFile');
+        if (loadingFile) {
+            this.loadFile(loadingFile);
+        }
+
+        // Validation gets stricter once the schema is in
+        scenarioLoader.loadSchema().then(() => {
+            if (this.openWindows.size > 0) this.refreshValidation();
+        });
+    }
+
+    getSessionState() {
+        return {
+            scenario: this.getInstanceState('scenario'),
+            currentFile: this.getInstanceState('currentFile'),
+            selected: this.getInstanceState('selected'),
+            dirty: this.getInstanceState('dirty')
+        };
+    }
+
+    onRestoreSession(state) {
+        if (!state?.scenario) return;
+        this.updateInstanceState({
+            loadingFile: null,
+            scenario: state.scenario,
+            currentFile: state.currentFile || null,
+            selected: state.selected || { kind: 'scenario' },
+            dirty: state.dirty === true
+        });
+        this.render();
+    }
+
+    // ===== DOCUMENT =====
+
+    /**
+     * A new scenario with one stage
+     * @returns {Object}
+     */
+    createScenario() {
+        return {
+            id: 'my-scenario',
+            name: 'My Scenario',
+            description: '',
+            version: '1.0.0',
+            icon: '🎬',
+            stages: [
+                { id: 'start', name: 'Start', isInitialStage: true, triggers: [] }
+            ]
+        };
+    }
+
+    /**
+     * Replace the scenario being edited
+     * @param {Object} scenario
+     * @param {string[]|null} currentFile - Where it was loaded from
+     */
+    setScenario(scenario, currentFile) {
+        this.updateInstanceState({
+            scenario,
+            currentFile,
+            selected: { kind: 'scenario' },
+            dirty: false
+        });
+        this.render();
+    }
+
+    /**
+     * Ask before throwing away unsaved changes
+     * @returns {Promise<boolean>} True if it's fine to continue
+     */
+    async confirmDiscard() {
+        if (!this.getInstanceState('dirty')) return true;
+        return SystemDialogs.confirm('Discard unsaved changes to this scenario?', 'Scenario Editor');
+    }
+
+    /**
+     * Load the file passed to onOpen()
+     * @param {string[]} filePath
+     */
+    async loadFile(filePath) {
+        let scenario = null;
+        let error = null;
+        try {
+            scenario = JSON.parse(await FileSystemManager.readFileAsync(filePath));
+        } catch (e) {
+            console.error('[ScenarioEditor] Error loading file:', e);
+            error = e;
+        }
+
+        // A restored session keeps its own scenario
+        if (this.getInstanceState('loadingFile') !== filePath) return;
+        this.setInstanceState('loadingFile', null);
+
+        if (error) {
+            SystemDialogs.alert(`Could not open the scenario: ${error.message}`, 'Scenario Editor', 'error');
+            return;
+        }
+        this.setScenario(scenario, filePath);
+    }
+
+    async newScenario() {
+        if (!await this.confirmDiscard()) return;
+        this.setScenario(this.createScenario(), null);
+    }
+
+    async openFile() {
+        if (!await this.confirmDiscard()) return;
+
+        const result = await SystemDialogs.showFileOpen({
+            title: 'Open Scenario',
+            filter: 'json',
+            initialPath: [...PATHS.DOCUMENTS],
+            owner: this.getCurrentWindowId()
+        });
+        if (!result) return;
+
+        try {
+            const content = await FileSystemManager.readFileAsync(result.fullPath);
+            const scenario = JSON.parse(content);
+            if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+                throw new Error('The file does not contain a scenario object');
+            }
+            this.setScenario(scenario, result.fullPath);
+        } catch (e) {
+            await SystemDialogs.alert(`Error opening scenario: ${e.message}`, 'Scenario Editor', 'error');
+        }
+    }
+
+    /**
+     * Load one of the bundled scenarios as a starting point (saving asks for a file)
+     * @param {string} url
+     */
+    async openExample(url) {
+        if (!await this.confirmDiscard()) return;
+
+        const scenario = await scenarioLoader.loadFromUrl(url, { validate: false, normalize: false });
+        if (!scenario) {
+            const error = scenarioLoader.getLastErrors()[0];
+            await SystemDialogs.alert(`Could not load the example: ${error?.message || 'Unknown error'}`, 'Scenario Editor', 'error');
+            return;
+        }
+        this.setScenario(scenario, null);
+    }
+
+    async save() {
+        const currentFile = this.getInstanceState('currentFile');
+        if (!currentFile) {
+            await this.saveAs();
+            return;
+        }
+
+        try {
+            FileSystemManager.writeFile(currentFile, this.serialize());
+            this.setInstanceState('dirty', false);
+            this.updateStatus();
+        } catch (e) {
+            await SystemDialogs.fileError(e, 'saving scenario');
+        }
+    }
+
+    async saveAs() {
+        const scenario = this.getInstanceState('scenario');
+
+        const result = await SystemDialogs.showFileSave({
+            title: 'Save Scenario As',
+            filter: 'json',
+            initialPath: [...PATHS.DOCUMENTS],
+            defaultFilename: `${scenario.id || 'untitled'}.scenario.json`,
+            owner: this.getCurrentWindowId()
+        });
+        if (!result) return;
+
+        try {
+            let fileName = result.filename;
+            if (!fileName.includes('.')) {
+                fileName += '.scenario.json';
+            }
+
+            const fullPath = [...result.path, fileName];
+            FileSystemManager.writeFile(fullPath, this.serialize());
+            this.updateInstanceState({ currentFile: fullPath, dirty: false });
+            this.updateStatus();
+        } catch (e) {
+            await SystemDialogs.fileError(e, 'saving scenario');
+        }
+    }
+
+    serialize() {
+        return JSON.stringify(this.getInstanceState('scenario'), null, 4);
+    }
+
+    // ===== TESTING =====
+
+    /**
+     * Run the scenario in ScenarioManager, starting at a stage
+     * @param {string} stageId
+     */
+    async testStage(stageId) {
+        const scenario = this.getInstanceState('scenario');
+
+        // ScenarioManager refuses scenarios that fail these checks
+        const errors = scenarioLoader.validate(scenario);
+        if (errors.length > 0) {
+            const list = errors.slice(0, 5).map(e => `${e.field}: ${e.message}`).join('\n');
+            await SystemDialogs.alert(`Fix these problems before testing:\n\n${list}`, 'Scenario Editor', 'error');
+            return;
+        }
+
+        if (ScenarioManager.isRunning()) {
+            const stop = await SystemDialogs.confirm(
+                `"${ScenarioManager.getScenarioInfo()?.name}" is running. Stop it and start the test?`,
+                'Test Scenario'
+            );
+            if (!stop) return;
+        }
+
+        // Test a copy so editing during the run doesn't change it
+        const loaded = await ScenarioManager.loadScenario(JSON.parse(this.serialize()));
+        const started = loaded && await ScenarioManager.startScenario({ fromStage: stageId });
+        if (!started) {
+            const error = ScenarioManager.loader?.getLastErrors?.()[0];
+            await SystemDialogs.alert(`Could not start the test: ${error?.message || 'see the console for details'}`, 'Scenario Editor', 'error');
+            return;
+        }
+
+        // Get out of the way so the scenario can be played
+        WindowManager.minimize(this.getCurrentWindowId());
+    }
+
+    /**
+     * Stage to test: the selected one, else the initial one
+     * @returns {string|null}
+     */
+    getTestStageId() {
+        const { stages = [] } = this.getInstanceState('scenario');
+        const selected = this.getInstanceState('selected');
+        const stage = selected.kind === 'stage'
+            ? stages[selected.index]
+            : stages.find(s => s?.isInitialStage) || stages[0];
+        return stage?.id || null;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Check the scenario the way ScenarioLoader and the schema would, plus
+     * references between stages
+     * @param {Object} scenario
+     * @returns {Array<Object>} - { field, message } errors
+     */
+    validate(scenario) {
+        const errors = [];
+
+        try {
+            errors.push(...scenarioLoader.validate(scenario));
+        } catch (e) {
+            errors.push({ field: 'stages', message: `Could not check the scenario: ${e.message}` });
+        }
+
+        if (scenarioLoader.schema) {
+            const actionTypes = getActionTypes();
+            const conditionTypes = getConditionTypes();
+            const schemaErrors = scenarioLoader.validateSchema(scenario, scenarioLoader.schema)
+                .filter(error => {
+                    // The schema only knows the built-in types; registered ones are fine too
+                    if (!error.field.endsWith('.type')) return true;
+                    const type = getAt(scenario, toBindPath(error.field));
+                    return !actionTypes.includes(type) && !conditionTypes.includes(type);
+                });
+            errors.push(...schemaErrors);
+        }
+
+        const stages = Array.isArray(scenario.stages) ? scenario.stages : [];
+        const ids = stages.map(s => s?.id);
+        stages.forEach((stage, index) => {
+            if (stage?.id && ids.indexOf(stage.id) !== index) {
+                errors.push({ field: `stages[${index}].id`, message: `Another stage already has the ID "${stage.id}"` });
+            }
+        });
+        if (stages.filter(s => s?.isInitialStage).length > 1) {
+            errors.push({ field: 'stages', message: 'Only one stage can be the initial stage' });
+        }
+
+        // advanceStage actions must lead somewhere
+        forEachAction(scenario, (action, path) => {
+            // A {{stage expression}} can only be checked when it runs
+            if (action.type === 'advanceStage' && !ids.includes(action.stageId) && !hasTemplate(action.stageId)) {
+                errors.push({
+                    field: `${toErrorPath(path)}.stageId`,
+                    message: action.stageId ? `No stage has the ID "${action.stageId}"` : 'Choose the stage to go to'
+                });
+            }
+        });
+
+        // The same problem can be reported by more than one check
+        const seen = new Set();
+        return errors.filter(error => {
+            const key = `${error.field}|${error.message}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    refreshValidation() {
+        this.setInstanceState('errors', this.validate(this.getInstanceState('scenario')));
+        this.renderProblems();
+        this.markInvalidFields();
+        this.renderGraph();
+        this.updateStatus();
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Handle clicks on anything with a data-cmd
+     * @param {MouseEvent} e
+     */
+    async handleCommand(e) {
+        const target = e.target.closest('[data-cmd]');
+        if (!target || target.tagName === 'SELECT') return;
+
+        const scenario = this.getInstanceState('scenario');
+        const { path } = target.dataset;
+
+        switch (target.dataset.cmd) {
+            case 'new': await this.newScenario(); break;
+            case 'open': await this.openFile(); break;
+            case 'save': await this.save(); break;
+            case 'save-as': await this.saveAs(); break;
+            case 'toggle-json':
+                this.setInstanceState('showJson', !this.getInstanceState('showJson'));
+                this.renderPanel();
+                break;
+            case 'validate':
+                await scenarioLoader.loadSchema();
+                this.refreshValidation();
+                if (this.getInstanceState('errors').length === 0) {
+                    await SystemDialogs.alert('No problems found.', 'Scenario Editor', 'info');
+                }
+                break;
+            case 'test-stage': {
+                const stageId = target.dataset.stage || this.getTestStageId();
+                if (stageId) await this.testStage(stageId);
+                break;
+            }
+            case 'select-scenario':
+                this.select({ kind: 'scenario' });
+                break;
+            case 'select-stage':
+                this.select({ kind: 'stage', index: Number(target.dataset.index) });
+                break;
+            case 'add-stage':
+                this.addStage();
+                break;
+            case 'remove-stage':
+                await this.removeStage(Number(target.dataset.index));
+                break;
+            case 'add': {
+                const existing = getAt(scenario, path);
+                const item = TEMPLATES[target.dataset.template]();
+                if (Array.isArray(existing)) {
+                    existing.push(item);
+                } else if (target.dataset.template === 'condition' && !target.dataset.list) {
+                    setAt(scenario, path, item);
+                } else {
+                    setAt(scenario, path, [item]);
+                }
+                this.changed(true);
+                break;
+            }
+            case 'remove':
+                removeAt(scenario, path);
+                this.changed(true);
+                break;
+            case 'move-up':
+                if (moveUp(scenario, path)) this.changed(true);
+                break;
+            case 'goto':
+                this.goTo(target.dataset.field);
+                break;
+        }
+    }
+
+    /**
+     * Handle edits in the form and the JSON view
+     * @param {Event} e
+     */
+    handleChange(e) {
+        const target = e.target;
+        const scenario = this.getInstanceState('scenario');
+
+        if (target.id === 'seditJson') {
+            try {
+                const parsed = JSON.parse(target.value);
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    throw new Error('The scenario must be an object');
+                }
+                target.classList.remove('invalid');
+                target.title = '';
+                this.setInstanceState('scenario', parsed);
+                this.changed(false);
+            } catch (error) {
+                target.classList.add('invalid');
+                target.title = error.message;
+            }
+            return;
+        }
+
+        if (target.dataset.cmd === 'set-type') {
+            this.setType(target.dataset.path, target.dataset.family, target.value);
+            return;
+        }
+
+        const bind = target.dataset.bind;
+        if (!bind) return;
+
+        const kind = target.dataset.kind;
+        if (kind === 'events') {
+            // One event is stored as "event", several as "events"
+            const trigger = getAt(scenario, bind.replace(/\.event$/, ''));
+            const events = splitList(target.value);
+            delete trigger.event;
+            delete trigger.events;
+            if (events.length === 1) {
+                trigger.event = events[0];
+            } else if (events.length > 1) {
+                trigger.events = events;
+            }
+            this.changed(false);
+            return;
+        }
+
+        let value;
+        try {
+            value = parseInput(target, kind);
+        } catch (error) {
+            target.classList.add('invalid');
+            target.title = error.message;
+            return;
+        }
+        setAt(scenario, bind, value);
+
+        // Only one stage starts the scenario
+        const initial = bind.match(/^stages\.(\d+)\.isInitialStage$/);
+        if (initial) {
+            if (value) {
+                scenario.stages.forEach((stage, index) => {
+                    if (index !== Number(initial[1])) delete stage.isInitialStage;
+                });
+            } else {
+                delete scenario.stages[initial[1]].isInitialStage;
+            }
+        }
+
+        this.changed(false);
+    }
+
+    /**
+     * Change the type of an action or condition, keeping the parameters both types share
+     * @param {string} path - Bind path of the action or condition
+     * @param {string} family - 'action' or 'condition'
+     * @param {string} type - New type ('' removes a condition)
+     */
+    setType(path, family, type) {
+        const scenario = this.getInstanceState('scenario');
+        if (!type) {
+            removeAt(scenario, path);
+            this.changed(true);
+            return;
+        }
+
+        const current = getAt(scenario, path) || {};
+        const params = family === 'action' ? getActionParams(type) : getConditionParams(type);
+        const next = { type };
+        for (const [key, value] of Object.entries(current)) {
+            if (key in params) next[key] = value;
+        }
+        setAt(scenario, path, next);
+        this.changed(true);
+    }
+
+    addStage() {
+        const scenario = this.getInstanceState('scenario');
+        if (!Array.isArray(scenario.stages)) scenario.stages = [];
+
+        let n = scenario.stages.length + 1;
+        while (scenario.stages.some(s => s?.id === `stage-${n}`)) n++;
+
+        scenario.stages.push({
+            id: `stage-${n}`,
+            name: `Stage ${n}`,
+            ...(scenario.stages.length === 0 ? { isInitialStage: true } : {}),
+            triggers: []
+        });
+        this.setInstanceState('selected', { kind: 'stage', index: scenario.stages.length - 1 });
+        this.changed(true);
+    }
+
+    async removeStage(index) {
+        const scenario = this.getInstanceState('scenario');
+        const stage = scenario.stages?.[index];
+        if (!stage) return;
+
+        const confirmed = await SystemDialogs.confirm(`Delete the stage "${stage.name || stage.id}"?`, 'Delete Stage');
+        if (!confirmed) return;
+
+        scenario.stages.splice(index, 1);
+        this.setInstanceState('selected', { kind: 'scenario' });
+        this.changed(true);
+    }
+
+    select(selected) {
+        this.setInstanceState('selected', selected);
+        this.renderGraph();
+        this.renderPanel();
+    }
+
+    /**
+     * Show the form field a problem refers to
+     * @param {string} field - Error field, e.g. 'stages[2].triggers[0].event'
+     */
+    goTo(field) {
+        const stage = field.match(/^stages\[(\d+)\]/);
+        this.setInstanceState('showJson', false);
+        this.select(stage ? { kind: 'stage', index: Number(stage[1]) } : { kind: 'scenario' });
+
+        const element = this.findFieldElement(toBindPath(field));
+        if (element) {
+            element.scrollIntoView({ block: 'center' });
+            if (element.matches('input, select, textarea')) element.focus();
+        }
+    }
+
+    /**
+     * Record an edit
+     * @param {boolean} structural - Items were added, removed or retyped, so the form is rebuilt
+     */
+    changed(structural) {
+        this.setInstanceState('dirty', true);
+        if (structural) this.renderPanel();
+        this.refreshValidation();
+    }
+
+    // ===== RENDERING =====
+
+    render() {
+        this.setInstanceState('errors', this.validate(this.getInstanceState('scenario')));
+        this.renderGraph();
+        this.renderPanel();
+        this.renderProblems();
+        this.updateStatus();
+    }
+
+    fillDatalists() {
+        const events = [...new Set(Object.values(Events))].sort();
+        this.getElement('#seditEvents').innerHTML = events.map(e => `<option value="${escapeHtml(e)}">`).join('');
+        this.getElement('#seditApps').innerHTML = AppRegistry.getAll()
+            .map(app => `<option value="${escapeHtml(app.id)}">${escapeHtml(app.name)}</option>`).join('');
+    }
+
+    updateStatus() {
+        const currentFile = this.getInstanceState('currentFile');
+        const dirty = this.getInstanceState('dirty');
+        const errors = this.getInstanceState('errors') || [];
+        const fileName = currentFile ? currentFile[currentFile.length - 1] : 'Untitled';
+
+        const fileEl = this.getElement('#seditFile');
+        if (fileEl) fileEl.textContent = `${currentFile ? currentFile.join('/') : 'Unsaved'}${dirty ? ' (modified)' : ''}`;
+
+        const countEl = this.getElement('#seditProblemCount');
+        if (countEl) countEl.textContent = errors.length === 0 ? 'No problems' : `${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+
+        const titleBar = this.getWindow()?.querySelector('.window-title');
+        if (titleBar) titleBar.textContent = `${fileName}${dirty ? ' *' : ''} - Scenario Editor`;
+    }
+
+    renderProblems() {
+        const list = this.getElement('#seditProblems');
+        if (!list) return;
+
+        list.innerHTML = (this.getInstanceState('errors') || []).map(error => `
+            <div class="sedit-problem" data-cmd="goto" data-field="${escapeHtml(error.field)}">
+                ❌ <span class="sedit-problem-field">${escapeHtml(error.field)}</span>${escapeHtml(error.message)}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Outline the fields that have problems
+     */
+    markInvalidFields() {
+        this.getElements('.sedit-panel .invalid').forEach(el => {
+            el.classList.remove('invalid');
+            el.title = '';
+        });
+
+        for (const error of this.getInstanceState('errors') || []) {
+            const element = this.findFieldElement(toBindPath(error.field));
+            if (element) {
+                element.classList.add('invalid');
+                element.title = error.message;
+            }
+        }
+    }
+
+    /**
+     * Find the input for a bind path, or the closest item containing it
+     * @param {string} bind
+     * @returns {HTMLElement|null}
+     */
+    findFieldElement(bind) {
+        const panel = this.getElement('#seditPanel');
+        if (!panel) return null;
+
+        let path = bind;
+        while (path) {
+            const element = panel.querySelector(`[data-bind="${CSS.escape(path)}"], [data-item="${CSS.escape(path)}"]`);
+            if (element) return element;
+            path = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+        }
+        return null;
+    }
+
+    renderGraph() {
+        const container = this.getElement('#seditGraph');
+        if (!container) return;
+
+        const scenario = this.getInstanceState('scenario');
+        const selected = this.getInstanceState('selected');
+        const errors = this.getInstanceState('errors') || [];
+        const { nodes, edges, width, height } = layoutGraph(scenario);
+
+        const stagesWithErrors = new Set(errors
+            .map(error => error.field.match(/^stages\[(\d+)\]/)?.[1])
+            .filter(index => index !== undefined)
+            .map(Number));
+
+        const byKey = new Map(nodes.map(node => [node.key, node]));
+        const paths = edges.map(edge => {
+            const from = byKey.get(edge.from);
+            const to = byKey.get(edge.to);
+            const x1 = from.x + NODE_WIDTH;
+            const y1 = from.y + NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + NODE_HEIGHT / 2;
+            // Backward edges bow out further so they don't hide behind the nodes
+            const bend = x2 > x1 ? COLUMN_GAP / 2 : COLUMN_GAP + Math.abs(y2 - y1) / 4;
+            return `<path d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}"
+                stroke="${edge.to === FAIL_NODE ? '#c00000' : '#000080'}" fill="none" marker-end="url(#seditArrow)"/>`;
+        }).join('');
+
+        const boxes = nodes.map(node => {
+            const style = `left:${node.x}px;top:${node.y}px;width:${NODE_WIDTH}px;height:${NODE_HEIGHT}px`;
+            if (node.end) {
+                return `<div class="sedit-node end" style="${style}">
+                    <div class="sedit-node-title">${node.key === COMPLETE_NODE ? '🏆 Complete' : '💥 Fail'}</div>
+                </div>`;
+            }
+
+            const { stage, index } = node;
+            const classes = ['sedit-node'];
+            if (stage.isInitialStage) classes.push('initial');
+            if (node.unreached) classes.push('unreached');
+            if (stagesWithErrors.has(index)) classes.push('has-errors');
+            if (selected.kind === 'stage' && selected.index === index) classes.push('selected');
+
+            const triggerCount = Array.isArray(stage.triggers) ? stage.triggers.length : 0;
+            const tooltip = node.unreached ? 'No stage leads here' : (stage.description || '');
+            return `<div class="${classes.join(' ')}" style="${style}" data-cmd="select-stage" data-index="${index}" title="${escapeHtml(tooltip)}">
+                <div class="sedit-node-title">${stage.isInitialStage ? '⭐ ' : ''}${escapeHtml(stage.name || stage.id || '(unnamed)')}</div>
+                <div class="sedit-node-meta">${escapeHtml(stage.id || 'no ID')} · ${triggerCount} trigger${triggerCount === 1 ? '' : 's'}</div>
+            </div>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="sedit-graph-canvas" style="width:${width}px;height:${height}px">
+                <svg width="${width}" height="${height}">
+                    <defs>
+                        <marker id="seditArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+                            <path d="M0,0 L10,5 L0,10 z" fill="#000080"/>
+                        </marker>
+                    </defs>
+                    ${paths}
+                </svg>
+                ${boxes}
+            </div>
+        `;
+    }
+
+    renderPanel() {
+        const panel = this.getElement('#seditPanel');
+        if (!panel) return;
+
+        const scenario = this.getInstanceState('scenario');
+
+        if (this.getInstanceState('showJson')) {
+            panel.innerHTML = `<textarea class="sedit-json" id="seditJson" spellcheck="false">${escapeHtml(this.serialize())}</textarea>`;
+            return;
+        }
+
+        const selected = this.getInstanceState('selected');
+        const stage = selected.kind === 'stage' ? scenario.stages?.[selected.index] : null;
+
+        panel.innerHTML = stage
+            ? this.renderStagePanel(stage, selected.index)
+            : this.renderScenarioPanel(scenario);
+        this.markInvalidFields();
+    }
+
+    renderScenarioPanel(scenario) {
+        const config = scenario.config || {};
+        return `
+            <div class="sedit-section">
+                <div class="sedit-section-title"><span>Scenario</span></div>
+                ${this.renderField('ID', 'id', 'string', scenario.id)}
+                ${this.renderField('Name', 'name', 'string', scenario.name)}
+                ${this.renderField('Description', 'description', 'text', scenario.description)}
+                ${this.renderField('Icon', 'icon', 'string', scenario.icon)}
+                ${this.renderField('Version', 'version', 'string', scenario.version)}
+                ${this.renderField('Author', 'author', 'string', scenario.author)}
+                ${this.renderField('Difficulty', 'difficulty', ['easy', 'medium', 'hard', 'expert'], scenario.difficulty)}
+                ${this.renderField('Estimated time', 'estimatedTime', 'string', scenario.estimatedTime)}
+                ${this.renderField('Tags', 'tags', 'list', scenario.tags)}
+                ${this.renderField('Required apps', 'requirements.apps', 'list', scenario.requirements?.apps)}
+                ${this.renderField('Required features', 'requirements.features', 'list', scenario.requirements?.features)}
+            </div>
+            <div class="sedit-section">
+                <div class="sedit-section-title"><span>Settings</span></div>
+                ${this.renderField('Allow skip', 'config.allowSkip', 'boolean', config.allowSkip === true)}
+                ${this.renderField('Show progress', 'config.showProgress', 'boolean', config.showProgress !== false)}
+                ${this.renderField('Auto-save', 'config.autoSave', 'boolean', config.autoSave !== false)}
+                ${this.renderField('Pause on blur', 'config.pauseOnBlur', 'boolean', config.pauseOnBlur === true)}
+                ${this.renderField('Hint delay (ms)', 'config.hintDelay', 'number', config.hintDelay)}
+                ${this.renderField('Max hints', 'config.maxHints', 'number', config.maxHints)}
+                ${this.renderField('Variables', 'variables', 'json', scenario.variables)}
+            </div>
+            <div class="sedit-section">
+                <div class="sedit-section-title"><span>Lifecycle</span></div>
+                ${this.renderActionList('On start', 'onStart.actions', scenario.onStart?.actions)}
+                ${this.renderActionList('On complete', 'onComplete.actions', scenario.onComplete?.actions)}
+                ${this.renderActionList('On fail', 'onFail.actions', scenario.onFail?.actions)}
+                ${this.renderActionList('On abort', 'onAbort.actions', scenario.onAbort?.actions)}
+            </div>
+            ${this.renderTriggerSection('Global triggers', 'globalTriggers', scenario.globalTriggers)}
+        `;
+    }
+
+    renderStagePanel(stage, index) {
+        const path = `stages.${index}`;
+        const hints = Array.isArray(stage.hints) ? stage.hints : [];
+        return `
+            <div class="sedit-section" data-item="${path}">
+                <div class="sedit-section-title">
+                    <span>Stage</span>
+                    <button class="btn sedit-small" data-cmd="test-stage" data-stage="${escapeHtml(stage.id || '')}">▶️ Test from this stage</button>
+                    <button class="btn sedit-small" data-cmd="remove-stage" data-index="${index}">🗑️ Delete</button>
+                </div>
+                ${this.renderField('ID', `${path}.id`, 'string', stage.id)}
+                ${this.renderField('Name', `${path}.name`, 'string', stage.name)}
+                ${this.renderField('Description', `${path}.description`, 'text', stage.description)}
+                ${this.renderField('Initial stage', `${path}.isInitialStage`, 'boolean', stage.isInitialStage === true)}
+            </div>
+            <div class="sedit-section">
+                <div class="sedit-section-title">
+                    <span>Hints</span>
+                    <button class="btn sedit-small" data-cmd="add" data-path="${path}.hints" data-template="hint">+ Hint</button>
+                </div>
+                ${hints.map((hint, i) => `
+                    <div class="sedit-item" data-item="${path}.hints.${i}">
+                        <div class="sedit-item-head">
+                            <span class="sedit-item-title">Hint ${i + 1}</span>
+                            ${this.renderItemButtons(`${path}.hints.${i}`)}
+                        </div>
+                        ${this.renderField('Delay (ms)', `${path}.hints.${i}.delay`, 'number', hint?.delay)}
+                        ${this.renderField('Message', `${path}.hints.${i}.message`, 'text', hint?.message)}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="sedit-section">
+                <div class="sedit-section-title"><span>Stage actions</span></div>
+                ${this.renderActionList('On enter', `${path}.onEnter.actions`, stage.onEnter?.actions)}
+                ${this.renderActionList('On exit', `${path}.onExit.actions`, stage.onExit?.actions)}
+            </div>
+            ${this.renderTriggerSection('Triggers', `${path}.triggers`, stage.triggers)}
+        `;
+    }
+
+    renderTriggerSection(title, path, triggers) {
+        const list = Array.isArray(triggers) ? triggers : [];
+        return `
+            <div class="sedit-section">
+                <div class="sedit-section-title">
+                    <span>${title}</span>
+                    <button class="btn sedit-small" data-cmd="add" data-path="${path}" data-template="trigger">+ Trigger</button>
+                </div>
+                ${list.map((trigger, i) => this.renderTrigger(`${path}.${i}`, trigger || {})).join('')}
+            </div>
+        `;
+    }
+
+    renderTrigger(path, trigger) {
+        const events = trigger.events || (trigger.event ? [trigger.event] : []);
+        return `
+            <div class="sedit-item" data-item="${path}">
+                <div class="sedit-item-head">
+                    <span class="sedit-item-title">⚡ ${escapeHtml(trigger.id || events.join(', ') || 'New trigger')}</span>
+                    ${this.renderItemButtons(path)}
+                </div>
+                ${this.renderField('ID', `${path}.id`, 'string', trigger.id)}
+                ${this.renderField('Events', `${path}.event`, 'events', events)}
+                ${this.renderField('Fire once', `${path}.once`, 'boolean', trigger.once !== false)}
+                ${this.renderField('Enabled', `${path}.enabled`, 'boolean', trigger.enabled !== false)}
+                ${this.renderField('Priority', `${path}.priority`, 'number', trigger.priority)}
+                ${this.renderField('Debounce (ms)', `${path}.debounce`, 'number', trigger.debounce)}
+                ${this.renderConditionSlot('Conditions', `${path}.conditions`, trigger.conditions)}
+                ${this.renderActionList('Actions', `${path}.actions`, trigger.actions)}
+            </div>
+        `;
+    }
+
+    renderActionList(title, path, actions) {
+        const list = Array.isArray(actions) ? actions : [];
+        return `
+            <div class="sedit-sub" data-item="${path}">
+                <div class="sedit-sub-title">
+                    ${escapeHtml(title)}
+                    <button class="btn sedit-small" data-cmd="add" data-path="${path}" data-template="action">+ Action</button>
+                </div>
+                ${list.map((action, i) => this.renderAction(`${path}.${i}`, action || {})).join('')}
+            </div>
+        `;
+    }
+
+    renderAction(path, action) {
+        return `
+            <div class="sedit-item" data-item="${path}">
+                <div class="sedit-item-head">
+                    ${this.renderTypeSelect(path, 'action', action.type, getActionTypes())}
+                    ${this.renderItemButtons(path)}
+                </div>
+                ${this.renderParams(path, action, getActionParams(action.type))}
+            </div>
+        `;
+    }
+
+    renderConditionSlot(title, path, condition) {
+        return `
+            <div class="sedit-sub" data-item="${path}">
+                <div class="sedit-sub-title">
+                    ${escapeHtml(title)}
+                    ${condition ? '' : `<button class="btn sedit-small" data-cmd="add" data-path="${path}" data-template="condition">+ Condition</button>`}
+                </div>
+                ${condition ? this.renderCondition(path, condition, false) : ''}
+            </div>
+        `;
+    }
+
+    renderConditionList(title, path, conditions) {
+        const list = Array.isArray(conditions) ? conditions : [];
+        return `
+            <div class="sedit-sub" data-item="${path}">
+                <div class="sedit-sub-title">
+                    ${escapeHtml(title)}
+                    <button class="btn sedit-small" data-cmd="add" data-path="${path}" data-template="condition" data-list="true">+ Condition</button>
+                </div>
+                ${list.map((condition, i) => this.renderCondition(`${path}.${i}`, condition || {}, true)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * @param {string} path - Bind path
+     * @param {Object} condition
+     * @param {boolean} inList - Part of an and/or list (removed with ✕) rather than a slot (removed with "(none)")
+     */
+    renderCondition(path, condition, inList) {
+        // Shorthand conditions ({ "path": value }) are edited as JSON
+        if (!condition.type) {
+            return `<div class="sedit-item" data-item="${path}">
+                ${this.renderField('Shorthand', path, 'json', condition)}
+            </div>`;
+        }
+
+        return `
+            <div class="sedit-item" data-item="${path}">
+                <div class="sedit-item-head">
+                    ${this.renderTypeSelect(path, 'condition', condition.type, getConditionTypes(), !inList)}
+                    ${inList ? this.renderItemButtons(path) : ''}
+                </div>
+                ${this.renderParams(path, condition, getConditionParams(condition.type))}
+            </div>
+        `;
+    }
+
+    /**
+     * Fields for the parameters of an action or condition. Parameters the type
+     * doesn't describe are still shown, as JSON.
+     */
+    renderParams(path, item, params) {
+        const names = [
+            ...Object.keys(params),
+            ...Object.keys(item).filter(key => key !== 'type' && !(key in params))
+        ];
+
+        return names.map(name => {
+            const kind = params[name] || 'json';
+            const childPath = `${path}.${name}`;
+            if (kind === 'actions') return this.renderActionList(name, childPath, item[name]);
+            if (kind === 'condition') return this.renderConditionSlot(name, childPath, item[name]);
+            if (kind === 'conditions') return this.renderConditionList(name, childPath, item[name]);
+            return this.renderField(name, childPath, kind, item[name]);
+        }).join('');
+    }
+
+    renderTypeSelect(path, family, type, types, allowNone = false) {
+        const options = types.includes(type) ? types : [type, ...types];
+        return `
+            <select data-cmd="set-type" data-path="${path}" data-family="${family}" data-bind="${path}.type">
+                ${allowNone ? '<option value="">(none)</option>' : ''}
+                ${options.map(t => `<option value="${escapeHtml(t)}"${t === type ? ' selected' : ''}>${escapeHtml(t)}${types.includes(t) ? '' : ' (unknown)'}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    renderItemButtons(path) {
+        return `
+            <button class="btn sedit-small" data-cmd="move-up" data-path="${path}" title="Move up">▲</button>
+            <button class="btn sedit-small" data-cmd="remove" data-path="${path}" title="Remove">✕</button>
+        `;
+    }
+
+    renderField(label, bind, kind, value) {
+        return `
+            <label class="sedit-field">
+                <span class="sedit-field-label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>
+                ${this.renderInput(bind, kind, value)}
+            </label>
+        `;
+    }
+
+    /**
+     * An input for one value
+     * @param {string} bind - Path of the value in the scenario
+     * @param {string|Array} kind - Parameter kind (see ACTION_PARAMS), 'list', 'events' or allowed values
+     * @param {*} value - Current value
+     */
+    renderInput(bind, kind, value) {
+        if (Array.isArray(kind)) {
+            const options = value === undefined || kind.includes(value) ? kind : [value, ...kind];
+            return `<select data-bind="${bind}" data-kind="enum">
+                <option value="">(default)</option>
+                ${options.map(o => `<option value="${escapeHtml(o)}"${o === value ? ' selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+            </select>`;
+        }
+
+        const attrs = `data-bind="${bind}" data-kind="${kind}"`;
+        const text = value === undefined || value === null ? '' : String(value);
+
+        switch (kind) {
+            case 'boolean':
+                return `<input type="checkbox" ${attrs}${value ? ' checked' : ''}>`;
+            case 'number':
+                // Room for a {{expression}} instead of a number
+                return `<input type="${hasTemplate(value) ? 'text' : 'number'}" ${attrs} value="${escapeHtml(text)}">`;
+            case 'text':
+                return `<textarea rows="2" ${attrs}>${escapeHtml(text)}</textarea>`;
+            case 'json':
+                return `<textarea rows="2" class="sedit-code" ${attrs} spellcheck="false">${escapeHtml(value === undefined ? '' : JSON.stringify(value, null, 2))}</textarea>`;
+            case 'list':
+            case 'events':
+                return `<input type="text" ${attrs} value="${escapeHtml((value || []).join(', '))}"${kind === 'events' ? ' list="seditEvents"' : ''}>`;
+            case 'path':
+                return `<input type="text" ${attrs} value="${escapeHtml(Array.isArray(value) ? value.join('/') : text)}" placeholder="Desktop/file.txt">`;
+            case 'stage': {
+                const ids = (this.getInstanceState('scenario').stages || []).map(s => s?.id).filter(Boolean);
+                const options = !value || ids.includes(value) ? ids : [value, ...ids];
+                return `<select ${attrs}>
+                    <option value="">(choose a stage)</option>
+                    ${options.map(id => `<option value="${escapeHtml(id)}"${id === value ? ' selected' : ''}>${escapeHtml(id)}</option>`).join('')}
+                </select>`;
+            }
+            case 'event':
+                return `<input type="text" ${attrs} value="${escapeHtml(text)}" list="seditEvents">`;
+            case 'app':
+                return `<input type="text" ${attrs} value="${escapeHtml(text)}" list="seditApps">`;
+            default:
+                return `<input type="text" ${attrs} value="${escapeHtml(text)}">`;
+        }
+    }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Read an input back into a scenario value; empty means "not set"
+ * @param {HTMLElement} input
+ * @param {string} kind
+ * @returns {*}
+ */
+function parseInput(input, kind) {
+    if (kind === 'boolean') return input.checked;
+
+    const raw = input.value;
+    if (raw.trim() === '') return undefined;
+
+    switch (kind) {
+        case 'number': {
+            if (hasTemplate(raw)) return raw;
+            const number = Number(raw);
+            if (!Number.isFinite(number)) throw new Error('Must be a number');
+            return number;
+        }
+        case 'json':
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                // Plain words and {{expressions}} are taken as a string; anything that looks like JSON must parse
+                if (/^\s*[[{"]/.test(raw) && !/^\s*\{\{/.test(raw)) throw new Error(`Invalid JSON: ${e.message}`);
+                return raw;
+            }
+        case 'list':
+            return splitList(raw);
+        case 'path':
+            return raw.split('/').filter(part => part.length > 0);
+        default:
+            return raw;
+    }
+}
+
+function splitList(text) {
+    return text.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+/**
+ * Bind paths are dotted ('stages.0.triggers.1'); error fields use brackets ('stages[0].triggers[1]')
+ */
+function toBindPath(field) {
+    return field.replace(/\[(\d+)\]/g, '.$1');
+}
+
+function toErrorPath(bind) {
+    return bind.replace(/\.(\d+)(?=\.|$)/g, '[$1]');
+}
+
+function splitPath(path) {
+    return path.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part));
+}
+
+function getAt(obj, path) {
+    return splitPath(path).reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+/**
+ * Set a value, creating missing objects and arrays on the way; undefined removes it
+ */
+function setAt(obj, path, value) {
+    const keys = splitPath(path);
+    const last = keys.pop();
+    let node = obj;
+    keys.forEach((key, i) => {
+        if (node[key] == null || typeof node[key] !== 'object') {
+            node[key] = typeof (keys[i + 1] ?? last) === 'number' ? [] : {};
+        }
+        node = node[key];
+    });
+
+    if (value === undefined && !Array.isArray(node)) {
+        delete node[last];
+    } else {
+        node[last] = value;
+    }
+}
+
+function removeAt(obj, path) {
+    const keys = splitPath(path);
+    const last = keys.pop();
+    const parent = keys.length > 0 ? getAt(obj, keys.join('.')) : obj;
+    if (Array.isArray(parent)) {
+        parent.splice(last, 1);
+    } else if (parent) {
+        delete parent[last];
+    }
+}
+
+/**
+ * Swap a list item with the one before it
+ * @returns {boolean} Whether anything moved
+ */
+function moveUp(obj, path) {
+    const keys = splitPath(path);
+    const index = keys.pop();
+    const list = getAt(obj, keys.join('.'));
+    if (!Array.isArray(list) || index <= 0) return false;
+    [list[index - 1], list[index]] = [list[index], list[index - 1]];
+    return true;
+}
+
+/**
+ * Visit every action in the scenario, nested ones included
+ * @param {Object} scenario
+ * @param {Function} callback - (action, bindPath, stageIndex) - stageIndex is null outside stages
+ */
+function forEachAction(scenario, callback) {
+    const visit = (actions, path, stageIndex) => {
+        if (!Array.isArray(actions)) return;
+        actions.forEach((action, i) => {
+            if (!action || typeof action !== 'object') return;
+            const actionPath = `${path}.${i}`;
+            callback(action, actionPath, stageIndex);
+            visit(action.then, `${actionPath}.then`, stageIndex);
+            visit(action.else, `${actionPath}.else`, stageIndex);
+            visit(action.actions, `${actionPath}.actions`, stageIndex);
+        });
+    };
+
+    for (const hook of ['onStart', 'onComplete', 'onFail', 'onAbort']) {
+        visit(scenario[hook]?.actions, `${hook}.actions`, null);
+    }
+    (Array.isArray(scenario.globalTriggers) ? scenario.globalTriggers : []).forEach((trigger, t) => {
+        visit(trigger?.actions, `globalTriggers.${t}.actions`, null);
+    });
+    (Array.isArray(scenario.stages) ? scenario.stages : []).forEach((stage, s) => {
+        if (!stage) return;
+        visit(stage.onEnter?.actions, `stages.${s}.onEnter.actions`, s);
+        visit(stage.onExit?.actions, `stages.${s}.onExit.actions`, s);
+        (Array.isArray(stage.triggers) ? stage.triggers : []).forEach((trigger, t) => {
+            visit(trigger?.actions, `stages.${s}.triggers.${t}.actions`, s);
+        });
+    });
+}
+
+/**
+ * Place the stages in columns by how many steps they are from the initial stage
+ * @param {Object} scenario
+ * @returns {{nodes: Object[], edges: Object[], width: number, height: number}}
+ */
+function layoutGraph(scenario) {
+    const stages = Array.isArray(scenario.stages) ? scenario.stages : [];
+    const keyOf = index => `stage:${index}`;
+    const indexById = new Map();
+    stages.forEach((stage, index) => {
+        if (stage?.id && !indexById.has(stage.id)) indexById.set(stage.id, index);
+    });
+
+    // Edges out of each stage, and stages global triggers can jump to
+    const edges = [];
+    const edgeKeys = new Set();
+    const globalTargets = new Set();
+    forEachAction(scenario, (action, path, stageIndex) => {
+        let to = null;
+        if (action.type === 'advanceStage' && indexById.has(action.stageId)) {
+            to = keyOf(indexById.get(action.stageId));
+        } else if (action.type === 'completeScenario') {
+            to = COMPLETE_NODE;
+        } else if (action.type === 'failScenario') {
+            to = FAIL_NODE;
+        }
+        if (!to) return;
+
+        if (stageIndex === null) {
+            if (to.startsWith('stage:')) globalTargets.add(to);
+            return;
+        }
+        const key = `${keyOf(stageIndex)}>${to}`;
+        if (!edgeKeys.has(key)) {
+            edgeKeys.add(key);
+            edges.push({ from: keyOf(stageIndex), to });
+        }
+    });
+
+    // Breadth-first from the initial stage
+    const levels = new Map();
+    const initialIndex = Math.max(0, stages.findIndex(s => s?.isInitialStage));
+    if (stages[initialIndex]) {
+        levels.set(keyOf(initialIndex), 0);
+        const queue = [keyOf(initialIndex)];
+        while (queue.length > 0) {
+            const key = queue.shift();
+            for (const edge of edges) {
+                if (edge.from === key && edge.to.startsWith('stage:') && !levels.has(edge.to)) {
+                    levels.set(edge.to, levels.get(key) + 1);
+                    queue.push(edge.to);
+                }
+            }
+        }
+    }
+
+    // Stages nothing leads to go in a column of their own
+    const lastLevel = Math.max(-1, ...levels.values());
+    const columns = [];
+    const nodes = stages.map((stage, index) => {
+        const key = keyOf(index);
+        const reached = levels.has(key);
+        const level = reached ? levels.get(key) : lastLevel + 1;
+        (columns[level] ||= []).push(key);
+        return { key, stage: stage || {}, index, level, unreached: !reached && !globalTargets.has(key) };
+    });
+
+    const ends = [COMPLETE_NODE, FAIL_NODE].filter(key => edges.some(edge => edge.to === key));
+    const endLevel = columns.length;
+    for (const key of ends) {
+        (columns[endLevel] ||= []).push(key);
+        nodes.push({ key, end: true, level: endLevel });
+    }
+
+    for (const node of nodes) {
+        node.x = GRAPH_PADDING + node.level * (NODE_WIDTH + COLUMN_GAP);
+        node.y = GRAPH_PADDING + columns[node.level].indexOf(node.key) * (NODE_HEIGHT + ROW_GAP);
+    }
+
+    const columnCount = columns.length || 1;
+    const rowCount = Math.max(1, ...columns.map(column => column?.length || 0));
+    return {
+        nodes,
+        edges,
+        width: GRAPH_PADDING * 2 + columnCount * NODE_WIDTH + (columnCount - 1) * COLUMN_GAP,
+        height: GRAPH_PADDING * 2 + rowCount * NODE_HEIGHT + (rowCount - 1) * ROW_GAP
+    };
+}
+
+export default ScenarioEditor;
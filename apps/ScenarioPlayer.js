@@ -6,15 +6,17 @@
  * - Browse available scenarios
  * - See scenario details (difficulty, estimated time, description)
  * - Launch scenarios
+ * - Continue saved games and save progress to named slots
  * - View progress and completion status
  */
 
 import AppBase from './AppBase.js';
-import { ScenarioManager } from '../core/scripted-events/ScenarioManager.js';
+import { ScenarioManager, AUTOSAVE_SLOT } from '../core/scripted-events/ScenarioManager.js';
 import { scenarioLoader } from '../core/scripted-events/ScenarioLoader.js';
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import WebAdminAuth from '../core/WebAdminAuth.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 
 class ScenarioPlayer extends AppBase {
     constructor() {
@@ -178,6 +180,40 @@ class ScenarioPlayer extends AppBase {
                     border-radius: 2px;
                     font-size: 10px;
                 }
+                .scenario-saves {
+                    background: white;
+                    border: 1px inset #808080;
+                    margin-bottom: 12px;
+                    max-height: 110px;
+                    overflow-y: auto;
+                }
+                .scenario-saves-title {
+                    padding: 3px 6px;
+                    background: #e0e0e0;
+                    font-size: 11px;
+                    font-weight: bold;
+                }
+                .scenario-save {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 4px 6px;
+                    border-top: 1px solid #e0e0e0;
+                    font-size: 11px;
+                }
+                .scenario-save-info {
+                    flex: 1;
+                    min-width: 0;
+                }
+                .scenario-save-name {
+                    font-weight: bold;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .scenario-save-meta {
+                    opacity: 0.7;
+                }
                 .scenario-actions {
                     display: flex;
                     gap: 8px;
@@ -248,12 +284,12 @@ class ScenarioPlayer extends AppBase {
         this.onEvent('scenario:loaded', () => this.updateRunningStatus());
     }
 
-    loadScenarios() {
+    async loadScenarios() {
         const list = this.getElement('#scenarioList');
         if (!list) return;
 
         // Get available scenarios
-        const scenarios = this.getAvailableScenarios();
+        const scenarios = await this.getAvailableScenarios();
         const completedScenarios = StateManager.getState('scenarios') || {};
 
         if (scenarios.length === 0) {
@@ -290,9 +326,9 @@ class ScenarioPlayer extends AppBase {
         });
     }
 
-    getAvailableScenarios() {
+    async getAvailableScenarios() {
         // Get scenarios from loader
-        const loadedScenarios = scenarioLoader.listScenarios();
+        const loadedScenarios = await scenarioLoader.listScenarios();
 
         // Also include some built-in scenarios
         const builtIn = [
@@ -329,14 +365,15 @@ class ScenarioPlayer extends AppBase {
         return allScenarios;
     }
 
-    selectScenario(id) {
-        const scenarios = this.getAvailableScenarios();
+    async selectScenario(id) {
+        const scenarios = await this.getAvailableScenarios();
         const scenario = scenarios.find(s => s.id === id);
 
         if (!scenario) return;
 
         // Update selection
         const list = this.getElement('#scenarioList');
+        if (!list) return;
         list.querySelectorAll('.scenario-item').forEach(item => {
             item.classList.toggle('selected', item.dataset.id === id);
         });
@@ -352,6 +389,7 @@ class ScenarioPlayer extends AppBase {
         const completedData = StateManager.getState(`scenarios.${scenario.id}`) || {};
         const isRunning = ScenarioManager.isRunning() &&
             ScenarioManager.getScenarioInfo()?.id === scenario.id;
+        const saves = ScenarioManager.getSaves(scenario.id);
 
         const difficultyClass = `difficulty-${scenario.difficulty || 'unknown'}`;
 
@@ -360,6 +398,7 @@ class ScenarioPlayer extends AppBase {
                 <div class="scenario-running">
                     <div class="scenario-running-indicator"></div>
                     <span>Currently running...</span>
+                    ${ScenarioManager.isSaveable() ? '<button class="btn" id="btnSaveProgress">Save Progress...</button>' : ''}
                     <button class="btn" id="btnStop">Stop</button>
                 </div>
             ` : ''}
@@ -389,10 +428,30 @@ class ScenarioPlayer extends AppBase {
             <div class="scenario-description">
                 ${scenario.description || 'No description available.'}
             </div>
+            ${saves.length ? `
+                <div class="scenario-saves">
+                    <div class="scenario-saves-title">Saved Games</div>
+                    ${saves.map((save, index) => `
+                        <div class="scenario-save" data-index="${index}">
+                            <div class="scenario-save-info">
+                                <div class="scenario-save-name">${this.getSaveLabel(save)}</div>
+                                <div class="scenario-save-meta">
+                                    ${this.escapeHtml(save.stageName)} • ${new Date(save.savedAt).toLocaleString()}
+                                </div>
+                            </div>
+                            ${isRunning ? '' : '<button class="btn" data-save-action="load">Load</button>'}
+                            <button class="btn" data-save-action="delete">Delete</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
             <div class="scenario-actions">
                 ${completedData.completed ? `
                     <button class="btn" id="btnReplay">Replay</button>
                 ` : ''}
+                ${isRunning || !saves.length ? '' : `
+                    <button class="btn" id="btnContinue">Continue</button>
+                `}
                 ${isRunning ? '' : `
                     <button class="btn" id="btnStart">
                         ${completedData.completed ? 'Play Again' : 'Start'}
@@ -415,11 +474,91 @@ class ScenarioPlayer extends AppBase {
             this.loadScenarios();
             this.showScenarioDetails(scenario);
         });
+
+        details.querySelector('#btnContinue')?.addEventListener('click', () => {
+            this.continueScenario(saves[0]);
+        });
+
+        details.querySelector('#btnSaveProgress')?.addEventListener('click', () => {
+            this.saveProgress(scenario);
+        });
+
+        details.querySelectorAll('[data-save-action]').forEach(btn => {
+            const save = saves[btn.closest('.scenario-save').dataset.index];
+            btn.addEventListener('click', async () => {
+                if (btn.dataset.saveAction === 'load') {
+                    this.continueScenario(save);
+                    return;
+                }
+                const confirmed = await SystemDialogs.confirm(
+                    `Delete the saved game "${save.slot === AUTOSAVE_SLOT ? 'Autosave' : save.slot}"?`,
+                    'Delete Saved Game'
+                );
+                if (confirmed) {
+                    ScenarioManager.deleteSave(scenario.id, save.slot);
+                    this.showScenarioDetails(scenario);
+                }
+            });
+        });
+    }
+
+    getSaveLabel(save) {
+        return save.slot === AUTOSAVE_SLOT ? 'Autosave' : this.escapeHtml(save.slot);
+    }
+
+    async continueScenario(save) {
+        try {
+            await ScenarioManager.continueScenario(save.scenarioId, save.slot);
+            this.close();
+        } catch (error) {
+            console.error('[ScenarioPlayer] Error continuing scenario:', error);
+            EventBus.emit('dialog:alert', {
+                message: error.message,
+                title: 'Scenario Error',
+                icon: 'error'
+            });
+        }
+    }
+
+    async saveProgress(scenario) {
+        const info = ScenarioManager.getScenarioInfo();
+        const stage = ScenarioManager.scenario?.stages.find(s => s.id === info?.currentStage);
+
+        const name = await SystemDialogs.prompt('Name this saved game:', stage?.name || '', 'Save Progress');
+        const slot = name?.trim();
+        if (!slot) return;
+
+        if (slot === AUTOSAVE_SLOT) {
+            EventBus.emit('dialog:alert', {
+                message: `"${AUTOSAVE_SLOT}" is used for automatic saves. Please choose another name.`,
+                title: 'Save Progress',
+                icon: 'warning'
+            });
+            return;
+        }
+
+        if (ScenarioManager.getSave(scenario.id, slot)) {
+            const replace = await SystemDialogs.confirm(`Replace the saved game "${slot}"?`, 'Save Progress');
+            if (!replace) return;
+        }
+
+        if (ScenarioManager.saveProgress(slot)) {
+            this.showScenarioDetails(scenario);
+        }
     }
 
     async startScenario(scenario) {
         console.log('[ScenarioPlayer] Starting scenario:', scenario.name, 'path:', scenario.path);
 
+        // Starting over writes over the autosave
+        if (ScenarioManager.getSave(scenario.id, AUTOSAVE_SLOT)) {
+            const startOver = await SystemDialogs.confirm(
+                'Start over from the beginning? Your autosaved progress will be replaced.',
+                scenario.name
+            );
+            if (!startOver) return;
+        }
+
         try {
             // Try to load from file
             const loaded = await ScenarioManager.loadScenario(scenario.path);
@@ -458,6 +597,12 @@ class ScenarioPlayer extends AppBase {
             this.selectScenario(info.id);
         }
     }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 }
 
 export default ScenarioPlayer;
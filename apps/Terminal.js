@@ -8,9 +8,15 @@ import AppBase from './AppBase.js';
 import EventBus from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import FileAssociations from '../core/FileAssociations.js';
+import SearchIndex from '../core/SearchIndex.js';
 import { PATHS } from '../core/Constants.js';
 import { TerminalEvents } from '../core/scripted-events/SemanticEvents.js';
 
+// Output lines and commands kept when the session is saved
+const SESSION_SCROLLBACK_LINES = 300;
+const SESSION_HISTORY_LENGTH = 50;
+
 class Terminal extends AppBase {
     constructor() {
         super({
@@ -143,7 +149,12 @@ class Terminal extends AppBase {
             }
         });
 
-        this.runBootSequence();
+        // A restored session gets its scrollback back instead of the boot banner
+        if (this.getRestoredSession()) {
+            this.attachInputHandler();
+        } else {
+            this.runBootSequence();
+        }
 
         // Emit terminal opened event
         EventBus.emit(TerminalEvents.OPENED, { path: this.currentPath.join('\\') });
@@ -311,6 +322,7 @@ class Terminal extends AppBase {
             'more': () => this.cmdMore(args),
             'mkdir': () => this.cmdMkdir(args),
             'md': () => this.cmdMkdir(args),
+            'mklink': () => this.cmdMklink(args),
             'rmdir': () => this.cmdRmdir(args),
             'rd': () => this.cmdRmdir(args),
             'del': () => this.cmdDel(args),
@@ -324,7 +336,11 @@ class Terminal extends AppBase {
             'rename': () => this.cmdRename(args),
             'tree': () => this.cmdTree(args),
             'find': () => this.cmdFind(args),
+            'findstr': () => this.cmdFindstr(args, 'findstr'),
+            'grep': () => this.cmdFindstr(args, 'grep'),
             'attrib': () => this.cmdAttrib(args),
+            'history': () => this.cmdHistory(args),
+            'restore': () => this.cmdRestore(args),
             'edit': () => this.cmdEdit(args),
             'notepad': () => this.cmdEdit(args),
             'start': () => this.cmdStart(args),
@@ -333,6 +349,7 @@ class Terminal extends AppBase {
             // System commands
             'ver': () => this.cmdVer(),
             'vol': () => this.cmdVol(args),
+            'mountvol': () => this.cmdMountvol(),
             'label': () => this.cmdLabel(args),
             'date': () => this.cmdDate(),
             'time': () => this.cmdTime(),
@@ -382,7 +399,14 @@ class Terminal extends AppBase {
 
         if (commands[cmd]) {
             const result = commands[cmd]();
-            if (result) this.print(result);
+            // Commands that read file bodies from storage finish asynchronously
+            if (result instanceof Promise) {
+                result.then(output => {
+                    if (output) this.print(output);
+                });
+            } else if (result) {
+                this.print(result);
+            }
 
             // Emit command event
             EventBus.emit(TerminalEvents.COMMAND, { command: cmd, args, path: this.currentPath.join('\\') });
@@ -422,7 +446,8 @@ class Terminal extends AppBase {
 
     /**
      * Try to open a file by name in the current directory
-     * Supports .lnk (shortcuts), .exe (executables), .txt/.md/.log (text), images
+     * Supports .lnk (shortcuts), .exe (executables) and any file type with an
+     * associated app (see FileAssociations)
      * @param {string} fileName - The filename to try to open
      * @returns {boolean} True if file was found and opened
      */
@@ -449,47 +474,52 @@ class Terminal extends AppBase {
         // Handle different file types
         if (extension === 'lnk') {
             // Shortcut file - open the target
-            return this.openShortcut(node);
+            return this.openShortcut(filePath);
         } else if (extension === 'exe') {
             // Executable - launch the app
             return this.openExecutable(node);
-        } else if (['txt', 'md', 'log'].includes(extension)) {
-            // Text file - open in Notepad
-            this.openInNotepad(filePath);
-            return true;
-        } else if (['png', 'jpg', 'bmp', 'gif'].includes(extension)) {
-            // Image file - open in Paint
-            this.openInPaint(filePath);
-            return true;
         }
 
-        return false;
+        // Everything else - open in the app associated with the file type
+        const appId = FileAssociations.getDefaultApp(extension);
+        if (!appId) return false;
+
+        this.print(`Opening in ${FileAssociations.getAppName(appId)}...`);
+        return FileAssociations.openFile(filePath);
     }
 
     /**
-     * Open a shortcut (.lnk) file
-     * @param {Object} node - The file node
-     * @returns {boolean} True if opened successfully
+     * Open a shortcut (.lnk) file. A shortcut to a folder changes the current
+     * directory; anything else opens through FileAssociations.
+     * @param {string[]} filePath - Shortcut path
+     * @returns {boolean} True if the shortcut was handled
      */
-    openShortcut(node) {
-        if (node.shortcutType === 'link' && node.shortcutTarget) {
-            // External link - open in browser
-            this.print(`Opening ${node.shortcutTarget}...`);
-            import('./AppRegistry.js').then(module => {
-                const AppRegistry = module.default;
-                AppRegistry.launch('browser', { url: node.shortcutTarget });
-            });
+    openShortcut(filePath) {
+        let target;
+        try {
+            target = FileSystemManager.resolveLink(filePath);
+        } catch (e) {
+            this.print(e.message);
             return true;
-        } else if (node.shortcutTarget) {
-            // App shortcut - launch the app
-            this.print(`Launching ${node.shortcutTarget}...`);
-            import('./AppRegistry.js').then(module => {
-                const AppRegistry = module.default;
-                AppRegistry.launch(node.shortcutTarget);
-            });
+        }
+
+        if (target.node.type === 'directory' || target.node.type === 'drive') {
+            this.currentPath = target.parts;
+            this.updatePrompt();
             return true;
         }
-        return false;
+
+        const node = FileSystemManager.getNode(filePath);
+        if (!node.shortcutTarget) return false;
+
+        if (node.shortcutType === 'path') {
+            this.print(`Opening ${target.parts.join('\\')}...`);
+        } else if (node.shortcutType === 'link') {
+            this.print(`Opening ${node.shortcutTarget}...`);
+        } else {
+            this.print(`Launching ${node.shortcutTarget}...`);
+        }
+        return FileAssociations.openFile(filePath);
     }
 
     /**
@@ -509,30 +539,6 @@ class Terminal extends AppBase {
         return false;
     }
 
-    /**
-     * Open a text file in Notepad
-     * @param {string[]} filePath - The file path array
-     */
-    openInNotepad(filePath) {
-        this.print(`Opening in Notepad...`);
-        import('./AppRegistry.js').then(module => {
-            const AppRegistry = module.default;
-            AppRegistry.launch('notepad', { filePath });
-        });
-    }
-
-    /**
-     * Open an image file in Paint
-     * @param {string[]} filePath - The file path array
-     */
-    openInPaint(filePath) {
-        this.print(`Opening in Paint...`);
-        import('./AppRegistry.js').then(module => {
-            const AppRegistry = module.default;
-            AppRegistry.launch('paint', { filePath });
-        });
-    }
-
     /**
      * START command - opens a file or launches an application
      * @param {string[]} args - Command arguments
@@ -599,9 +605,9 @@ class Terminal extends AppBase {
         return `
 For more information on a specific command, type HELP command-name
 
-ATTRIB     Displays file attributes.
+ATTRIB     Displays or changes file attributes.
 CD         Displays or changes the current directory.
-CHKDSK     Checks a disk and displays a status report.
+CHKDSK     Checks a disk for broken links and displays a status report.
 CLS        Clears the screen.
 COPY       Copies files to another location.
 DATE       Displays the date.
@@ -610,17 +616,23 @@ DIR        Displays a list of files and subdirectories.
 ECHO       Displays messages, or turns command echoing on/off.
 EDIT       Starts Notepad to edit a file.
 FIND       Searches for a text string in a file.
+FINDSTR    Searches for text in files (FINDSTR /I /S /M "text" [path]).
 FORMAT     Formats a disk (simulated).
+GREP       Searches for text in files (grep -i -r -l "text" [path]).
 HELP       Provides help information.
+HISTORY    Lists the previous versions of a file.
 IPCONFIG   Displays network configuration.
 MD         Creates a directory.
 MEM        Displays memory usage.
+MKLINK     Creates a symbolic link.
 MORE       Displays output one screen at a time.
+MOUNTVOL   Lists drives, including mounted volumes.
 MOVE       Moves files from one directory to another.
 PATH       Displays or sets the search path.
 PING       Tests network connectivity.
 RD         Removes a directory.
 REN        Renames a file or directory.
+RESTORE    Restores a file to a previous version.
 SET        Displays or sets environment variables.
 START      Starts an application or opens a file.
 SYSTEMINFO Displays system configuration.
@@ -646,17 +658,19 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             // Parse options
             let showWide = false;
             let showBare = false;
+            let showHidden = false;
             let targetPath = this.currentPath;
 
             for (const arg of args) {
                 if (arg.toLowerCase() === '/w') showWide = true;
                 else if (arg.toLowerCase() === '/b') showBare = true;
+                else if (arg.toLowerCase() === '/a') showHidden = true;
                 else if (!arg.startsWith('/')) {
                     targetPath = this.resolvePath(arg);
                 }
             }
 
-            const items = FileSystemManager.listDirectory(targetPath);
+            const items = FileSystemManager.listDirectory(targetPath, { showHidden });
             const pathStr = targetPath.join('\\');
 
             if (showBare) {
@@ -709,7 +723,12 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
                         hour12: true
                     });
 
-                    if (item.type === 'directory' || item.type === 'drive') {
+                    if (item.linkType === 'symlink') {
+                        const tag = item.type === 'directory' ? '<SYMLINKD>' : '<SYMLINK>';
+                        out += `${dateStr}  ${timeStr}    ${tag.padEnd(15)}${item.name} [${item.linkTarget.replace(/\//g, '\\')}]\n`;
+                        if (item.type === 'directory') dirCount++;
+                        else fileCount++;
+                    } else if (item.type === 'directory' || item.type === 'drive') {
                         out += `${dateStr}  ${timeStr}    <DIR>          ${item.name}\n`;
                         dirCount++;
                     } else {
@@ -769,24 +788,24 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         return 'The system cannot find the drive specified.';
     }
 
-    cmdType(args) {
+    async cmdType(args) {
         if (!args[0]) return 'The syntax of the command is incorrect.';
 
         try {
             const filePath = this.resolvePath(args[0]);
-            const content = FileSystemManager.readFile(filePath);
+            const content = await FileSystemManager.readFileAsync(filePath);
             return content;
         } catch (e) {
             return 'The system cannot find the file specified.';
         }
     }
 
-    cmdMore(args) {
+    async cmdMore(args) {
         if (!args[0]) return 'The syntax of the command is incorrect.';
 
         try {
             const filePath = this.resolvePath(args[0]);
-            const content = FileSystemManager.readFile(filePath);
+            const content = await FileSystemManager.readFileAsync(filePath);
             const lines = content.split('\n');
 
             this.moreBuffer = lines;
@@ -839,6 +858,39 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         }
     }
 
+    cmdMklink(args) {
+        const flags = args.filter(a => a.startsWith('/')).map(a => a.toUpperCase());
+        const [link, target] = args.filter(a => !a.startsWith('/'));
+
+        if (!link || !target || flags.some(f => f !== '/D' && f !== '/J')) {
+            return `Creates a symbolic link.
+
+MKLINK [[/D] | [/J]] Link Target
+
+        /D      Creates a directory symbolic link.  Default is a file
+                symbolic link.
+        /J      Creates a Directory Junction.
+        Link    Specifies the new symbolic link name.
+        Target  Specifies the path (relative or absolute) that the new link
+                refers to.`;
+        }
+
+        // Links resolve to whatever their target is, so /D and /J need no special handling
+        try {
+            FileSystemManager.createLink(this.resolvePath(link), this.resolvePath(target));
+        } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return e.code === 'DISK_FULL' ? 'There is not enough space on the disk.' : 'Access is denied.';
+            }
+            if (e.message.includes('already exists')) {
+                return 'Cannot create a file when that file already exists.';
+            }
+            return 'The system cannot find the path specified.';
+        }
+
+        return `${flags.includes('/J') ? 'Junction' : 'symbolic link'} created for ${link} <<===>> ${target}`;
+    }
+
     cmdRmdir(args) {
         if (!args[0]) return 'The syntax of the command is incorrect.';
 
@@ -852,6 +904,9 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             FileSystemManager.deleteDirectory(dirPath, recursive);
             return '';
         } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return 'Access is denied.';
+            }
             if (e.message.includes('not empty')) {
                 return 'The directory is not empty.';
             }
@@ -867,11 +922,14 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             FileSystemManager.deleteFile(filePath);
             return '';
         } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return 'Access is denied.';
+            }
             return 'The system cannot find the file specified.';
         }
     }
 
-    cmdCopy(args) {
+    async cmdCopy(args) {
         if (args.length < 2) return 'The syntax of the command is incorrect.';
 
         try {
@@ -885,17 +943,20 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
                 FileSystemManager.copyItem(srcPath, destPath);
             } else {
                 // Copy as new filename
-                const content = FileSystemManager.readFile(srcPath);
+                const content = await FileSystemManager.readFileAsync(srcPath);
                 const srcInfo = FileSystemManager.getInfo(srcPath);
                 FileSystemManager.writeFile(destPath, content, srcInfo.extension);
             }
             return '        1 file(s) copied.';
         } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return e.code === 'DISK_FULL' ? 'There is not enough space on the disk.' : 'Access is denied.';
+            }
             return 'The system cannot find the file specified.';
         }
     }
 
-    cmdMove(args) {
+    async cmdMove(args) {
         if (args.length < 2) return 'The syntax of the command is incorrect.';
 
         try {
@@ -908,13 +969,16 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
                 FileSystemManager.moveItem(srcPath, destPath);
             } else {
                 // Move as rename
-                const content = FileSystemManager.readFile(srcPath);
+                const content = await FileSystemManager.readFileAsync(srcPath);
                 const srcInfo = FileSystemManager.getInfo(srcPath);
                 FileSystemManager.writeFile(destPath, content, srcInfo.extension);
                 FileSystemManager.deleteFile(srcPath);
             }
             return '        1 file(s) moved.';
         } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return e.code === 'DISK_FULL' ? 'There is not enough space on the disk.' : 'Access is denied.';
+            }
             return 'The system cannot find the file specified.';
         }
     }
@@ -924,16 +988,12 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
 
         try {
             const srcPath = this.resolvePath(args[0]);
-            const newName = args[1];
-            const parentPath = srcPath.slice(0, -1);
-            const destPath = [...parentPath, newName];
-
-            const content = FileSystemManager.readFile(srcPath);
-            const srcInfo = FileSystemManager.getInfo(srcPath);
-            FileSystemManager.writeFile(destPath, content, srcInfo.extension);
-            FileSystemManager.deleteFile(srcPath);
+            FileSystemManager.renameItem(srcPath, args[1]);
             return '';
         } catch (e) {
+            if (e.name === 'FileSystemError') {
+                return 'Access is denied.';
+            }
             return 'The system cannot find the file specified.';
         }
     }
@@ -963,8 +1023,11 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
                 const connector = isLast ? '└───' : '├───';
                 const newPrefix = prefix + (isLast ? '    ' : '│   ');
 
-                out += `${prefix}${connector}${dir.name}\n`;
-                out += this.buildTree([...path, dir.name], newPrefix);
+                // Linked folders are shown but not entered, so a link back up can't loop
+                out += `${prefix}${connector}${dir.name}${dir.isLink ? ` [${dir.linkTarget.replace(/\//g, '\\')}]` : ''}\n`;
+                if (!dir.isLink) {
+                    out += this.buildTree([...path, dir.name], newPrefix);
+                }
             }
         } catch (e) {
             // Directory access error, skip
@@ -972,7 +1035,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         return out;
     }
 
-    cmdFind(args) {
+    async cmdFind(args) {
         if (args.length < 1) return 'FIND: Parameter format not correct';
 
         // Parse: find "string" filename
@@ -992,7 +1055,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
 
         try {
             const filePath = this.resolvePath(fileName);
-            const content = FileSystemManager.readFile(filePath);
+            const content = await FileSystemManager.readFileAsync(filePath);
             const lines = content.split('\n');
 
             let out = `\n---------- ${fileName}\n`;
@@ -1015,32 +1078,233 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         }
     }
 
+    /**
+     * FINDSTR / grep - search file contents using the search index.
+     * The target may be a file, a folder or a wildcard such as *.txt
+     * (defaults to every file in the current directory).
+     * @param {string[]} args
+     * @param {string} syntax - 'findstr' (/I /S /M) or 'grep' (-i -r -l)
+     */
+    cmdFindstr(args, syntax) {
+        const name = syntax.toUpperCase();
+        const usage = syntax === 'grep'
+            ? 'Usage: grep [-i] [-r] [-l] "text" [path]'
+            : 'FINDSTR: Parameter format not correct\nFINDSTR [/I] [/S] [/M] "text" [path]';
+        const flagNames = syntax === 'grep'
+            ? { i: 'ignoreCase', r: 'recursive', l: 'filesOnly' }
+            : { i: 'ignoreCase', s: 'recursive', m: 'filesOnly' };
+        const options = { ignoreCase: false, recursive: false, filesOnly: false };
+        const rest = [];
+
+        for (const arg of args) {
+            const flags = syntax === 'grep' ? /^-([a-z]+)$/i.exec(arg) : /^\/([a-z])$/i.exec(arg);
+            if (!flags) {
+                rest.push(arg);
+                continue;
+            }
+            for (const flag of flags[1].toLowerCase()) {
+                if (!flagNames[flag]) return usage;
+                options[flagNames[flag]] = true;
+            }
+        }
+
+        const [pattern, target] = rest;
+        if (!pattern) return usage;
+
+        // Work out the folder and name filter to search
+        let scope = this.currentPath;
+        let namePattern = '*';
+        if (target) {
+            if (/[*?]/.test(target)) {
+                const separator = Math.max(target.lastIndexOf('\\'), target.lastIndexOf('/'));
+                scope = separator >= 0 ? this.resolvePath(target.slice(0, separator) || '\\') : this.currentPath;
+                namePattern = target.slice(separator + 1);
+            } else {
+                const targetPath = this.resolvePath(target);
+                const node = FileSystemManager.getNode(targetPath);
+                if (!node) {
+                    return syntax === 'grep'
+                        ? `grep: ${target}: No such file or directory`
+                        : `FINDSTR: Cannot open ${target}`;
+                }
+                if (node.type === 'file') {
+                    scope = targetPath.slice(0, -1);
+                    namePattern = targetPath[targetPath.length - 1];
+                } else {
+                    scope = targetPath;
+                }
+            }
+        }
+
+        // The text may start or end in the middle of a word, so only the words
+        // after the first one are certain to be in the index
+        const words = SearchIndex.tokenize(pattern).slice(1);
+        const needle = options.ignoreCase ? pattern.toLowerCase() : pattern;
+
+        SearchIndex.search({
+            query: words.join(' '),
+            name: namePattern,
+            scope,
+            recursive: options.recursive
+        }).then(async results => {
+            let matches = 0;
+            for (const result of results) {
+                if (result.type !== 'file') continue;
+
+                const content = await FileSystemManager.readFileAsync(result.path);
+                if (!SearchIndex.isTextContent(content)) continue;
+
+                const displayPath = result.path.join('\\');
+                const lines = content.split('\n');
+                for (let i = 0; i < lines.length; i++) {
+                    const line = lines[i].replace(/\r$/, '');
+                    if (!(options.ignoreCase ? line.toLowerCase() : line).includes(needle)) continue;
+
+                    matches++;
+                    if (options.filesOnly) {
+                        this.print(displayPath);
+                        break;
+                    }
+                    this.print(`${displayPath}:${i + 1}: ${line}`);
+                }
+            }
+            if (matches === 0) this.print('(no matches found)');
+        }).catch(e => this.print(`${name}: ${e.message}`));
+
+        return null;
+    }
+
     cmdAttrib(args) {
-        if (!args[0]) {
-            // Show attributes for all files in current directory
-            try {
-                const items = FileSystemManager.listDirectory(this.currentPath);
-                let out = '';
-                for (const item of items) {
-                    const attrs = item.type === 'directory' ? 'D' : 'A';
-                    out += `     ${attrs}     ${this.currentPath.join('\\')}\\${item.name}\n`;
+        const flagNames = { r: 'readOnly', h: 'hidden', s: 'system', a: 'archive' };
+        const changes = {};
+        const targets = [];
+
+        for (const arg of args) {
+            const match = arg.match(/^([+-])([rhsa])$/i);
+            if (match) {
+                changes[flagNames[match[2].toLowerCase()]] = match[1] === '+';
+            } else if (!arg.startsWith('/')) {
+                targets.push(arg);
+            }
+        }
+
+        // Change attributes: ATTRIB +R -H file
+        if (Object.keys(changes).length > 0) {
+            if (targets.length === 0) return 'Required parameter missing';
+
+            let out = '';
+            for (const target of targets) {
+                try {
+                    FileSystemManager.setAttributes(this.resolvePath(target), changes);
+                } catch (e) {
+                    out += `${this.formatAttribError(e, target)}\n`;
                 }
-                return out;
+            }
+            return out;
+        }
+
+        // Show attributes for the given files, or everything in the current directory
+        let paths;
+        if (targets.length > 0) {
+            paths = targets.map(target => this.resolvePath(target));
+        } else {
+            try {
+                paths = FileSystemManager.listDirectory(this.currentPath, { showHidden: true })
+                    .map(item => [...this.currentPath, item.name]);
             } catch (e) {
                 return 'File not found';
             }
         }
 
+        let out = '';
+        for (const filePath of paths) {
+            try {
+                const attrs = FileSystemManager.getAttributes(filePath);
+                out += `${this.formatAttributes(attrs)}     ${filePath.join('\\')}\n`;
+            } catch (e) {
+                out += `${this.formatAttribError(e, filePath[filePath.length - 1])}\n`;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Describe why ATTRIB failed on a file
+     * @param {Error} e - Error from FileSystemManager
+     * @param {string} name - File name as given
+     * @returns {string}
+     */
+    formatAttribError(e, name) {
+        switch (e.code) {
+            case 'NOT_FOUND':
+                return `File not found - ${name}`;
+            case 'READ_ONLY_DRIVE':
+            case 'READ_ONLY':
+            case 'SYSTEM':
+                return `Access denied - ${name}`;
+            default:
+                return e.message;
+        }
+    }
+
+    /**
+     * Format attributes in ATTRIB column style, e.g. "A    SHR"
+     * @param {object} attrs - Attributes from FileSystemManager.getAttributes()
+     * @returns {string}
+     */
+    formatAttributes(attrs) {
+        return `${attrs.archive ? 'A' : ' '}    ${attrs.system ? 'S' : ' '}${attrs.hidden ? 'H' : ' '}${attrs.readOnly ? 'R' : ' '}`;
+    }
+
+    cmdHistory(args) {
+        if (!args[0]) return 'The syntax of the command is incorrect.\nHISTORY filename';
+
         const filePath = this.resolvePath(args[0]);
         try {
-            const info = FileSystemManager.getInfo(filePath);
-            const attrs = info.type === 'directory' ? 'D' : 'A';
-            return `     ${attrs}     ${filePath.join('\\')}`;
+            const versions = FileSystemManager.getVersions(filePath);
+            if (versions.length === 0) {
+                return `No previous versions of ${args[0]}.`;
+            }
+
+            let out = `\n Previous versions of ${filePath.join('\\')}\n\n`;
+            versions.forEach((version, i) => {
+                const date = new Date(version.timestamp).toLocaleString('en-US');
+                out += `  ${String(i + 1).padStart(3)}  ${date.padEnd(24)} ${String(version.size).padStart(10)} bytes\n`;
+            });
+            out += `\n Use RESTORE ${args[0]} <number> to restore a version.`;
+            return out;
         } catch (e) {
-            return 'File not found - ' + args[0];
+            return 'The system cannot find the file specified.';
         }
     }
 
+    cmdRestore(args) {
+        if (args.length < 2) return 'The syntax of the command is incorrect.\nRESTORE filename number';
+
+        const filePath = this.resolvePath(args[0]);
+        let versions;
+        try {
+            versions = FileSystemManager.getVersions(filePath);
+        } catch (e) {
+            return 'The system cannot find the file specified.';
+        }
+
+        const index = parseInt(args[1], 10) - 1;
+        const version = versions[index];
+        if (!version) {
+            return `Invalid version number. ${args[0]} has ${versions.length} previous version(s).`;
+        }
+
+        FileSystemManager.restoreVersion(filePath, version.id)
+            .then(() => {
+                const date = new Date(version.timestamp).toLocaleString('en-US');
+                this.print(`${args[0]} restored to version from ${date}.`);
+            })
+            .catch(e => this.print(`Unable to restore file - ${e.message}`));
+
+        return null;
+    }
+
     cmdEdit(args) {
         if (!args[0]) return 'The syntax of the command is incorrect.';
 
@@ -1069,7 +1333,23 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         }
 
         const label = node.label || 'NO NAME';
-        return ` Volume in drive ${drive.charAt(0)} is ${label.toUpperCase()}\n Volume Serial Number is 1995-1225`;
+        const info = FileSystemManager.getDrives().find(d => d.letter === drive);
+        let out = ` Volume in drive ${drive.charAt(0)} is ${label.toUpperCase()}\n Volume Serial Number is 1995-1225`;
+        if (info?.mounted) {
+            out += `\n Mounted ${info.driveType} drive${info.readOnly ? ' (read-only)' : ''}`;
+        }
+        return out;
+    }
+
+    cmdMountvol() {
+        const drives = FileSystemManager.getDrives();
+        let out = '\n Drive  Type      Label\n';
+        for (const drive of drives) {
+            const flags = [drive.mounted && 'mounted', drive.readOnly && 'read-only'].filter(Boolean);
+            out += `\n ${(drive.letter + '\\').padEnd(6)} ${drive.driveType.padEnd(9)} ${drive.label.toUpperCase()}`;
+            if (flags.length > 0) out += `  (${flags.join(', ')})`;
+        }
+        return out + '\n';
     }
 
     cmdLabel(args) {
@@ -1146,7 +1426,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         return '';
     }
 
-    cmdEcho(args, fullCommand) {
+    async cmdEcho(args, fullCommand) {
         // Check for output redirection
         const redirectMatch = fullCommand.match(/^echo\s+(.*?)\s*(?:(>>?)\s*(.+))$/i);
 
@@ -1159,13 +1439,16 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
                 const filePath = this.resolvePath(fileName);
 
                 if (appendMode && FileSystemManager.exists(filePath)) {
-                    const existingContent = FileSystemManager.readFile(filePath);
+                    const existingContent = await FileSystemManager.readFileAsync(filePath);
                     FileSystemManager.writeFile(filePath, existingContent + '\n' + text);
                 } else {
                     FileSystemManager.writeFile(filePath, text);
                 }
                 return null;
             } catch (e) {
+                if (e.name === 'FileSystemError') {
+                    return e.code === 'DISK_FULL' ? 'There is not enough space on the disk.' : 'Access is denied.';
+                }
                 return `The system cannot find the path specified.`;
             }
         }
@@ -1207,17 +1490,40 @@ MS-DOS is resident in the high memory area.`;
 
         // Simulate disk check
         setTimeout(() => {
+            const space = FileSystemManager.getDriveSpace(drive);
+            if (!space) {
+                this.print('The system cannot find the drive specified.');
+                return;
+            }
+
             const totalSize = this.getDriveSize(drive);
-            const usedSize = FileSystemManager.getDirectorySize([drive]);
-            const freeSize = totalSize - usedSize;
+            const filesSize = FileSystemManager.getDirectorySize([drive]);
+            const freeSize = space.limit ? space.free : totalSize - space.used;
 
             this.print(`\n  Volume Serial Number is 1995-1225`);
             this.print(`\n  ${totalSize.toLocaleString()} bytes total disk space.`);
-            this.print(`  ${usedSize.toLocaleString()} bytes in user files.`);
+            this.print(`  ${filesSize.toLocaleString()} bytes in user files.`);
+            if (space.used > filesSize) {
+                this.print(`  ${(space.used - filesSize).toLocaleString()} bytes in previous versions.`);
+            }
+            if (space.quota) {
+                this.print(`  ${space.quota.toLocaleString()} bytes quota limit.`);
+            }
             this.print(`  ${freeSize.toLocaleString()} bytes available on disk.`);
             this.print(`\n  512 bytes in each allocation unit.`);
             this.print(`  ${Math.floor(totalSize / 512).toLocaleString()} total allocation units on disk.`);
             this.print(`  ${Math.floor(freeSize / 512).toLocaleString()} allocation units available on disk.`);
+
+            const brokenLinks = FileSystemManager.findBrokenLinks(drive);
+            if (brokenLinks.length === 0) {
+                this.print(`\n  No broken links found.`);
+                return;
+            }
+            this.print(`\n  ${brokenLinks.length} broken link(s) found:`);
+            for (const { path, target, reason } of brokenLinks) {
+                const problem = reason === 'loop' ? 'links back to itself' : 'target not found';
+                this.print(`    ${path.join('\\')} -> ${target.replace(/\//g, '\\')} (${problem})`);
+            }
         }, 500);
 
         return null;
@@ -1577,18 +1883,12 @@ Special Thanks:
     }
 
     getDriveSize(drive) {
-        const sizes = {
-            'C:': 2147483648,  // 2GB
-            'D:': 681574400,   // 650MB
-            'A:': 1474560      // 1.44MB
-        };
-        return sizes[drive] || 1073741824;
+        return FileSystemManager.getDriveCapacity(drive) || 1073741824;
     }
 
     getFreeSpace(drive) {
-        const total = this.getDriveSize(drive);
-        const used = FileSystemManager.getDirectorySize([drive]);
-        return (total - used).toLocaleString();
+        const space = FileSystemManager.getDriveSpace(drive);
+        return (space?.limit ? space.free : this.getDriveSize(drive)).toLocaleString();
     }
 
     killProcess() {
@@ -1673,6 +1973,36 @@ Special Thanks:
             .replace(/>/g, '&gt;');
     }
 
+    getSessionState() {
+        const lines = [...(this.getElement('#terminalOutput')?.children || [])]
+            .slice(-SESSION_SCROLLBACK_LINES)
+            .map(line => line.outerHTML);
+
+        return {
+            cwd: this.currentPath,
+            scrollback: lines,
+            history: this.commandHistory.slice(-SESSION_HISTORY_LENGTH)
+        };
+    }
+
+    onRestoreSession(state) {
+        if (Array.isArray(state.cwd) && FileSystemManager.exists(state.cwd)) {
+            this.currentPath = [...state.cwd];
+        }
+        if (Array.isArray(state.history)) {
+            this.commandHistory = [...state.history];
+        }
+
+        const output = this.getElement('#terminalOutput');
+        if (output && Array.isArray(state.scrollback)) {
+            output.innerHTML = state.scrollback.join('');
+        }
+
+        this.updatePrompt();
+        this.scrollToBottom();
+        this.getElement('#terminalInput')?.focus();
+    }
+
     onClose() {
         if (this.activeProcess) {
             this.killProcess();
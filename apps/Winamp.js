@@ -5,6 +5,8 @@
 
 import AppBase from './AppBase.js';
 import EventBus from '../core/EventBus.js';
+import WindowManager from '../core/WindowManager.js';
+import SystemTray from '../core/SystemTray.js';
 import { WinampEvents } from '../core/scripted-events/SemanticEvents.js';
 
 class Winamp extends AppBase {
@@ -375,6 +377,27 @@ class Winamp extends AppBase {
         // Start visualizer
         this.startVisualizer();
 
+        // Playback controls in the system tray while Winamp is open
+        const windowId = this.getCurrentWindowId();
+        this.addTrayIcon({
+            ...this.getTrayIconState(),
+            onClick: () => {
+                if (WindowManager.isMinimized(windowId)) {
+                    WindowManager.restore(windowId);
+                } else {
+                    WindowManager.focus(windowId);
+                }
+            },
+            menu: () => [
+                this.isPlaying
+                    ? { label: 'Pause', action: () => this.pause() }
+                    : { label: 'Play', action: () => this.play() },
+                { label: 'Stop', action: () => this.stop() },
+                { label: 'Previous Track', action: () => this.prev() },
+                { label: 'Next Track', action: () => this.next() }
+            ]
+        });
+
         // Emit opened event
         EventBus.emit(WinampEvents.OPENED, {
             playlistCount: this.playlist.length,
@@ -420,6 +443,7 @@ class Winamp extends AppBase {
 
         this.isPlaying = true;
         this.getElement('#btnPlay')?.classList.add('active');
+        SystemTray.update('winamp', this.getTrayIconState());
 
         // Emit play event
         EventBus.emit(WinampEvents.PLAY, {
@@ -456,6 +480,7 @@ class Winamp extends AppBase {
 
         this.isPlaying = false;
         this.getElement('#btnPlay')?.classList.remove('active');
+        SystemTray.update('winamp', this.getTrayIconState());
 
         if (this.timeInterval) {
             clearInterval(this.timeInterval);
@@ -507,6 +532,18 @@ class Winamp extends AppBase {
         this.play();
     }
 
+    /**
+     * Tray icon and tooltip for the current track
+     * @returns {{icon: string, tooltip: string}}
+     */
+    getTrayIconState() {
+        const track = this.playlist[this.currentTrack];
+        return {
+            icon: this.isPlaying ? '▶️' : '🎵',
+            tooltip: `Winamp - ${this.isPlaying ? 'Playing' : 'Paused'}: ${track.artist} - ${track.title}`
+        };
+    }
+
     updateTimeDisplay() {
         const display = this.getElement('#timeDisplay');
         if (display) {
@@ -63,7 +63,32 @@ export const WINDOW = {
     CASCADE_OFFSET: 30,
     MAX_CASCADE: 10,
     ANIMATION_DURATION: 150,  // ms
-    CLOSE_ANIMATION: 200      // ms
+    CLOSE_ANIMATION: 200,     // ms
+    SNAP_EDGE: 5,             // px from a screen edge that starts a snap
+    SNAP_CORNER: 80,          // px from a corner that snaps to a quarter instead of a half
+    DEFAULT_WORKSPACES: ['Desktop 1', 'Desktop 2'],
+    MAX_WORKSPACES: 9         // Ctrl+Alt+1..9 reaches each one
+};
+
+// ============================================
+// File System
+// ============================================
+
+export const FILESYSTEM = {
+    MAX_VERSIONS: 10,         // Revisions kept per file
+    MAX_DIFF_EDITS: 2000,     // Added plus removed lines a revision diff works out line by line
+    CDROM_IMAGE: 'assets/cdrom.json',
+    RAM_DISK_SIZE: 16777216,  // 16MB
+    // Persisted drives can't outgrow the storage behind them; localStorage holds about 5MB
+    LOCAL_STORAGE_QUOTA: 5242880,
+    LOW_SPACE_RATIO: 0.1,     // Warn when less than 10% of a drive is free
+    MAX_LINK_HOPS: 32,        // Links followed while resolving one path before it counts as a loop
+    // Type and size of the drives stored in the persisted tree
+    DRIVES: {
+        'A:': { driveType: 'floppy', capacity: 1474560 },     // 1.44MB
+        'C:': { driveType: 'fixed', capacity: 2147483648 },   // 2GB
+        'D:': { driveType: 'cdrom', capacity: 681574400 }     // 650MB
+    }
 };
 
 // ============================================
@@ -77,7 +102,17 @@ export const DESKTOP = {
     // File icons start in column 5 (after the 4 app icon columns at x: 20, 120, 220, 320)
     FILE_ICONS_START_X: 420,
     FILE_ICONS_START_Y: 20,
-    FILE_ICON_SPACING: 90
+    FILE_ICON_SPACING: 90,
+    // Arranged icons fill columns top to bottom, starting this far from the corner
+    ARRANGE_MARGIN: 20,
+    // Space each icon takes when arranged, per icon size (Display Properties)
+    CELL_SIZES: {
+        small: { width: 80, height: 80 },
+        medium: { width: 100, height: 90 },
+        large: { width: 140, height: 120 }
+    },
+    // Choices for the "Align to grid" spacing
+    GRID_SIZES: [10, 20, 30, 50]
 };
 
 // ============================================
@@ -162,7 +197,20 @@ export const STORAGE_KEYS = {
     HAS_VISITED: 'hasVisited',
     DESKTOP_BG: 'desktopBg',
     ADMIN_PASSWORD: 'adminPassword',
-    FILESYSTEM: 'filesystem'
+    FILESYSTEM: 'filesystem',
+    WORKSPACES: 'workspaces',
+    RESTORE_SESSION: 'restoreSession',
+    SESSION: 'session',
+    SHORTCUTS: 'shortcuts',
+    AUTO_TILE: 'autoTile',
+    WINDOW_GEOMETRY: 'windowGeometry',
+    ICON_AUTO_ARRANGE: 'iconAutoArrange',
+    ICON_ALIGN_TO_GRID: 'iconAlignToGrid',
+    ICON_GRID_SIZE: 'iconGridSize',
+    NOTIFICATIONS: 'notifications',
+    DO_NOT_DISTURB: 'doNotDisturb',
+    SCENARIO_SAVES: 'scenarioSaves',
+    SCENARIO_BREAKPOINTS: 'scenarioBreakpoints'
 };
 
 // ============================================
@@ -289,6 +337,7 @@ export default {
     PATHS,
     getPath,
     WINDOW,
+    FILESYSTEM,
     DESKTOP,
     TIMING,
     AUDIO,
@@ -0,0 +1,170 @@
+/**
+ * DriveProviders - Sources for drives mounted into the virtual file system
+ *
+ * A provider owns the tree of one drive. FileSystemManager.mount(letter, provider)
+ * routes every path on that letter to provider.getRoot(); drives that aren't
+ * mounted keep living in the persisted tree.
+ *
+ * Mounted drives are never written to file system storage. A provider that
+ * wants its contents to survive a reload has to keep them itself.
+ *
+ * Provider contract:
+ *   label     - Volume label
+ *   driveType - 'fixed' | 'cdrom' | 'floppy' | 'ram' | 'network'
+ *   readOnly  - Writes are refused with FileSystemError code READ_ONLY_DRIVE
+ *   capacity  - Size in bytes (0 if unknown)
+ *   mount()   - Prepare the contents (async)
+ *   unmount() - Release the contents
+ *   getRoot() - Drive node: { type: 'drive', label, children }
+ *
+ * Usage:
+ *   await FileSystemManager.mount('R:', new MemoryDriveProvider({ label: 'RAM Disk' }));
+ *   await FileSystemManager.mount('D:', new ImageDriveProvider({ url: 'assets/cdrom.json' }));
+ */
+
+/**
+ * Build a drive tree from a flat list of entries.
+ * Directory entries end with '/' or set `directory: true`; missing parent
+ * directories are created along the way.
+ * @param {string} label - Volume label
+ * @param {Array<{path: string, content?: string, directory?: boolean, modified?: string}>} entries
+ * @returns {object} Drive node
+ */
+export function createDriveTree(label, entries = []) {
+    const root = { type: 'drive', label, children: {} };
+    const now = new Date().toISOString();
+
+    for (const entry of entries) {
+        const parts = String(entry.path || '').replace(/\\/g, '/').split('/').filter(p => p.length > 0);
+        if (parts.length === 0) continue;
+
+        const isDirectory = entry.directory || entry.path.endsWith('/');
+        const timestamp = entry.modified || now;
+        const dirParts = isDirectory ? parts : parts.slice(0, -1);
+
+        let container = root.children;
+        for (const part of dirParts) {
+            if (!container[part]) {
+                container[part] = {
+                    type: 'directory',
+                    children: {},
+                    created: timestamp,
+                    modified: timestamp
+                };
+            }
+            container = container[part].children;
+        }
+
+        if (!isDirectory) {
+            const name = parts[parts.length - 1];
+            const content = entry.content ?? '';
+            container[name] = {
+                type: 'file',
+                content,
+                extension: name.includes('.') ? name.split('.').pop().toLowerCase() : '',
+                size: content.length,
+                created: entry.created || timestamp,
+                modified: timestamp
+            };
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Base class for drive providers
+ */
+export class DriveProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.label - Volume label
+     * @param {string} options.driveType - Drive type shown by My Computer and the terminal
+     * @param {boolean} options.readOnly - Refuse writes
+     * @param {number} options.capacity - Size in bytes
+     */
+    constructor({ label = 'Removable Disk', driveType = 'fixed', readOnly = false, capacity = 0 } = {}) {
+        this.label = label;
+        this.driveType = driveType;
+        this.readOnly = readOnly;
+        this.capacity = capacity;
+        this.root = null;
+    }
+
+    async mount() {
+        this.root = createDriveTree(this.label);
+    }
+
+    unmount() {
+        this.root = null;
+    }
+
+    getRoot() {
+        return this.root;
+    }
+}
+
+/**
+ * RAM disk - an empty writable drive that only exists until the page is reloaded
+ */
+export class MemoryDriveProvider extends DriveProvider {
+    /**
+     * @param {object} options - DriveProvider options plus:
+     * @param {Array} options.entries - Initial contents (see createDriveTree)
+     */
+    constructor({ entries = [], ...options } = {}) {
+        super({ label: 'RAM Disk', driveType: 'ram', capacity: 16 * 1024 * 1024, ...options });
+        this.entries = entries;
+    }
+
+    async mount() {
+        this.root = createDriveTree(this.label, this.entries);
+    }
+}
+
+/**
+ * Disc image - a read-only drive whose contents come from a bundled image, either
+ * a ZIP archive (url ending in .zip) or JSON:
+ *   { "label": "...", "files": [{ "path": "README.TXT", "content": "...", "modified": "..." }] }
+ */
+export class ImageDriveProvider extends DriveProvider {
+    /**
+     * @param {object} options - DriveProvider options plus:
+     * @param {string} options.url - Image URL
+     */
+    constructor({ url, ...options } = {}) {
+        super({ label: 'CD-ROM', driveType: 'cdrom', readOnly: true, capacity: 681574400, ...options });
+        this.url = url;
+    }
+
+    async mount() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        if (/\.zip$/i.test(this.url)) {
+            // Loaded on demand: FileTransfer depends on FileSystemManager, which imports this module
+            const [{ readZip }, { default: FileTransfer }] = await Promise.all([
+                import('./ZipArchive.js'),
+                import('./FileTransfer.js')
+            ]);
+            const entries = await readZip(await response.arrayBuffer());
+            this.root = createDriveTree(this.label, entries.map(entry => ({
+                path: entry.path,
+                directory: entry.directory,
+                content: entry.directory ? undefined : FileTransfer.bytesToContent(entry.path, entry.data),
+                modified: entry.modified
+            })));
+            return;
+        }
+
+        const image = await response.json();
+        if (image.label) {
+            this.label = image.label;
+        }
+        this.root = createDriveTree(this.label, image.files || []);
+    }
+}
+
+export default DriveProvider;
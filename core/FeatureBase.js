@@ -31,6 +31,10 @@
 import EventBus from './EventBus.js';
 import StateManager from './StateManager.js';
 import StorageManager from './StorageManager.js';
+import FileSystemManager from './FileSystemManager.js';
+import ShortcutManager from './ShortcutManager.js';
+import NotificationManager from './NotificationManager.js';
+import SystemTray from './SystemTray.js';
 
 class FeatureBase {
     /**
@@ -62,6 +66,9 @@ class FeatureBase {
 
         // Hook system for extensibility
         this.hooks = new Map(); // hookName -> [handlers]
+
+        // Drive letters mounted by this feature, unmounted on cleanup
+        this.mountedDrives = [];
     }
 
     // ===== LIFECYCLE METHODS (Override in subclass) =====
@@ -124,6 +131,10 @@ class FeatureBase {
             });
         });
         this.boundHandlers.clear();
+
+        // Unmount drives supplied by this feature
+        this.mountedDrives.forEach(letter => FileSystemManager.unmount(letter));
+        this.mountedDrives = [];
     }
 
     // ===== STATE HELPERS =====
@@ -286,6 +297,51 @@ class FeatureBase {
         }
     }
 
+    /**
+     * Register a global keyboard shortcut with auto-cleanup
+     * @param {Object} options - See ShortcutManager.register (category defaults to the feature name)
+     * @returns {Function} Unregister function
+     */
+    registerShortcut(options) {
+        const unregister = ShortcutManager.register({
+            category: this.name,
+            ...options,
+            handler: options.handler.bind(this)
+        });
+        this.eventUnsubscribers.push(unregister);
+        return unregister;
+    }
+
+    /**
+     * Add an icon to the system tray, removed automatically when the feature is disabled
+     * @param {Object} options - See SystemTray.register (id defaults to the feature ID, icon to the feature icon)
+     * @returns {Function} Unregister function
+     */
+    addTrayIcon(options = {}) {
+        const unregister = SystemTray.register({
+            id: this.id,
+            icon: this.icon,
+            tooltip: this.name,
+            ...options,
+            owner: this.id
+        });
+        this.eventUnsubscribers.push(unregister);
+        return unregister;
+    }
+
+    // ===== FILE SYSTEM HELPERS =====
+
+    /**
+     * Mount a drive with auto-unmount on cleanup
+     * @param {string} letter - Drive letter, e.g. 'P:'
+     * @param {DriveProvider} provider - Provider supplying the drive (see core/DriveProviders.js)
+     * @returns {Promise<void>}
+     */
+    async mountDrive(letter, provider) {
+        await FileSystemManager.mount(letter, provider);
+        this.mountedDrives.push(letter);
+    }
+
     // ===== HOOK SYSTEM =====
 
     /**
@@ -342,6 +398,16 @@ class FeatureBase {
 
     // ===== UTILITY HELPERS =====
 
+    /**
+     * Post a notification from this feature
+     * @param {Object|string} options - See NotificationManager.notify (source and icon default to the feature's)
+     * @returns {number} Notification ID
+     */
+    notify(options) {
+        if (typeof options === 'string') options = { message: options };
+        return NotificationManager.notify({ source: this.name, icon: this.icon, ...options });
+    }
+
     /**
      * Get the feature metadata
      * @returns {Object}
@@ -0,0 +1,198 @@
+/**
+ * FileAssociations - Decides which app opens a file
+ *
+ * Apps declare the extensions they can open with `fileTypes` in their config
+ * (or in the metadata passed to AppRegistry.register). The first app to claim an
+ * extension becomes its default; the user can pick another default, which is
+ * persisted. The special extension '*' lists an app under "Open With" for every
+ * file without making it a default.
+ *
+ * Usage:
+ *   FileAssociations.openFile(['C:', 'Users', 'User', 'Documents', 'notes.txt']);
+ *   FileAssociations.openFile(path, { appId: 'notepad' });   // "Open With"
+ *   FileAssociations.setDefault('md', 'notepad');
+ */
+
+import EventBus from './EventBus.js';
+import StorageManager from './StorageManager.js';
+import FileSystemManager from './FileSystemManager.js';
+import AppRegistry from '../apps/AppRegistry.js';
+
+const STORAGE_KEY = 'fileAssociations';
+
+class FileAssociationsClass {
+    constructor() {
+        // extension -> app ids in registration order
+        this.handlers = new Map();
+        // extension -> app id chosen by the user
+        this.userDefaults = StorageManager.get(STORAGE_KEY) || {};
+    }
+
+    /**
+     * Normalize '.TXT' or 'TXT' to 'txt'
+     * @param {string} extension
+     * @returns {string}
+     */
+    normalizeExtension(extension) {
+        return String(extension || '').replace(/^\./, '').toLowerCase();
+    }
+
+    /**
+     * Register the extensions an app can open
+     * @param {string} appId - App id
+     * @param {string[]} extensions - Extensions, or '*' for any file
+     */
+    registerApp(appId, extensions = []) {
+        for (const extension of extensions) {
+            const ext = this.normalizeExtension(extension);
+            if (!this.handlers.has(ext)) {
+                this.handlers.set(ext, []);
+            }
+            const apps = this.handlers.get(ext);
+            if (!apps.includes(appId)) {
+                apps.push(appId);
+            }
+        }
+    }
+
+    /**
+     * Get every app that can open an extension, default first
+     * @param {string} extension
+     * @returns {string[]} App ids
+     */
+    getHandlers(extension) {
+        const ext = this.normalizeExtension(extension);
+        const apps = [...(this.handlers.get(ext) || [])];
+        for (const appId of this.handlers.get('*') || []) {
+            if (!apps.includes(appId)) apps.push(appId);
+        }
+
+        const defaultApp = this.getDefaultApp(ext);
+        if (defaultApp) {
+            apps.splice(apps.indexOf(defaultApp), 1);
+            apps.unshift(defaultApp);
+        }
+        return apps;
+    }
+
+    /**
+     * Get the app that opens an extension by default
+     * @param {string} extension
+     * @returns {string|null} App id or null if nothing is associated
+     */
+    getDefaultApp(extension) {
+        const ext = this.normalizeExtension(extension);
+        const apps = this.handlers.get(ext) || [];
+        const chosen = this.userDefaults[ext];
+
+        if (chosen && (apps.includes(chosen) || (this.handlers.get('*') || []).includes(chosen))) {
+            return chosen;
+        }
+        return apps[0] || null;
+    }
+
+    /**
+     * Change the default app for an extension
+     * @param {string} extension
+     * @param {string} appId - Must be one of getHandlers(extension)
+     */
+    setDefault(extension, appId) {
+        const ext = this.normalizeExtension(extension);
+        if (!this.getHandlers(ext).includes(appId)) {
+            throw new Error(`${appId} cannot open .${ext} files`);
+        }
+
+        this.userDefaults[ext] = appId;
+        StorageManager.set(STORAGE_KEY, this.userDefaults);
+        EventBus.emit('fileassoc:changed', { extension: ext, appId });
+    }
+
+    /**
+     * Go back to the registered default for an extension
+     * @param {string} extension
+     */
+    resetDefault(extension) {
+        const ext = this.normalizeExtension(extension);
+        delete this.userDefaults[ext];
+        StorageManager.set(STORAGE_KEY, this.userDefaults);
+        EventBus.emit('fileassoc:changed', { extension: ext, appId: this.getDefaultApp(ext) });
+    }
+
+    /**
+     * Get the display name of an app
+     * @param {string} appId
+     * @returns {string}
+     */
+    getAppName(appId) {
+        return AppRegistry.metadata.get(appId)?.name || appId;
+    }
+
+    /**
+     * List every extension with a registered handler
+     * @returns {Array<{extension: string, defaultApp: string, handlers: string[], customized: boolean}>}
+     */
+    getAll() {
+        return [...this.handlers.keys()]
+            .filter(ext => ext !== '*')
+            .sort()
+            .map(ext => ({
+                extension: ext,
+                defaultApp: this.getDefaultApp(ext),
+                handlers: this.getHandlers(ext),
+                customized: ext in this.userDefaults
+            }));
+    }
+
+    /**
+     * Open a file system item the way a double-click would.
+     * Folders open in My Computer, shortcuts and executables launch their target,
+     * other files open in the associated (or given) app.
+     * @param {string|string[]} path - Item path
+     * @param {object} options
+     * @param {string} options.appId - Open with this app instead of the default
+     * @returns {boolean} True if something was opened
+     * @throws {FileSystemError} BROKEN_LINK or LINK_LOOP if a shortcut's target can't be reached
+     */
+    openFile(path, { appId } = {}) {
+        let filePath = FileSystemManager.parsePath(path);
+        let node = FileSystemManager.getNode(filePath);
+        if (!node) {
+            // Only throws for a broken link; a missing item just isn't opened
+            FileSystemManager.resolveLink(filePath);
+            return false;
+        }
+
+        if (!appId && FileSystemManager.getLinkTarget(node)) {
+            // Shortcuts to files and folders open what they point at
+            ({ node, parts: filePath } = FileSystemManager.resolveLink(filePath));
+        }
+
+        if (node.type === 'directory' || node.type === 'drive') {
+            return AppRegistry.launch('mycomputer', { initialPath: filePath });
+        }
+
+        if (!appId) {
+            if (node.shortcutTarget) {
+                return node.shortcutType === 'link'
+                    ? AppRegistry.launch('browser', { url: node.shortcutTarget })
+                    : AppRegistry.launch(node.shortcutTarget);
+            }
+            if (node.isExecutable && node.appId) {
+                return AppRegistry.launch(node.appId);
+            }
+        }
+
+        const name = filePath[filePath.length - 1];
+        const extension = node.extension || (name.includes('.') ? name.split('.').pop() : '');
+        const targetApp = appId || this.getDefaultApp(extension);
+        if (!targetApp) {
+            console.log('[FileAssociations] No app registered for file type:', extension);
+            return false;
+        }
+
+        return AppRegistry.launch(targetApp, { filePath });
+    }
+}
+
+const FileAssociations = new FileAssociationsClass();
+export default FileAssociations;
@@ -1,23 +1,498 @@
 /**
  * FileSystemManager - Shared virtual file system for IlluminatOS!
  * Provides a unified file system accessible by all applications
+ *
+ * Reading files: with the IndexedDB backend a file's body stays in storage until
+ * it is needed. readFile() is synchronous and only returns bodies already in memory
+ * (files written or read this session, and every file on the localStorage backend or
+ * a mounted drive); for any other file it throws FileSystemError NOT_LOADED.
+ * Use readFileAsync(), or await loadFileContent(path) before calling readFile().
  */
 
-import StorageManager from './StorageManager.js';
 import EventBus from './EventBus.js';
-import { PATHS } from './Constants.js';
+import {
+  LocalStorageBackend,
+  createFileSystemBackend,
+  hasLegacyFileSystem,
+  removeLegacyFileSystem
+} from './FileSystemStorage.js';
+import { MemoryDriveProvider, ImageDriveProvider } from './DriveProviders.js';
+import { PATHS, FILESYSTEM } from './Constants.js';
 import { FileSystemEvents } from './scripted-events/SemanticEvents.js';
 
+/**
+ * Error thrown when a file system operation is refused.
+ * `code` identifies the reason so callers can react without parsing messages:
+ *   READ_ONLY       - target has the read-only attribute
+ *   SYSTEM          - target has the system attribute
+ *   READ_ONLY_DRIVE - target is on a read-only mounted drive
+ *   DISK_FULL       - the drive doesn't have enough free space
+ *   LINK_LOOP       - following links never reaches a real item
+ *   BROKEN_LINK     - a link's target doesn't exist
+ *   NOT_LOADED      - readFile() on a file whose body is still in storage
+ *   NOT_FOUND       - getAttributes()/setAttributes() on a path that doesn't exist
+ */
+export class FileSystemError extends Error {
+  constructor(message, code, path) {
+    super(message);
+    this.name = 'FileSystemError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/**
+ * File attribute flags stored in node.attributes
+ */
+export const FILE_ATTRIBUTES = ['readOnly', 'hidden', 'system', 'archive'];
+
 class FileSystemManager {
   constructor() {
     if (FileSystemManager.instance) {
       return FileSystemManager.instance;
     }
 
+    // Start on the synchronous legacy backend so the tree is usable immediately;
+    // initialize() switches to IndexedDB once it has opened
+    this.backend = new LocalStorageBackend();
+    // blobId -> content waiting to be written by the next save
+    this.pendingBodies = new Map();
+    // blobIds whose records should be deleted by the next save
+    this.removedBodies = new Set();
+    // blobId -> in-flight body load
+    this.bodyLoads = new Map();
+    // Serializes backend writes so saves land in order
+    this.saveChain = Promise.resolve();
+    // Drive letter -> DriveProvider for drives mounted over the persisted tree
+    this.mounts = new Map();
+    // Registered watch() subscriptions and the changes waiting to be delivered to them
+    this.watchers = new Set();
+    this.pendingChanges = [];
+    this.changeFlushScheduled = false;
+    // Bytes the storage backend can hold (null if unknown); caps persisted drives
+    this.storageQuota = FILESYSTEM.LOCAL_STORAGE_QUOTA;
+    // Drive letter -> bytes used, recomputed after changes
+    this.driveUsage = new Map();
+    // Drives currently reported as low on space
+    this.lowSpaceDrives = new Set();
+    this.spaceCheckScheduled = false;
+
     this.fileSystem = this.loadFileSystem();
     FileSystemManager.instance = this;
   }
 
+  /**
+   * Switch to the best available storage backend.
+   * On the first run with IndexedDB the legacy localStorage tree is migrated:
+   * every file body becomes its own record and the localStorage key is removed
+   * once the IndexedDB write has succeeded.
+   */
+  async initialize() {
+    this.mountDefaultDrives();
+
+    const backend = await createFileSystemBackend();
+    if (!backend.separateBodies) {
+      console.log('[FileSystemManager] Using localStorage backend');
+      return;
+    }
+
+    let index;
+    try {
+      index = await backend.loadIndex();
+    } catch (e) {
+      console.error('[FileSystemManager] Failed to load index, staying on localStorage:', e);
+      return;
+    }
+
+    if (index && !hasLegacyFileSystem()) {
+      this.backend = backend;
+      this.fileSystem = index;
+    } else {
+      // First run, or an imported snapshot left a tree in localStorage that replaces the stored one
+      console.log('[FileSystemManager] Migrating file system to IndexedDB...');
+      try {
+        await this.migrateTo(backend, { replace: Boolean(index) });
+      } catch (e) {
+        console.error('[FileSystemManager] Migration failed, staying on localStorage:', e);
+        return;
+      }
+      // Only now is the IndexedDB copy known to be complete
+      removeLegacyFileSystem();
+    }
+
+    this.storageQuota = await backend.estimateQuota();
+    this.invalidateUsage();
+
+    console.log('[FileSystemManager] Using IndexedDB backend');
+  }
+
+  /**
+   * Write the whole in-memory tree to a separate-body backend and switch to it.
+   * If the write fails the tree is put back the way it was and the current
+   * backend stays in use.
+   * @param {object} backend - Backend to move to
+   * @param {object} options
+   * @param {boolean} options.replace - Drop whatever the backend already stores, in the same write
+   * @returns {Promise<void>} Rejects if the backend could not be written
+   */
+  async migrateTo(backend, { replace = false } = {}) {
+    const previous = this.backend;
+    // Saves made while the write is in flight go to the new backend, after it
+    this.backend = backend;
+
+    const index = this.serializeIndex(this.fileSystem);
+    const bodies = this.pendingBodies;
+    this.pendingBodies = new Map();
+    this.removedBodies = new Set();
+
+    const write = this.saveChain.then(() => backend.save(index, bodies, [], { replace }));
+    this.saveChain = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (e) {
+      this.backend = previous;
+      this.inlineBodies(this.fileSystem, bodies);
+      this.saveFileSystem();
+      throw e;
+    }
+  }
+
+  /**
+   * Undo serializeIndex() for a backend that keeps content inline: drop the
+   * blobIds and put revision content back into the tree
+   * @param {object} node - Tree node
+   * @param {Map<string, string>} bodies - blobId -> content taken out of the tree
+   */
+  inlineBodies(node, bodies) {
+    if (!node || typeof node !== 'object') return;
+
+    if (node.type === 'file') {
+      delete node.blobId;
+      for (const version of node.versions || []) {
+        if (version.blobId && bodies.has(version.blobId)) {
+          version.content = bodies.get(version.blobId);
+        }
+        delete version.blobId;
+      }
+      return;
+    }
+
+    const children = node.type === undefined ? node : (node.children || {});
+    for (const child of Object.values(children)) {
+      this.inlineBodies(child, bodies);
+    }
+  }
+
+  /**
+   * Mount the built-in drives: the bundled CD-ROM image and the RAM disk.
+   * A CD image that fails to load leaves D: as an empty drive.
+   */
+  mountDefaultDrives() {
+    this.mount('R:', new MemoryDriveProvider({ capacity: FILESYSTEM.RAM_DISK_SIZE })).catch(e => {
+      console.error('[FileSystemManager] Failed to mount RAM disk:', e);
+    });
+    this.mount('D:', new ImageDriveProvider({ url: FILESYSTEM.CDROM_IMAGE })).catch(e => {
+      console.warn('[FileSystemManager] No CD-ROM image mounted:', e.message);
+    });
+  }
+
+  /**
+   * Mount a drive provider at a drive letter.
+   * A mounted drive hides a persisted drive with the same letter until it is unmounted.
+   * @param {string} letter - Drive letter, e.g. 'R:'
+   * @param {DriveProvider} provider - Provider supplying the drive's tree
+   * @returns {Promise<void>}
+   */
+  async mount(letter, provider) {
+    const drive = this.normalizeDriveLetter(letter);
+    if (this.mounts.has(drive)) {
+      throw new Error(`Drive ${drive} is already mounted`);
+    }
+
+    await provider.mount();
+    this.mounts.set(drive, provider);
+    this.notifyChange(this.fileSystem[drive] ? 'modify' : 'create', [drive]);
+
+    EventBus.emit(FileSystemEvents.DRIVE_MOUNTED, {
+      drive,
+      label: provider.label,
+      driveType: provider.driveType,
+      readOnly: provider.readOnly
+    });
+    EventBus.emit('filesystem:changed');
+  }
+
+  /**
+   * Unmount a previously mounted drive
+   * @param {string} letter - Drive letter
+   * @returns {boolean} True if a drive was unmounted
+   */
+  unmount(letter) {
+    const drive = this.normalizeDriveLetter(letter);
+    const provider = this.mounts.get(drive);
+    if (!provider) return false;
+
+    this.mounts.delete(drive);
+    provider.unmount();
+    this.notifyChange(this.fileSystem[drive] ? 'modify' : 'delete', [drive]);
+
+    EventBus.emit(FileSystemEvents.DRIVE_UNMOUNTED, { drive });
+    EventBus.emit('filesystem:changed');
+    return true;
+  }
+
+  /**
+   * Normalize 'r', 'R' or 'r:' to 'R:'
+   * @param {string} letter - Drive letter
+   * @returns {string}
+   */
+  normalizeDriveLetter(letter) {
+    return String(letter).replace(/[:\\/]+$/, '').toUpperCase() + ':';
+  }
+
+  /**
+   * Get the provider mounted at a drive letter
+   * @param {string} letter - Drive letter
+   * @returns {DriveProvider|null}
+   */
+  getMountedProvider(letter) {
+    return this.mounts.get(this.normalizeDriveLetter(letter)) || null;
+  }
+
+  /**
+   * Get the root node of a drive, mounted or persisted
+   * @param {string} drive - Drive letter including the colon
+   * @returns {object|undefined} Drive node
+   */
+  getDriveRoot(drive) {
+    const provider = this.mounts.get(drive);
+    return provider ? provider.getRoot() : this.fileSystem[drive];
+  }
+
+  /**
+   * The top level of the file system: persisted drives overlaid with mounted ones
+   * @returns {object} Drive letter -> drive node
+   */
+  getRootView() {
+    const root = { ...this.fileSystem };
+    for (const [drive, provider] of this.mounts) {
+      root[drive] = provider.getRoot();
+    }
+    return root;
+  }
+
+  /**
+   * Describe every drive for display
+   * @returns {Array<{letter: string, label: string, driveType: string, readOnly: boolean, mounted: boolean, capacity: number}>}
+   */
+  getDrives() {
+    return Object.entries(this.getRootView())
+      .filter(([, node]) => node && node.type === 'drive')
+      .map(([letter, node]) => {
+        const provider = this.mounts.get(letter);
+        const defaults = FILESYSTEM.DRIVES[letter] || FILESYSTEM.DRIVES['C:'];
+        return {
+          letter,
+          label: node.label || 'Local Disk',
+          driveType: provider ? provider.driveType : defaults.driveType,
+          readOnly: !!provider?.readOnly,
+          mounted: !!provider,
+          capacity: this.getDriveCapacity(letter)
+        };
+      })
+      .sort((a, b) => a.letter.localeCompare(b.letter));
+  }
+
+  /**
+   * Get the size of a drive. Persisted drives report at most what the storage
+   * backend can hold, so they fill up before the browser refuses to save.
+   * @param {string} letter - Drive letter
+   * @returns {number} Capacity in bytes (0 if unknown)
+   */
+  getDriveCapacity(letter) {
+    const drive = this.normalizeDriveLetter(letter);
+    const provider = this.mounts.get(drive);
+    if (provider) return provider.capacity;
+
+    const defaults = FILESYSTEM.DRIVES[drive] || FILESYSTEM.DRIVES['C:'];
+    return this.storageQuota ? Math.min(defaults.capacity, this.storageQuota) : defaults.capacity;
+  }
+
+  /**
+   * Count the bytes a subtree takes up
+   * @param {object} node - Tree node
+   * @param {boolean} includeVersions - Also count stored revisions
+   * @returns {number}
+   */
+  measureUsage(node, includeVersions = true) {
+    if (!node || typeof node !== 'object') return 0;
+
+    if (node.type === 'file') {
+      let total = node.size || 0;
+      if (includeVersions) {
+        for (const version of node.versions || []) {
+          total += version.size || 0;
+        }
+      }
+      return total;
+    }
+
+    let total = 0;
+    for (const child of Object.values(node.children || {})) {
+      total += this.measureUsage(child, includeVersions);
+    }
+    return total;
+  }
+
+  /**
+   * Get a drive's space accounting.
+   * Used space counts file content and previous versions; `limit` is the
+   * capacity, lowered by the drive's quota if one is set.
+   * @param {string} letter - Drive letter
+   * @returns {{capacity: number, quota: number|null, limit: number, used: number, free: number}|null}
+   *   Null if the drive doesn't exist
+   */
+  getDriveSpace(letter) {
+    const drive = this.normalizeDriveLetter(letter);
+    const node = this.getNode([drive]);
+    if (!node) return null;
+
+    if (!this.driveUsage.has(drive)) {
+      this.driveUsage.set(drive, this.measureUsage(node));
+    }
+
+    const capacity = this.getDriveCapacity(drive);
+    const quota = node.quota || null;
+    const limit = quota && capacity ? Math.min(quota, capacity) : (quota || capacity);
+    const used = this.driveUsage.get(drive);
+
+    return { capacity, quota, limit, used, free: limit ? Math.max(0, limit - used) : 0 };
+  }
+
+  /**
+   * Limit how much of a drive may be used
+   * @param {string} letter - Drive letter
+   * @param {number|null} bytes - Quota in bytes, or null to remove it
+   */
+  setDriveQuota(letter, bytes) {
+    const drive = this.normalizeDriveLetter(letter);
+    const node = this.getNode([drive]);
+    if (!node) {
+      throw new Error(`Drive not found: ${drive}`);
+    }
+    this.assertDriveWritable([drive]);
+
+    if (bytes) {
+      node.quota = Math.max(0, Math.round(bytes));
+    } else {
+      delete node.quota;
+    }
+
+    if (this.isPersistentPath([drive])) {
+      this.saveFileSystem();
+    } else {
+      this.invalidateUsage();
+    }
+    this.notifyChange('modify', [drive]);
+  }
+
+  /**
+   * Throw if a drive can't take `bytes` more data
+   * @param {string[]} parts - Target path
+   * @param {number} bytes - Bytes about to be added (may be negative)
+   */
+  assertSpaceAvailable(parts, bytes) {
+    if (bytes <= 0) return;
+
+    const space = this.getDriveSpace(parts[0]);
+    if (!space || !space.limit) return;
+
+    if (space.used + bytes > space.limit) {
+      throw new FileSystemError(
+        `There is not enough space on ${parts[0]}. ${this.formatSize(bytes)} is needed, but only ${this.formatSize(space.free)} is free.`,
+        'DISK_FULL',
+        parts.join('/')
+      );
+    }
+  }
+
+  /**
+   * Get the drives currently low on free space
+   * @returns {string[]} Drive letters
+   */
+  getLowSpaceDrives() {
+    return [...this.lowSpaceDrives];
+  }
+
+  /**
+   * Forget cached drive usage after a change and re-check free space afterwards
+   */
+  invalidateUsage() {
+    this.driveUsage.clear();
+
+    if (!this.spaceCheckScheduled) {
+      this.spaceCheckScheduled = true;
+      queueMicrotask(() => this.checkDiskSpace());
+    }
+  }
+
+  /**
+   * Report drives whose free space crosses FILESYSTEM.LOW_SPACE_RATIO, in either direction
+   */
+  checkDiskSpace() {
+    this.spaceCheckScheduled = false;
+
+    for (const drive of this.getDrives()) {
+      if (drive.readOnly) continue;
+
+      const space = this.getDriveSpace(drive.letter);
+      const low = Boolean(space?.limit) && space.free < space.limit * FILESYSTEM.LOW_SPACE_RATIO;
+
+      if (low && !this.lowSpaceDrives.has(drive.letter)) {
+        this.lowSpaceDrives.add(drive.letter);
+        EventBus.emit(FileSystemEvents.DISK_SPACE_LOW, {
+          drive: drive.letter,
+          label: drive.label,
+          free: space.free,
+          limit: space.limit
+        });
+      } else if (!low && this.lowSpaceDrives.has(drive.letter)) {
+        this.lowSpaceDrives.delete(drive.letter);
+        EventBus.emit(FileSystemEvents.DISK_SPACE_OK, { drive: drive.letter });
+      }
+    }
+
+    // Drives that went away are no longer low on space
+    for (const letter of [...this.lowSpaceDrives]) {
+      if (!this.getNode([letter])) {
+        this.lowSpaceDrives.delete(letter);
+        EventBus.emit(FileSystemEvents.DISK_SPACE_OK, { drive: letter });
+      }
+    }
+  }
+
+  /**
+   * Throw if a path is on a read-only mounted drive
+   * @param {string[]} parts - Target path
+   */
+  assertDriveWritable(parts) {
+    const provider = this.mounts.get(parts[0]);
+    if (provider?.readOnly) {
+      const path = parts.join('/');
+      throw new FileSystemError(`Access denied - drive ${parts[0]} is read-only`, 'READ_ONLY_DRIVE', path);
+    }
+  }
+
+  /**
+   * Check whether a path is stored by the backend (mounted drives are not)
+   * @param {string[]} parts - Path
+   * @returns {boolean}
+   */
+  isPersistentPath(parts) {
+    return !this.mounts.has(parts[0]);
+  }
+
   /**
    * Initialize default file system structure
    */
@@ -37,6 +512,7 @@ class FileSystemManager {
                     type: 'file',
                     content: '[Binary File]',
                     extension: 'exe',
+                    attributes: { readOnly: true, system: true },
                     size: 51200,
                     created: new Date('2024-01-01').toISOString(),
                     modified: new Date('2024-01-01').toISOString()
@@ -45,6 +521,7 @@ class FileSystemManager {
                     type: 'file',
                     content: '[Binary File]',
                     extension: 'exe',
+                    attributes: { readOnly: true, system: true },
                     size: 69632,
                     created: new Date('2024-01-01').toISOString(),
                     modified: new Date('2024-01-01').toISOString()
@@ -267,7 +744,7 @@ class FileSystemManager {
    * Load file system from storage or create default
    */
   loadFileSystem() {
-    const saved = StorageManager.get('fileSystem');
+    const saved = this.backend.loadIndexSync();
     if (saved) {
       return saved;
     }
@@ -276,12 +753,263 @@ class FileSystemManager {
 
   /**
    * Save file system to storage
+   * With a separate-body backend only the index and changed bodies are written.
    */
   saveFileSystem() {
-    StorageManager.set('fileSystem', this.fileSystem);
+    if (this.backend.separateBodies) {
+      const index = this.serializeIndex(this.fileSystem);
+      const bodies = this.pendingBodies;
+      const removed = this.removedBodies;
+      this.pendingBodies = new Map();
+      this.removedBodies = new Set();
+
+      const backend = this.backend;
+      this.saveChain = this.saveChain
+        .then(() => backend.save(index, bodies, removed))
+        .catch(e => {
+          console.error('[FileSystemManager] Failed to save file system:', e);
+          EventBus.emit(FileSystemEvents.ERROR, { operation: 'save', error: e.message });
+        });
+    } else {
+      this.backend.save(this.fileSystem);
+    }
+    this.invalidateUsage();
     EventBus.emit('filesystem:changed');
   }
 
+  /**
+   * Build the persisted index: a copy of the tree without file content.
+   * Files that have no body record yet get a blobId and are queued for writing.
+   * @param {object} node - Tree node
+   * @returns {object} Content-free copy of the node
+   */
+  serializeIndex(node) {
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.type === 'file') {
+      const { content, ...meta } = node;
+      if (!node.blobId && content !== undefined) {
+        node.blobId = meta.blobId = this.createBlobId();
+        this.pendingBodies.set(node.blobId, content);
+      }
+      if (node.versions) {
+        meta.versions = node.versions.map(version => this.serializeVersion(version));
+      }
+      return meta;
+    }
+
+    // The root is a plain map of drives; drives and directories keep their children
+    const isRoot = node.type === undefined;
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (isRoot) {
+        copy[key] = this.serializeIndex(value);
+      } else if (key === 'children') {
+        copy.children = {};
+        for (const [name, child] of Object.entries(value)) {
+          copy.children[name] = this.serializeIndex(child);
+        }
+      } else {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Build the persisted form of a revision, moving its content into a body record
+   * @param {object} version - Revision entry
+   * @returns {object} Content-free copy of the revision
+   */
+  serializeVersion(version) {
+    const { content, ...meta } = version;
+    if (!version.blobId && content !== undefined) {
+      version.blobId = meta.blobId = this.createBlobId();
+      this.pendingBodies.set(version.blobId, content);
+      // The body record now holds the snapshot; no need to keep it in memory
+      delete version.content;
+    }
+    return meta;
+  }
+
+  /**
+   * Copy the tree in the legacy single-key format (content inline, no body records),
+   * e.g. for settings snapshots. Bodies still in storage, older revisions included,
+   * are read into the copy without being kept in memory.
+   * @param {object} node - Tree node (defaults to the whole file system)
+   * @returns {Promise<object>} Self-contained copy
+   */
+  async exportFileSystem(node = this.fileSystem) {
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.type === 'file') {
+      const { blobId, versions, ...file } = node;
+      if (node.blobId) {
+        file.content = await this.fetchContent(node);
+      }
+      if (versions) {
+        file.versions = [];
+        for (const version of versions) {
+          const { blobId: versionBlobId, ...copy } = version;
+          copy.content = await this.fetchContent(version);
+          file.versions.push(copy);
+        }
+      }
+      return file;
+    }
+
+    const isRoot = node.type === undefined;
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (isRoot) {
+        copy[key] = await this.exportFileSystem(value);
+      } else if (key === 'children') {
+        copy.children = {};
+        for (const [name, child] of Object.entries(value)) {
+          copy.children[name] = await this.exportFileSystem(child);
+        }
+      } else {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Generate an id for a file body record
+   * @returns {string}
+   */
+  createBlobId() {
+    return `blob_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Queue a file node's content for the next save
+   * @param {object} node - File node
+   */
+  markContentDirty(node) {
+    if (node.blobId && this.backend.separateBodies) {
+      this.pendingBodies.set(node.blobId, node.content);
+    }
+  }
+
+  /**
+   * Queue the body records of a node (and its descendants) for deletion
+   * @param {object} node - Removed node
+   */
+  releaseContent(node) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'file') {
+      for (const entry of [node, ...(node.versions || [])]) {
+        if (entry.blobId) {
+          this.pendingBodies.delete(entry.blobId);
+          this.removedBodies.add(entry.blobId);
+        }
+      }
+      return;
+    }
+    for (const child of Object.values(node.children || {})) {
+      this.releaseContent(child);
+    }
+  }
+
+  /**
+   * Bring the bodies of a subtree leaving the persisted tree into memory and
+   * queue their records for deletion. Bodies that aren't loaded keep their record
+   * until they are, so the file can still be read in the meantime.
+   * @param {object} node - Node now outside the persisted tree
+   */
+  detachContent(node) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type !== 'file') {
+      for (const child of Object.values(node.children || {})) {
+        this.detachContent(child);
+      }
+      return;
+    }
+
+    for (const entry of [node, ...(node.versions || [])]) {
+      if (!entry.blobId) continue;
+      if (entry.content !== undefined) {
+        this.dropBodyRecord(entry);
+        continue;
+      }
+      this.fetchContent(entry).then(content => {
+        // A write since the move already replaced the content
+        if (entry.content === undefined) entry.content = content;
+        this.dropBodyRecord(entry);
+        this.saveFileSystem();
+      }).catch(e => {
+        console.error('[FileSystemManager] Failed to move file content:', e);
+        EventBus.emit(FileSystemEvents.ERROR, { operation: 'move', error: e.message });
+      });
+    }
+  }
+
+  /**
+   * Queue the body record of a file node or revision for deletion, keeping the content in memory
+   * @param {object} entry - File node or revision with a blobId
+   */
+  dropBodyRecord(entry) {
+    if (!entry.blobId) return;
+    this.pendingBodies.delete(entry.blobId);
+    this.removedBodies.add(entry.blobId);
+    delete entry.blobId;
+  }
+
+  /**
+   * Check whether a file's content is in memory
+   * @param {object} node - File node
+   * @returns {boolean}
+   */
+  isContentLoaded(node) {
+    return node.content !== undefined || !node.blobId;
+  }
+
+  /**
+   * Load a file node's body from the backend if it isn't in memory yet
+   * @param {object} node - File node
+   * @returns {Promise<void>}
+   */
+  async loadContent(node) {
+    if (this.isContentLoaded(node)) return;
+
+    const blobId = node.blobId;
+    if (!this.bodyLoads.has(blobId)) {
+      const load = this.backend.readBody(blobId)
+        .then(content => {
+          if (node.content === undefined) {
+            node.content = content ?? '';
+          }
+        })
+        .finally(() => this.bodyLoads.delete(blobId));
+      this.bodyLoads.set(blobId, load);
+    }
+    await this.bodyLoads.get(blobId);
+  }
+
+  /**
+   * Get the content of a file node or revision without keeping a body that
+   * wasn't in memory, for readers that go through many files (search index, export)
+   * @param {object} entry - File node or revision
+   * @returns {Promise<string>}
+   */
+  async fetchContent(entry) {
+    if (entry.content !== undefined) return entry.content;
+    if (!entry.blobId) return '';
+
+    if (this.pendingBodies.has(entry.blobId)) {
+      return this.pendingBodies.get(entry.blobId);
+    }
+    if (this.bodyLoads.has(entry.blobId)) {
+      await this.bodyLoads.get(entry.blobId);
+      return entry.content ?? '';
+    }
+
+    const content = await this.backend.readBody(entry.blobId);
+    return content ?? '';
+  }
+
   /**
    * Parse a path string into an array of parts
    * @param {string} path - Path like "C:/Users/Seth/Documents"
@@ -300,30 +1028,285 @@ class FileSystemManager {
   }
 
   /**
-   * Navigate to a path and return the node
-   * @param {string|string[]} path - Path to navigate to
-   * @returns {object|null} The node at the path or null if not found
+   * Get the target of a link node.
+   * Symbolic links (type 'symlink') and shortcuts to file system items
+   * (.lnk files with shortcutType 'path') both point at an absolute path.
+   * @param {object} node - File system node
+   * @returns {string|null} Target path, or null if the node isn't a link
    */
-  getNode(path) {
-    const parts = this.parsePath(path);
+  getLinkTarget(node) {
+    if (!node) return null;
+    if (node.type === 'symlink') return node.linkTarget || null;
+    if (node.isShortcut && node.shortcutType === 'path') return node.shortcutTarget || null;
+    return null;
+  }
+
+  /**
+   * Walk a path, following links on the way.
+   * Links in the middle of a path are always followed, so a shortcut to a folder
+   * can be used like the folder. The last part is followed only when asked:
+   * symbolic links by default, shortcuts only with followShortcuts.
+   * @param {string|string[]} path - Path to resolve
+   * @param {object} options
+   * @param {boolean} options.followLinks - Follow a symbolic link in the last part
+   * @param {boolean} options.followShortcuts - Follow a path shortcut in the last part
+   * @returns {{node: object|null, parts: string[], error: string|null}}
+   *   The node and its real path; error is 'missing' or 'loop' when node is null
+   */
+  resolvePath(path, { followLinks = true, followShortcuts = false } = {}) {
+    let remaining = this.parsePath(path);
 
-    if (parts.length === 0) {
-      return this.fileSystem;
+    if (remaining.length === 0) {
+      return { node: this.getRootView(), parts: [], error: null };
     }
 
-    let current = this.fileSystem;
+    let current = this.getDriveRoot(remaining[0]);
+    let hops = 0;
 
-    for (const part of parts) {
+    for (let i = 1; current && i < remaining.length; i++) {
       // Get the container to look in - either children of a dir/drive, or the object itself
       const container = (current.children !== undefined) ? current.children : current;
+      const child = container[remaining[i]];
+      if (!child) {
+        current = null;
+        break;
+      }
+
+      const target = this.getLinkTarget(child);
+      const isLast = i === remaining.length - 1;
+      const follow = !isLast || (child.type === 'symlink' ? followLinks : followShortcuts);
+      if (target && follow) {
+        if (++hops > FILESYSTEM.MAX_LINK_HOPS) {
+          return { node: null, parts: remaining, error: 'loop' };
+        }
+        // Start again from the target, with the rest of the path appended
+        remaining = [...this.parsePath(target), ...remaining.slice(i + 1)];
+        current = this.getDriveRoot(remaining[0]);
+        i = 0;
+        continue;
+      }
+
+      current = child;
+    }
+
+    return current
+      ? { node: current, parts: remaining, error: null }
+      : { node: null, parts: remaining, error: 'missing' };
+  }
+
+  /**
+   * Get the real path of an item: links among its parent folders are followed,
+   * a link in the last part is left alone. Drive rules (read-only, free space,
+   * persistence) apply to the drive this path is on, not to the one it was reached from.
+   * @param {string|string[]} path - Item path, possibly through links
+   * @returns {string[]} Real path, or the parsed path if its parent doesn't exist
+   */
+  getRealPath(path) {
+    const parts = this.parsePath(path);
+    if (parts.length < 2) return parts;
+
+    const { node, parts: parent } = this.resolvePath(parts.slice(0, -1));
+    return node ? [...parent, parts[parts.length - 1]] : parts;
+  }
 
-      if (!container[part]) {
-        return null;
+  /**
+   * Resolve a path to the item it finally refers to, following every link
+   * including a symbolic link or shortcut in the last part
+   * @param {string|string[]} path - Path of a link (or any item)
+   * @param {object} options
+   * @param {boolean} options.followShortcuts - Also follow a shortcut in the last part
+   * @returns {{node: object, parts: string[]}|null} Target node and its real path,
+   *   or null if the path itself doesn't exist
+   * @throws {FileSystemError} LINK_LOOP or BROKEN_LINK if a link can't be followed
+   */
+  resolveLink(path, { followShortcuts = true } = {}) {
+    const parts = this.parsePath(path);
+    const { node, parts: target, error } = this.resolvePath(parts, { followShortcuts });
+
+    if (error === 'loop') {
+      throw new FileSystemError(`Too many levels of links: ${parts.join('/')}`, 'LINK_LOOP', parts);
+    }
+    if (!node) {
+      const link = this.getNode(parts, { followLinks: false });
+      const linkTarget = this.getLinkTarget(link);
+      if (!linkTarget) return null;
+      throw new FileSystemError(`The item this link refers to does not exist: ${linkTarget}`, 'BROKEN_LINK', parts);
+    }
+    return { node, parts: target };
+  }
+
+  /**
+   * Check whether a link node's target can be reached
+   * @param {object} node - File system node
+   * @returns {string|null} null if the node isn't a link, otherwise 'ok', 'missing' or 'loop'
+   */
+  getLinkStatus(node) {
+    const target = this.getLinkTarget(node);
+    if (!target) return null;
+    const { node: resolved, error } = this.resolvePath(target, { followShortcuts: true });
+    return resolved ? 'ok' : error;
+  }
+
+  /**
+   * Describe a link node for listings
+   * @param {object} node - Symbolic link or shortcut node
+   * @returns {{isLink: boolean, linkType: string, linkTarget: string, broken: boolean}}
+   *   linkType is 'symlink' or 'shortcut'
+   */
+  describeLink(node) {
+    return {
+      isLink: true,
+      linkType: node.type === 'symlink' ? 'symlink' : 'shortcut',
+      linkTarget: this.getLinkTarget(node),
+      broken: this.getLinkStatus(node) !== 'ok'
+    };
+  }
+
+  /**
+   * Create a symbolic link. The target doesn't have to exist yet.
+   * @param {string|string[]} path - Link path
+   * @param {string|string[]} target - Absolute path of the item the link points at
+   * @returns {string[]} Link path
+   */
+  createLink(path, target) {
+    const parts = this.getRealPath(path);
+    const targetParts = this.parsePath(target);
+    this.assertDriveWritable(parts);
+
+    const name = parts[parts.length - 1];
+    const parent = parts.length > 1 ? this.getNode(parts.slice(0, -1)) : null;
+    if (!parent) {
+      throw new Error(`Parent directory not found: ${parts.slice(0, -1).join('/')}`);
+    }
+    if (targetParts.length === 0 || !/^[A-Za-z]:$/.test(targetParts[0])) {
+      throw new Error(`Link target must be an absolute path: ${targetParts.join('/')}`);
+    }
+
+    const children = parent.children || parent;
+    if (children[name]) {
+      throw new Error(`An item named ${name} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    children[name] = {
+      type: 'symlink',
+      linkTarget: targetParts.join('/'),
+      attributes: { archive: true },
+      size: 0,
+      created: now,
+      modified: now
+    };
+
+    this.saveFileSystem();
+    this.notifyChange('create', parts);
+    EventBus.emit(FileSystemEvents.LINK_CREATED, {
+      path: parts.join('/'),
+      target: targetParts.join('/'),
+      linkType: 'symlink'
+    });
+
+    return parts;
+  }
+
+  /**
+   * Create a shortcut (.lnk) to a file system item, named like "Shortcut to notes.txt.lnk"
+   * @param {string|string[]} target - Item the shortcut opens
+   * @param {string|string[]} folder - Where to put the shortcut (defaults to the target's folder)
+   * @returns {string[]} Shortcut path
+   */
+  createShortcut(target, folder = null) {
+    const targetParts = this.parsePath(target);
+    const targetNode = this.getNode(targetParts);
+    if (!targetNode || targetParts.length === 0) {
+      throw new Error(`Path not found: ${targetParts.join('/')}`);
+    }
+
+    const folderParts = folder ? this.parsePath(folder) : targetParts.slice(0, -1);
+    const parent = folderParts.length > 0 ? this.getNode(folderParts) : null;
+    if (!parent) {
+      throw new Error(`Folder not found: ${folderParts.join('/')}`);
+    }
+    const children = parent.children || parent;
+
+    const targetName = targetParts[targetParts.length - 1];
+    let fileName = `Shortcut to ${targetName}.lnk`;
+    for (let counter = 2; children[fileName]; counter++) {
+      fileName = `Shortcut (${counter}) to ${targetName}.lnk`;
+    }
+    const parts = this.getRealPath([...folderParts, fileName]);
+    this.assertDriveWritable(parts);
+
+    const icon = targetNode.type === 'drive' ? '💽' : (targetNode.type === 'directory' ? '📁' : '📄');
+    const content = JSON.stringify({
+      type: 'path',
+      target: targetParts.join('/'),
+      icon,
+      label: targetName
+    }, null, 2);
+    this.assertSpaceAvailable(parts, content.length);
+
+    const now = new Date().toISOString();
+    children[fileName] = {
+      type: 'file',
+      content,
+      extension: 'lnk',
+      attributes: { archive: true },
+      size: content.length,
+      created: now,
+      modified: now,
+      isShortcut: true,
+      shortcutTarget: targetParts.join('/'),
+      shortcutType: 'path',
+      shortcutIcon: icon
+    };
+
+    this.saveFileSystem();
+    this.notifyChange('create', parts);
+    EventBus.emit(FileSystemEvents.LINK_CREATED, {
+      path: parts.join('/'),
+      target: targetParts.join('/'),
+      linkType: 'shortcut'
+    });
+
+    return parts;
+  }
+
+  /**
+   * Find links on a drive whose target can't be reached
+   * @param {string} letter - Drive letter
+   * @returns {Array<{path: string[], target: string, reason: string}>} reason is 'missing' or 'loop'
+   */
+  findBrokenLinks(letter) {
+    const drive = this.normalizeDriveLetter(letter);
+    const broken = [];
+    const walk = (node, path) => {
+      for (const [name, child] of Object.entries(node.children || {})) {
+        const status = this.getLinkStatus(child);
+        if (status && status !== 'ok') {
+          broken.push({ path: [...path, name], target: this.getLinkTarget(child), reason: status });
+        }
+        if (child.type === 'directory') {
+          walk(child, [...path, name]);
+        }
       }
-      current = container[part];
-    }
+    };
+
+    const root = this.getDriveRoot(drive);
+    if (root) walk(root, [drive]);
+    return broken;
+  }
 
-    return current;
+  /**
+   * Navigate to a path and return the node. Symbolic links are followed;
+   * shortcuts only when used as a folder in the middle of the path.
+   * @param {string|string[]} path - Path to navigate to
+   * @param {object} options
+   * @param {boolean} options.followLinks - Follow a symbolic link in the last part
+   *   (false returns the link node itself)
+   * @returns {object|null} The node at the path or null if not found
+   */
+  getNode(path, { followLinks = true } = {}) {
+    return this.resolvePath(path, { followLinks }).node;
   }
 
   /**
@@ -334,7 +1317,7 @@ class FileSystemManager {
   getParentNode(path) {
     const parts = this.parsePath(path);
     if (parts.length <= 1) {
-      return this.fileSystem;
+      return this.getRootView();
     }
 
     const parentPath = parts.slice(0, -1);
@@ -353,18 +1336,21 @@ class FileSystemManager {
   /**
    * List contents of a directory
    * @param {string|string[]} path - Directory path
+   * @param {object} options - Options
+   * @param {boolean} options.showHidden - Include items with the hidden attribute
    * @returns {object[]} Array of items with name and metadata
    */
-  listDirectory(path) {
-    const node = this.getNode(path);
+  listDirectory(path, { showHidden = false } = {}) {
+    const resolved = this.resolveLink(path);
 
-    if (!node) {
+    if (!resolved) {
       throw new Error(`Path not found: ${path}`);
     }
 
+    const { node, parts } = resolved;
     const children = node.children || node;
 
-    if (typeof children !== 'object') {
+    if (typeof children !== 'object' || node.type === 'file') {
       throw new Error(`Not a directory: ${path}`);
     }
 
@@ -372,14 +1358,21 @@ class FileSystemManager {
 
     for (const [name, item] of Object.entries(children)) {
       if (item && typeof item === 'object' && item.type) {
+        if (item.attributes?.hidden && !showHidden) continue;
+
+        // Symbolic links are listed as what they point at; a broken one as a file
+        const linkTarget = this.getLinkTarget(item);
+        const target = item.type === 'symlink' ? this.getNode([...parts, name]) : item;
         items.push({
           name,
-          type: item.type,
-          extension: item.extension || '',
-          size: item.size || 0,
+          type: target ? target.type : 'file',
+          extension: item.extension || target?.extension || '',
+          size: target?.size || 0,
           created: item.created,
           modified: item.modified,
-          label: item.label
+          label: item.label,
+          attributes: this.normalizeAttributes(item),
+          ...(linkTarget && this.describeLink(item))
         });
       }
     }
@@ -388,12 +1381,14 @@ class FileSystemManager {
   }
 
   /**
-   * Read file content
+   * Read file content that is already in memory (see the module header)
    * @param {string|string[]} path - File path
    * @returns {string} File content
+   * @throws {FileSystemError} NOT_LOADED if the body is still in storage
    */
   readFile(path) {
-    const node = this.getNode(path);
+    // A shortcut is a file of its own; only symbolic links are read through
+    const node = this.resolveLink(path, { followShortcuts: false })?.node;
 
     if (!node) {
       throw new Error(`File not found: ${path}`);
@@ -403,6 +1398,10 @@ class FileSystemManager {
       throw new Error(`Not a file: ${path}`);
     }
 
+    if (!this.isContentLoaded(node)) {
+      throw new FileSystemError(`File content not loaded yet - use readFileAsync(): ${path}`, 'NOT_LOADED', path);
+    }
+
     const content = node.content || '';
 
     // Emit read event for scenarios
@@ -415,14 +1414,46 @@ class FileSystemManager {
     return content;
   }
 
+  /**
+   * Read file content, loading the body from storage if needed
+   * @param {string|string[]} path - File path
+   * @returns {Promise<string>} File content
+   */
+  async readFileAsync(path) {
+    await this.loadFileContent(path);
+    return this.readFile(path);
+  }
+
+  /**
+   * Load a file's body from storage so readFile() can return it.
+   * Missing paths and directories are left for readFile() to report.
+   * @param {string|string[]} path - File path
+   * @returns {Promise<void>}
+   */
+  async loadFileContent(path) {
+    const node = this.resolveLink(path, { followShortcuts: false })?.node;
+
+    if (node && node.type === 'file') {
+      await this.loadContent(node);
+    }
+  }
+
   /**
    * Write content to a file (creates if doesn't exist)
    * @param {string|string[]} path - File path
    * @param {string} content - File content
    * @param {string} extension - File extension (optional)
+   * @param {object} options - Options
+   * @param {string} options.created - Creation time for a new file (ISO string, defaults to now)
+   * @param {string} options.modified - Modification time (ISO string, defaults to now)
    */
-  writeFile(path, content, extension = 'txt') {
-    const parts = this.parsePath(path);
+  writeFile(path, content, extension = 'txt', { created, modified } = {}) {
+    let parts = this.getRealPath(path);
+    // Writing through a symbolic link changes the file it points at
+    if (this.getNode(parts, { followLinks: false })?.type === 'symlink') {
+      parts = this.resolveLink(parts, { followShortcuts: false }).parts;
+    }
+    this.assertDriveWritable(parts);
     const fileName = parts[parts.length - 1];
     const parentPath = parts.slice(0, -1);
 
@@ -441,25 +1472,46 @@ class FileSystemManager {
     }
 
     const now = new Date().toISOString();
+    const existed = Boolean(children[fileName]);
+    const existingFile = children[fileName]?.type === 'file' ? children[fileName] : null;
+
+    if (existingFile) {
+      this.assertModifiable(existingFile, parts, 'write');
+    }
+
+    const growth = content.length - (existingFile?.size || 0);
+    this.assertSpaceAvailable(parts, growth);
+
+    if (existingFile) {
+      // Keep the previous content as a revision before overwriting,
+      // unless the revision is what would fill the drive
+      const space = this.getDriveSpace(parts[0]);
+      if (this.keepsVersions(parts)
+          && (!space.limit || space.used + growth + this.getVersionGrowth(existingFile) <= space.limit)) {
+        this.recordVersion(existingFile, content);
+      }
 
-    if (children[fileName] && children[fileName].type === 'file') {
       // Update existing file
       children[fileName].content = content;
       children[fileName].size = content.length;
-      children[fileName].modified = now;
+      children[fileName].modified = modified || now;
+      children[fileName].attributes = { ...children[fileName].attributes, archive: true };
+      this.markContentDirty(children[fileName]);
     } else {
       // Create new file
       children[fileName] = {
         type: 'file',
         content: content,
         extension: extension,
+        attributes: { archive: true },
         size: content.length,
-        created: now,
-        modified: now
+        created: created || modified || now,
+        modified: modified || now
       };
     }
 
     this.saveFileSystem();
+    this.notifyChange(existed ? 'modify' : 'create', parts);
     EventBus.emit(FileSystemEvents.FILE_WRITTEN, {
       path: parts.join('/'),
       content: content,
@@ -472,7 +1524,8 @@ class FileSystemManager {
    * @param {string|string[]} path - File path
    */
   deleteFile(path) {
-    const parts = this.parsePath(path);
+    const parts = this.getRealPath(path);
+    this.assertDriveWritable(parts);
     const fileName = parts[parts.length - 1];
     const parentPath = parts.slice(0, -1);
 
@@ -488,21 +1541,30 @@ class FileSystemManager {
       throw new Error(`File not found: ${path}`);
     }
 
-    if (children[fileName].type !== 'file') {
+    // Deleting a symbolic link removes the link, never its target
+    if (children[fileName].type !== 'file' && children[fileName].type !== 'symlink') {
       throw new Error(`Not a file: ${path}`);
     }
 
+    this.assertModifiable(children[fileName], parts, 'delete');
+
+    this.releaseContent(children[fileName]);
     delete children[fileName];
     this.saveFileSystem();
+    this.notifyChange('delete', parts);
     EventBus.emit(FileSystemEvents.FILE_DELETED, { path: parts.join('/') });
   }
 
   /**
    * Create a directory
    * @param {string|string[]} path - Directory path
+   * @param {object} options - Options
+   * @param {string} options.created - Creation time (ISO string, defaults to now)
+   * @param {string} options.modified - Modification time (ISO string, defaults to now)
    */
-  createDirectory(path) {
-    const parts = this.parsePath(path);
+  createDirectory(path, { created, modified } = {}) {
+    const parts = this.getRealPath(path);
+    this.assertDriveWritable(parts);
     const dirName = parts[parts.length - 1];
     const parentPath = parts.slice(0, -1);
 
@@ -518,12 +1580,16 @@ class FileSystemManager {
       throw new Error(`Directory already exists: ${path}`);
     }
 
+    const now = new Date().toISOString();
     children[dirName] = {
       type: 'directory',
-      children: {}
+      children: {},
+      created: created || modified || now,
+      modified: modified || now
     };
 
     this.saveFileSystem();
+    this.notifyChange('create', parts);
     EventBus.emit(FileSystemEvents.DIRECTORY_CREATED, { path: parts.join('/') });
   }
 
@@ -533,7 +1599,8 @@ class FileSystemManager {
    * @param {boolean} recursive - If true, delete contents recursively
    */
   deleteDirectory(path, recursive = false) {
-    const parts = this.parsePath(path);
+    const parts = this.getRealPath(path);
+    this.assertDriveWritable(parts);
     const dirName = parts[parts.length - 1];
     const parentPath = parts.slice(0, -1);
 
@@ -551,10 +1618,18 @@ class FileSystemManager {
 
     const dir = children[dirName];
 
+    if (dir.type === 'symlink' && this.getNode(parts)?.type === 'directory') {
+      // A link to a folder is removed like a folder, without touching the target
+      this.deleteFile(parts);
+      return;
+    }
+
     if (dir.type !== 'directory') {
       throw new Error(`Not a directory: ${path}`);
     }
 
+    this.assertModifiable(dir, parts, 'delete');
+
     if (dir.children && Object.keys(dir.children).length > 0) {
       if (!recursive) {
         throw new Error(`Directory not empty: ${path}`);
@@ -563,8 +1638,10 @@ class FileSystemManager {
       this.deleteDirectoryRecursive(parts);
     }
 
+    this.releaseContent(dir);
     delete children[dirName];
     this.saveFileSystem();
+    this.notifyChange('delete', parts);
     EventBus.emit(FileSystemEvents.DIRECTORY_DELETED, { path: parts.join('/') });
   }
 
@@ -578,6 +1655,8 @@ class FileSystemManager {
 
     for (const [name, item] of Object.entries(node.children)) {
       const itemPath = [...path, name];
+      // Protected items anywhere below block the whole delete
+      this.assertModifiable(item, itemPath, 'delete');
       if (item.type === 'directory') {
         this.deleteDirectoryRecursive(itemPath);
       }
@@ -585,32 +1664,383 @@ class FileSystemManager {
     }
   }
 
+  /**
+   * Save a file's current content as a revision before it is overwritten.
+   * Keeps at most FILESYSTEM.MAX_VERSIONS revisions, dropping the oldest.
+   * @param {object} node - File node about to be overwritten
+   * @param {string} newContent - Content about to be written
+   */
+  recordVersion(node, newContent) {
+    if (node.isShortcut || node.isExecutable) return;
+
+    const loaded = node.content !== undefined;
+    if (!loaded && !node.blobId) return;
+    if (loaded && node.content === newContent) return;
+
+    const version = {
+      id: `v_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      timestamp: node.modified || new Date().toISOString(),
+      size: node.size || 0
+    };
+
+    if (this.backend.separateBodies && node.blobId) {
+      // Hand the existing body record to the revision; the file gets a fresh one
+      version.blobId = node.blobId;
+      if (this.pendingBodies.has(node.blobId)) {
+        this.pendingBodies.set(node.blobId, node.content);
+      }
+      node.blobId = this.createBlobId();
+    } else {
+      version.content = node.content;
+    }
+
+    node.versions = [...(node.versions || []), version];
+
+    while (node.versions.length > FILESYSTEM.MAX_VERSIONS) {
+      const dropped = node.versions.shift();
+      if (dropped.blobId) {
+        this.pendingBodies.delete(dropped.blobId);
+        this.removedBodies.add(dropped.blobId);
+      }
+    }
+  }
+
+  /**
+   * Whether writes to a path keep revisions. Persisted files only do with a
+   * backend that stores bodies separately: in the single localStorage key every
+   * revision would be another full copy of the file in the same 5MB.
+   * @param {string[]} parts - File path
+   * @returns {boolean}
+   */
+  keepsVersions(parts) {
+    return this.backend.separateBodies || !this.isPersistentPath(parts);
+  }
+
+  /**
+   * Bytes recordVersion() would add for a file: its current size, minus the
+   * oldest revision if the history is full
+   * @param {object} node - File node
+   * @returns {number}
+   */
+  getVersionGrowth(node) {
+    if (node.isShortcut || node.isExecutable) return 0;
+
+    const versions = node.versions || [];
+    const dropped = versions.length >= FILESYSTEM.MAX_VERSIONS ? (versions[0].size || 0) : 0;
+    return (node.size || 0) - dropped;
+  }
+
+  /**
+   * Get the file node at a path, throwing if it isn't a file
+   * @param {string|string[]} path - File path
+   * @returns {object} File node
+   */
+  getFileNode(path) {
+    const node = this.getNode(path);
+
+    if (!node) {
+      throw new Error(`File not found: ${path}`);
+    }
+
+    if (node.type !== 'file') {
+      throw new Error(`Not a file: ${path}`);
+    }
+
+    return node;
+  }
+
+  /**
+   * List the saved revisions of a file, newest first
+   * @param {string|string[]} path - File path
+   * @returns {object[]} Array of {id, timestamp, size}
+   */
+  getVersions(path) {
+    const node = this.getFileNode(path);
+
+    return (node.versions || [])
+      .map(({ id, timestamp, size }) => ({ id, timestamp, size }))
+      .reverse();
+  }
+
+  /**
+   * Read the content of a revision
+   * @param {string|string[]} path - File path
+   * @param {string} versionId - Revision id, or 'current' for the live content
+   * @returns {Promise<string>} Revision content
+   */
+  async getVersionContent(path, versionId) {
+    const node = this.getFileNode(path);
+
+    if (versionId === 'current') {
+      await this.loadContent(node);
+      return node.content || '';
+    }
+
+    const version = (node.versions || []).find(v => v.id === versionId);
+    if (!version) {
+      throw new Error(`Version not found: ${versionId}`);
+    }
+
+    return this.fetchContent(version);
+  }
+
+  /**
+   * Compare two revisions of a file line by line
+   * @param {string|string[]} path - File path
+   * @param {string} fromId - Older revision id
+   * @param {string} toId - Newer revision id (defaults to the live content)
+   * @returns {Promise<object[]>} Array of {type: 'same'|'added'|'removed', line}
+   */
+  async diffVersions(path, fromId, toId = 'current') {
+    const [from, to] = await Promise.all([
+      this.getVersionContent(path, fromId),
+      this.getVersionContent(path, toId)
+    ]);
+    return this.diffLines(from, to);
+  }
+
+  /**
+   * Line diff of two strings (Myers' algorithm, so the work grows with the
+   * number of changed lines rather than the file size). If more lines changed
+   * than FILESYSTEM.MAX_DIFF_EDITS, the part between the unchanged lines at the
+   * start and end is shown as removed and re-added as a whole.
+   * @param {string} a - Old text
+   * @param {string} b - New text
+   * @returns {object[]} Array of {type: 'same'|'added'|'removed', line}
+   */
+  diffLines(a, b) {
+    const oldLines = a.split('\n');
+    const newLines = b.split('\n');
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+      start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+    const middle = this.diffMiddle(oldMiddle, newMiddle) || [
+      ...oldMiddle.map(line => ({ type: 'removed', line })),
+      ...newMiddle.map(line => ({ type: 'added', line }))
+    ];
+
+    return [
+      ...oldLines.slice(0, start).map(line => ({ type: 'same', line })),
+      ...middle,
+      ...oldLines.slice(oldEnd).map(line => ({ type: 'same', line }))
+    ];
+  }
+
+  /**
+   * Shortest edit script between two line arrays (Myers, "An O(ND) Difference Algorithm")
+   * @param {string[]} oldLines
+   * @param {string[]} newLines
+   * @returns {object[]|null} Array of {type, line}, or null if more than
+   *   FILESYSTEM.MAX_DIFF_EDITS lines were added and removed
+   */
+  diffMiddle(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const maxEdits = Math.min(n + m, FILESYSTEM.MAX_DIFF_EDITS);
+
+    // v[k + offset] = furthest x reached on diagonal k (x - y = k)
+    const offset = maxEdits + 1;
+    const v = new Int32Array(2 * offset + 1);
+    // The part of v each step started from, [-d - 1 .. d + 1], for walking back
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= maxEdits && !found; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && oldLines[x] === newLines[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (!found) return null;
+
+    const result = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const previous = trace[d];
+      const at = k => previous[k + d + 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        result.push({ type: 'same', line: oldLines[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          result.push({ type: 'added', line: newLines[--y] });
+        } else {
+          result.push({ type: 'removed', line: oldLines[--x] });
+        }
+      }
+    }
+
+    return result.reverse();
+  }
+
+  /**
+   * Restore a file to a previous revision.
+   * The content being replaced is itself kept as a revision, so a restore can be undone.
+   * @param {string|string[]} path - File path
+   * @param {string} versionId - Revision id
+   * @returns {Promise<void>}
+   */
+  async restoreVersion(path, versionId) {
+    const node = this.getFileNode(path);
+    const content = await this.getVersionContent(path, versionId);
+    const version = node.versions.find(v => v.id === versionId);
+
+    await this.loadContent(node);
+    this.writeFile(path, content, node.extension);
+
+    EventBus.emit(FileSystemEvents.FILE_RESTORED, {
+      path: this.parsePath(path).join('/'),
+      versionId,
+      timestamp: version.timestamp
+    });
+  }
+
   /**
    * Get file/directory info
    * @param {string|string[]} path - Path to get info for
    * @returns {object} File/directory metadata
    */
   getInfo(path) {
-    const node = this.getNode(path);
+    const link = this.getNode(path, { followLinks: false });
 
-    if (!node) {
+    if (!link) {
       throw new Error(`Path not found: ${path}`);
     }
 
+    // A symbolic link reports its target's type and size, a broken one its own
+    const node = link.type === 'symlink' ? (this.getNode(path) || link) : link;
     const parts = this.parsePath(path);
     const name = parts[parts.length - 1] || 'Root';
+    const linkTarget = this.getLinkTarget(link);
 
     return {
       name,
       type: node.type,
-      extension: node.extension || '',
+      extension: link.extension || node.extension || '',
       size: node.size || 0,
-      created: node.created,
-      modified: node.modified,
-      label: node.label
+      created: link.created,
+      modified: link.modified,
+      label: node.label,
+      attributes: this.normalizeAttributes(link),
+      ...(linkTarget && this.describeLink(link))
     };
   }
 
+  /**
+   * Get a node's attributes with every flag present
+   * @param {object} node - File system node
+   * @returns {{readOnly: boolean, hidden: boolean, system: boolean, archive: boolean}}
+   */
+  normalizeAttributes(node) {
+    const attributes = {};
+    for (const flag of FILE_ATTRIBUTES) {
+      attributes[flag] = !!node.attributes?.[flag];
+    }
+    return attributes;
+  }
+
+  /**
+   * Get the attributes of a file or directory
+   * @param {string|string[]} path - Path
+   * @returns {{readOnly: boolean, hidden: boolean, system: boolean, archive: boolean}}
+   */
+  getAttributes(path) {
+    const node = this.getNode(path);
+
+    if (!node) {
+      throw new FileSystemError(`Path not found: ${path}`, 'NOT_FOUND', path);
+    }
+
+    return this.normalizeAttributes(node);
+  }
+
+  /**
+   * Set or clear attributes on a file or directory
+   * @param {string|string[]} path - Path
+   * @param {object} changes - Flags to change, e.g. { readOnly: true, hidden: false }
+   * @returns {object} The resulting attributes
+   */
+  setAttributes(path, changes) {
+    const { node, parts } = this.resolvePath(path);
+    this.assertDriveWritable(parts);
+
+    if (!node || (node.type !== 'file' && node.type !== 'directory')) {
+      throw new FileSystemError(`Path not found: ${path}`, 'NOT_FOUND', path);
+    }
+
+    const attributes = { ...node.attributes };
+    for (const [flag, value] of Object.entries(changes)) {
+      if (!FILE_ATTRIBUTES.includes(flag)) {
+        throw new Error(`Unknown attribute: ${flag}`);
+      }
+      if (value) {
+        attributes[flag] = true;
+      } else {
+        delete attributes[flag];
+      }
+    }
+    node.attributes = attributes;
+
+    const result = this.normalizeAttributes(node);
+    this.saveFileSystem();
+    this.notifyChange('modify', parts);
+    EventBus.emit(FileSystemEvents.ATTRIBUTES_CHANGED, {
+      path: parts.join('/'),
+      attributes: result
+    });
+
+    return result;
+  }
+
+  /**
+   * Throw if a node's attributes forbid an operation.
+   * Read-only items can't be written, deleted or moved; system items can't be deleted or moved.
+   * @param {object} node - Target node
+   * @param {string[]} parts - Target path
+   * @param {string} operation - 'write', 'delete' or 'move'
+   */
+  assertModifiable(node, parts, operation) {
+    const path = parts.join('/');
+
+    if (node.attributes?.readOnly) {
+      throw new FileSystemError(`Access denied - ${path} is read-only`, 'READ_ONLY', path);
+    }
+
+    if (node.attributes?.system && operation !== 'write') {
+      throw new FileSystemError(`Access denied - ${path} is a system file`, 'SYSTEM', path);
+    }
+  }
+
   /**
    * Format bytes to human readable size
    * @param {number} bytes - Bytes
@@ -660,8 +2090,10 @@ class FileSystemManager {
    * @returns {boolean} True if successful
    */
   moveItem(sourcePath, destPath) {
-    const srcParts = this.parsePath(sourcePath);
-    const destParts = this.parsePath(destPath);
+    const srcParts = this.getRealPath(sourcePath);
+    const destParts = this.resolvePath(destPath).parts;
+    this.assertDriveWritable(srcParts);
+    this.assertDriveWritable(destParts);
 
     const srcName = srcParts[srcParts.length - 1];
     const srcParentPath = srcParts.slice(0, -1);
@@ -678,6 +2110,8 @@ class FileSystemManager {
       throw new Error(`Source not found: ${sourcePath}`);
     }
 
+    this.assertModifiable(srcNode, srcParts, 'move');
+
     // Get destination node
     const destNode = this.getNode(destParts);
     if (!destNode) {
@@ -694,13 +2128,22 @@ class FileSystemManager {
       throw new Error(`Item already exists at destination: ${srcName}`);
     }
 
+    if (srcParts[0] !== destParts[0]) {
+      this.assertSpaceAvailable(destParts, this.measureUsage(srcNode));
+    }
+
     // Copy to destination
     destChildren[srcName] = JSON.parse(JSON.stringify(srcNode));
+    if (this.isPersistentPath(srcParts) && !this.isPersistentPath(destParts)) {
+      // A mounted drive keeps content in memory, so the body records go
+      this.detachContent(destChildren[srcName]);
+    }
 
     // Remove from source
     delete srcChildren[srcName];
 
     this.saveFileSystem();
+    this.notifyChange('rename', [...destParts, srcName], srcParts);
     EventBus.emit(FileSystemEvents.FILE_MOVED, {
       fromPath: srcParts.join('/'),
       toPath: [...destParts, srcName].join('/')
@@ -709,6 +2152,61 @@ class FileSystemManager {
     return true;
   }
 
+  /**
+   * Rename a file or directory in place.
+   * Content, revisions, attributes and timestamps stay with the item.
+   * @param {string|string[]} path - Item path
+   * @param {string} newName - New name (no path separators)
+   * @returns {string[]} New path
+   */
+  renameItem(path, newName) {
+    const parts = this.getRealPath(path);
+    this.assertDriveWritable(parts);
+
+    if (!newName || /[\\/]/.test(newName)) {
+      throw new Error(`Invalid name: ${newName}`);
+    }
+
+    const oldName = parts[parts.length - 1];
+    const parent = this.getNode(parts.slice(0, -1));
+    const children = parent && (parent.children || parent);
+    const node = children && children[oldName];
+    if (!node || parts.length < 2) {
+      throw new Error(`Not found: ${parts.join('/')}`);
+    }
+
+    this.assertModifiable(node, parts, 'rename');
+
+    const newParts = [...parts.slice(0, -1), newName];
+    if (newName === oldName) return newParts;
+    if (children[newName]) {
+      throw new Error(`An item named ${newName} already exists`);
+    }
+
+    // Rebuild the children map so the item keeps its position
+    const renamed = {};
+    for (const [name, child] of Object.entries(children)) {
+      renamed[name === oldName ? newName : name] = child;
+    }
+    for (const name of Object.keys(children)) {
+      delete children[name];
+    }
+    Object.assign(children, renamed);
+
+    if (node.type === 'file') {
+      node.extension = newName.includes('.') ? newName.split('.').pop().toLowerCase() : '';
+    }
+
+    this.saveFileSystem();
+    this.notifyChange('rename', newParts, parts);
+    EventBus.emit(FileSystemEvents.FILE_RENAMED, {
+      fromPath: parts.join('/'),
+      toPath: newParts.join('/')
+    });
+
+    return newParts;
+  }
+
   /**
    * Copy a file or directory from one path to another
    * @param {string|string[]} sourcePath - Source path
@@ -717,7 +2215,8 @@ class FileSystemManager {
    */
   copyItem(sourcePath, destPath) {
     const srcParts = this.parsePath(sourcePath);
-    const destParts = this.parsePath(destPath);
+    const destParts = this.resolvePath(destPath).parts;
+    this.assertDriveWritable(destParts);
 
     const srcName = srcParts[srcParts.length - 1];
 
@@ -738,6 +2237,9 @@ class FileSystemManager {
       throw new Error(`Destination is not a directory: ${destPath}`);
     }
 
+    // A copy starts without revisions (see copyContent)
+    this.assertSpaceAvailable(destParts, this.measureUsage(srcNode, false));
+
     // Generate unique name if needed
     let newName = srcName;
     let counter = 1;
@@ -755,8 +2257,10 @@ class FileSystemManager {
     // Deep copy to destination
     destChildren[newName] = JSON.parse(JSON.stringify(srcNode));
     destChildren[newName].modified = new Date().toISOString();
+    this.copyContent(srcNode, destChildren[newName], this.isPersistentPath(destParts));
 
     this.saveFileSystem();
+    this.notifyChange('create', [...destParts, newName]);
     EventBus.emit(FileSystemEvents.FILE_COPIED, {
       fromPath: srcParts.join('/'),
       toPath: [...destParts, newName].join('/')
@@ -765,12 +2269,191 @@ class FileSystemManager {
     return true;
   }
 
+  /**
+   * Give a copied subtree its own body records and drop the copied revision history.
+   * Bodies that aren't in memory are loaded first and saved once available.
+   * @param {object} source - Original node
+   * @param {object} copy - Deep copy of the node
+   * @param {boolean} persist - False when the copy lands on a mounted drive,
+   *   which keeps content in memory instead of in body records
+   */
+  copyContent(source, copy, persist = true) {
+    if (copy.type === 'file') {
+      // A copy is a new file, so it starts without revision history
+      delete copy.versions;
+
+      if (!this.backend.separateBodies || !source.blobId) return;
+      if (persist) {
+        copy.blobId = this.createBlobId();
+      } else {
+        delete copy.blobId;
+      }
+      if (this.isContentLoaded(source)) {
+        copy.content = source.content;
+        this.markContentDirty(copy);
+      } else {
+        this.loadContent(source).then(() => {
+          copy.content = source.content;
+          if (persist) {
+            this.markContentDirty(copy);
+            this.saveFileSystem();
+          }
+        }).catch(e => {
+          console.error('[FileSystemManager] Failed to copy file content:', e);
+          EventBus.emit(FileSystemEvents.ERROR, { operation: 'copy', error: e.message });
+        });
+      }
+      return;
+    }
+
+    for (const [name, child] of Object.entries(copy.children || {})) {
+      this.copyContent(source.children[name], child, persist);
+    }
+  }
+
+  /**
+   * Watch a path for changes.
+   * Changes made in the same turn of the event loop are coalesced (a file that is
+   * created and then written is reported once as 'create', one created and deleted
+   * again is not reported) and delivered together once the turn has finished.
+   * A watcher also hears about the deletion or renaming of the watched path itself
+   * or any of its ancestors.
+   * @param {string|string[]} path - Directory (or file) to watch; [] watches the drive list
+   * @param {object} options
+   * @param {boolean} options.recursive - Also report changes below direct children
+   * @param {function(Array<{type: string, path: string[], oldPath?: string[]}>)} callback
+   *   Receives the changes; type is 'create', 'modify', 'delete' or 'rename' (with oldPath)
+   * @returns {function(): void} Unsubscribe function
+   */
+  watch(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const watcher = {
+      parts: this.parsePath(path),
+      recursive: Boolean(options?.recursive),
+      callback
+    };
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  /**
+   * Queue a change for watchers
+   * @param {string} type - 'create' | 'modify' | 'delete' | 'rename'
+   * @param {string[]} parts - Changed path
+   * @param {string[]} oldParts - Previous path for renames
+   */
+  notifyChange(type, parts, oldParts = null) {
+    this.invalidateUsage();
+    if (this.watchers.size === 0) return;
+
+    const change = { type, path: [...parts] };
+    if (oldParts) {
+      change.oldPath = [...oldParts];
+    }
+    this.pendingChanges.push(change);
+
+    if (!this.changeFlushScheduled) {
+      this.changeFlushScheduled = true;
+      queueMicrotask(() => this.flushChanges());
+    }
+  }
+
+  /**
+   * Merge queued changes to the same path
+   * @param {Array} changes - Changes in the order they happened
+   * @returns {Array} Coalesced changes
+   */
+  coalesceChanges(changes) {
+    const byPath = new Map();
+    let renames = 0;
+
+    for (const change of changes) {
+      if (change.type === 'rename') {
+        // Renames carry two paths; keep each one as it is
+        byPath.set(`rename:${renames++}`, change);
+        continue;
+      }
+
+      const key = change.path.join('/');
+      const previous = byPath.get(key);
+      if (!previous) {
+        byPath.set(key, change);
+      } else if (previous.type === 'create' && change.type === 'delete') {
+        byPath.delete(key);
+      } else if (previous.type === 'create') {
+        // create + modify is still a create
+      } else if (previous.type === 'delete' && change.type === 'create') {
+        byPath.set(key, { ...change, type: 'modify' });
+      } else {
+        byPath.set(key, change);
+      }
+    }
+
+    return [...byPath.values()];
+  }
+
+  /**
+   * Deliver queued changes to the watchers they concern
+   */
+  flushChanges() {
+    this.changeFlushScheduled = false;
+    const changes = this.coalesceChanges(this.pendingChanges);
+    this.pendingChanges = [];
+
+    for (const watcher of [...this.watchers]) {
+      // Skip watchers removed by an earlier callback in this flush
+      if (!this.watchers.has(watcher)) continue;
+
+      const relevant = changes.filter(change =>
+        this.watcherMatches(watcher, change.path) ||
+        (change.oldPath && this.watcherMatches(watcher, change.oldPath)));
+      if (relevant.length === 0) continue;
+
+      try {
+        watcher.callback(relevant);
+      } catch (e) {
+        console.error('[FileSystemManager] Watch callback failed:', e);
+      }
+    }
+  }
+
+  /**
+   * Check whether a changed path concerns a watcher
+   * @param {object} watcher - Watcher entry
+   * @param {string[]} parts - Changed path
+   * @returns {boolean}
+   */
+  watcherMatches(watcher, parts) {
+    const base = watcher.parts;
+    const shared = Math.min(base.length, parts.length);
+    for (let i = 0; i < shared; i++) {
+      if (base[i] !== parts[i]) return false;
+    }
+
+    // The watched path itself or an ancestor changed
+    if (parts.length <= base.length) return true;
+    return watcher.recursive || parts.length === base.length + 1;
+  }
+
   /**
    * Reset file system to default
+   * @returns {Promise<void>} Resolves once storage has been rewritten
    */
   reset() {
+    if (this.backend.separateBodies) {
+      const backend = this.backend;
+      this.pendingBodies.clear();
+      this.removedBodies.clear();
+      this.saveChain = this.saveChain.then(() => backend.clear());
+    }
     this.fileSystem = this.getDefaultFileSystem();
     this.saveFileSystem();
+    this.notifyChange('modify', []);
+    return this.saveChain;
   }
 
   /**
@@ -799,7 +2482,7 @@ class FileSystemManager {
       }
 
       // Create or update the shortcut file
-      desktopNode.children[fileName] = {
+      this.replaceGeneratedFile(desktopNode.children, fileName, {
         type: 'file',
         content: JSON.stringify({
           type: icon.type || 'app',
@@ -815,7 +2498,7 @@ class FileSystemManager {
         shortcutTarget: icon.type === 'link' ? icon.url : icon.id,
         shortcutType: icon.type || 'app',
         shortcutIcon: icon.emoji
-      };
+      });
     }
 
     // Note: We don't save here to avoid circular updates
@@ -853,7 +2536,7 @@ class FileSystemManager {
 
       // Create the executable file
       const exeName = `${app.id}.exe`;
-      programFilesNode.children[folderName].children[exeName] = {
+      this.replaceGeneratedFile(programFilesNode.children[folderName].children, exeName, {
         type: 'file',
         content: `[Executable]\nApp: ${app.name}\nID: ${app.id}\nIcon: ${app.icon}`,
         extension: 'exe',
@@ -862,8 +2545,26 @@ class FileSystemManager {
         modified: now,
         isExecutable: true,
         appId: app.id
-      };
+      });
+    }
+  }
+
+  /**
+   * Put a file generated at boot in place of the previous one.
+   * The new file takes over the old file's body record instead of leaving it behind.
+   * @param {object} children - Children map of the parent folder
+   * @param {string} name - File name
+   * @param {object} file - New file node with its content
+   */
+  replaceGeneratedFile(children, name, file) {
+    const existing = children[name];
+    if (existing?.type === 'file' && existing.blobId) {
+      file.blobId = existing.blobId;
+      this.markContentDirty(file);
+      delete existing.blobId;
     }
+    this.releaseContent(existing);
+    children[name] = file;
   }
 
   /**
@@ -0,0 +1,247 @@
+/**
+ * FileSystemStorage - Pluggable persistence backends for FileSystemManager
+ *
+ * A backend persists two things:
+ *   - the directory index: the drive/directory/file tree with metadata only
+ *   - file bodies: one record per file, keyed by the node's blobId
+ *
+ * Backends:
+ *   LocalStorageBackend - legacy single-key storage (whole tree, inline content)
+ *   IndexedDBBackend    - small index record plus one IndexedDB record per file body
+ *
+ * Usage:
+ *   const backend = await createFileSystemBackend();
+ *   const index = await backend.loadIndex();
+ *   const body = await backend.readBody(node.blobId);
+ */
+
+import StorageManager from './StorageManager.js';
+
+const LEGACY_KEY = 'fileSystem';
+const DB_NAME = 'illuminatos_fs';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const BLOB_STORE = 'blobs';
+const INDEX_KEY = 'index';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Legacy backend - the whole tree, file bodies included, in one localStorage key.
+ * Also used as the fallback when IndexedDB is unavailable.
+ */
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+        // Bodies live inline in the index, so nodes never need a blobId
+        this.separateBodies = false;
+    }
+
+    /**
+     * Load the stored tree synchronously (used during construction)
+     * @returns {object|null} Saved tree or null
+     */
+    loadIndexSync() {
+        return StorageManager.get(LEGACY_KEY);
+    }
+
+    async loadIndex() {
+        return this.loadIndexSync();
+    }
+
+    /**
+     * Persist the tree
+     * @param {object} tree - Full file system tree including content
+     * @returns {boolean} Success status
+     */
+    save(tree) {
+        return StorageManager.set(LEGACY_KEY, tree);
+    }
+
+    async readBody() {
+        return undefined;
+    }
+
+    async clear() {
+        StorageManager.remove(LEGACY_KEY);
+    }
+}
+
+/**
+ * IndexedDB backend - keeps the index small and stores each file body separately,
+ * so a save only writes the bodies that actually changed.
+ */
+class IndexedDBBackend {
+    constructor() {
+        this.name = 'indexedDB';
+        this.separateBodies = true;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB exists in this environment
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+            }
+            if (!db.objectStoreNames.contains(BLOB_STORE)) {
+                db.createObjectStore(BLOB_STORE);
+            }
+        };
+
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    /**
+     * Load the directory index
+     * @returns {Promise<object|null>} Index tree or null if nothing is stored
+     */
+    async loadIndex() {
+        const db = await this.open();
+        const tx = db.transaction(META_STORE, 'readonly');
+        const index = await promisify(tx.objectStore(META_STORE).get(INDEX_KEY));
+        return index || null;
+    }
+
+    /**
+     * Read a single file body
+     * @param {string} blobId - Body record id
+     * @returns {Promise<string|undefined>} Body or undefined if missing
+     */
+    async readBody(blobId) {
+        const db = await this.open();
+        const tx = db.transaction(BLOB_STORE, 'readonly');
+        return promisify(tx.objectStore(BLOB_STORE).get(blobId));
+    }
+
+    /**
+     * Persist the index and the changed bodies in one transaction
+     * @param {object} index - Tree without inline content
+     * @param {Map<string, string>} bodies - blobId -> content to write
+     * @param {Iterable<string>} removed - blobIds to delete
+     * @param {object} options
+     * @param {boolean} options.replace - Delete every stored body first, in the same transaction
+     * @returns {Promise<void>}
+     */
+    async save(index, bodies = new Map(), removed = [], { replace = false } = {}) {
+        const db = await this.open();
+        const tx = db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+        const blobStore = tx.objectStore(BLOB_STORE);
+
+        if (replace) {
+            blobStore.clear();
+        }
+        for (const [blobId, content] of bodies) {
+            blobStore.put(content, blobId);
+        }
+        for (const blobId of removed) {
+            blobStore.delete(blobId);
+        }
+        tx.objectStore(META_STORE).put(index, INDEX_KEY);
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Ask the browser how much this origin may store
+     * @returns {Promise<number|null>} Quota in bytes, or null if the browser doesn't say
+     */
+    async estimateQuota() {
+        try {
+            const estimate = await navigator.storage?.estimate?.();
+            return estimate?.quota || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Remove everything stored by this backend
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+        tx.objectStore(META_STORE).clear();
+        tx.objectStore(BLOB_STORE).clear();
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+/**
+ * Pick the best backend for this browser
+ * @returns {Promise<LocalStorageBackend|IndexedDBBackend>}
+ */
+async function createFileSystemBackend() {
+    if (IndexedDBBackend.isAvailable()) {
+        const backend = new IndexedDBBackend();
+        try {
+            await backend.open();
+            return backend;
+        } catch (e) {
+            console.warn('[FileSystemStorage] IndexedDB unavailable, using localStorage:', e);
+        }
+    }
+    return new LocalStorageBackend();
+}
+
+/**
+ * Check whether a legacy single-key file system exists in localStorage
+ * @returns {boolean}
+ */
+function hasLegacyFileSystem() {
+    return StorageManager.has(LEGACY_KEY);
+}
+
+/**
+ * Remove the legacy single-key file system after migration
+ */
+function removeLegacyFileSystem() {
+    StorageManager.remove(LEGACY_KEY);
+}
+
+export {
+    LocalStorageBackend,
+    IndexedDBBackend,
+    createFileSystemBackend,
+    hasLegacyFileSystem,
+    removeLegacyFileSystem
+};
+export default createFileSystemBackend;
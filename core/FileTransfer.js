@@ -0,0 +1,259 @@
+/**
+ * FileTransfer - Moves real files in and out of the virtual file system
+ *
+ * Imports host files (drag-and-drop or a file picker) and ZIP archives, and
+ * exports folders as ZIP downloads. Everything goes through
+ * FileSystemManager.writeFile/createDirectory, so events, versions and
+ * attribute/drive checks apply as usual.
+ *
+ * Content mapping:
+ *   - images are stored as data URLs (what Paint reads and writes)
+ *   - valid UTF-8 without NUL bytes is stored as text
+ *   - anything else is stored as a data URL so it survives a round trip
+ */
+
+import FileSystemManager from './FileSystemManager.js';
+import { createZip, readZip } from './ZipArchive.js';
+import { FILE_TYPES } from './Constants.js';
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    ico: 'image/x-icon',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    pdf: 'application/pdf',
+    zip: 'application/zip'
+};
+
+class FileTransferClass {
+    /**
+     * Get the lowercase extension of a file name
+     * @param {string} name
+     * @returns {string}
+     */
+    getExtension(name) {
+        return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    }
+
+    /**
+     * Convert raw bytes to the string content stored in a file node
+     * @param {string} name - File name (used to pick text, image or binary)
+     * @param {Uint8Array} bytes
+     * @returns {string} Text or data URL
+     */
+    bytesToContent(name, bytes) {
+        const extension = this.getExtension(name);
+
+        if (!FILE_TYPES.IMAGE.includes(extension)) {
+            try {
+                const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                if (!text.includes('\0')) {
+                    return text;
+                }
+            } catch (e) {
+                // Not UTF-8 - store as binary below
+            }
+        }
+
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        const mimeType = MIME_TYPES[extension] || 'application/octet-stream';
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Convert stored file content back to raw bytes
+     * @param {string} content - Text or data URL
+     * @returns {Uint8Array}
+     */
+    contentToBytes(content) {
+        const match = /^data:[^,]*;base64,/.exec(content);
+        if (match) {
+            const binary = atob(content.slice(match[0].length));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        }
+        return new TextEncoder().encode(content);
+    }
+
+    /**
+     * Pick a name that doesn't collide with an existing item, e.g. "photo (1).png"
+     * @param {string[]} dirPath - Directory path
+     * @param {string} name - Desired name
+     * @returns {string}
+     */
+    getUniqueName(dirPath, name) {
+        let candidate = name;
+        let counter = 1;
+        while (FileSystemManager.exists([...dirPath, candidate])) {
+            const dot = name.lastIndexOf('.');
+            candidate = dot > 0
+                ? `${name.slice(0, dot)} (${counter}).${name.slice(dot + 1)}`
+                : `${name} (${counter})`;
+            counter++;
+        }
+        return candidate;
+    }
+
+    /**
+     * Import host files, e.g. from a drop event's dataTransfer.files
+     * @param {FileList|File[]} files - Host files
+     * @param {string[]} destPath - Target directory
+     * @returns {Promise<string[]>} Names of the created files
+     */
+    async importFiles(files, destPath) {
+        const created = [];
+
+        for (const file of Array.from(files)) {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const name = this.getUniqueName(destPath, file.name);
+            const modified = file.lastModified ? new Date(file.lastModified).toISOString() : undefined;
+
+            FileSystemManager.writeFile([...destPath, name], this.bytesToContent(name, bytes),
+                this.getExtension(name), { modified });
+            created.push(name);
+        }
+
+        return created;
+    }
+
+    /**
+     * Extract a ZIP archive into a directory.
+     * Folders are merged and existing files overwritten (their old content is kept as a version).
+     * @param {Blob|ArrayBuffer|Uint8Array} source - Archive
+     * @param {string[]} destPath - Target directory
+     * @returns {Promise<number>} Number of files written
+     */
+    async importZip(source, destPath) {
+        const buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+        const entries = await readZip(buffer);
+        let fileCount = 0;
+
+        // Parents before children so folder timestamps come from their own entries
+        entries.sort((a, b) => a.path.localeCompare(b.path));
+
+        for (const entry of entries) {
+            const parts = FileSystemManager.parsePath(entry.path);
+            if (parts.length === 0 || parts.some(part => part === '..' || part === '.')) continue;
+
+            const dirParts = entry.directory ? parts : parts.slice(0, -1);
+            for (let i = 1; i <= dirParts.length; i++) {
+                const dir = [...destPath, ...dirParts.slice(0, i)];
+                if (!FileSystemManager.exists(dir)) {
+                    const timestamp = entry.directory && i === dirParts.length ? entry.modified : undefined;
+                    FileSystemManager.createDirectory(dir, { modified: timestamp });
+                }
+            }
+
+            if (!entry.directory) {
+                const name = parts[parts.length - 1];
+                FileSystemManager.writeFile([...destPath, ...parts], this.bytesToContent(name, entry.data),
+                    this.getExtension(name), { modified: entry.modified });
+                fileCount++;
+            }
+        }
+
+        return fileCount;
+    }
+
+    /**
+     * Build a ZIP archive of a folder. The folder itself is the archive's top-level entry.
+     * @param {string[]} path - Folder path
+     * @returns {Promise<Uint8Array>} Archive bytes
+     */
+    async buildZip(path) {
+        const root = FileSystemManager.getNode(path);
+        if (!root || !root.children) {
+            throw new Error(`Not a folder: ${path.join('/')}`);
+        }
+
+        const entries = [];
+        const walk = async (nodePath, archivePath) => {
+            const node = FileSystemManager.getNode(nodePath);
+            entries.push({ path: archivePath, directory: true, modified: node.modified });
+
+            for (const [name, child] of Object.entries(node.children)) {
+                if (child.type === 'directory') {
+                    await walk([...nodePath, name], `${archivePath}/${name}`);
+                } else if (child.type === 'file') {
+                    const content = await FileSystemManager.readFileAsync([...nodePath, name]);
+                    entries.push({
+                        path: `${archivePath}/${name}`,
+                        data: this.contentToBytes(content),
+                        modified: child.modified
+                    });
+                }
+            }
+        };
+
+        const folderName = path[path.length - 1].replace(':', '');
+        await walk(path, folderName);
+        return createZip(entries);
+    }
+
+    /**
+     * Download a folder as a ZIP file
+     * @param {string[]} path - Folder path
+     * @returns {Promise<void>}
+     */
+    async exportZip(path) {
+        const bytes = await this.buildZip(path);
+        const folderName = path[path.length - 1].replace(':', '') || 'archive';
+        this.download(new Blob([bytes], { type: 'application/zip' }), `${folderName}.zip`);
+    }
+
+    /**
+     * Ask the user for a host file
+     * @param {string} accept - Accepted file types, e.g. '.zip'
+     * @returns {Promise<File|null>} Chosen file or null if cancelled
+     */
+    pickFile(accept = '') {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.addEventListener('change', () => resolve(input.files[0] || null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+
+    /**
+     * Save a blob to the host through the browser's download mechanism
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Check whether a drag carries host files
+     * @param {DragEvent} e
+     * @returns {boolean}
+     */
+    hasHostFiles(e) {
+        return Array.from(e.dataTransfer?.types || []).includes('Files');
+    }
+}
+
+const FileTransfer = new FileTransferClass();
+export default FileTransfer;
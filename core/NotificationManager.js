@@ -0,0 +1,308 @@
+/**
+ * NotificationManager - System-wide notifications with history
+ *
+ * Anything can post a notification: apps (AppBase.notify), features
+ * (FeatureBase.notify), scenarios (the showNotification action) or plain code.
+ * Each one is kept in a history grouped by source, shown as a toast by
+ * NotificationToasts and listed in the notification panel in the system tray.
+ *
+ * Priorities:
+ *   low      - history only, never pops up
+ *   normal   - toast that hides after a few seconds
+ *   high     - toast that stays longer and jumps the queue
+ *   critical - toast that stays until closed, even in Do Not Disturb mode
+ *
+ * Actions are buttons on the notification. An action can emit an event
+ * ({ label, event, data }), launch an app ({ label, app, params }) or, from
+ * code, call a function ({ label, handler }). `defaultAction` runs when the
+ * notification itself is clicked.
+ *
+ * Usage:
+ *   NotificationManager.notify({ title: 'Saved', message: 'readme.txt was saved', source: 'Notepad' });
+ *   NotificationManager.notify({
+ *       title: 'Download complete', message: 'song.mp3',
+ *       actions: [{ label: 'Play', app: 'mediaplayer', params: { filePath } }]
+ *   });
+ */
+
+import EventBus from './EventBus.js';
+import StateManager from './StateManager.js';
+import StorageManager from './StorageManager.js';
+import AppRegistry from '../apps/AppRegistry.js';
+import { STORAGE_KEYS } from './Constants.js';
+import { SystemEvents } from './scripted-events/SemanticEvents.js';
+
+export const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+// How long a toast stays up, per priority (0 = until closed)
+const DEFAULT_DURATIONS = {
+    low: 0,
+    normal: 5000,
+    high: 10000,
+    critical: 0
+};
+
+// Oldest notifications are dropped past this many
+const MAX_HISTORY = 50;
+
+class NotificationManagerClass {
+    constructor() {
+        // Newest first
+        this.notifications = [];
+        this.nextId = 1;
+        this.initialized = false;
+    }
+
+    /**
+     * Load the history and accept notifications sent as events
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const saved = StorageManager.get(STORAGE_KEYS.NOTIFICATIONS);
+        if (Array.isArray(saved)) {
+            this.notifications = saved.slice(0, MAX_HISTORY);
+            this.nextId = this.notifications.reduce((max, n) => Math.max(max, n.id), 0) + 1;
+        }
+
+        // Anything that can't import this module can still post a notification
+        EventBus.on('notification:show', (options) => this.notify(options || {}));
+
+        this.initialized = true;
+    }
+
+    /**
+     * Post a notification
+     * @param {Object|string} options - Options, or just the message
+     * @param {string} [options.title] - Bold first line
+     * @param {string} options.message - Body text
+     * @param {string} [options.icon] - Emoji shown beside the text
+     * @param {string} [options.source='System'] - Who sent it; the history is grouped by this
+     * @param {string} [options.priority='normal'] - 'low', 'normal', 'high' or 'critical'
+     * @param {Object[]} [options.actions] - Buttons: { label, event, data, app, params, handler }
+     * @param {Object} [options.defaultAction] - Runs when the notification is clicked (same shape)
+     * @param {string} [options.tag] - A newer notification with the same tag and source replaces this one
+     * @param {number} [options.duration] - Toast time in ms (0 = until closed); defaults by priority
+     * @param {string|false} [options.sound='notify'] - Sound to play with the toast, or false
+     * @returns {number} Notification ID
+     */
+    notify(options) {
+        if (typeof options === 'string') options = { message: options };
+
+        const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+        const source = options.source || 'System';
+
+        const notification = {
+            id: this.nextId++,
+            title: options.title || '',
+            message: options.message || '',
+            icon: options.icon || 'ℹ️',
+            source,
+            priority,
+            tag: options.tag || null,
+            actions: Array.isArray(options.actions) ? options.actions.filter(a => a?.label) : [],
+            defaultAction: options.defaultAction || null,
+            duration: Number.isFinite(options.duration) ? options.duration : DEFAULT_DURATIONS[priority],
+            sound: options.sound ?? 'notify',
+            timestamp: Date.now(),
+            read: false
+        };
+
+        // Replace an older notification with the same tag
+        if (notification.tag) {
+            this.notifications = this.notifications.filter(n => !(n.tag === notification.tag && n.source === source));
+        }
+
+        this.notifications.unshift(notification);
+        this.notifications.length = Math.min(this.notifications.length, MAX_HISTORY);
+
+        // Do Not Disturb keeps everything but critical notifications out of sight
+        const toast = priority !== 'low' && (priority === 'critical' || !this.isDoNotDisturb());
+
+        EventBus.emit(SystemEvents.NOTIFICATION_POSTED, { notification, toast });
+        this.changed();
+        return notification.id;
+    }
+
+    /**
+     * Get a notification
+     * @param {number} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.notifications.find(n => n.id === id);
+    }
+
+    /**
+     * Get the history, newest first
+     * @param {string} [source] - Only this source
+     * @returns {Object[]}
+     */
+    getHistory(source) {
+        return source ? this.notifications.filter(n => n.source === source) : [...this.notifications];
+    }
+
+    /**
+     * Get the history grouped by source, most recently active source first
+     * @returns {Array<{source: string, notifications: Object[], unread: number}>}
+     */
+    getGroups() {
+        const groups = new Map();
+        for (const notification of this.notifications) {
+            if (!groups.has(notification.source)) {
+                groups.set(notification.source, { source: notification.source, notifications: [], unread: 0 });
+            }
+            const group = groups.get(notification.source);
+            group.notifications.push(notification);
+            if (!notification.read) group.unread++;
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Number of notifications not yet seen in the panel
+     * @returns {number}
+     */
+    getUnreadCount() {
+        return this.notifications.filter(n => !n.read).length;
+    }
+
+    /**
+     * Mark every notification as seen
+     */
+    markAllRead() {
+        if (!this.notifications.some(n => !n.read)) return;
+        this.notifications.forEach(n => { n.read = true; });
+        this.changed();
+    }
+
+    /**
+     * Handle a click on the notification itself
+     * @param {number} id
+     */
+    activate(id) {
+        const notification = this.get(id);
+        if (!notification) return;
+
+        notification.read = true;
+        EventBus.emit(SystemEvents.NOTIFICATION_CLICKED, { id, source: notification.source, title: notification.title });
+        if (notification.defaultAction) {
+            this.perform(notification.defaultAction, notification);
+        }
+        this.changed();
+    }
+
+    /**
+     * Run one of a notification's buttons
+     * @param {number} id
+     * @param {number} index - Position in the actions list
+     */
+    runAction(id, index) {
+        const notification = this.get(id);
+        const action = notification?.actions[index];
+        if (!action) return;
+
+        notification.read = true;
+        EventBus.emit(SystemEvents.NOTIFICATION_ACTION, {
+            id,
+            source: notification.source,
+            action: action.label
+        });
+        this.perform(action, notification);
+        this.changed();
+    }
+
+    /**
+     * Carry out an action
+     * @param {Object} action - { event, data, app, params, handler }
+     * @param {Object} notification
+     */
+    perform(action, notification) {
+        try {
+            if (typeof action.handler === 'function') {
+                action.handler(notification);
+            }
+            if (action.event) {
+                EventBus.emit(action.event, { ...action.data, notificationId: notification.id });
+            }
+            if (action.app) {
+                AppRegistry.launch(action.app, action.params || {});
+            }
+        } catch (error) {
+            console.error('[NotificationManager] Action failed:', error);
+        }
+    }
+
+    /**
+     * Remove a notification from the history
+     * @param {number} id
+     */
+    dismiss(id) {
+        const notification = this.get(id);
+        if (!notification) return;
+
+        this.notifications = this.notifications.filter(n => n.id !== id);
+        EventBus.emit(SystemEvents.NOTIFICATION_DISMISSED, { id, source: notification.source });
+        this.changed();
+    }
+
+    /**
+     * Remove notifications from the history
+     * @param {Object} [filter] - { source, tag }; everything if omitted
+     * @returns {number} Number removed
+     */
+    clear({ source, tag } = {}) {
+        const removed = this.notifications.filter(n =>
+            (!source || n.source === source) && (!tag || n.tag === tag)
+        );
+        if (removed.length === 0) return 0;
+
+        const ids = new Set(removed.map(n => n.id));
+        this.notifications = this.notifications.filter(n => !ids.has(n.id));
+        removed.forEach(n => EventBus.emit(SystemEvents.NOTIFICATION_DISMISSED, { id: n.id, source: n.source }));
+        this.changed();
+        return removed.length;
+    }
+
+    /**
+     * Whether Do Not Disturb is on
+     * @returns {boolean}
+     */
+    isDoNotDisturb() {
+        return StateManager.getState('settings.doNotDisturb') === true;
+    }
+
+    /**
+     * Turn Do Not Disturb on or off
+     * @param {boolean} enabled
+     */
+    setDoNotDisturb(enabled) {
+        StateManager.setState('settings.doNotDisturb', enabled === true, true);
+        EventBus.emit(SystemEvents.DO_NOT_DISTURB_CHANGED, { enabled: enabled === true });
+    }
+
+    /**
+     * Save the history and tell the tray
+     */
+    changed() {
+        // Handlers can't be saved; those buttons only work until the next reload
+        const saved = this.notifications.map(({ actions, defaultAction, ...rest }) => ({
+            ...rest,
+            actions: actions.filter(a => a.event || a.app).map(({ handler, ...a }) => a),
+            defaultAction: defaultAction && (defaultAction.event || defaultAction.app)
+                ? (({ handler, ...a }) => a)(defaultAction)
+                : null
+        }));
+        StorageManager.set(STORAGE_KEYS.NOTIFICATIONS, saved);
+
+        EventBus.emit(SystemEvents.NOTIFICATIONS_CHANGED, {
+            count: this.notifications.length,
+            unread: this.getUnreadCount()
+        });
+    }
+}
+
+// Singleton instance
+const NotificationManager = new NotificationManagerClass();
+
+export default NotificationManager;
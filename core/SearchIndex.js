@@ -0,0 +1,592 @@
+/**
+ * SearchIndex - Full-text index of the virtual file system
+ *
+ * Keeps an inverted index (word -> files and word positions) that is built on the
+ * first search and then updated from file system events, so later searches don't
+ * have to walk the tree or read every file. File bodies read for indexing aren't
+ * kept in memory.
+ *
+ * Query syntax (FindFiles "Containing text" field, Terminal findstr/grep):
+ *   budget report        files containing words starting with "budget" and "report"
+ *   "quarterly budget"   exact phrase
+ *   ext:txt,md           extension filter
+ *   size:>10kb           size filter; also size:<1mb and size:1kb..20kb
+ *   modified:>2024-01-01 date filter; also modified:<date and modified:date..date
+ *
+ * Usage:
+ *   const results = await SearchIndex.search({ query: '"secret plan" ext:txt', scope: ['C:'] });
+ *   // [{ path, name, folder, type, extension, size, modified, snippet }]
+ */
+
+import EventBus from './EventBus.js';
+import FileSystemManager from './FileSystemManager.js';
+import { FileSystemEvents } from './scripted-events/SemanticEvents.js';
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+const SNIPPET_CONTEXT = 40;
+const DAY = 24 * 60 * 60 * 1000;
+
+class SearchIndexClass {
+    constructor() {
+        // path key -> { path, name, type, extension, size, modified, hidden, terms }
+        this.documents = new Map();
+        // term -> Map(path key -> word positions)
+        this.postings = new Map();
+        // Every term in postings, sorted for prefix lookups; null until needed again after a change
+        this.sortedTerms = null;
+        // Serializes the initial build and every update; searches wait for it
+        this.updates = Promise.resolve();
+        this.initialized = false;
+        // Set once the first search has queued the build
+        this.buildQueued = false;
+    }
+
+    /**
+     * Start following file system events.
+     * The index itself is built by the first search.
+     */
+    initialize() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        // Until the build is queued there is nothing to update; the build sees every change
+        const enqueue = (handler) => (data) => {
+            if (this.buildQueued) this.enqueue(() => handler(data));
+        };
+
+        EventBus.on(FileSystemEvents.FILE_WRITTEN, enqueue(({ path }) => this.indexTree(path)));
+        EventBus.on(FileSystemEvents.FILE_DELETED, enqueue(({ path }) => this.removeTree(path)));
+        EventBus.on(FileSystemEvents.DIRECTORY_CREATED, enqueue(({ path }) => this.indexTree(path)));
+        EventBus.on(FileSystemEvents.DIRECTORY_DELETED, enqueue(({ path }) => this.removeTree(path)));
+        EventBus.on(FileSystemEvents.FILE_COPIED, enqueue(({ toPath }) => this.indexTree(toPath)));
+        EventBus.on(FileSystemEvents.ATTRIBUTES_CHANGED, enqueue(({ path }) => this.reindexTree(path)));
+        EventBus.on(FileSystemEvents.DRIVE_MOUNTED, enqueue(({ drive }) => this.reindexTree(drive)));
+        EventBus.on(FileSystemEvents.DRIVE_UNMOUNTED, enqueue(({ drive }) => this.reindexTree(drive)));
+
+        const moved = enqueue(async ({ fromPath, toPath }) => {
+            this.removeTree(fromPath);
+            await this.indexTree(toPath);
+        });
+        EventBus.on(FileSystemEvents.FILE_MOVED, moved);
+        EventBus.on(FileSystemEvents.FILE_RENAMED, moved);
+    }
+
+    /**
+     * Run an index update after the ones already queued
+     * @param {Function} task - Update (may be async)
+     * @returns {Promise<void>}
+     */
+    enqueue(task) {
+        this.updates = this.updates.then(task).catch(e => {
+            console.error('[SearchIndex] Update failed:', e);
+        });
+        return this.updates;
+    }
+
+    /**
+     * Index every drive from scratch
+     */
+    async build() {
+        const started = Date.now();
+
+        this.documents.clear();
+        this.postings.clear();
+        this.sortedTerms = null;
+        for (const drive of FileSystemManager.getDrives()) {
+            await this.indexTree([drive.letter]);
+        }
+
+        console.log(`[SearchIndex] Indexed ${this.documents.size} items in ${Date.now() - started}ms`);
+    }
+
+    // ===== INDEXING =====
+
+    /**
+     * Split text into lowercase words
+     * @param {string} text
+     * @returns {string[]}
+     */
+    tokenize(text) {
+        return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    /**
+     * Whether a file's content is worth indexing (not a data URL)
+     * @param {*} content
+     * @returns {boolean}
+     */
+    isTextContent(content) {
+        return typeof content === 'string' && !content.startsWith('data:');
+    }
+
+    /**
+     * Whether a path is hidden by its own attribute or one of its parents'
+     * @param {string[]} parts
+     * @returns {boolean}
+     */
+    isHiddenPath(parts) {
+        for (let i = 2; i <= parts.length; i++) {
+            if (FileSystemManager.getNode(parts.slice(0, i))?.attributes?.hidden) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Index a file or directory and everything below it
+     * @param {string|string[]} path
+     * @param {boolean} parentHidden - Whether a parent is hidden (computed when omitted)
+     */
+    async indexTree(path, parentHidden = null) {
+        const parts = FileSystemManager.parsePath(path);
+        // Links are indexed where their target lives, so a link back up the tree can't recurse
+        const node = FileSystemManager.getNode(parts, { followLinks: false });
+        if (!node || node.type === 'symlink') return;
+
+        const hidden = parentHidden === null
+            ? this.isHiddenPath(parts)
+            : parentHidden || Boolean(node.attributes?.hidden);
+
+        if (node.type === 'file') {
+            await this.indexFile(parts, node, hidden);
+            return;
+        }
+
+        // Drive roots aren't searchable items themselves
+        if (node.type === 'directory') {
+            this.addDocument(parts, node, hidden, []);
+        }
+
+        for (const name of Object.keys(node.children || {})) {
+            const child = node.children[name];
+            await this.indexTree([...parts, name], hidden || Boolean(child?.attributes?.hidden));
+        }
+    }
+
+    /**
+     * Index a single file, reading its content from storage if necessary
+     * @param {string[]} parts
+     * @param {object} node - File node
+     * @param {boolean} hidden
+     */
+    async indexFile(parts, node, hidden) {
+        const content = await FileSystemManager.fetchContent(node);
+        const words = this.isTextContent(content) ? this.tokenize(content) : [];
+        this.addDocument(parts, node, hidden, words);
+    }
+
+    /**
+     * Add or replace a document
+     * @param {string[]} parts - Path
+     * @param {object} node - File system node
+     * @param {boolean} hidden
+     * @param {string[]} words - Content words in order
+     */
+    addDocument(parts, node, hidden, words) {
+        const key = parts.join('/');
+        this.removeDocument(key);
+
+        const positions = new Map();
+        words.forEach((word, index) => {
+            if (!positions.has(word)) positions.set(word, []);
+            positions.get(word).push(index);
+        });
+
+        for (const [term, list] of positions) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.sortedTerms = null;
+            }
+            this.postings.get(term).set(key, list);
+        }
+
+        const name = parts[parts.length - 1];
+        this.documents.set(key, {
+            path: [...parts],
+            name,
+            type: node.type,
+            extension: node.type === 'file'
+                ? (node.extension || (name.includes('.') ? name.split('.').pop() : '')).toLowerCase()
+                : '',
+            size: node.size || 0,
+            modified: node.modified || null,
+            hidden,
+            terms: [...positions.keys()]
+        });
+    }
+
+    /**
+     * Remove a document and its postings
+     * @param {string} key - Path key
+     */
+    removeDocument(key) {
+        const doc = this.documents.get(key);
+        if (!doc) return;
+
+        for (const term of doc.terms) {
+            const docs = this.postings.get(term);
+            if (!docs) continue;
+            docs.delete(key);
+            if (docs.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+        this.documents.delete(key);
+    }
+
+    /**
+     * Remove a path and everything below it
+     * @param {string|string[]} path
+     */
+    removeTree(path) {
+        const key = FileSystemManager.parsePath(path).join('/');
+        for (const docKey of [...this.documents.keys()]) {
+            if (docKey === key || docKey.startsWith(`${key}/`)) {
+                this.removeDocument(docKey);
+            }
+        }
+    }
+
+    /**
+     * Drop and re-add a path and everything below it
+     * @param {string|string[]} path
+     */
+    async reindexTree(path) {
+        this.removeTree(path);
+        await this.indexTree(path);
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Parse a size like "10kb" into bytes
+     * @param {string} text
+     * @returns {number|null}
+     */
+    parseSize(text) {
+        const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(text.trim());
+        if (!match) return null;
+        return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+    }
+
+    /**
+     * Parse a date into a timestamp
+     * @param {string} text
+     * @param {boolean} [upper=false] - Upper bound: a date without a time means the end of that day
+     * @returns {number|null}
+     */
+    parseDate(text, upper = false) {
+        const time = Date.parse(text);
+        if (Number.isNaN(time)) return null;
+        return upper && !/\d:\d/.test(text) ? time + DAY - 1 : time;
+    }
+
+    /**
+     * Parse a range filter value: ">x", "<x" or "x..y"
+     * @param {string} value
+     * @param {Function} parse - Converts one bound, called with (text, upper)
+     * @returns {{min: number|null, max: number|null}|null} Null if the value isn't a valid range
+     */
+    parseRange(value, parse) {
+        let min = null;
+        let max = null;
+
+        if (value.startsWith('>')) {
+            min = parse(value.slice(1));
+            if (min === null) return null;
+        } else if (value.startsWith('<')) {
+            max = parse(value.slice(1), true);
+            if (max === null) return null;
+        } else if (value.includes('..')) {
+            const [from, to] = value.split('..');
+            min = from ? parse(from) : null;
+            max = to ? parse(to, true) : null;
+            if ((from && min === null) || (to && max === null)) return null;
+        } else {
+            return null;
+        }
+        return { min, max };
+    }
+
+    /**
+     * Split a query string into words, phrases and filters.
+     * Filters that don't parse are searched for as text.
+     * @param {string} query
+     * @returns {{words: string[], phrases: string[], extensions: string[], minSize: number|null,
+     *   maxSize: number|null, modifiedAfter: number|null, modifiedBefore: number|null}}
+     */
+    parseQuery(query = '') {
+        const parsed = {
+            words: [],
+            phrases: [],
+            extensions: [],
+            minSize: null,
+            maxSize: null,
+            modifiedAfter: null,
+            modifiedBefore: null
+        };
+
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            if (match[1] !== undefined) {
+                if (match[1].trim()) parsed.phrases.push(match[1].trim());
+                continue;
+            }
+
+            const token = match[2];
+            const filter = /^(ext|size|modified):(.+)$/i.exec(token);
+            if (filter) {
+                const value = filter[2];
+                const kind = filter[1].toLowerCase();
+                if (kind === 'ext') {
+                    parsed.extensions.push(...value.split(',').map(ext => ext.replace(/^\./, '').toLowerCase()).filter(Boolean));
+                    continue;
+                }
+                const range = this.parseRange(value, kind === 'size' ? v => this.parseSize(v) : (v, upper) => this.parseDate(v, upper));
+                if (range) {
+                    if (kind === 'size') {
+                        parsed.minSize = range.min;
+                        parsed.maxSize = range.max;
+                    } else {
+                        parsed.modifiedAfter = range.min;
+                        parsed.modifiedBefore = range.max;
+                    }
+                    continue;
+                }
+            }
+
+            parsed.words.push(token);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Find the documents containing every word of a phrase in order
+     * @param {string[]} words - Phrase words
+     * @returns {Set<string>} Path keys
+     */
+    findPhrase(words) {
+        const result = new Set();
+        if (words.length === 0) return result;
+
+        const first = this.postings.get(words[0]);
+        if (!first) return result;
+
+        for (const [key, positions] of first) {
+            const matches = positions.some(start => words.every((word, offset) =>
+                offset === 0 || this.postings.get(word)?.get(key)?.includes(start + offset)));
+            if (matches) result.add(key);
+        }
+        return result;
+    }
+
+    /**
+     * Find the documents containing a word that starts with the given text
+     * @param {string} prefix - Lowercase word
+     * @returns {Map<string, number>} Path key -> number of occurrences
+     */
+    findPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+        const terms = this.sortedTerms;
+
+        // Terms starting with the prefix sort right after it, next to each other
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (terms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const result = new Map();
+        for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+            for (const [key, positions] of this.postings.get(terms[i])) {
+                result.set(key, (result.get(key) || 0) + positions.length);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Convert a wildcard name pattern (* and ?) to a regex
+     * @param {string} pattern
+     * @param {boolean} caseSensitive
+     * @returns {RegExp}
+     */
+    wildcardToRegex(pattern, caseSensitive = false) {
+        const regex = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${regex}$`, caseSensitive ? '' : 'i');
+    }
+
+    /**
+     * Search the index
+     * @param {object} options
+     * @param {string} options.query - Content query (see syntax above)
+     * @param {string} options.name - Wildcard name pattern, e.g. '*.txt'
+     * @param {string[]} options.scope - Folder to search in ([] for all drives)
+     * @param {boolean} options.recursive - Include subfolders (default true)
+     * @param {boolean} options.caseSensitive - Match name and text case
+     * @param {boolean} options.includeHidden - Include hidden items
+     * @param {string[]} options.extensions - Extension filter, merged with ext: in the query
+     * @param {number} options.minSize - Minimum size in bytes
+     * @param {number} options.maxSize - Maximum size in bytes
+     * @param {number|string|Date} options.modifiedAfter - Earliest modification time
+     * @param {number|string|Date} options.modifiedBefore - Latest modification time
+     * @returns {Promise<Array<{path: string[], name: string, folder: string[], type: string,
+     *   extension: string, size: number, modified: string, snippet: object|null}>>}
+     */
+    async search(options = {}) {
+        if (!this.buildQueued) {
+            this.buildQueued = true;
+            this.enqueue(() => this.build());
+        }
+        await this.updates;
+
+        const {
+            name = '*',
+            scope = [],
+            recursive = true,
+            caseSensitive = false,
+            includeHidden = false
+        } = options;
+        const query = this.parseQuery(options.query || '');
+
+        const extensions = [...(options.extensions || []), ...query.extensions].map(ext => ext.toLowerCase());
+        const toTime = value => (value === undefined || value === null || value === '' ? null : new Date(value).getTime());
+        const minSize = options.minSize ?? query.minSize;
+        const maxSize = options.maxSize ?? query.maxSize;
+        const modifiedAfter = toTime(options.modifiedAfter) ?? query.modifiedAfter;
+        const modifiedBefore = toTime(options.modifiedBefore) ?? query.modifiedBefore;
+
+        // Candidates from the content query
+        const hasText = query.words.length > 0 || query.phrases.length > 0;
+        let candidates = null;
+        const hits = new Map();
+
+        const narrow = (keys) => {
+            candidates = candidates === null
+                ? new Set(keys)
+                : new Set([...candidates].filter(key => keys.has(key)));
+        };
+
+        for (const phrase of query.phrases) {
+            const keys = this.findPhrase(this.tokenize(phrase));
+            narrow(keys);
+            keys.forEach(key => hits.set(key, (hits.get(key) || 0) + 1));
+        }
+        for (const word of query.words) {
+            const terms = this.tokenize(word);
+
+            // A word like "foo-bar" has to be found as written, not as "foo" or "bar"
+            if (terms.length > 1) {
+                const keys = this.findPhrase(terms);
+                narrow(keys);
+                keys.forEach(key => hits.set(key, (hits.get(key) || 0) + 1));
+                continue;
+            }
+
+            const found = terms.length === 1 ? this.findPrefix(terms[0]) : new Map();
+            narrow(new Set(found.keys()));
+            found.forEach((count, key) => hits.set(key, (hits.get(key) || 0) + count));
+        }
+
+        // Searching a linked folder searches the folder it points at
+        const resolvedScope = FileSystemManager.resolvePath(scope, { followShortcuts: true });
+        const scopeParts = resolvedScope.node ? resolvedScope.parts : scope;
+
+        const scopeKey = scopeParts.join('/');
+        const namePattern = this.wildcardToRegex(name || '*', caseSensitive);
+        const results = [];
+
+        for (const key of candidates ?? this.documents.keys()) {
+            const doc = this.documents.get(key);
+            if (!doc) continue;
+
+            if (scopeParts.length > 0) {
+                if (!key.startsWith(`${scopeKey}/`)) continue;
+                if (!recursive && doc.path.length !== scopeParts.length + 1) continue;
+            } else if (!recursive && doc.path.length !== 2) {
+                continue;
+            }
+
+            if (doc.hidden && !includeHidden) continue;
+            if (hasText && doc.type !== 'file') continue;
+            if (!namePattern.test(doc.name)) continue;
+            if (extensions.length > 0 && !extensions.includes(doc.extension)) continue;
+            if (minSize !== null && minSize !== undefined && doc.size < minSize) continue;
+            if (maxSize !== null && maxSize !== undefined && doc.size > maxSize) continue;
+
+            const modified = doc.modified ? new Date(doc.modified).getTime() : null;
+            if (modifiedAfter !== null && (modified === null || modified < modifiedAfter)) continue;
+            if (modifiedBefore !== null && (modified === null || modified > modifiedBefore)) continue;
+
+            let snippet = null;
+            if (hasText) {
+                const node = FileSystemManager.getNode(doc.path);
+                const content = node?.type === 'file' ? await FileSystemManager.fetchContent(node) : '';
+                const needles = [...query.phrases, ...query.words];
+                // The index is case-insensitive; check exact case against the text itself
+                if (caseSensitive && !needles.every(needle => content.includes(needle))) continue;
+                snippet = this.getSnippet(content, needles[0], caseSensitive);
+            }
+
+            results.push({
+                path: [...doc.path],
+                name: doc.name,
+                folder: doc.path.slice(0, -1),
+                type: doc.type,
+                extension: doc.extension,
+                size: doc.size,
+                modified: doc.modified,
+                hits: hits.get(key) || 0,
+                snippet
+            });
+        }
+
+        results.sort((a, b) => (b.hits - a.hits) || a.path.join('/').localeCompare(b.path.join('/')));
+        return results;
+    }
+
+    /**
+     * Cut the text around the first occurrence of a search term
+     * @param {string} content - File content
+     * @param {string} needle - Word or phrase
+     * @param {boolean} caseSensitive
+     * @returns {{before: string, match: string, after: string}|null}
+     */
+    getSnippet(content, needle, caseSensitive = false) {
+        if (!needle) return null;
+
+        const haystack = caseSensitive ? content : content.toLowerCase();
+        const index = haystack.indexOf(caseSensitive ? needle : needle.toLowerCase());
+        if (index < 0) return null;
+
+        const start = Math.max(0, index - SNIPPET_CONTEXT);
+        const end = Math.min(content.length, index + needle.length + SNIPPET_CONTEXT);
+        const clean = text => text.replace(/\s+/g, ' ');
+
+        return {
+            before: (start > 0 ? '…' : '') + clean(content.slice(start, index)),
+            match: clean(content.slice(index, index + needle.length)),
+            after: clean(content.slice(index + needle.length, end)) + (end < content.length ? '…' : '')
+        };
+    }
+
+    /**
+     * Index size, for status displays
+     * @returns {{items: number, terms: number}}
+     */
+    getStats() {
+        return { items: this.documents.size, terms: this.postings.size };
+    }
+}
+
+const SearchIndex = new SearchIndexClass();
+export default SearchIndex;
@@ -0,0 +1,180 @@
+/**
+ * SessionManager - Saves open windows and reopens them after a reload
+ *
+ * Opt-in via the "Restore windows on startup" setting (settings.restoreSession).
+ * When the page is hidden or unloaded, each open app window is recorded with its
+ * launch parameters, geometry (see WindowManager.getGeometry) and whatever the app
+ * returns from getSessionState(). On the next boot the windows are relaunched
+ * bottom-to-top and handed their state through onRestoreSession().
+ *
+ * Apps opt out by overriding canRestoreSession() to return false.
+ *
+ * Usage:
+ *   SessionManager.initialize();      // start saving on unload
+ *   SessionManager.restore();         // after boot, reopen the saved windows
+ */
+
+import EventBus from './EventBus.js';
+import StateManager from './StateManager.js';
+import StorageManager from './StorageManager.js';
+import WindowManager from './WindowManager.js';
+import AppRegistry from '../apps/AppRegistry.js';
+import { STORAGE_KEYS } from './Constants.js';
+import { SystemEvents } from './scripted-events/SemanticEvents.js';
+
+// Bump when the snapshot shape changes; older snapshots are discarded
+const SESSION_VERSION = 1;
+
+class SessionManagerClass {
+    constructor() {
+        this.initialized = false;
+        // True while restore() is relaunching windows, so a save can't clobber the snapshot
+        this.restoring = false;
+    }
+
+    /**
+     * Save the session whenever the page is hidden or unloaded
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        window.addEventListener('pagehide', () => this.save());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.save();
+        });
+
+        // Turning the setting off forgets the saved session
+        StateManager.subscribe('settings.restoreSession', (enabled) => {
+            if (!enabled) this.clear();
+        });
+
+        this.initialized = true;
+    }
+
+    /**
+     * Whether the user has turned on session restore
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return StateManager.getState('settings.restoreSession') === true;
+    }
+
+    /**
+     * Build a snapshot of every restorable window
+     * @returns {Object} { version, savedAt, activeWorkspace, activeWindow, windows }
+     */
+    capture() {
+        const windows = [];
+
+        for (const app of AppRegistry.apps.values()) {
+            for (const entry of app.getSessionWindows()) {
+                const geometry = WindowManager.getGeometry(entry.windowId);
+                if (!geometry) continue;
+
+                // Round-trip through JSON so one odd value can't break the whole snapshot
+                try {
+                    windows.push(JSON.parse(JSON.stringify({
+                        appId: app.id,
+                        windowId: entry.windowId,
+                        params: entry.params || {},
+                        state: entry.state ?? null,
+                        geometry
+                    })));
+                } catch (error) {
+                    console.warn(`[SessionManager] Skipping ${entry.windowId}:`, error.message);
+                }
+            }
+        }
+
+        return {
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            activeWorkspace: WindowManager.getActiveWorkspace()?.id || null,
+            activeWindow: StateManager.getState('ui.activeWindow'),
+            windows
+        };
+    }
+
+    /**
+     * Save the current session, if enabled
+     * App state is dropped if the full snapshot doesn't fit in storage.
+     * @returns {boolean} True if saved
+     */
+    save() {
+        if (!this.isEnabled() || this.restoring) return false;
+
+        const snapshot = this.capture();
+        let saved = StorageManager.set(STORAGE_KEYS.SESSION, snapshot);
+
+        if (!saved) {
+            snapshot.windows = snapshot.windows.map(w => ({ ...w, state: null }));
+            saved = StorageManager.set(STORAGE_KEYS.SESSION, snapshot);
+        }
+
+        if (saved) {
+            EventBus.emit(SystemEvents.SESSION_SAVED, { windowCount: snapshot.windows.length });
+        }
+        return saved;
+    }
+
+    /**
+     * Reopen the windows from the saved session, if enabled
+     * @returns {number} Number of windows reopened
+     */
+    restore() {
+        const snapshot = StorageManager.get(STORAGE_KEYS.SESSION);
+        if (!this.isEnabled() || !snapshot) return 0;
+
+        if (snapshot.version !== SESSION_VERSION || !Array.isArray(snapshot.windows)) {
+            console.warn('[SessionManager] Discarding saved session from another version');
+            this.clear();
+            return 0;
+        }
+
+        this.restoring = true;
+        const newIds = new Map();
+
+        try {
+            // Launch bottom-most first so the stacking order comes back as it was
+            const windows = [...snapshot.windows].sort((a, b) => (a.geometry?.zIndex || 0) - (b.geometry?.zIndex || 0));
+
+            for (const entry of windows) {
+                const app = AppRegistry.apps.get(entry.appId);
+                if (!app || !app.canRestoreSession()) continue;
+                if (app.singleton && app.openWindows.size > 0) continue;
+
+                app.setSessionState(entry.state);
+                if (!AppRegistry.launch(entry.appId, entry.params)) continue;
+
+                newIds.set(entry.windowId, app.windowId);
+                WindowManager.applyGeometry(app.windowId, entry.geometry);
+            }
+
+            if (snapshot.activeWorkspace) {
+                WindowManager.switchWorkspace(snapshot.activeWorkspace);
+            }
+            const active = snapshot.windows.find(w => w.windowId === snapshot.activeWindow);
+            if (active && newIds.has(active.windowId) && !active.geometry?.minimized) {
+                WindowManager.focus(newIds.get(active.windowId));
+            }
+        } finally {
+            this.restoring = false;
+        }
+
+        console.log(`[SessionManager] Restored ${newIds.size} window(s)`);
+        EventBus.emit(SystemEvents.SESSION_RESTORED, { windowCount: newIds.size });
+        return newIds.size;
+    }
+
+    /**
+     * Forget the saved session
+     */
+    clear() {
+        StorageManager.remove(STORAGE_KEYS.SESSION);
+    }
+}
+
+// Singleton instance
+const SessionManager = new SessionManagerClass();
+
+export default SessionManager;
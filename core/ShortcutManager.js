@@ -0,0 +1,428 @@
+/**
+ * ShortcutManager - Central registry for keyboard shortcuts
+ *
+ * Apps, features and plugins register bindings here instead of adding their own
+ * document keydown listeners. A binding is either global or scoped to one window,
+ * in which case it only fires while that window is focused and takes precedence
+ * over global bindings for the same keys. Users can rebind shortcuts by id from
+ * Control Panel; their choices are persisted.
+ *
+ * Key combos are written like 'Ctrl+Shift+T', 'Alt+Tab', 'Ctrl+Alt+ArrowLeft' or
+ * 'Meta'. Modifiers are Ctrl, Alt, Shift and Meta; letters and digits are matched
+ * by physical key, so 'Shift+1' works on every layout. A lone modifier fires when
+ * it is released without another key, so 'Meta' doesn't also fire for 'Meta+ArrowLeft'.
+ * Combos separated by spaces, like 'ArrowUp ArrowUp B A', are a sequence: it fires
+ * when they are pressed one after another.
+ *
+ * Usage:
+ *   const unregister = ShortcutManager.register({
+ *       id: 'system.terminal',
+ *       keys: 'Ctrl+Shift+T',
+ *       description: 'Open Terminal',
+ *       handler: () => AppRegistry.launch('terminal')
+ *   });
+ *
+ * Apps should use AppBase.registerShortcut() and features FeatureBase.registerShortcut(),
+ * which clean up automatically.
+ */
+
+import EventBus from './EventBus.js';
+import StateManager from './StateManager.js';
+import StorageManager from './StorageManager.js';
+import { STORAGE_KEYS } from './Constants.js';
+import { SystemEvents } from './scripted-events/SemanticEvents.js';
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Most recent key presses remembered for sequences
+const MAX_SEQUENCE = 16;
+
+// Alternate spellings accepted in combo strings and KeyboardEvent.key values
+const KEY_ALIASES = {
+    control: 'Ctrl',
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta',
+    win: 'Meta',
+    os: 'Meta',
+    esc: 'Escape',
+    escape: 'Escape',
+    space: 'Space',
+    ' ': 'Space',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    del: 'Delete'
+};
+
+class ShortcutManagerClass {
+    constructor() {
+        // Registered bindings in registration order
+        this.bindings = [];
+        // Binding id -> keys chosen by the user
+        this.overrides = {};
+        // Set while recordCombo() waits for a key press
+        this.recording = false;
+        // Modifier pressed on its own, dispatched on release if nothing else was pressed
+        this.pendingModifier = null;
+        // Latest combos pressed, oldest first, for sequence bindings
+        this.recentCombos = [];
+        this.initialized = false;
+    }
+
+    /**
+     * Load the user's bindings and start listening for key presses
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.overrides = StorageManager.get(STORAGE_KEYS.SHORTCUTS) || {};
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyup(e));
+
+        this.initialized = true;
+    }
+
+    // ===== KEY COMBOS =====
+
+    /**
+     * Normalize a combo string to its canonical form, e.g. 'shift+ctrl+t' -> 'Ctrl+Shift+T'
+     * @param {string} combo
+     * @returns {string} Canonical combo, or '' if it has no key
+     */
+    normalizeCombo(combo) {
+        // Spaces not next to a '+' separate the steps of a sequence
+        const steps = String(combo || '').trim().split(/(?<!\+)\s+(?!\+)/);
+        if (steps.length > 1) {
+            const normalized = steps.map(step => this.normalizeCombo(step));
+            return normalized.includes('') ? '' : normalized.join(' ');
+        }
+
+        const parts = String(combo || '').split('+').map(part => part.trim());
+        // A trailing '+' means the plus key itself, e.g. 'Ctrl++'
+        if (combo?.endsWith('++')) parts.splice(-2, 2, '+');
+
+        const modifiers = new Set();
+        let key = '';
+
+        for (const part of parts) {
+            if (!part) continue;
+            const name = this.normalizeKeyName(part);
+            if (MODIFIERS.includes(name)) {
+                modifiers.add(name);
+            } else {
+                key = name;
+            }
+        }
+
+        // A lone modifier ('Meta') is a binding of its own
+        if (!key && modifiers.size === 1) return [...modifiers][0];
+        if (!key) return '';
+
+        return [...MODIFIERS.filter(m => modifiers.has(m)), key].join('+');
+    }
+
+    /**
+     * Normalize a single key name
+     * @param {string} name
+     * @returns {string}
+     */
+    normalizeKeyName(name) {
+        const alias = KEY_ALIASES[name.toLowerCase()];
+        if (alias) return alias;
+        if (name.length === 1) return name.toUpperCase();
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Build the canonical combo for a key press
+     * @param {KeyboardEvent} e
+     * @returns {string}
+     */
+    comboFromEvent(e) {
+        let key;
+        if (/^Key[A-Z]$/.test(e.code)) {
+            key = e.code.slice(3);
+        } else if (/^Digit\d$/.test(e.code)) {
+            key = e.code.slice(5);
+        } else {
+            key = this.normalizeKeyName(e.key || '');
+        }
+
+        const held = { Ctrl: e.ctrlKey, Alt: e.altKey, Shift: e.shiftKey, Meta: e.metaKey };
+        const modifiers = MODIFIERS.filter(m => held[m] && m !== key);
+
+        return [...modifiers, key].join('+');
+    }
+
+    /**
+     * Split a binding's keys option into canonical combos
+     * @param {string|string[]} keys
+     * @returns {string[]}
+     */
+    parseKeys(keys) {
+        return [].concat(keys || []).map(k => this.normalizeCombo(k)).filter(Boolean);
+    }
+
+    // ===== REGISTRATION =====
+
+    /**
+     * Register a keyboard shortcut
+     * @param {Object} options
+     * @param {string} options.id - Stable id used for user rebinding, e.g. 'notepad.save'
+     * @param {string|string[]} options.keys - Default combo(s)
+     * @param {Function} options.handler - Receives the KeyboardEvent; return false to let the key through
+     * @param {string} options.description - Shown in Control Panel
+     * @param {string} options.category - Group shown in Control Panel (default 'System')
+     * @param {string} options.windowId - Only fire while this window is focused
+     * @param {boolean} options.allowInInputs - Fire while typing in a text field even without Ctrl/Alt/Meta
+     * @param {boolean} options.preventDefault - Stop the browser's default action (default true)
+     * @param {boolean} options.hidden - Leave out of Control Panel, e.g. for secret sequences
+     * @returns {Function} Unregister function
+     */
+    register({
+        id,
+        keys,
+        handler,
+        description = '',
+        category = 'System',
+        windowId = null,
+        allowInInputs = false,
+        preventDefault = true,
+        hidden = false
+    }) {
+        if (!id || typeof handler !== 'function') {
+            throw new Error('Shortcut needs an id and a handler');
+        }
+
+        const binding = {
+            id,
+            defaultKeys: this.parseKeys(keys),
+            handler,
+            description,
+            category,
+            windowId,
+            allowInInputs,
+            preventDefault,
+            hidden
+        };
+
+        for (const combo of this.getKeys(binding)) {
+            const conflicts = this.findConflicts(combo, { excludeId: id, windowId });
+            if (conflicts.length > 0) {
+                console.warn(`[ShortcutManager] ${combo} for "${id}" is also bound to: ${conflicts.map(b => b.id).join(', ')}`);
+            }
+        }
+
+        this.bindings.push(binding);
+        return () => {
+            const index = this.bindings.indexOf(binding);
+            if (index !== -1) this.bindings.splice(index, 1);
+        };
+    }
+
+    /**
+     * Get the combos currently bound for a binding (user choice or default)
+     * @param {Object} binding - Registered binding
+     * @returns {string[]}
+     */
+    getKeys(binding) {
+        return this.overrides[binding.id] || binding.defaultKeys;
+    }
+
+    /**
+     * List registered shortcuts once per id, for display and editing
+     * @returns {Array<{id, keys, defaultKeys, description, category, customized, windowId}>}
+     */
+    getAll() {
+        const seen = new Map();
+        for (const binding of this.bindings) {
+            if (binding.hidden || seen.has(binding.id)) continue;
+            seen.set(binding.id, {
+                id: binding.id,
+                keys: this.getKeys(binding),
+                defaultKeys: binding.defaultKeys,
+                description: binding.description,
+                category: binding.category,
+                customized: binding.id in this.overrides,
+                windowId: binding.windowId
+            });
+        }
+        return [...seen.values()];
+    }
+
+    /**
+     * Find other shortcuts that would fire for the same combo.
+     * Global bindings clash with everything; window bindings clash with
+     * global ones and with bindings on the same window.
+     * @param {string} combo
+     * @param {Object} options
+     * @param {string} options.excludeId - Binding id to ignore (the one being edited)
+     * @param {string} options.windowId - Scope of the binding being checked (null = global)
+     * @returns {Object[]} Conflicting bindings, one per id
+     */
+    findConflicts(combo, { excludeId = null, windowId = null } = {}) {
+        const target = this.normalizeCombo(combo);
+        const conflicts = new Map();
+
+        for (const binding of this.bindings) {
+            if (binding.id === excludeId || conflicts.has(binding.id)) continue;
+            const overlaps = !windowId || !binding.windowId || binding.windowId === windowId;
+            if (overlaps && this.getKeys(binding).includes(target)) {
+                conflicts.set(binding.id, binding);
+            }
+        }
+        return [...conflicts.values()];
+    }
+
+    /**
+     * Rebind a shortcut. Pass an empty array to leave it unbound.
+     * @param {string} id - Binding id
+     * @param {string|string[]} keys - New combo(s)
+     */
+    setKeys(id, keys) {
+        this.overrides[id] = this.parseKeys(keys);
+        StorageManager.set(STORAGE_KEYS.SHORTCUTS, this.overrides);
+    }
+
+    /**
+     * Go back to a shortcut's default keys
+     * @param {string} id - Binding id
+     */
+    resetKeys(id) {
+        delete this.overrides[id];
+        StorageManager.set(STORAGE_KEYS.SHORTCUTS, this.overrides);
+    }
+
+    /**
+     * Go back to the default keys for every shortcut
+     */
+    resetAll() {
+        this.overrides = {};
+        StorageManager.remove(STORAGE_KEYS.SHORTCUTS);
+    }
+
+    /**
+     * Wait for the user to press a key combo, without triggering any shortcut.
+     * Escape cancels.
+     * @returns {Promise<string|null>} Canonical combo, or null if cancelled
+     */
+    recordCombo() {
+        this.recording = true;
+
+        return new Promise((resolve) => {
+            const onKeydown = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                // Wait for the real key unless a lone modifier is released (see onKeyup)
+                if (MODIFIERS.includes(this.normalizeKeyName(e.key))) return;
+
+                finish(e.key === 'Escape' && !e.ctrlKey && !e.altKey && !e.metaKey ? null : this.comboFromEvent(e));
+            };
+            const onKeyup = (e) => {
+                const key = this.normalizeKeyName(e.key);
+                if (MODIFIERS.includes(key) && !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey) {
+                    finish(key);
+                }
+            };
+            const finish = (combo) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                document.removeEventListener('keyup', onKeyup, true);
+                this.recording = false;
+                resolve(combo);
+            };
+
+            document.addEventListener('keydown', onKeydown, true);
+            document.addEventListener('keyup', onKeyup, true);
+        });
+    }
+
+    // ===== DISPATCH =====
+
+    /**
+     * Handle a key press. Lone modifiers wait for handleKeyup().
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (this.recording) return;
+
+        const combo = this.comboFromEvent(e);
+        if (MODIFIERS.includes(combo)) {
+            this.pendingModifier = combo;
+            return;
+        }
+
+        this.pendingModifier = null;
+        this.recentCombos.push(combo);
+        if (this.recentCombos.length > MAX_SEQUENCE) this.recentCombos.shift();
+        this.dispatch(combo, e);
+    }
+
+    /**
+     * Fire a lone-modifier binding when that modifier is released untouched
+     * @param {KeyboardEvent} e
+     */
+    handleKeyup(e) {
+        const pending = this.pendingModifier;
+        this.pendingModifier = null;
+
+        if (this.recording || !pending || this.normalizeKeyName(e.key || '') !== pending) return;
+        this.dispatch(pending, e);
+    }
+
+    /**
+     * Run the first matching binding for a combo.
+     * Bindings on the focused window are tried before global ones.
+     * @param {string} combo - Canonical combo
+     * @param {KeyboardEvent} e
+     */
+    dispatch(combo, e) {
+        // Sequences that the latest key presses complete
+        const recent = ` ${this.recentCombos.join(' ')}`;
+        const completes = (keys) => keys === combo || (keys.includes(' ') && recent.endsWith(` ${keys}`));
+
+        const matching = this.bindings.filter(b => this.getKeys(b).some(completes));
+        if (matching.length === 0) return;
+
+        const activeWindow = StateManager.getState('ui.activeWindow');
+        const ordered = [
+            ...matching.filter(b => b.windowId && b.windowId === activeWindow),
+            ...matching.filter(b => !b.windowId)
+        ];
+
+        // Plain keys belong to the text field being typed in
+        const typing = this.isEditable(e.target) && !e.ctrlKey && !e.altKey && !e.metaKey;
+
+        for (const binding of ordered) {
+            if (typing && !binding.allowInInputs) continue;
+            if (binding.handler(e) === false) continue;
+
+            if (binding.preventDefault) e.preventDefault();
+            const keys = this.getKeys(binding).find(completes);
+            // A finished sequence doesn't count towards the next one
+            if (keys.includes(' ')) this.recentCombos = [];
+            EventBus.emit(SystemEvents.SHORTCUT_TRIGGERED, { id: binding.id, keys });
+            return;
+        }
+    }
+
+    /**
+     * Whether a key event target is a text field
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isEditable(target) {
+        return !!target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+    }
+}
+
+// Singleton instance
+const ShortcutManager = new ShortcutManagerClass();
+
+export default ShortcutManager;
@@ -10,6 +10,7 @@
 
 import EventBus, { Events } from './EventBus.js';
 import StorageManager from './StorageManager.js';
+import FileSystemManager from './FileSystemManager.js';
 
 // Default desktop icons (used when localStorage is empty)
 const DEFAULT_ICONS = [
@@ -52,7 +53,16 @@ class StateManagerClass {
                     enabled: false,
                     type: '🐕'
                 },
-                screensaverDelay: 300000
+                screensaverDelay: 300000,
+                restoreSession: false,
+                autoTile: false,
+                doNotDisturb: false,
+                // Desktop icon layout (see DesktopRenderer)
+                desktop: {
+                    autoArrange: false,
+                    alignToGrid: true,
+                    gridSize: 20
+                }
             },
             // User state
             user: {
@@ -62,6 +72,7 @@ class StateManagerClass {
             // UI state
             ui: {
                 activeWindow: null,
+                activeWorkspace: null,
                 startMenuOpen: false,
                 contextMenuOpen: false,
                 clippyVisible: false
@@ -89,6 +100,12 @@ class StateManagerClass {
         const savedCRT = StorageManager.get('crtEnabled');
         const savedPet = StorageManager.get('petEnabled');
         const savedPetType = StorageManager.get('currentPet');
+        const savedRestoreSession = StorageManager.get('restoreSession');
+        const savedAutoTile = StorageManager.get('autoTile');
+        const savedDoNotDisturb = StorageManager.get('doNotDisturb');
+        const savedAutoArrange = StorageManager.get('iconAutoArrange');
+        const savedAlignToGrid = StorageManager.get('iconAlignToGrid');
+        const savedGridSize = StorageManager.get('iconGridSize');
         const hasVisited = StorageManager.get('hasVisited');
 
         // Apply saved state OR use defaults
@@ -101,6 +118,12 @@ class StateManagerClass {
         if (savedCRT !== null) this.state.settings.crtEffect = savedCRT === true || savedCRT === 'true';
         if (savedPet !== null) this.state.settings.pet.enabled = savedPet === true || savedPet === 'true';
         if (savedPetType) this.state.settings.pet.type = savedPetType;
+        if (savedRestoreSession !== null) this.state.settings.restoreSession = savedRestoreSession === true;
+        if (savedAutoTile !== null) this.state.settings.autoTile = savedAutoTile === true;
+        if (savedDoNotDisturb !== null) this.state.settings.doNotDisturb = savedDoNotDisturb === true;
+        if (savedAutoArrange !== null) this.state.settings.desktop.autoArrange = savedAutoArrange === true;
+        if (savedAlignToGrid !== null) this.state.settings.desktop.alignToGrid = savedAlignToGrid === true;
+        if (savedGridSize) this.state.settings.desktop.gridSize = Number(savedGridSize);
         if (hasVisited) this.state.user.hasVisited = true;
 
         console.log('[StateManager] Initialized with', this.state.icons.length, 'icons');
@@ -210,6 +233,12 @@ class StateManagerClass {
             'settings.crtEffect': 'crtEnabled',
             'settings.pet.enabled': 'petEnabled',
             'settings.pet.type': 'currentPet',
+            'settings.restoreSession': 'restoreSession',
+            'settings.autoTile': 'autoTile',
+            'settings.doNotDisturb': 'doNotDisturb',
+            'settings.desktop.autoArrange': 'iconAutoArrange',
+            'settings.desktop.alignToGrid': 'iconAlignToGrid',
+            'settings.desktop.gridSize': 'iconGridSize',
             'user.hasVisited': 'hasVisited'
         };
 
@@ -346,6 +375,17 @@ class StateManagerClass {
         this.setState('icons', icons, true);
     }
 
+    /**
+     * Move several icons at once
+     * @param {Object} positions - { [iconId]: { x, y } }
+     */
+    updateIconPositions(positions) {
+        const icons = this.state.icons.map(icon =>
+            positions[icon.id] ? { ...icon, ...positions[icon.id] } : icon
+        );
+        this.setState('icons', icons, true);
+    }
+
     // ===== Achievement Helpers =====
 
     /**
@@ -403,9 +443,9 @@ class StateManagerClass {
 
     /**
      * Export COMPLETE system snapshot including all state, file system, and app data
-     * @returns {Object} Complete system snapshot
+     * @returns {Promise<Object>} Complete system snapshot
      */
-    exportCompleteState() {
+    async exportCompleteState() {
         const snapshot = {
             // Metadata
             _meta: {
@@ -430,7 +470,7 @@ class StateManagerClass {
             },
 
             // Complete File System
-            fileSystem: StorageManager.get('fileSystem'),
+            fileSystem: await FileSystemManager.exportFileSystem(),
 
             // Display Settings
             displaySettings: {
@@ -472,7 +512,8 @@ class StateManagerClass {
 
             // Feature configuration
             features: {
-                clippyDismissed: StorageManager.get('clippyDismissed')
+                clippyDismissed: StorageManager.get('clippyDismissed'),
+                fileAssociations: StorageManager.get('fileAssociations')
             },
 
             // Security (admin password)
@@ -625,6 +666,9 @@ class StateManagerClass {
                 if (data.features.clippyDismissed !== undefined) {
                     StorageManager.set('clippyDismissed', data.features.clippyDismissed);
                 }
+                if (data.features.fileAssociations) {
+                    StorageManager.set('fileAssociations', data.features.fileAssociations);
+                }
             }
 
             // 6. Import security
@@ -673,8 +717,11 @@ class StateManagerClass {
      * Reset all state to defaults
      */
     reset() {
-        StorageManager.clear();
-        window.location.reload();
+        // The file system may live in IndexedDB, which StorageManager.clear() doesn't touch
+        FileSystemManager.reset().then(() => {
+            StorageManager.clear();
+            window.location.reload();
+        });
     }
 }
 
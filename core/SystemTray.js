@@ -0,0 +1,194 @@
+/**
+ * SystemTray - Icons in the taskbar's notification area
+ *
+ * Apps, features and plugins register tray icons here; TaskbarRenderer draws
+ * them next to the clock. An icon can have a tooltip, a badge (a count or a
+ * short label), a click handler, a right-click menu and a popup panel that
+ * opens above it on click (e.g. a volume slider).
+ *
+ * Icons registered through AppBase.addTrayIcon() or FeatureBase.addTrayIcon()
+ * are removed automatically when the app window closes or the feature is
+ * disabled. Anything else should call the returned unregister function.
+ *
+ * Usage:
+ *   const remove = SystemTray.register({
+ *       id: 'myplugin',
+ *       icon: '🛰️',
+ *       tooltip: 'Satellite link',
+ *       badge: 3,
+ *       onClick: () => openSomething(),
+ *       menu: [
+ *           { label: 'Connect', action: () => connect(), checked: isConnected },
+ *           { divider: true },
+ *           { label: 'Settings...', action: () => openSettings() }
+ *       ]
+ *   });
+ *   SystemTray.update('myplugin', { badge: 0 });
+ */
+
+import EventBus from './EventBus.js';
+import { TaskbarEvents } from './scripted-events/SemanticEvents.js';
+
+class SystemTrayClass {
+    constructor() {
+        // Icon ID -> registration
+        this.icons = new Map();
+    }
+
+    /**
+     * Add an icon to the tray, replacing any icon with the same ID
+     * @param {Object} options
+     * @param {string} options.id - Unique icon ID
+     * @param {string} options.icon - Emoji or text shown in the tray
+     * @param {string} [options.tooltip] - Hover text and accessible label
+     * @param {number|string} [options.badge] - Shown over the icon; 0, '' or null hides it
+     * @param {Function} [options.onClick] - Left-click handler (receives the click event)
+     * @param {Object[]|Function} [options.menu] - Right-click menu items, or a function returning them.
+     *   Items are { label, action, checked, disabled } or { divider: true }
+     * @param {Function} [options.popup] - Returns an element (or HTML string) shown above the icon on click
+     * @param {number} [options.order=0] - Lower numbers sit further left
+     * @param {string} [options.owner] - App or feature ID that registered the icon
+     * @returns {Function} Unregister function
+     */
+    register(options) {
+        if (!options?.id) {
+            console.error('[SystemTray] Icon needs an id');
+            return () => {};
+        }
+
+        const entry = {
+            id: options.id,
+            icon: options.icon || '❔',
+            tooltip: options.tooltip || '',
+            badge: options.badge ?? null,
+            onClick: options.onClick || null,
+            menu: options.menu || null,
+            popup: options.popup || null,
+            order: options.order ?? 0,
+            owner: options.owner || null
+        };
+
+        const replaced = this.icons.has(entry.id);
+        this.icons.set(entry.id, entry);
+        EventBus.emit(replaced ? TaskbarEvents.TRAY_ICON_UPDATED : TaskbarEvents.TRAY_ICON_ADDED, {
+            id: entry.id,
+            owner: entry.owner
+        });
+
+        // Only remove this registration - a newer one with the same ID stays
+        return () => {
+            if (this.icons.get(entry.id) === entry) this.unregister(entry.id);
+        };
+    }
+
+    /**
+     * Remove an icon
+     * @param {string} id - Icon ID
+     */
+    unregister(id) {
+        const entry = this.icons.get(id);
+        if (!entry) return;
+
+        this.icons.delete(id);
+        EventBus.emit(TaskbarEvents.TRAY_ICON_REMOVED, { id, owner: entry.owner });
+    }
+
+    /**
+     * Change an icon's appearance or handlers
+     * @param {string} id - Icon ID
+     * @param {Object} changes - Any of icon, tooltip, badge, onClick, menu, popup, order
+     */
+    update(id, changes) {
+        const entry = this.icons.get(id);
+        if (!entry) return;
+
+        for (const key of ['icon', 'tooltip', 'badge', 'onClick', 'menu', 'popup', 'order']) {
+            if (key in changes) entry[key] = changes[key];
+        }
+        EventBus.emit(TaskbarEvents.TRAY_ICON_UPDATED, { id, owner: entry.owner });
+    }
+
+    /**
+     * Set or clear an icon's badge
+     * @param {string} id - Icon ID
+     * @param {number|string|null} badge
+     */
+    setBadge(id, badge) {
+        this.update(id, { badge });
+    }
+
+    has(id) {
+        return this.icons.has(id);
+    }
+
+    get(id) {
+        return this.icons.get(id);
+    }
+
+    /**
+     * Get all icons, left to right
+     * @returns {Object[]}
+     */
+    getIcons() {
+        return [...this.icons.values()].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Handle a left click on an icon
+     * @param {string} id - Icon ID
+     * @param {Event} [event] - The click event
+     */
+    click(id, event) {
+        const entry = this.icons.get(id);
+        if (!entry) return;
+
+        EventBus.emit(TaskbarEvents.TRAY_ICON_CLICKED, { icon: id, owner: entry.owner });
+        this.call(entry, entry.onClick, event);
+    }
+
+    /**
+     * Get the right-click menu of an icon
+     * @param {string} id - Icon ID
+     * @returns {Object[]} Menu items (empty if none)
+     */
+    getMenuItems(id) {
+        const entry = this.icons.get(id);
+        if (!entry?.menu) return [];
+
+        const items = typeof entry.menu === 'function' ? this.call(entry, entry.menu) : entry.menu;
+        return Array.isArray(items) ? items.filter(item => item && (item.divider || item.label)) : [];
+    }
+
+    /**
+     * Run an item from an icon's right-click menu
+     * @param {string} id - Icon ID
+     * @param {number} index - Position in getMenuItems()
+     */
+    runMenuItem(id, index) {
+        const entry = this.icons.get(id);
+        const item = this.getMenuItems(id)[index];
+        if (!entry || !item || item.divider || item.disabled) return;
+
+        EventBus.emit(TaskbarEvents.TRAY_MENU_ITEM_CLICKED, { icon: id, owner: entry.owner, label: item.label });
+        this.call(entry, item.action);
+    }
+
+    /**
+     * Call a handler supplied by an icon's owner without letting it break the taskbar
+     * @returns {*} The handler's return value
+     */
+    call(entry, handler, ...args) {
+        if (typeof handler !== 'function') return undefined;
+        try {
+            return handler(...args);
+        } catch (error) {
+            console.error(`[SystemTray] Handler for "${entry.id}" failed:`, error);
+            return undefined;
+        }
+    }
+}
+
+// Singleton instance
+const SystemTray = new SystemTrayClass();
+
+export default SystemTray;
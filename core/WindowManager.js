@@ -6,8 +6,47 @@
 
 import EventBus, { Events } from './EventBus.js';
 import StateManager from './StateManager.js';
+import StorageManager from './StorageManager.js';
+import { WINDOW, STORAGE_KEYS } from './Constants.js';
 import { WindowEvents } from './scripted-events/SemanticEvents.js';
 
+// Height of the desktop above the 50px taskbar
+const TASKBAR_HEIGHT = 50;
+const WORK_AREA_HEIGHT = `calc(100vh - ${TASKBAR_HEIGHT}px)`;
+const HALF_WORK_AREA_HEIGHT = `calc((100vh - ${TASKBAR_HEIGHT}px) / 2)`;
+
+// Snap layouts as CSS boxes, so snapped windows follow the browser size
+const SNAP_LAYOUTS = {
+    'maximize': { left: '0px', top: '0px', width: '100%', height: WORK_AREA_HEIGHT },
+    'left': { left: '0px', top: '0px', width: '50%', height: WORK_AREA_HEIGHT },
+    'right': { left: '50%', top: '0px', width: '50%', height: WORK_AREA_HEIGHT },
+    'top-left': { left: '0px', top: '0px', width: '50%', height: HALF_WORK_AREA_HEIGHT },
+    'top-right': { left: '50%', top: '0px', width: '50%', height: HALF_WORK_AREA_HEIGHT },
+    'bottom-left': { left: '0px', top: HALF_WORK_AREA_HEIGHT, width: '50%', height: HALF_WORK_AREA_HEIGHT },
+    'bottom-right': { left: '50%', top: HALF_WORK_AREA_HEIGHT, width: '50%', height: HALF_WORK_AREA_HEIGHT }
+};
+
+// Where Win+Arrow takes a window from each layout ('' = floating).
+// null puts the window back to its floating size.
+const SNAP_MOVES = {
+    left: {
+        '': 'left', 'maximize': 'left', 'left': 'left', 'right': null,
+        'top-left': 'top-left', 'top-right': 'top-left', 'bottom-left': 'bottom-left', 'bottom-right': 'bottom-left'
+    },
+    right: {
+        '': 'right', 'maximize': 'right', 'left': null, 'right': 'right',
+        'top-left': 'top-right', 'top-right': 'top-right', 'bottom-left': 'bottom-right', 'bottom-right': 'bottom-right'
+    },
+    up: {
+        '': 'maximize', 'maximize': 'maximize', 'left': 'top-left', 'right': 'top-right',
+        'top-left': 'top-left', 'top-right': 'top-right', 'bottom-left': 'left', 'bottom-right': 'right'
+    },
+    down: {
+        '': 'minimize', 'maximize': null, 'left': 'bottom-left', 'right': 'bottom-right',
+        'top-left': 'left', 'top-right': 'right', 'bottom-left': 'bottom-left', 'bottom-right': 'bottom-right'
+    }
+};
+
 class WindowManagerClass {
     constructor() {
         // Currently dragging window
@@ -42,6 +81,15 @@ class WindowManagerClass {
         // Debounced resize event emission
         this.resizeRAF = null;
         this.pendingResizeEvent = null;
+        // Virtual desktops in display order, and the one being shown
+        this.workspaces = [];
+        this.activeWorkspace = null;
+        // Pending auto-tile pass, batched per animation frame
+        this.autoTileRAF = null;
+        // Windows playing their close animation
+        this.closing = new Set();
+        // Last floating geometry of each app's window, by app id
+        this.savedGeometry = {};
     }
 
     /**
@@ -71,6 +119,22 @@ class WindowManagerClass {
             EventBus.emit(Events.TASKBAR_UPDATE);
         });
 
+        this.loadWorkspaces();
+        this.savedGeometry = StorageManager.get(STORAGE_KEYS.WINDOW_GEOMETRY) || {};
+
+        // Keep windows tiled while auto-tiling is on
+        const retile = () => this.scheduleAutoTile();
+        [
+            WindowEvents.OPENED,
+            WindowEvents.CLOSED,
+            WindowEvents.MINIMIZED,
+            WindowEvents.RESTORED,
+            WindowEvents.WORKSPACE_CHANGED,
+            WindowEvents.WORKSPACE_MOVED
+        ].forEach(event => EventBus.on(event, retile));
+        StateManager.subscribe('settings.autoTile', retile);
+        window.addEventListener('resize', retile);
+
         // Create snap preview element
         this.snapPreview = document.createElement('div');
         this.snapPreview.className = 'snap-preview';
@@ -79,6 +143,10 @@ class WindowManagerClass {
 
     /**
      * Create a new window
+     * An owned window (config.owner) stays above its owner, is centered on it and
+     * minimizes, closes and changes workspace along with it. A modal owned window
+     * (config.modal) also blocks input to the owner until it closes.
+     * Other windows reopen where their app's window was last left (see rememberGeometry).
      * @param {Object} config - Window configuration
      * @returns {HTMLElement} Window element
      */
@@ -91,7 +159,15 @@ class WindowManagerClass {
             height = 'auto',
             icon = '&#128196;',  // HTML entity for page emoji - safe encoding
             resizable = true,
-            onClose = null
+            onClose = null,
+            appId = id,     // Windows of the same app share a taskbar button
+            owner = null,   // Window ID this window belongs to
+            modal = false,  // Block input to the owner while open
+            // Size limits enforced while resizing (defaults: this.minWidth/minHeight, no maximum)
+            minWidth,
+            minHeight,
+            maxWidth,
+            maxHeight
         } = config;
 
         // Check if window already exists
@@ -101,6 +177,15 @@ class WindowManagerClass {
             return existing;
         }
 
+        const ownerId = owner && this.isOpen(owner) ? owner : null;
+        const isModal = modal === true && !!ownerId;
+        const limits = {
+            minWidth: minWidth || this.minWidth,
+            minHeight: minHeight || this.minHeight,
+            maxWidth: maxWidth || Infinity,
+            maxHeight: maxHeight || Infinity
+        };
+
         // Play open sound
         EventBus.emit(Events.SOUND_PLAY, { type: 'open' });
 
@@ -113,8 +198,13 @@ class WindowManagerClass {
             windowEl.style.height = typeof height === 'number' ? `${height}px` : height;
         }
 
-        // Calculate position with improved cascade
-        const position = this.calculateCascadePosition(width, height);
+        // Reopen where the app was last left, otherwise cascade
+        const remembered = ownerId ? null : this.getRememberedGeometry(appId, limits);
+        if (remembered) {
+            windowEl.style.width = `${remembered.width}px`;
+            if (remembered.height) windowEl.style.height = `${remembered.height}px`;
+        }
+        const position = remembered || this.calculateCascadePosition(width, height);
         windowEl.style.left = `${position.left}px`;
         windowEl.style.top = `${position.top}px`;
         windowEl.style.zIndex = ++this.zCounter;
@@ -123,7 +213,7 @@ class WindowManagerClass {
         // Added ARIA attributes for accessibility
         windowEl.setAttribute('role', 'dialog');
         windowEl.setAttribute('aria-labelledby', `window-title-${id}`);
-        windowEl.setAttribute('aria-modal', 'false');
+        windowEl.setAttribute('aria-modal', String(isModal));
 
         windowEl.innerHTML = `
             <div class="title-bar" data-window-id="${id}" role="banner">
@@ -152,14 +242,39 @@ class WindowManagerClass {
         // Setup event listeners
         this.setupWindowEvents(windowEl, id, onClose);
 
-        // Add to state
+        // Add to state - new windows open on the workspace being shown, owned ones next to their owner
         StateManager.addWindow({
             id,
             title: `${icon} ${title}`,
+            label: title,
+            icon,
             element: windowEl,
-            onClose
+            onClose,
+            appId,
+            owner: ownerId,
+            modal: isModal,
+            limits,
+            workspace: ownerId ? StateManager.getWindow(ownerId).workspace : this.activeWorkspace
         });
 
+        if (ownerId) {
+            windowEl.classList.add('owned');
+            this.centerOnOwner(id);
+            this.updateModalBlock(ownerId);
+        }
+
+        // Opens maximized straight away, restoring to the remembered box
+        if (remembered?.maximized) {
+            this.preMaximizeState.set(id, {
+                left: windowEl.style.left,
+                top: windowEl.style.top,
+                width: windowEl.style.width,
+                height: windowEl.style.height
+            });
+            windowEl.classList.add('maximized');
+            StateManager.updateWindow(id, { maximized: true });
+        }
+
         // Emit open event
         EventBus.emit(WindowEvents.CREATED, { id, title, width, height });
         EventBus.emit(WindowEvents.OPENED, { id, title });
@@ -272,6 +387,20 @@ class WindowManagerClass {
         const windowEl = document.getElementById(`window-${id}`);
         if (!windowEl) return;
 
+        // Input to a window with a modal child goes to the child instead
+        const modalChild = this.getOwnedWindows(id).find(w => w.modal);
+        if (modalChild) {
+            this.focus(modalChild.id);
+            this.flash(modalChild.id);
+            return;
+        }
+
+        // A window on another workspace brings its workspace along
+        const workspace = StateManager.getWindow(id)?.workspace;
+        if (workspace && workspace !== this.activeWorkspace) {
+            this.switchWorkspace(workspace, { focusWindow: false });
+        }
+
         // Get previously active window to emit blur event
         const previousActiveId = StateManager.getState('ui.activeWindow');
 
@@ -280,9 +409,11 @@ class WindowManagerClass {
             w.classList.remove('active');
         });
 
-        // Activate this window
+        // Activate this window, keeping owners below and owned windows above it
         windowEl.classList.add('active');
-        windowEl.style.zIndex = ++this.zCounter;
+        const root = this.getRootOwner(id);
+        if (root !== id) this.raiseOwnerTree(root);
+        this.raiseOwnerTree(id);
 
         // Update state
         StateManager.focusWindow(id);
@@ -297,22 +428,35 @@ class WindowManagerClass {
     }
 
     /**
-     * Minimize a window
+     * Minimize a window, along with the windows it owns
      * @param {string} id - Window ID
+     * @param {Object} options
+     * @param {boolean} options.withOwner - Minimizing because the owner was (internal)
      */
-    minimize(id) {
+    minimize(id, { withOwner = false } = {}) {
         const windowEl = document.getElementById(`window-${id}`);
         if (!windowEl) return;
 
+        // A modal window can't be put away on its own; its owner goes with it
+        const win = StateManager.getWindow(id);
+        if (!withOwner && win?.modal && win.owner) {
+            this.minimize(win.owner);
+            return;
+        }
+
         windowEl.classList.add('minimizing');
 
         setTimeout(() => {
             windowEl.classList.remove('active', 'minimizing');
             windowEl.classList.add('minimized'); // Hide the window
-            StateManager.updateWindow(id, { minimized: true });
+            StateManager.updateWindow(id, { minimized: true, minimizedWithOwner: withOwner });
             EventBus.emit(WindowEvents.MINIMIZED, { id });
         }, 200);
 
+        for (const child of this.getOwnedWindows(id)) {
+            if (!child.minimized) this.minimize(child.id, { withOwner: true });
+        }
+
         EventBus.emit(Events.SOUND_PLAY, { type: 'click' });
     }
 
@@ -324,6 +468,13 @@ class WindowManagerClass {
         const windowEl = document.getElementById(`window-${id}`);
         if (!windowEl) return;
 
+        // An owned window comes back with its owner
+        const owner = StateManager.getWindow(id)?.owner;
+        if (owner && this.isMinimized(owner)) {
+            this.restore(owner);
+            return;
+        }
+
         windowEl.classList.remove('minimized'); // Show the window
         windowEl.classList.add('restoring');
 
@@ -331,10 +482,14 @@ class WindowManagerClass {
             windowEl.classList.remove('restoring');
         }, 200);
 
-        StateManager.updateWindow(id, { minimized: false });
+        StateManager.updateWindow(id, { minimized: false, minimizedWithOwner: false });
         this.focus(id);
 
         EventBus.emit(WindowEvents.RESTORED, { id });
+
+        for (const child of this.getOwnedWindows(id)) {
+            if (child.minimizedWithOwner) this.restore(child.id);
+        }
     }
 
     /**
@@ -348,13 +503,15 @@ class WindowManagerClass {
         const isMaximized = windowEl.classList.contains('maximized');
 
         if (!isMaximized) {
-            // Store current position and size before maximizing
-            this.preMaximizeState.set(id, {
-                left: windowEl.style.left,
-                top: windowEl.style.top,
-                width: windowEl.style.width,
-                height: windowEl.style.height
-            });
+            // Store current position and size before maximizing (a snapped window already has)
+            if (!StateManager.getWindow(id)?.snapped) {
+                this.preMaximizeState.set(id, {
+                    left: windowEl.style.left,
+                    top: windowEl.style.top,
+                    width: windowEl.style.width,
+                    height: windowEl.style.height
+                });
+            }
 
             // Add animation class
             windowEl.classList.add('maximizing');
@@ -387,7 +544,8 @@ class WindowManagerClass {
             }, 150);
         }
 
-        StateManager.updateWindow(id, { maximized: !isMaximized });
+        StateManager.updateWindow(id, { maximized: !isMaximized, snapped: null });
+        this.rememberGeometry(id);
 
         // Emit appropriate event based on new state
         if (!isMaximized) {
@@ -403,10 +561,17 @@ class WindowManagerClass {
      */
     close(id) {
         const windowEl = document.getElementById(`window-${id}`);
-        if (!windowEl) return;
+        if (!windowEl || this.closing.has(id)) return;
+        this.closing.add(id);
 
         // Get window data for callback
         const windowData = StateManager.getWindow(id);
+        const wasActive = this.isActive(id);
+
+        // Owned windows close with their owner
+        this.getOwnedWindows(id).forEach(child => this.close(child.id));
+
+        this.rememberGeometry(id);
 
         // Play close sound
         EventBus.emit(Events.SOUND_PLAY, { type: 'close' });
@@ -422,13 +587,26 @@ class WindowManagerClass {
 
             // Remove from DOM
             windowEl.remove();
+            this.closing.delete(id);
 
             // Remove from state
             StateManager.removeWindow(id);
 
+            // Don't leave focus on a window that isn't on screen
+            const nextActive = StateManager.getWindow(StateManager.getState('ui.activeWindow'));
+            if (nextActive && nextActive.workspace !== this.activeWorkspace) {
+                StateManager.setState('ui.activeWindow', this.getTopWindow(this.activeWorkspace)?.id || null);
+            }
+
             // Clean up pre-maximize state
             this.preMaximizeState.delete(id);
 
+            // Give input back to the owner
+            if (windowData?.owner && this.isOpen(windowData.owner) && !this.closing.has(windowData.owner)) {
+                this.updateModalBlock(windowData.owner);
+                if (wasActive) this.focus(windowData.owner);
+            }
+
             // Emit close event
             EventBus.emit(WindowEvents.CLOSED, { id });
         }, 200);
@@ -453,8 +631,8 @@ class WindowManagerClass {
         const windowEl = document.getElementById(`window-${id}`);
         if (!windowEl) return;
 
-        // If maximized, un-maximize first with smart positioning
-        if (windowEl.classList.contains('maximized')) {
+        // If maximized or snapped, go back to the floating size with smart positioning
+        if (windowEl.classList.contains('maximized') || StateManager.getWindow(id)?.snapped) {
             const prevState = this.preMaximizeState.get(id);
             windowEl.classList.remove('maximized');
 
@@ -470,7 +648,7 @@ class WindowManagerClass {
                 windowEl.style.height = prevState.height;
             }
 
-            StateManager.updateWindow(id, { maximized: false });
+            StateManager.updateWindow(id, { maximized: false, snapped: null });
         }
 
         this.draggedWindow = { element: windowEl, id };
@@ -512,43 +690,57 @@ class WindowManagerClass {
         windowEl.style.top = `${y}px`;
 
         // Check for snap zones
-        if (e.clientY <= 5) {
-            this.showSnapPreview('maximize');
-        } else if (e.clientX <= 5) {
-            this.showSnapPreview('left');
-        } else if (e.clientX >= window.innerWidth - 5) {
-            this.showSnapPreview('right');
+        const zone = this.getSnapZone(e.clientX, e.clientY);
+        if (zone) {
+            this.showSnapPreview(zone);
         } else {
             this.hideSnapPreview();
         }
     }
 
+    /**
+     * Find the snap layout for a pointer position.
+     * Screen edges snap to halves (top edge maximizes); near a corner they snap to quarters.
+     * @param {number} x - Pointer X
+     * @param {number} y - Pointer Y
+     * @returns {string|null} Layout name, or null outside the snap zones
+     */
+    getSnapZone(x, y) {
+        const { SNAP_EDGE: edge, SNAP_CORNER: corner } = WINDOW;
+        const bottom = window.innerHeight - TASKBAR_HEIGHT;
+
+        if (x <= edge || x >= window.innerWidth - edge) {
+            const side = x <= edge ? 'left' : 'right';
+            if (y <= corner) return `top-${side}`;
+            if (y >= bottom - corner) return `bottom-${side}`;
+            return side;
+        }
+        if (y <= edge) {
+            if (x <= corner) return 'top-left';
+            if (x >= window.innerWidth - corner) return 'top-right';
+            return 'maximize';
+        }
+        return null;
+    }
+
+    /**
+     * Get the CSS box of a snap layout
+     * @param {string} layout - 'maximize', 'left', 'right', 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @returns {Object|null} { left, top, width, height }
+     */
+    getSnapLayout(layout) {
+        return SNAP_LAYOUTS[layout] ? { ...SNAP_LAYOUTS[layout] } : null;
+    }
+
     /**
      * Show snap preview overlay
-     * @param {string} type - Snap type ('maximize', 'left', 'right')
+     * @param {string} type - Snap layout (see getSnapLayout)
      */
     showSnapPreview(type) {
-        if (!this.snapPreview) return;
+        if (!this.snapPreview || !SNAP_LAYOUTS[type]) return;
 
         this.currentSnapType = type;
-
-        if (type === 'maximize') {
-            this.snapPreview.style.top = '0';
-            this.snapPreview.style.left = '0';
-            this.snapPreview.style.width = '100%';
-            this.snapPreview.style.height = 'calc(100vh - 50px)';
-        } else if (type === 'left') {
-            this.snapPreview.style.top = '0';
-            this.snapPreview.style.left = '0';
-            this.snapPreview.style.width = '50%';
-            this.snapPreview.style.height = 'calc(100vh - 50px)';
-        } else if (type === 'right') {
-            this.snapPreview.style.top = '0';
-            this.snapPreview.style.left = '50%';
-            this.snapPreview.style.width = '50%';
-            this.snapPreview.style.height = 'calc(100vh - 50px)';
-        }
-
+        Object.assign(this.snapPreview.style, SNAP_LAYOUTS[type]);
         this.snapPreview.classList.add('active');
     }
 
@@ -571,7 +763,7 @@ class WindowManagerClass {
             const { element, id } = this.draggedWindow;
 
             // Apply snap if in a snap zone
-            if (this.currentSnapType) {
+            if (this.currentSnapType === 'maximize') {
                 // Store current position before snapping
                 this.preMaximizeState.set(id, {
                     left: element.style.left,
@@ -579,25 +771,10 @@ class WindowManagerClass {
                     width: element.style.width,
                     height: element.style.height
                 });
-
-                if (this.currentSnapType === 'maximize') {
-                    element.classList.add('maximized');
-                    StateManager.updateWindow(id, { maximized: true });
-                } else if (this.currentSnapType === 'left') {
-                    element.classList.remove('maximized');
-                    element.style.top = '0px';
-                    element.style.left = '0px';
-                    element.style.width = '50%';
-                    element.style.height = 'calc(100vh - 50px)';
-                    StateManager.updateWindow(id, { snapped: 'left' });
-                } else if (this.currentSnapType === 'right') {
-                    element.classList.remove('maximized');
-                    element.style.top = '0px';
-                    element.style.left = '50%';
-                    element.style.width = '50%';
-                    element.style.height = 'calc(100vh - 50px)';
-                    StateManager.updateWindow(id, { snapped: 'right' });
-                }
+                element.classList.add('maximized');
+                StateManager.updateWindow(id, { maximized: true });
+            } else if (this.currentSnapType) {
+                this.snap(id, this.currentSnapType, { assist: true });
             }
 
             // Remove dragging class
@@ -605,6 +782,7 @@ class WindowManagerClass {
             document.body.classList.remove('window-dragging');
 
             this.hideSnapPreview();
+            this.rememberGeometry(id);
             EventBus.emit(WindowEvents.DRAG_ENDED, { id });
             EventBus.emit(WindowEvents.MOVED, { id, left: element.style.left, top: element.style.top });
         }
@@ -629,8 +807,8 @@ class WindowManagerClass {
         const windowEl = document.getElementById(`window-${id}`);
         if (!windowEl) return;
 
-        // If maximized, un-maximize first
-        if (windowEl.classList.contains('maximized')) {
+        // If maximized or snapped, go back to the floating size first
+        if (windowEl.classList.contains('maximized') || StateManager.getWindow(id)?.snapped) {
             const prevState = this.preMaximizeState.get(id);
             windowEl.classList.remove('maximized');
 
@@ -645,7 +823,7 @@ class WindowManagerClass {
                 windowEl.style.height = prevState.height;
             }
 
-            StateManager.updateWindow(id, { maximized: false });
+            StateManager.updateWindow(id, { maximized: false, snapped: null });
         }
 
         this.draggedWindow = { element: windowEl, id };
@@ -714,6 +892,7 @@ class WindowManagerClass {
             element.classList.remove('dragging');
             document.body.classList.remove('window-dragging');
             this.hideSnapPreview();
+            this.rememberGeometry(id);
         }
 
         this.draggedWindow = null;
@@ -765,62 +944,70 @@ class WindowManagerClass {
     handleResizeMove(e) {
         if (!this.resizingWindow || !this.resizeStart) return;
 
-        const { element } = this.resizingWindow;
-        const { mouseX, mouseY, width, height, left, top } = this.resizeStart;
-        const dir = this.resizeDirection;
+        this.applyResize(e.clientX - this.resizeStart.mouseX, e.clientY - this.resizeStart.mouseY);
+    }
 
-        const deltaX = e.clientX - mouseX;
-        const deltaY = e.clientY - mouseY;
+    /**
+     * Resize the window being resized by a pointer offset, within its size limits
+     * @param {number} deltaX - Horizontal distance from where the resize started
+     * @param {number} deltaY - Vertical distance from where the resize started
+     */
+    applyResize(deltaX, deltaY) {
+        const { element, id } = this.resizingWindow;
+        const { width, height, left, top } = this.resizeStart;
+        const dir = this.resizeDirection;
+        const { minWidth, minHeight, maxWidth, maxHeight } = this.getSizeLimits(id);
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
         let newWidth = width;
         let newHeight = height;
-        let newLeft = left;
-        let newTop = top;
 
-        // Handle horizontal resizing
+        // Handle horizontal resizing - dragging the left edge keeps the right edge still
         if (dir.includes('e')) {
-            newWidth = Math.max(this.minWidth, width + deltaX);
+            newWidth = clamp(width + deltaX, minWidth, maxWidth);
         }
         if (dir.includes('w')) {
-            const potentialWidth = width - deltaX;
-            if (potentialWidth >= this.minWidth) {
-                newWidth = potentialWidth;
-                newLeft = left + deltaX;
-            }
+            newWidth = clamp(width - deltaX, minWidth, maxWidth);
+            element.style.left = `${left + width - newWidth}px`;
         }
 
         // Handle vertical resizing
         if (dir.includes('s')) {
-            newHeight = Math.max(this.minHeight, height + deltaY);
+            newHeight = clamp(height + deltaY, minHeight, maxHeight);
         }
         if (dir.includes('n')) {
-            const potentialHeight = height - deltaY;
-            if (potentialHeight >= this.minHeight) {
-                newHeight = potentialHeight;
-                newTop = top + deltaY;
-            }
+            newHeight = clamp(height - deltaY, minHeight, maxHeight);
+            element.style.top = `${top + height - newHeight}px`;
         }
 
         // Apply changes
         element.style.width = `${newWidth}px`;
         element.style.height = `${newHeight}px`;
 
-        if (dir.includes('w')) {
-            element.style.left = `${newLeft}px`;
-        }
-        if (dir.includes('n')) {
-            element.style.top = `${newTop}px`;
-        }
-
         // Emit debounced resize event for apps to react
         this.emitResizeEventDebounced({
-            id: this.resizingWindow.id,
+            id,
             width: newWidth,
             height: newHeight,
             isResizing: true
         });
     }
 
+    /**
+     * Get the size limits a window is resized within
+     * @param {string} id - Window ID
+     * @returns {{minWidth: number, minHeight: number, maxWidth: number, maxHeight: number}}
+     */
+    getSizeLimits(id) {
+        return {
+            minWidth: this.minWidth,
+            minHeight: this.minHeight,
+            maxWidth: Infinity,
+            maxHeight: Infinity,
+            ...StateManager.getWindow(id)?.limits
+        };
+    }
+
     /**
      * End resize
      */
@@ -834,6 +1021,8 @@ class WindowManagerClass {
             document.body.classList.remove('window-resizing');
             document.body.classList.remove(`window-resizing-${this.resizeDirection}`);
 
+            this.rememberGeometry(id);
+
             // Emit final resize event
             EventBus.emit(WindowEvents.RESIZED, {
                 id,
@@ -897,56 +1086,7 @@ class WindowManagerClass {
         e.preventDefault();
 
         const touch = e.touches[0];
-        const { element } = this.resizingWindow;
-        const { mouseX, mouseY, width, height, left, top } = this.resizeStart;
-        const dir = this.resizeDirection;
-
-        const deltaX = touch.clientX - mouseX;
-        const deltaY = touch.clientY - mouseY;
-
-        let newWidth = width;
-        let newHeight = height;
-        let newLeft = left;
-        let newTop = top;
-
-        if (dir.includes('e')) {
-            newWidth = Math.max(this.minWidth, width + deltaX);
-        }
-        if (dir.includes('w')) {
-            const potentialWidth = width - deltaX;
-            if (potentialWidth >= this.minWidth) {
-                newWidth = potentialWidth;
-                newLeft = left + deltaX;
-            }
-        }
-        if (dir.includes('s')) {
-            newHeight = Math.max(this.minHeight, height + deltaY);
-        }
-        if (dir.includes('n')) {
-            const potentialHeight = height - deltaY;
-            if (potentialHeight >= this.minHeight) {
-                newHeight = potentialHeight;
-                newTop = top + deltaY;
-            }
-        }
-
-        element.style.width = `${newWidth}px`;
-        element.style.height = `${newHeight}px`;
-
-        if (dir.includes('w')) {
-            element.style.left = `${newLeft}px`;
-        }
-        if (dir.includes('n')) {
-            element.style.top = `${newTop}px`;
-        }
-
-        // Emit debounced resize event for apps to react
-        this.emitResizeEventDebounced({
-            id: this.resizingWindow.id,
-            width: newWidth,
-            height: newHeight,
-            isResizing: true
-        });
+        this.applyResize(touch.clientX - this.resizeStart.mouseX, touch.clientY - this.resizeStart.mouseY);
     }
 
     /**
@@ -960,6 +1100,7 @@ class WindowManagerClass {
             element.classList.remove('resizing');
             document.body.classList.remove('window-resizing');
             document.body.classList.remove(`window-resizing-${this.resizeDirection}`);
+            this.rememberGeometry(id);
 
             EventBus.emit(WindowEvents.RESIZED, {
                 id,
@@ -1037,6 +1178,702 @@ class WindowManagerClass {
     getOpenIds() {
         return StateManager.getState('windows').map(w => w.id);
     }
+
+    /**
+     * Build a scaled-down copy of a window's content for previews.
+     * Canvases are copied pixel for pixel; iframes and media become placeholders
+     * so the copy doesn't load or play anything.
+     * @param {string} id - Window ID
+     * @param {number} maxWidth - Largest thumbnail width in pixels
+     * @param {number} maxHeight - Largest thumbnail height in pixels
+     * @returns {HTMLElement|null}
+     */
+    createThumbnail(id, maxWidth = 160, maxHeight = 110) {
+        const windowEl = this.getElement(id);
+        const content = windowEl?.querySelector('.window-content');
+        if (!content) return null;
+
+        const width = content.offsetWidth || parseInt(windowEl.style.width, 10) || 400;
+        const height = content.offsetHeight || parseInt(windowEl.style.height, 10) || 300;
+
+        const clone = content.cloneNode(true);
+        clone.removeAttribute('role');
+        clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+        clone.querySelectorAll('iframe, video, audio, object, embed').forEach(el => {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'window-thumbnail-placeholder';
+            el.replaceWith(placeholder);
+        });
+
+        const sourceCanvases = content.querySelectorAll('canvas');
+        clone.querySelectorAll('canvas').forEach((canvas, i) => {
+            const source = sourceCanvases[i];
+            if (!source || !source.width || !source.height) return;
+            canvas.width = source.width;
+            canvas.height = source.height;
+            try {
+                canvas.getContext('2d').drawImage(source, 0, 0);
+            } catch (e) {
+                // WebGL or cross-origin canvases can't always be copied
+            }
+        });
+
+        const scale = Math.min(maxWidth / width, maxHeight / height, 1);
+        clone.classList.add('window-thumbnail');
+        clone.style.width = `${width}px`;
+        clone.style.height = `${height}px`;
+        clone.style.transform = `scale(${scale})`;
+        clone.inert = true;
+        return clone;
+    }
+
+    /**
+     * Get a window's placement, suitable for saving and passing to applyGeometry().
+     * For maximized or snapped windows the size to restore to is reported.
+     * @param {string} id - Window ID
+     * @returns {Object|null} { left, top, width, height, zIndex, minimized, maximized, snapped, workspace }
+     */
+    getGeometry(id) {
+        const windowEl = this.getElement(id);
+        const win = StateManager.getWindow(id);
+        if (!windowEl || !win) return null;
+
+        const maximized = windowEl.classList.contains('maximized');
+        const box = maximized || win.snapped ? this.preMaximizeState.get(id) || windowEl.style : windowEl.style;
+
+        return {
+            left: box.left,
+            top: box.top,
+            width: box.width,
+            height: box.height,
+            zIndex: parseInt(windowEl.style.zIndex, 10) || 0,
+            minimized: win.minimized === true,
+            maximized,
+            snapped: win.snapped || null,
+            workspace: win.workspace
+        };
+    }
+
+    /**
+     * Place a window using geometry from getGeometry()
+     * @param {string} id - Window ID
+     * @param {Object} geometry - Saved geometry
+     */
+    applyGeometry(id, geometry) {
+        const windowEl = this.getElement(id);
+        if (!windowEl || !geometry) return;
+
+        // The window may have opened maximized from its app's remembered geometry
+        if (!geometry.maximized && windowEl.classList.contains('maximized')) {
+            windowEl.classList.remove('maximized');
+            this.preMaximizeState.delete(id);
+            StateManager.updateWindow(id, { maximized: false });
+        }
+
+        for (const prop of ['left', 'top', 'width', 'height']) {
+            if (geometry[prop]) windowEl.style[prop] = geometry[prop];
+        }
+
+        if (geometry.workspace && this.findWorkspace(geometry.workspace)) {
+            this.moveToWorkspace(id, geometry.workspace);
+        }
+        if (geometry.maximized && !windowEl.classList.contains('maximized')) {
+            this.maximize(id);
+        } else if (geometry.snapped) {
+            this.snap(id, geometry.snapped);
+        }
+        if (geometry.minimized) {
+            this.minimize(id);
+        }
+    }
+
+    // ===== REMEMBERED GEOMETRY =====
+
+    /**
+     * Save a window's floating position and size (and whether it is maximized) as
+     * the place its app opens next time. Owned windows are placed by their owner
+     * and are not remembered.
+     * @param {string} id - Window ID
+     */
+    rememberGeometry(id) {
+        const windowEl = this.getElement(id);
+        const win = StateManager.getWindow(id);
+        if (!windowEl || !win || win.owner || win.minimized) return;
+
+        const box = win.maximized || win.snapped ? this.preMaximizeState.get(id) || windowEl.style : windowEl.style;
+        const left = parseFloat(box.left);
+        const top = parseFloat(box.top);
+        const width = parseFloat(box.width);
+        if (![left, top, width].every(Number.isFinite)) return;
+
+        // An 'auto' height window that was never resized keeps sizing to its content
+        const height = parseFloat(box.height);
+
+        this.savedGeometry[win.appId || id] = {
+            left: Math.round(left),
+            top: Math.round(top),
+            width: Math.round(width),
+            height: Number.isFinite(height) ? Math.round(height) : null,
+            maximized: win.maximized === true
+        };
+        StorageManager.set(STORAGE_KEYS.WINDOW_GEOMETRY, this.savedGeometry);
+    }
+
+    /**
+     * Get where a new window of an app should open, fitted to the current screen.
+     * Each window of the app that is already open pushes the new one one cascade
+     * step along so they don't stack exactly.
+     * @param {string} appId - App ID
+     * @param {Object} limits - Size limits from create()
+     * @returns {Object|null} { left, top, width, height, maximized }, or null if nothing is saved
+     */
+    getRememberedGeometry(appId, limits) {
+        const saved = this.savedGeometry[appId];
+        if (!saved) return null;
+
+        const workWidth = window.innerWidth;
+        const workHeight = window.innerHeight - TASKBAR_HEIGHT;
+        const fit = (value, min, max, available) => Math.min(Math.max(value, min), max, available);
+
+        const width = fit(saved.width, limits.minWidth, limits.maxWidth, workWidth);
+        const height = saved.height ? fit(saved.height, limits.minHeight, limits.maxHeight, workHeight) : null;
+
+        const openCount = StateManager.getState('windows').filter(w => w.appId === appId && !w.owner).length;
+        const offset = (openCount % WINDOW.MAX_CASCADE) * WINDOW.CASCADE_OFFSET;
+
+        return {
+            left: Math.max(0, Math.min(saved.left + offset, workWidth - width)),
+            top: Math.max(0, Math.min(saved.top + offset, workHeight - (height || limits.minHeight))),
+            width,
+            height,
+            maximized: saved.maximized === true
+        };
+    }
+
+    /**
+     * Forget every app's remembered geometry, so windows open at their default
+     * cascade positions again
+     */
+    resetRememberedGeometry() {
+        this.savedGeometry = {};
+        StorageManager.remove(STORAGE_KEYS.WINDOW_GEOMETRY);
+        EventBus.emit(WindowEvents.GEOMETRY_RESET);
+    }
+
+    // ===== OWNED WINDOWS =====
+
+    /**
+     * Get the windows directly owned by a window
+     * @param {string} id - Owner window ID
+     * @returns {Object[]} Window state entries
+     */
+    getOwnedWindows(id) {
+        return StateManager.getState('windows').filter(w => w.owner === id);
+    }
+
+    /**
+     * Get every window owned by a window, directly or through other owned windows
+     * @param {string} id - Owner window ID
+     * @returns {Object[]} Window state entries, owners before the windows they own
+     */
+    getOwnedWindowTree(id) {
+        return this.getOwnedWindows(id).flatMap(child => [child, ...this.getOwnedWindowTree(child.id)]);
+    }
+
+    /**
+     * Follow the owner chain up to the top-level window
+     * @param {string} id - Window ID
+     * @returns {string} Top-level window ID
+     */
+    getRootOwner(id) {
+        let current = id;
+        const seen = new Set();
+        while (StateManager.getWindow(current)?.owner && !seen.has(current)) {
+            seen.add(current);
+            current = StateManager.getWindow(current).owner;
+        }
+        return current;
+    }
+
+    /**
+     * Bring a window to the front, followed by the windows it owns
+     * @param {string} id - Window ID
+     */
+    raiseOwnerTree(id) {
+        const windowEl = this.getElement(id);
+        if (windowEl) windowEl.style.zIndex = ++this.zCounter;
+        this.getOwnedWindows(id).forEach(child => this.raiseOwnerTree(child.id));
+    }
+
+    /**
+     * Center an owned window on its owner, kept on screen
+     * @param {string} id - Owned window ID
+     */
+    centerOnOwner(id) {
+        const windowEl = this.getElement(id);
+        const ownerEl = this.getElement(StateManager.getWindow(id)?.owner);
+        if (!windowEl || !ownerEl) return;
+
+        const owner = ownerEl.getBoundingClientRect();
+        const width = windowEl.offsetWidth;
+        const height = windowEl.offsetHeight;
+        const left = owner.left + (owner.width - width) / 2;
+        const top = owner.top + (owner.height - height) / 2;
+
+        windowEl.style.left = `${Math.max(0, Math.min(left, window.innerWidth - width))}px`;
+        windowEl.style.top = `${Math.max(0, Math.min(top, window.innerHeight - TASKBAR_HEIGHT - height))}px`;
+    }
+
+    /**
+     * Block or unblock input to a window depending on whether it has a modal child
+     * @param {string} id - Owner window ID
+     */
+    updateModalBlock(id) {
+        const windowEl = this.getElement(id);
+        if (!windowEl) return;
+
+        const blocked = this.getOwnedWindows(id).some(w => w.modal);
+        windowEl.classList.toggle('modal-blocked', blocked);
+        // Clicks then land on the window itself, and focus() hands them to the modal child
+        for (const part of windowEl.children) {
+            part.inert = blocked;
+        }
+    }
+
+    /**
+     * Flash a window's title bar to draw attention to it
+     * @param {string} id - Window ID
+     */
+    flash(id) {
+        const windowEl = this.getElement(id);
+        if (!windowEl) return;
+
+        windowEl.classList.remove('flashing');
+        // Restart the animation if it is already running
+        void windowEl.offsetWidth;
+        windowEl.classList.add('flashing');
+        setTimeout(() => windowEl.classList.remove('flashing'), 600);
+        EventBus.emit(Events.SOUND_PLAY, { type: 'error' });
+    }
+
+    // ===== SNAPPING AND TILING =====
+
+    /**
+     * Snap a window to a half or quarter of the screen.
+     * The floating size is kept, so dragging or unsnap() brings it back.
+     * @param {string} id - Window ID
+     * @param {string} layout - 'left', 'right', 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @param {Object} options
+     * @param {boolean} options.assist - Offer other windows for the rest of the screen (see SnapAssist)
+     * @returns {boolean} True if snapped
+     */
+    snap(id, layout, { assist = false } = {}) {
+        const windowEl = this.getElement(id);
+        const win = StateManager.getWindow(id);
+        if (!windowEl || !win || layout === 'maximize' || !SNAP_LAYOUTS[layout]) return false;
+
+        // Remember the floating size only once, so moving between layouts keeps it
+        if (!win.snapped && !windowEl.classList.contains('maximized')) {
+            this.preMaximizeState.set(id, {
+                left: windowEl.style.left,
+                top: windowEl.style.top,
+                width: windowEl.style.width,
+                height: windowEl.style.height
+            });
+        }
+
+        windowEl.classList.remove('maximized');
+        Object.assign(windowEl.style, SNAP_LAYOUTS[layout]);
+        StateManager.updateWindow(id, { snapped: layout, maximized: false });
+
+        EventBus.emit(WindowEvents.SNAPPED, { id, layout, assist });
+        EventBus.emit(WindowEvents.RESIZED, { id, width: windowEl.offsetWidth, height: windowEl.offsetHeight, isResizing: false });
+        return true;
+    }
+
+    /**
+     * Put a snapped window back to its floating size
+     * @param {string} id - Window ID
+     * @returns {boolean} True if the window was snapped
+     */
+    unsnap(id) {
+        const windowEl = this.getElement(id);
+        if (!windowEl || !StateManager.getWindow(id)?.snapped) return false;
+
+        const prevState = this.preMaximizeState.get(id);
+        if (prevState) {
+            Object.assign(windowEl.style, prevState);
+        }
+        StateManager.updateWindow(id, { snapped: null });
+
+        EventBus.emit(WindowEvents.RESTORED, { id });
+        return true;
+    }
+
+    /**
+     * Move a window one step through the snap layouts, as Win+Arrow does
+     * @param {string} id - Window ID
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     * @returns {boolean} True if the window exists
+     */
+    snapInDirection(id, direction) {
+        const windowEl = this.getElement(id);
+        const moves = SNAP_MOVES[direction];
+        if (!windowEl || !moves) return false;
+
+        const current = windowEl.classList.contains('maximized')
+            ? 'maximize'
+            : StateManager.getWindow(id)?.snapped || '';
+        const target = moves[current];
+
+        if (target === current) return true;
+
+        if (target === 'minimize') {
+            this.minimize(id);
+        } else if (target === 'maximize') {
+            this.maximize(id);
+        } else if (target === null) {
+            if (current === 'maximize') {
+                this.maximize(id);
+            } else {
+                this.unsnap(id);
+            }
+        } else {
+            this.snap(id, target, { assist: true });
+        }
+        return true;
+    }
+
+    /**
+     * Get the windows that arrange commands move: visible windows on the active workspace
+     * @returns {Object[]} Window state entries, bottom-most first
+     */
+    getArrangeableWindows() {
+        return StateManager.getState('windows')
+            .filter(w => w.workspace === this.activeWorkspace && !w.minimized && !w.owner && this.isOpen(w.id))
+            .sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    /**
+     * Give a window an exact floating position and size, leaving any maximized/snapped state
+     * @param {string} id - Window ID
+     * @param {Object} box - { left, top, width, height } in pixels
+     */
+    placeWindow(id, { left, top, width, height }) {
+        const windowEl = this.getElement(id);
+        if (!windowEl) return;
+
+        windowEl.classList.remove('maximized');
+        windowEl.style.left = `${Math.round(left)}px`;
+        windowEl.style.top = `${Math.round(top)}px`;
+        windowEl.style.width = `${Math.round(width)}px`;
+        windowEl.style.height = `${Math.round(height)}px`;
+        this.preMaximizeState.delete(id);
+        StateManager.updateWindow(id, { maximized: false, snapped: null });
+
+        EventBus.emit(WindowEvents.RESIZED, { id, width: Math.round(width), height: Math.round(height), isResizing: false });
+    }
+
+    /**
+     * Stack the visible windows diagonally from the top-left corner
+     * @returns {number} Number of windows arranged
+     */
+    cascadeWindows() {
+        const windows = this.getArrangeableWindows();
+        const workHeight = window.innerHeight - TASKBAR_HEIGHT;
+        const width = Math.max(WINDOW.MIN_WIDTH, Math.round(window.innerWidth * 0.6));
+        const height = Math.max(WINDOW.MIN_HEIGHT, Math.round(workHeight * 0.6));
+
+        windows.forEach((w, index) => {
+            const step = (index % WINDOW.MAX_CASCADE) * WINDOW.CASCADE_OFFSET;
+            this.placeWindow(w.id, { left: 20 + step, top: 20 + step, width, height });
+        });
+        return windows.length;
+    }
+
+    /**
+     * Tile the visible windows so none overlap
+     * @param {string} mode - 'grid', 'horizontal' (stacked rows) or 'vertical' (side-by-side columns)
+     * @returns {number} Number of windows arranged
+     */
+    tileWindows(mode = 'grid') {
+        const windows = this.getArrangeableWindows();
+        const count = windows.length;
+        if (count === 0) return 0;
+
+        let columns;
+        if (mode === 'horizontal') columns = 1;
+        else if (mode === 'vertical') columns = count;
+        else columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+
+        const workWidth = window.innerWidth;
+        const workHeight = window.innerHeight - TASKBAR_HEIGHT;
+        const height = workHeight / rows;
+
+        windows.forEach((w, index) => {
+            const row = Math.floor(index / columns);
+            // The last row may be short; its windows share the full width
+            const inRow = row === rows - 1 ? count - row * columns : columns;
+            const width = workWidth / inRow;
+            this.placeWindow(w.id, {
+                left: (index - row * columns) * width,
+                top: row * height,
+                width,
+                height
+            });
+        });
+        return count;
+    }
+
+    /**
+     * Turn automatic grid tiling on or off
+     * @param {boolean} enabled
+     */
+    setAutoTile(enabled) {
+        StateManager.setState('settings.autoTile', enabled === true, true);
+    }
+
+    /**
+     * Re-tile on the next frame if auto-tiling is on.
+     * Batched so a burst of opens or closes only tiles once.
+     */
+    scheduleAutoTile() {
+        if (!StateManager.getState('settings.autoTile') || this.autoTileRAF) return;
+
+        this.autoTileRAF = requestAnimationFrame(() => {
+            this.autoTileRAF = null;
+            if (StateManager.getState('settings.autoTile') && !this.draggedWindow && !this.resizingWindow) {
+                this.tileWindows('grid');
+            }
+        });
+    }
+
+    // ===== WORKSPACES =====
+
+    /**
+     * Load the workspace list, falling back to the defaults
+     */
+    loadWorkspaces() {
+        const saved = StorageManager.get(STORAGE_KEYS.WORKSPACES);
+        this.workspaces = Array.isArray(saved) && saved.length > 0
+            ? saved
+            : WINDOW.DEFAULT_WORKSPACES.map((name, index) => ({ id: `ws-${index + 1}`, name }));
+        this.activeWorkspace = this.workspaces[0].id;
+        StateManager.setState('ui.activeWorkspace', this.activeWorkspace);
+    }
+
+    /**
+     * Persist the workspace list and tell the taskbar
+     */
+    saveWorkspaces() {
+        StorageManager.set(STORAGE_KEYS.WORKSPACES, this.workspaces);
+        EventBus.emit(Events.TASKBAR_UPDATE);
+    }
+
+    /**
+     * Find a workspace by id, name or 1-based position
+     * @param {string|number} workspace
+     * @returns {{id: string, name: string}|null}
+     */
+    findWorkspace(workspace) {
+        if (typeof workspace === 'number' || /^\d+$/.test(workspace)) {
+            return this.workspaces[Number(workspace) - 1] || null;
+        }
+        return this.workspaces.find(ws => ws.id === workspace)
+            || this.workspaces.find(ws => ws.name.toLowerCase() === String(workspace).toLowerCase())
+            || null;
+    }
+
+    /**
+     * List the workspaces in order
+     * @returns {Array<{id: string, name: string, index: number, active: boolean, windowCount: number}>}
+     */
+    getWorkspaces() {
+        const windows = StateManager.getState('windows');
+        return this.workspaces.map((ws, index) => ({
+            ...ws,
+            index,
+            active: ws.id === this.activeWorkspace,
+            windowCount: windows.filter(w => w.workspace === ws.id).length
+        }));
+    }
+
+    /**
+     * Get the workspace being shown
+     * @returns {{id: string, name: string}}
+     */
+    getActiveWorkspace() {
+        return this.findWorkspace(this.activeWorkspace);
+    }
+
+    /**
+     * Get the windows on a workspace, topmost first
+     * @param {string} workspaceId
+     * @returns {Object[]} Window state entries
+     */
+    getWorkspaceWindows(workspaceId) {
+        return StateManager.getState('windows')
+            .filter(w => w.workspace === workspaceId)
+            .sort((a, b) => b.zIndex - a.zIndex);
+    }
+
+    /**
+     * Get the topmost visible window on a workspace
+     * @param {string} workspaceId
+     * @returns {Object|null} Window state entry
+     */
+    getTopWindow(workspaceId) {
+        return this.getWorkspaceWindows(workspaceId).find(w => !w.minimized) || null;
+    }
+
+    /**
+     * Show the windows of the active workspace and hide all others
+     */
+    applyWorkspaceVisibility() {
+        for (const w of StateManager.getState('windows')) {
+            this.getElement(w.id)?.classList.toggle('workspace-hidden', w.workspace !== this.activeWorkspace);
+        }
+    }
+
+    /**
+     * Switch to another workspace
+     * @param {string|number} workspace - Id, name or 1-based position
+     * @param {Object} options
+     * @param {boolean} options.focusWindow - Focus the topmost window there
+     * @returns {boolean} True if the workspace changed
+     */
+    switchWorkspace(workspace, { focusWindow = true } = {}) {
+        const target = this.findWorkspace(workspace);
+        if (!target || target.id === this.activeWorkspace) return false;
+
+        const from = this.activeWorkspace;
+        this.activeWorkspace = target.id;
+        this.applyWorkspaceVisibility();
+        StateManager.setState('ui.activeWorkspace', target.id);
+
+        if (focusWindow) {
+            const top = this.getTopWindow(target.id);
+            if (top) {
+                this.focus(top.id);
+            } else {
+                document.querySelectorAll('.window.active').forEach(w => w.classList.remove('active'));
+                StateManager.setState('ui.activeWindow', null);
+            }
+        }
+
+        EventBus.emit(WindowEvents.WORKSPACE_CHANGED, {
+            from,
+            to: target.id,
+            name: target.name,
+            index: this.workspaces.indexOf(target)
+        });
+        return true;
+    }
+
+    /**
+     * Switch to the next or previous workspace, wrapping around
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    cycleWorkspace(step) {
+        const index = this.workspaces.findIndex(ws => ws.id === this.activeWorkspace);
+        const count = this.workspaces.length;
+        this.switchWorkspace(this.workspaces[(index + step + count) % count].id);
+    }
+
+    /**
+     * Move a window to another workspace
+     * @param {string} id - Window ID
+     * @param {string|number} workspace - Id, name or 1-based position
+     * @param {Object} options
+     * @param {boolean} options.follow - Switch to the workspace as well
+     * @returns {boolean} True if the window moved
+     */
+    moveToWorkspace(id, workspace, { follow = false } = {}) {
+        const win = StateManager.getWindow(id);
+        const target = this.findWorkspace(workspace);
+        if (!win || !target || win.workspace === target.id) return false;
+
+        // Owned windows stay with their owner
+        if (win.owner) return this.moveToWorkspace(win.owner, workspace, { follow });
+
+        const from = win.workspace;
+        StateManager.updateWindow(id, { workspace: target.id });
+        this.getOwnedWindowTree(id).forEach(child => StateManager.updateWindow(child.id, { workspace: target.id }));
+        this.applyWorkspaceVisibility();
+
+        EventBus.emit(WindowEvents.WORKSPACE_MOVED, { id, from, to: target.id });
+
+        if (follow) {
+            this.switchWorkspace(target.id, { focusWindow: false });
+            this.focus(id);
+        } else if (this.isActive(id)) {
+            // The window left the screen, so focus what is now on top
+            const top = this.getTopWindow(this.activeWorkspace);
+            if (top) {
+                this.focus(top.id);
+            } else {
+                this.getElement(id)?.classList.remove('active');
+                StateManager.setState('ui.activeWindow', null);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Add a workspace at the end
+     * @param {string} name - Display name (defaults to "Desktop N")
+     * @returns {{id: string, name: string}|null} The workspace, or null at the limit
+     */
+    addWorkspace(name) {
+        if (this.workspaces.length >= WINDOW.MAX_WORKSPACES) return null;
+
+        const workspace = {
+            id: `ws-${Date.now().toString(36)}`,
+            name: name || `Desktop ${this.workspaces.length + 1}`
+        };
+        this.workspaces.push(workspace);
+        this.saveWorkspaces();
+        return workspace;
+    }
+
+    /**
+     * Rename a workspace
+     * @param {string|number} workspace - Id, name or 1-based position
+     * @param {string} name - New name
+     */
+    renameWorkspace(workspace, name) {
+        const target = this.findWorkspace(workspace);
+        if (!target || !name) return;
+        target.name = name;
+        this.saveWorkspaces();
+    }
+
+    /**
+     * Remove a workspace. Its windows move to the workspace before it.
+     * The last workspace can't be removed.
+     * @param {string|number} workspace - Id, name or 1-based position
+     * @returns {boolean} True if removed
+     */
+    removeWorkspace(workspace) {
+        const target = this.findWorkspace(workspace);
+        if (!target || this.workspaces.length <= 1) return false;
+
+        const index = this.workspaces.indexOf(target);
+        const fallback = this.workspaces[index > 0 ? index - 1 : 1];
+
+        if (this.activeWorkspace === target.id) {
+            this.switchWorkspace(fallback.id);
+        }
+        for (const w of this.getWorkspaceWindows(target.id)) {
+            StateManager.updateWindow(w.id, { workspace: fallback.id });
+        }
+
+        this.workspaces.splice(index, 1);
+        this.applyWorkspaceVisibility();
+        this.saveWorkspaces();
+        return true;
+    }
 }
 
 // Singleton instance
@@ -0,0 +1,273 @@
+/**
+ * ZipArchive - Minimal ZIP reader and writer
+ *
+ * Writing uses the "stored" method (no compression), which every unzip tool reads.
+ * Reading supports stored and deflated entries; deflate needs DecompressionStream.
+ * Modification times are kept both as DOS timestamps and in the extended
+ * timestamp field (0x5455), which holds exact UTC seconds.
+ *
+ * Usage:
+ *   const bytes = createZip([{ path: 'docs/a.txt', data: 'hello', modified: '2024-01-01T00:00:00Z' }]);
+ *   const entries = await readZip(bytes);  // [{ path, directory, data: Uint8Array, modified }]
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const EXTENDED_TIMESTAMP = 0x5455;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by ZIP
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date to DOS time and date words (local time, 2 second resolution)
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Convert DOS time and date words to a Date
+ * @param {number} time
+ * @param {number} date
+ * @returns {Date}
+ */
+function fromDosDateTime(time, date) {
+    return new Date(
+        ((date >> 9) & 0x7F) + 1980,
+        ((date >> 5) & 0x0F) - 1,
+        date & 0x1F,
+        (time >> 11) & 0x1F,
+        (time >> 5) & 0x3F,
+        (time & 0x1F) * 2
+    );
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{path: string, data?: Uint8Array|string, directory?: boolean, modified?: string|Date}>} entries
+ *   Directory paths may omit the trailing slash when `directory` is set
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        let path = entry.path.replace(/\\/g, '/').replace(/^\/+/, '');
+        if (entry.directory && !path.endsWith('/')) path += '/';
+
+        const name = encoder.encode(path);
+        const data = entry.directory ? new Uint8Array(0)
+            : (typeof entry.data === 'string' ? encoder.encode(entry.data) : (entry.data || new Uint8Array(0)));
+        const modified = entry.modified ? new Date(entry.modified) : new Date();
+        const dos = toDosDateTime(modified);
+        const crc = crc32(data);
+
+        // Extended timestamp: flags (mtime present) + 32-bit unix seconds
+        const extra = new Uint8Array(9);
+        const extraView = new DataView(extra.buffer);
+        extraView.setUint16(0, EXTENDED_TIMESTAMP, true);
+        extraView.setUint16(2, 5, true);
+        extraView.setUint8(4, 1);
+        extraView.setUint32(5, Math.floor(modified.getTime() / 1000), true);
+
+        const local = new Uint8Array(30 + name.length + extra.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, LOCAL_HEADER, true);
+        lv.setUint16(4, 20, true);
+        lv.setUint16(6, UTF8_FLAG, true);
+        lv.setUint16(8, METHOD_STORED, true);
+        lv.setUint16(10, dos.time, true);
+        lv.setUint16(12, dos.date, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        lv.setUint16(28, extra.length, true);
+        local.set(name, 30);
+        local.set(extra, 30 + name.length);
+
+        const central = new Uint8Array(46 + name.length + extra.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, CENTRAL_HEADER, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, UTF8_FLAG, true);
+        cv.setUint16(10, METHOD_STORED, true);
+        cv.setUint16(12, dos.time, true);
+        cv.setUint16(14, dos.date, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint16(30, extra.length, true);
+        // MS-DOS directory attribute for folders
+        cv.setUint32(38, entry.directory ? 0x10 : 0, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+        central.set(extra, 46 + name.length);
+
+        localParts.push(local, data);
+        centralParts.push(central);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, END_OF_CENTRAL_DIR, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const result = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed ZIP entries are not supported in this browser');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the modification time from an extended timestamp extra field
+ * @param {DataView} view - Archive view
+ * @param {number} start - Extra field offset
+ * @param {number} length - Extra field length
+ * @returns {Date|null}
+ */
+function readExtendedTimestamp(view, start, length) {
+    let position = start;
+    while (position + 4 <= start + length) {
+        const id = view.getUint16(position, true);
+        const size = view.getUint16(position + 2, true);
+        if (id === EXTENDED_TIMESTAMP && size >= 5 && (view.getUint8(position + 4) & 1)) {
+            return new Date(view.getUint32(position + 5, true) * 1000);
+        }
+        position += 4 + size;
+    }
+    return null;
+}
+
+/**
+ * Read a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} buffer - Archive bytes
+ * @returns {Promise<Array<{path: string, directory: boolean, data: Uint8Array, modified: string}>>}
+ */
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end-of-central-directory record sits at the end, before an optional comment
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = view.getUint16(position + 10, true);
+        const time = view.getUint16(position + 12, true);
+        const date = view.getUint16(position + 14, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const path = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        const modified = readExtendedTimestamp(view, position + 46 + nameLength, extraLength)
+            || fromDosDateTime(time, date);
+
+        // Data starts after the local header, whose name/extra lengths may differ
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === METHOD_STORED) {
+            data = raw.slice();
+        } else if (method === METHOD_DEFLATED) {
+            data = await inflate(raw);
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${path}`);
+        }
+
+        entries.push({
+            path,
+            directory: path.endsWith('/'),
+            data,
+            modified: modified.toISOString()
+        });
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+export default { createZip, readZip };
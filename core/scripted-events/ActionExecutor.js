@@ -13,29 +13,42 @@
  * - Scenario flow control
  * - Visual effects
  * - And more...
+ *
+ * Parameters may contain {{expressions}} (see ExpressionEvaluator), filled in
+ * just before the action runs:
+ *   { "type": "showDialog", "message": "You found {{state.cluesFound}} of 5 clues" }
+ *   { "type": "setState", "path": "score", "value": "{{state.score + 1}}" }
  */
 
 import EventBus, { Events } from '../EventBus.js';
 import FileSystemManager from '../FileSystemManager.js';
 import StateManager from '../StateManager.js';
 import WindowManager from '../WindowManager.js';
+import NotificationManager from '../NotificationManager.js';
 import AppRegistry from '../../apps/AppRegistry.js';
 import { emitScenarioEvent } from './EventEmitterMixin.js';
 import { ScenarioEvents } from './SemanticEvents.js';
+import { debugController } from './DebugController.js';
+import { createScope, resolveParams } from './ExpressionEvaluator.js';
 
 // Registry for custom action handlers
 const customActions = new Map();
 
+// Parameter descriptions of custom actions (see ACTION_PARAMS)
+const customActionParams = new Map();
+
 /**
  * Register a custom action type
  * @param {string} type - Action type name
  * @param {Function} handler - Async handler function (params, context) => result
+ * @param {Object} [params] - Parameter descriptions for editors, same format as ACTION_PARAMS
  */
-export function registerAction(type, handler) {
+export function registerAction(type, handler, params = {}) {
     if (customActions.has(type)) {
         console.warn(`[ActionExecutor] Overwriting action type: ${type}`);
     }
     customActions.set(type, handler);
+    customActionParams.set(type, params);
 }
 
 /**
@@ -44,6 +57,27 @@ export function registerAction(type, handler) {
  */
 export function unregisterAction(type) {
     customActions.delete(type);
+    customActionParams.delete(type);
+}
+
+/**
+ * Get every action type that can be executed, built-in and custom
+ * @returns {Array<string>} - Sorted type names
+ */
+export function getActionTypes() {
+    return [...new Set([...Object.keys(actionHandlers), ...customActions.keys()])].sort();
+}
+
+/**
+ * Get the parameters an action type accepts
+ * @param {string} type - Action type
+ * @returns {Object} - Parameter name -> kind (see ACTION_PARAMS); empty if unknown
+ */
+export function getActionParams(type) {
+    if (customActions.has(type)) {
+        return { ...customActionParams.get(type) };
+    }
+    return { ...ACTION_PARAMS[type] };
 }
 
 /**
@@ -57,12 +91,20 @@ export async function execute(action, context = {}) {
         return { success: false, error: 'Invalid action' };
     }
 
-    const { type, ...params } = action;
+    const { type, ...rawParams } = action;
 
     if (!type) {
         return { success: false, error: 'Action type not specified' };
     }
 
+    // Waits here while the Scenario Debugger is paused or stepping
+    await debugController.beforeAction(action);
+
+    // Nested actions and conditions fill in their own expressions when they run
+    const params = resolveParams(rawParams, getActionParams(type), createScope(context));
+    const traced = debugController.actionStarted(type, params, context);
+    const startTime = Date.now();
+
     // Emit action started event
     emitScenarioEvent(ScenarioEvents.ACTION_EXECUTED, {
         type,
@@ -85,24 +127,32 @@ export async function execute(action, context = {}) {
             result = await handler(params, context);
         }
 
+        const duration = Date.now() - startTime;
+        debugController.actionFinished(traced, { status: 'completed', duration, result });
+
         // Emit action completed event
         emitScenarioEvent(ScenarioEvents.ACTION_EXECUTED, {
             type,
             params,
             status: 'completed',
-            result
+            result,
+            duration
         }, 'ActionExecutor');
 
         return { success: true, result };
     } catch (error) {
         console.error(`[ActionExecutor] Action "${type}" failed:`, error);
 
+        const duration = Date.now() - startTime;
+        debugController.actionFinished(traced, { status: 'failed', duration, error: error.message });
+
         // Emit action failed event
         emitScenarioEvent(ScenarioEvents.ACTION_EXECUTED, {
             type,
             params,
             status: 'failed',
-            error: error.message
+            error: error.message,
+            duration
         }, 'ActionExecutor');
 
         return { success: false, error: error.message };
@@ -179,17 +229,30 @@ const actionHandlers = {
     },
 
     /**
-     * Modify an existing file
+     * Modify an existing file's content and/or attributes
+     * attributes: { readOnly, hidden, system, archive } - flags to set or clear
      */
     async modifyFile(params, context) {
-        const { path: rawPath, content, append = false } = params;
+        const { path: rawPath, content, append = false, attributes } = params;
         const path = normalizePath(rawPath);
 
-        if (append) {
-            const existing = FileSystemManager.readFile(path) || '';
-            FileSystemManager.writeFile(path, existing + content);
-        } else {
-            FileSystemManager.writeFile(path, content);
+        // Clearing read-only has to happen before the write, setting it after
+        const unlocksFirst = attributes?.readOnly === false;
+        if (attributes && unlocksFirst) {
+            FileSystemManager.setAttributes(path, attributes);
+        }
+
+        if (content !== undefined) {
+            if (append) {
+                const existing = await FileSystemManager.readFileAsync(path) || '';
+                FileSystemManager.writeFile(path, existing + content);
+            } else {
+                FileSystemManager.writeFile(path, content);
+            }
+        }
+
+        if (attributes && !unlocksFirst) {
+            FileSystemManager.setAttributes(path, attributes);
         }
 
         return { path, modified: true };
@@ -215,6 +278,16 @@ const actionHandlers = {
         return { path, created: true };
     },
 
+    /**
+     * Create a symbolic link to a file, folder or drive
+     */
+    async createLink(params, context) {
+        const { path: rawPath, target: rawTarget } = params;
+        const path = normalizePath(rawPath);
+        FileSystemManager.createLink(path, normalizePath(rawTarget));
+        return { path, created: true };
+    },
+
     // -------------------------------------------------------------------------
     // DESKTOP ICON ACTIONS
     // -------------------------------------------------------------------------
@@ -294,18 +367,39 @@ const actionHandlers = {
     },
 
     /**
-     * Show a notification toast
+     * Post a notification (toast plus notification center history)
      */
     async showNotification(params, context) {
-        const { message, icon, duration = 3000 } = params;
+        const { title, message, icon, duration, priority, tag, actions, defaultAction, sound } = params;
 
-        EventBus.emit('notification:show', {
+        const id = NotificationManager.notify({
+            title,
             message,
             icon,
-            duration
+            duration,
+            priority,
+            tag,
+            actions,
+            defaultAction,
+            sound,
+            source: context.scenario?.name || 'Scenario'
         });
 
-        return { shown: true };
+        return { shown: true, id };
+    },
+
+    /**
+     * Remove this scenario's notifications, optionally only those with a tag
+     */
+    async dismissNotification(params, context) {
+        const { tag } = params;
+
+        const removed = NotificationManager.clear({
+            source: context.scenario?.name || 'Scenario',
+            tag
+        });
+
+        return { dismissed: removed };
     },
 
     /**
@@ -789,8 +883,9 @@ const actionHandlers = {
         const { condition, then: thenActions, else: elseActions } = params;
 
         // Import ConditionEvaluator dynamically to avoid circular dependency
-        const { evaluate } = await import('./ConditionEvaluator.js');
+        const { evaluate, prepare } = await import('./ConditionEvaluator.js');
 
+        await prepare(condition, context);
         const conditionMet = evaluate(condition, context);
 
         if (conditionMet && thenActions) {
@@ -829,6 +924,72 @@ const actionHandlers = {
     }
 };
 
+// =============================================================================
+// ACTION PARAMETERS
+// =============================================================================
+
+/**
+ * Parameters of each built-in action, used by the Scenario Editor to build its forms.
+ * A kind is one of 'string', 'text' (multi-line), 'number', 'boolean', 'path',
+ * 'event', 'stage', 'app', 'json' (any value), 'actions' (nested action list) or
+ * 'condition', or an array of the allowed values.
+ */
+const ACTION_PARAMS = {
+    createFile: { path: 'path', content: 'text', addToDesktop: 'boolean', icon: 'string' },
+    modifyFile: { path: 'path', content: 'text', append: 'boolean', attributes: 'json' },
+    deleteFile: { path: 'path' },
+    createFolder: { path: 'path' },
+    createLink: { path: 'path', target: 'path' },
+    createDesktopIcon: { id: 'string', label: 'string', type: ['app', 'file', 'folder'], icon: 'string', position: 'json', data: 'json' },
+    removeDesktopIcon: { id: 'string' },
+    showDialog: { title: 'string', message: 'text', icon: ['info', 'warning', 'error', 'question'], buttons: 'json' },
+    showNotification: {
+        title: 'string',
+        message: 'text',
+        icon: 'string',
+        priority: ['low', 'normal', 'high', 'critical'],
+        duration: 'number',
+        tag: 'string',
+        sound: 'string',
+        actions: 'json',
+        defaultAction: 'json'
+    },
+    dismissNotification: { tag: 'string' },
+    showClippy: { message: 'text', duration: 'number' },
+    playSound: { sound: 'string' },
+    playAudio: { src: 'string', loop: 'boolean', volume: 'number' },
+    stopAudio: { src: 'string' },
+    unlockApp: { appId: 'app' },
+    lockApp: { appId: 'app', message: 'string' },
+    launchApp: { appId: 'app', params: 'json' },
+    closeApp: { appId: 'app' },
+    unlockAchievement: { id: 'string' },
+    setState: { path: 'string', value: 'json', persist: 'boolean' },
+    modifyState: {
+        path: 'string',
+        operation: ['increment', 'decrement', 'add', 'subtract', 'multiply', 'divide', 'append', 'remove', 'toggle'],
+        value: 'json'
+    },
+    emitEvent: { event: 'event', data: 'json' },
+    advanceStage: { stageId: 'stage' },
+    completeScenario: {},
+    failScenario: { reason: 'string' },
+    wait: { duration: 'number' },
+    showHint: { message: 'text', index: 'number' },
+    visualEffect: { effect: 'string', target: 'string', duration: 'number' },
+    setWallpaper: { wallpaper: 'string' },
+    enableFeature: { featureId: 'string' },
+    disableFeature: { featureId: 'string' },
+    modifyClipboard: { content: 'text' },
+    sendKeys: { keys: 'string', target: 'string' },
+    focusWindow: { windowId: 'string' },
+    minimizeAll: {},
+    triggerScreensaver: { type: 'string' },
+    log: { message: 'text', level: ['debug', 'info', 'log', 'warn', 'error'] },
+    conditional: { condition: 'condition', then: 'actions', else: 'actions' },
+    repeat: { times: 'number', delay: 'number', actions: 'actions' }
+};
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -907,7 +1068,9 @@ export default {
     executeSequence,
     executeParallel,
     registerAction,
-    unregisterAction
+    unregisterAction,
+    getActionTypes,
+    getActionParams
 };
 
 export { actionHandlers };
@@ -10,25 +10,35 @@
  * - Event data matching
  * - Logical operators (and, or, not)
  * - Probability (random)
+ * - Expressions (see ExpressionEvaluator)
+ *
+ * Parameters may contain {{expressions}}, e.g. "value": "{{state.best + 1}}";
+ * they are filled in each time the condition is evaluated.
  */
 
 import FileSystemManager from '../FileSystemManager.js';
 import StateManager from '../StateManager.js';
 import WindowManager from '../WindowManager.js';
+import { createScope, evaluateExpression, resolveParams } from './ExpressionEvaluator.js';
 
 // Registry for custom condition handlers
 const customConditions = new Map();
 
+// Parameter descriptions of custom conditions (see CONDITION_PARAMS)
+const customConditionParams = new Map();
+
 /**
  * Register a custom condition type
  * @param {string} type - Condition type name
  * @param {Function} handler - Handler function (params, context) => boolean
+ * @param {Object} [params] - Parameter descriptions for editors, same format as CONDITION_PARAMS
  */
-export function registerCondition(type, handler) {
+export function registerCondition(type, handler, params = {}) {
     if (customConditions.has(type)) {
         console.warn(`[ConditionEvaluator] Overwriting condition type: ${type}`);
     }
     customConditions.set(type, handler);
+    customConditionParams.set(type, params);
 }
 
 /**
@@ -37,6 +47,27 @@ export function registerCondition(type, handler) {
  */
 export function unregisterCondition(type) {
     customConditions.delete(type);
+    customConditionParams.delete(type);
+}
+
+/**
+ * Get every condition type that can be evaluated, built-in and custom
+ * @returns {Array<string>} - Sorted type names
+ */
+export function getConditionTypes() {
+    return [...new Set([...Object.keys(conditionHandlers), ...customConditions.keys()])].sort();
+}
+
+/**
+ * Get the parameters a condition type accepts
+ * @param {string} type - Condition type
+ * @returns {Object} - Parameter name -> kind (see CONDITION_PARAMS); empty if unknown
+ */
+export function getConditionParams(type) {
+    if (customConditions.has(type)) {
+        return { ...customConditionParams.get(type) };
+    }
+    return { ...CONDITION_PARAMS[type] };
 }
 
 /**
@@ -55,15 +86,18 @@ export function evaluate(condition, context = {}) {
     if (!type) {
         // If no type, check if it's a logical condition with implicit AND
         if (condition.conditions) {
-            return evaluateAnd({ conditions: condition.conditions }, context);
+            return conditionHandlers.and({ conditions: condition.conditions }, context);
         }
         return true;
     }
 
+    // Nested conditions fill in their own expressions
+    const resolved = resolveParams(params, getConditionParams(type), createScope(context));
+
     // Check for custom condition first
     if (customConditions.has(type)) {
         try {
-            return customConditions.get(type)(params, context);
+            return customConditions.get(type)(resolved, context);
         } catch (error) {
             console.error(`[ConditionEvaluator] Custom condition "${type}" error:`, error);
             return false;
@@ -78,13 +112,76 @@ export function evaluate(condition, context = {}) {
     }
 
     try {
-        return evaluator(params, context);
+        return evaluator(resolved, context);
     } catch (error) {
         console.error(`[ConditionEvaluator] Condition "${type}" error:`, error);
         return false;
     }
 }
 
+// Condition types that combine other conditions
+const LOGICAL_TYPES = {
+    and: 'and',
+    allOf: 'and',
+    or: 'or',
+    anyOf: 'or',
+    not: 'not',
+    none: 'not'
+};
+
+/**
+ * Evaluate a condition and report how each part of it evaluated.
+ * Used by the Scenario Debugger to show why a trigger was rejected.
+ * @param {Object} condition - The condition to evaluate
+ * @param {Object} context - Evaluation context
+ * @returns {Object} - { type, params, result, actual?, children? }; result matches evaluate()
+ */
+export function explain(condition, context = {}) {
+    if (!condition || typeof condition !== 'object') {
+        return { type: null, params: {}, result: true };
+    }
+
+    const { type, ...params } = condition;
+
+    // Custom conditions are opaque, even if they reuse a logical type name
+    const logical = customConditions.has(type) ? null : LOGICAL_TYPES[type || (condition.conditions ? 'and' : '')];
+
+    if (logical === 'and' || logical === 'or') {
+        const { conditions, ...rest } = params;
+        if (!Array.isArray(conditions)) {
+            return { type: type || 'and', params: rest, result: logical === 'and' };
+        }
+        const children = conditions.map(child => explain(child, context));
+        const result = logical === 'and'
+            ? children.every(child => child.result)
+            : children.some(child => child.result);
+        return { type: type || 'and', params: rest, result, children };
+    }
+
+    if (logical === 'not') {
+        const { condition: inner, ...rest } = params;
+        const child = explain(inner, context);
+        return { type, params: rest, result: !child.result, children: [child] };
+    }
+
+    const node = { type, params, result: evaluate(condition, context) };
+
+    // Show the value a state condition compared against, or what an expression came to
+    if (/^(state|globalState)[A-Z]/.test(type) && typeof params.path === 'string') {
+        node.actual = type.startsWith('globalState')
+            ? StateManager.getState(params.path)
+            : getNestedValue(context.scenario?.state || {}, params.path);
+    } else if (type === 'expression' && typeof params.expr === 'string') {
+        try {
+            node.actual = evaluateExpression(params.expr, createScope(context));
+        } catch {
+            // Left out - the condition is false
+        }
+    }
+
+    return node;
+}
+
 /**
  * Batch evaluate multiple conditions
  * @param {Array<Object>} conditions - Array of conditions
@@ -104,6 +201,39 @@ export function evaluateMultiple(conditions, context, mode = 'all') {
     }
 }
 
+// Condition types that read a file body, which may not have been loaded from storage yet
+const FILE_CONTENT_TYPES = ['fileContains', 'fileEquals'];
+
+/**
+ * Load what a condition reads that isn't in memory yet, so evaluate() and
+ * explain() can stay synchronous: the bodies of files checked by
+ * fileContains and fileEquals.
+ * @param {Object|Array<Object>} condition - The condition (or conditions) about to be evaluated
+ * @param {Object} context - Evaluation context
+ * @returns {Promise<void>}
+ */
+export async function prepare(condition, context = {}) {
+    if (Array.isArray(condition)) {
+        await Promise.all(condition.map(child => prepare(child, context)));
+        return;
+    }
+    if (!condition || typeof condition !== 'object') return;
+
+    const { type, ...params } = condition;
+    if (FILE_CONTENT_TYPES.includes(type)) {
+        const { path } = resolveParams(params, getConditionParams(type), createScope(context));
+        try {
+            await FileSystemManager.loadFileContent(path);
+        } catch (error) {
+            // evaluate() reports it
+        }
+        return;
+    }
+
+    await prepare(condition.conditions, context);
+    await prepare(condition.condition, context);
+}
+
 // =============================================================================
 // CONDITION HANDLERS
 // =============================================================================
@@ -296,6 +426,15 @@ const conditionHandlers = {
         return win?.minimized === true;
     },
 
+    /**
+     * Check if a workspace (virtual desktop) is the one being shown.
+     * The workspace may be given by id, name or 1-based number.
+     */
+    workspaceActive(params, context) {
+        const { workspace } = params;
+        return WindowManager.getActiveWorkspace()?.id === WindowManager.findWorkspace(workspace)?.id;
+    },
+
     // -------------------------------------------------------------------------
     // ACHIEVEMENT/FEATURE CONDITIONS
     // -------------------------------------------------------------------------
@@ -565,6 +704,16 @@ const conditionHandlers = {
         return value > min && value < max;
     },
 
+    /**
+     * Check an expression, e.g. "state.cluesFound >= 3 && elapsed < 600000"
+     * (written without braces; "{{...}}" has already been filled in)
+     */
+    expression(params, context) {
+        const { expr } = params;
+        if (typeof expr !== 'string') return Boolean(expr);
+        return Boolean(evaluateExpression(expr, createScope(context)));
+    },
+
     /**
      * Always true - useful for unconditional triggers
      */
@@ -585,6 +734,63 @@ conditionHandlers.allOf = conditionHandlers.and;
 conditionHandlers.anyOf = conditionHandlers.or;
 conditionHandlers.none = conditionHandlers.not;
 
+// =============================================================================
+// CONDITION PARAMETERS
+// =============================================================================
+
+// Comparison operators of eventMatch/eventData and compare
+const MATCH_OPS = ['equals', 'notEquals', 'contains', 'startsWith', 'endsWith', 'greater', 'less',
+    'greaterOrEqual', 'lessOrEqual', 'in', 'matches'];
+const COMPARE_OPS = ['==', '!=', '>', '<', '>=', '<='];
+
+/**
+ * Parameters of each built-in condition, used by the Scenario Editor to build its forms.
+ * A kind is one of 'string', 'number', 'boolean', 'path', 'event', 'stage', 'app',
+ * 'json' (any value), 'condition' (nested condition) or 'conditions' (list of
+ * nested conditions), or an array of the allowed values.
+ */
+const CONDITION_PARAMS = {
+    stageActive: { stageId: 'stage' },
+    stageCompleted: { stageId: 'stage' },
+    stateEquals: { path: 'string', value: 'json' },
+    stateExists: { path: 'string' },
+    stateGreater: { path: 'string', value: 'number' },
+    stateLess: { path: 'string', value: 'number' },
+    stateContains: { path: 'string', value: 'json' },
+    stateMatches: { path: 'string', pattern: 'string', flags: 'string' },
+    fileExists: { path: 'path' },
+    fileContains: { path: 'path', pattern: 'string', regex: 'boolean' },
+    fileEquals: { path: 'path', content: 'string' },
+    appOpen: { appId: 'app' },
+    appFocused: { appId: 'app' },
+    appLocked: { appId: 'app' },
+    windowExists: { windowId: 'string' },
+    windowMinimized: { windowId: 'string' },
+    workspaceActive: { workspace: 'string' },
+    achievementUnlocked: { id: 'string' },
+    featureEnabled: { featureId: 'string' },
+    timeElapsed: { duration: 'number', since: 'string' },
+    timeBefore: { time: 'string' },
+    timeAfter: { time: 'string' },
+    eventMatch: { field: 'string', op: MATCH_OPS, value: 'json' },
+    eventData: { path: 'string', op: MATCH_OPS, value: 'json' },
+    random: { probability: 'number' },
+    count: { event: 'event', min: 'number', max: 'number', window: 'number' },
+    and: { conditions: 'conditions' },
+    or: { conditions: 'conditions' },
+    not: { condition: 'condition' },
+    globalStateEquals: { path: 'string', value: 'json' },
+    globalStateExists: { path: 'string' },
+    compare: { left: 'json', leftPath: 'string', op: COMPARE_OPS, right: 'json', rightPath: 'string' },
+    inRange: { path: 'string', min: 'number', max: 'number', inclusive: 'boolean' },
+    expression: { expr: 'string' },
+    always: {},
+    never: {}
+};
+CONDITION_PARAMS.allOf = CONDITION_PARAMS.and;
+CONDITION_PARAMS.anyOf = CONDITION_PARAMS.or;
+CONDITION_PARAMS.none = CONDITION_PARAMS.not;
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -661,11 +867,14 @@ export function normalizeCondition(condition) {
 
 export default {
     evaluate,
+    explain,
     evaluateMultiple,
     registerCondition,
     unregisterCondition,
     normalizeCondition,
-    getNestedValue
+    getNestedValue,
+    getConditionTypes,
+    getConditionParams
 };
 
 export { conditionHandlers, getNestedValue };
@@ -0,0 +1,338 @@
+/**
+ * DebugController - Hooks the Scenario Debugger into the scripted events engine
+ *
+ * While attached, TriggerEngine and ActionExecutor report to this module:
+ * every event the trigger engine sees, each matching trigger with the result
+ * of its conditions (or why it was skipped), and each action with its timing.
+ * These entries make up the timeline shown by the Scenario Debugger app.
+ *
+ * Breakpoints pause the scenario before the triggers for an event are
+ * processed (event pattern) or before a trigger's actions run (trigger ID).
+ * While paused, step() runs one action and pauses before the next one, and
+ * resume() runs on to the next breakpoint.
+ *
+ * Detached, nothing is recorded and nothing pauses. ScenarioManager attaches
+ * while its debugMode setting is on, so the timeline goes back to the start of
+ * the scenario; the Scenario Debugger app attaches while it is open.
+ *
+ * Usage:
+ *   debugController.attach('my-tool');
+ *   debugController.addBreakpoint('trigger', 'mystery-opened');
+ *   debugController.addBreakpoint('event', 'notepad:*');
+ *   EventBus.on(ScenarioEvents.DEBUG_PAUSED, ({ reason }) => console.log(reason));
+ *   debugController.step();
+ */
+
+import EventBus from '../EventBus.js';
+import StorageManager from '../StorageManager.js';
+import { STORAGE_KEYS } from '../Constants.js';
+import { ScenarioEvents } from './SemanticEvents.js';
+
+// Oldest timeline entries are dropped past this many
+const MAX_ENTRIES = 500;
+
+export const BREAKPOINT_KINDS = ['trigger', 'event'];
+
+export class DebugController {
+    constructor() {
+        // Whoever needs the debugger running (see attach())
+        this.owners = new Set();
+
+        // Timeline, oldest first
+        this.entries = [];
+        this.nextEntryId = 1;
+
+        // { id, kind: 'trigger'|'event', value, enabled }
+        const saved = StorageManager.get(STORAGE_KEYS.SCENARIO_BREAKPOINTS);
+        this.breakpoints = Array.isArray(saved)
+            ? saved.filter(bp => BREAKPOINT_KINDS.includes(bp?.kind) && bp.value)
+            : [];
+        this.nextBreakpointId = this.breakpoints.reduce((max, bp) => Math.max(max, bp.id), 0) + 1;
+
+        // Set while paused: { reason, action, promise, resolve }
+        this.pause = null;
+        // Pause before the next action that runs
+        this.stepping = false;
+    }
+
+    /**
+     * Whether anything is attached
+     * @returns {boolean}
+     */
+    get attached() {
+        return this.owners.size > 0;
+    }
+
+    /**
+     * Start recording and honouring breakpoints
+     * @param {string} owner - Who is attaching; it stays attached until every owner detaches
+     */
+    attach(owner) {
+        this.owners.add(owner);
+    }
+
+    /**
+     * Stop recording once no one else is attached, and let a paused scenario run on
+     * @param {string} owner - Same value passed to attach()
+     */
+    detach(owner) {
+        this.owners.delete(owner);
+        if (!this.attached) this.resume();
+    }
+
+    // ==========================================
+    // TIMELINE
+    // ==========================================
+
+    /**
+     * Add an entry to the timeline
+     * @param {Object} entry - { kind: 'event'|'trigger'|'action', ... }
+     * @returns {Object} - The entry, with id and time
+     */
+    record(entry) {
+        const recorded = { id: this.nextEntryId++, time: Date.now(), ...entry };
+
+        this.entries.push(recorded);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+
+        EventBus.emit(ScenarioEvents.DEBUG_ENTRY, { entry: recorded });
+        return recorded;
+    }
+
+    /**
+     * Change an entry already on the timeline
+     * @param {Object} entry - Entry returned by record()
+     * @param {Object} changes
+     */
+    update(entry, changes) {
+        Object.assign(entry, changes);
+        EventBus.emit(ScenarioEvents.DEBUG_ENTRY_UPDATED, { entry });
+    }
+
+    /**
+     * Empty the timeline
+     */
+    clear() {
+        this.entries = [];
+        EventBus.emit(ScenarioEvents.DEBUG_CLEARED, {});
+    }
+
+    /**
+     * Record an event seen by the trigger engine
+     * @param {string} eventName
+     * @param {Object} data - Event data
+     */
+    recordEvent(eventName, data) {
+        if (!this.attached) return;
+        this.record({ kind: 'event', event: eventName, data });
+    }
+
+    /**
+     * Record how a matching trigger was handled
+     * @param {Object} trigger - Normalized trigger
+     * @param {string} eventName - Event that matched it
+     * @param {Object} outcome - { result: 'fired'|'rejected'|'skipped'|'debounced', reason, conditions }
+     */
+    recordTrigger(trigger, eventName, outcome) {
+        if (!this.attached) return;
+        this.record({
+            kind: 'trigger',
+            triggerId: trigger.id,
+            stageId: trigger.stageId,
+            event: eventName,
+            ...outcome
+        });
+    }
+
+    /**
+     * Record the start of an action
+     * @param {string} type - Action type
+     * @param {Object} params - Action parameters
+     * @param {Object} context - Execution context
+     * @returns {Object|null} - Entry to pass to actionFinished()
+     */
+    actionStarted(type, params, context) {
+        if (!this.attached) return null;
+        return this.record({
+            kind: 'action',
+            type,
+            params,
+            triggerId: context.trigger?.id || null,
+            status: 'running',
+            duration: null
+        });
+    }
+
+    /**
+     * Record how an action ended
+     * @param {Object|null} entry - Entry returned by actionStarted()
+     * @param {Object} outcome - { status: 'completed'|'failed', duration, result, error }
+     */
+    actionFinished(entry, outcome) {
+        if (entry) this.update(entry, outcome);
+    }
+
+    // ==========================================
+    // BREAKPOINTS
+    // ==========================================
+
+    /**
+     * Add a breakpoint
+     * @param {string} kind - 'trigger' (a trigger ID) or 'event' (an event name or pattern, e.g. "notepad:*")
+     * @param {string} value
+     * @returns {Object|null} - The breakpoint, or null if the kind or value is invalid
+     */
+    addBreakpoint(kind, value) {
+        value = String(value ?? '').trim();
+        if (!BREAKPOINT_KINDS.includes(kind) || !value) return null;
+
+        const existing = this.breakpoints.find(bp => bp.kind === kind && bp.value === value);
+        if (existing) return existing;
+
+        const breakpoint = { id: this.nextBreakpointId++, kind, value, enabled: true };
+        this.breakpoints.push(breakpoint);
+        this.breakpointsChanged();
+        return breakpoint;
+    }
+
+    /**
+     * Remove a breakpoint
+     * @param {number} id
+     */
+    removeBreakpoint(id) {
+        const count = this.breakpoints.length;
+        this.breakpoints = this.breakpoints.filter(bp => bp.id !== id);
+        if (this.breakpoints.length !== count) this.breakpointsChanged();
+    }
+
+    /**
+     * Turn a breakpoint on or off without removing it
+     * @param {number} id
+     * @param {boolean} enabled
+     */
+    setBreakpointEnabled(id, enabled) {
+        const breakpoint = this.breakpoints.find(bp => bp.id === id);
+        if (!breakpoint) return;
+        breakpoint.enabled = enabled === true;
+        this.breakpointsChanged();
+    }
+
+    breakpointsChanged() {
+        StorageManager.set(STORAGE_KEYS.SCENARIO_BREAKPOINTS, this.breakpoints);
+        EventBus.emit(ScenarioEvents.DEBUG_BREAKPOINTS_CHANGED, { breakpoints: [...this.breakpoints] });
+    }
+
+    /**
+     * Pause if an event breakpoint matches. Called before an event's triggers are processed.
+     * @param {string} eventName
+     * @param {Function} matches - (pattern) => boolean, using the trigger engine's pattern rules
+     */
+    async breakOnEvent(eventName, matches) {
+        if (!this.attached) return;
+
+        const breakpoint = this.breakpoints.find(bp => bp.enabled && bp.kind === 'event' && matches(bp.value));
+        if (breakpoint) {
+            await this.pauseHere(`Event "${eventName}" matched breakpoint "${breakpoint.value}"`);
+        }
+    }
+
+    /**
+     * Pause if the trigger has a breakpoint. Called before its actions run.
+     * @param {Object} trigger
+     */
+    async breakOnTrigger(trigger) {
+        if (!this.attached) return;
+
+        if (this.breakpoints.some(bp => bp.enabled && bp.kind === 'trigger' && bp.value === trigger.id)) {
+            await this.pauseHere(`Trigger "${trigger.id}" fired`);
+        }
+    }
+
+    /**
+     * Called before every action: waits while paused, and pauses when stepping
+     * @param {Object} action
+     */
+    async beforeAction(action) {
+        if (!this.attached) return;
+
+        // Anything else running waits for the pause to end
+        while (this.pause) {
+            await this.pause.promise;
+        }
+
+        if (this.stepping) {
+            this.stepping = false;
+            await this.pauseHere(`Next action: ${action.type}`, action);
+        }
+    }
+
+    // ==========================================
+    // PAUSE AND STEP
+    // ==========================================
+
+    /**
+     * Pause until resume() or step() is called
+     * @param {string} reason - Shown by the debugger
+     * @param {Object} [action] - Action about to run, if any
+     */
+    async pauseHere(reason, action = null) {
+        while (this.pause) {
+            await this.pause.promise;
+        }
+
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this.pause = { reason, action, promise, resolve };
+
+        EventBus.emit(ScenarioEvents.DEBUG_PAUSED, { reason, action });
+        await promise;
+    }
+
+    /**
+     * Whether the scenario is stopped at a breakpoint or step
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.pause !== null;
+    }
+
+    /**
+     * Pause before the next action that runs
+     */
+    breakNext() {
+        if (this.attached) this.stepping = true;
+    }
+
+    /**
+     * Run on to the next breakpoint
+     */
+    resume() {
+        this.stepping = false;
+        this.release();
+    }
+
+    /**
+     * Run one action, then pause again
+     */
+    step() {
+        if (!this.pause) return;
+        this.stepping = true;
+        this.release();
+    }
+
+    release() {
+        const pause = this.pause;
+        if (!pause) return;
+
+        this.pause = null;
+        EventBus.emit(ScenarioEvents.DEBUG_RESUMED, { stepping: this.stepping });
+        pause.resolve();
+    }
+}
+
+// Singleton instance
+export const debugController = new DebugController();
+
+export default debugController;
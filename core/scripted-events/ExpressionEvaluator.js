@@ -0,0 +1,618 @@
+/**
+ * ExpressionEvaluator - Small, safe expression language for scenarios
+ *
+ * Any string in a scenario can embed expressions in double braces:
+ *   "You found {{state.cluesFound}} of {{state.totalClues}} clues"
+ * A string that is nothing but one expression keeps the expression's type, so
+ *   { "type": "setState", "path": "score", "value": "{{state.score + 10}}" }
+ * stores a number rather than text.
+ *
+ * Expressions are parsed here and evaluated against a fixed set of names.
+ * Nothing reaches eval() or Function(), only the functions in FUNCTIONS can be
+ * called, and property access only sees an object's own data.
+ *
+ * Names:
+ *   state.<path>     Scenario state
+ *   global.<path>    Global OS state (StateManager.getState)
+ *   event.<field>    Data of the event that fired the trigger; event.name is its name
+ *   elapsed          Milliseconds since the scenario started
+ *   stageElapsed     Milliseconds since the current stage was entered
+ *   stage            Current stage ID
+ *   iteration        Pass of the enclosing repeat action, from 0
+ *
+ * Operators, loosest first:
+ *   a ? b : c   a ?? b   ||   &&   == !=   < <= > >=   + -   * / %   ! - (unary)   a.b a[b] f(x)
+ * == and != compare without type conversion. In arithmetic a missing value counts as 0;
+ * + joins text when either side is a string.
+ *
+ * Literals: 12, 1.5, 'text', "text", true, false, null
+ *
+ * An expression nests at most 200 levels deep, counting brackets, operators and
+ * property lookups; deeper ones fail to parse rather than overflow the stack.
+ */
+
+import StateManager from '../StateManager.js';
+
+/**
+ * Error in an expression's syntax or names
+ */
+export class ExpressionError extends Error {
+    constructor(message, expression, position) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+// Names an expression can start from
+export const EXPRESSION_NAMES = ['state', 'global', 'event', 'elapsed', 'stageElapsed', 'stage', 'iteration'];
+
+// Properties that would lead out of plain data
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+// Parameter kinds holding nested actions or conditions; those fill in their own
+// expressions when they run
+const NESTED_KINDS = ['actions', 'condition', 'conditions'];
+
+const TEMPLATE_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{([\s\S]*?)\}\}$/;
+
+// Parsed expressions by source
+const cache = new Map();
+const MAX_CACHE = 500;
+
+// Deepest syntax tree an expression may build; parsing and evaluating recurse once per level
+const MAX_DEPTH = 200;
+
+// =============================================================================
+// FUNCTIONS
+// =============================================================================
+
+const FUNCTIONS = {
+    min: (...values) => Math.min(...values.map(toNumber)),
+    max: (...values) => Math.max(...values.map(toNumber)),
+    abs: (value) => Math.abs(toNumber(value)),
+    floor: (value) => Math.floor(toNumber(value)),
+    ceil: (value) => Math.ceil(toNumber(value)),
+    round: (value, digits = 0) => {
+        const factor = 10 ** toNumber(digits);
+        return Math.round(toNumber(value) * factor) / factor;
+    },
+    number: (value) => toNumber(value),
+    text: (value) => toText(value),
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    trim: (value) => toText(value).trim(),
+    length: (value) => {
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return 0;
+    },
+    includes: (collection, item) => {
+        if (Array.isArray(collection)) return collection.includes(item);
+        if (typeof collection === 'string') return collection.includes(toText(item));
+        return false;
+    },
+    join: (list, separator = ', ') => Array.isArray(list) ? list.map(toText).join(toText(separator)) : toText(list),
+    // plural(3, 'clue') -> "clues", plural(1, 'mouse', 'mice') -> "mouse"
+    plural: (count, singular, plural) => toNumber(count) === 1 ? toText(singular) : toText(plural ?? `${toText(singular)}s`),
+    // duration(65000) -> "1:05", duration(3725000) -> "1:02:05"
+    duration: (ms) => {
+        const total = Math.max(Math.floor(toNumber(ms) / 1000), 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        const seconds = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+};
+
+/**
+ * Get the names of the functions expressions can call
+ * @returns {Array<string>}
+ */
+export function getExpressionFunctions() {
+    return Object.keys(FUNCTIONS).sort();
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source
+ * @returns {Array<Object>} - { type: 'number'|'string'|'name'|'op'|'end', value, position }
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(char)) {
+            const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+            tokens.push({ type: 'name', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    const escaped = source[++j];
+                    value += { n: '\n', t: '\t' }[escaped] ?? escaped;
+                } else {
+                    value += source[j];
+                }
+                j++;
+            }
+            if (j >= source.length) {
+                throw new ExpressionError('Text is missing its closing quote', source, i);
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+        if (!op) {
+            const hint = char === '=' ? ' (use == to compare)' : '';
+            throw new ExpressionError(`Unexpected "${char}"${hint}`, source, i);
+        }
+        // === and !== mean the same as == and !=
+        tokens.push({ type: 'op', value: op.length === 3 ? op.slice(0, 2) : op, position: i });
+        i += op.length;
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Parse an expression
+ * @param {string} source - Expression without the braces, e.g. "state.score + 1"
+ * @returns {Object} - Syntax tree
+ * @throws {ExpressionError} If the syntax is wrong or it uses an unknown name or function
+ */
+export function parseExpression(source) {
+    if (typeof source !== 'string') {
+        throw new ExpressionError('Expression must be text', String(source), 0);
+    }
+    if (cache.has(source)) return cache.get(source);
+
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const fail = (message, token = peek()) => {
+        throw new ExpressionError(message, source, token.position);
+    };
+    const describe = (token) => token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    const accept = (op) => {
+        if (peek().type === 'op' && peek().value === op) {
+            index++;
+            return true;
+        }
+        return false;
+    };
+    const expect = (op) => {
+        if (!accept(op)) fail(`Expected "${op}" but found ${describe(peek())}`);
+    };
+
+    // Levels of the tree above the part being parsed
+    let depth = 0;
+    const descend = () => {
+        if (++depth > MAX_DEPTH) fail(`Expression is nested too deeply (more than ${MAX_DEPTH} levels)`);
+    };
+
+    // Binary operators by precedence, loosest first
+    const LEVELS = [['??'], ['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+    const parseConditional = () => {
+        descend();
+        const test = parseBinary(0);
+        if (!accept('?')) {
+            depth--;
+            return test;
+        }
+        const then = parseConditional();
+        expect(':');
+        const otherwise = parseConditional();
+        depth--;
+        return { type: 'conditional', test, then, otherwise };
+    };
+
+    const parseBinary = (level) => {
+        if (level === LEVELS.length) return parseUnary();
+
+        // Each operator in a chain like a + b + c puts the left side one level deeper
+        const start = depth;
+        let left = parseBinary(level + 1);
+        while (peek().type === 'op' && LEVELS[level].includes(peek().value)) {
+            const op = tokens[index++].value;
+            descend();
+            left = { type: 'binary', op, left, right: parseBinary(level + 1) };
+        }
+        depth = start;
+        return left;
+    };
+
+    const parseUnary = () => {
+        for (const op of ['!', '-', '+']) {
+            if (accept(op)) {
+                descend();
+                const argument = parseUnary();
+                depth--;
+                return { type: 'unary', op, argument };
+            }
+        }
+        return parsePostfix(parsePrimary());
+    };
+
+    const parsePostfix = (node) => {
+        const start = depth;
+        for (;;) {
+            descend();
+            if (accept('.')) {
+                const token = peek();
+                if (token.type !== 'name') fail(`Expected a property name after "." but found ${describe(token)}`);
+                index++;
+                node = { type: 'member', object: node, property: checkProperty(token.value, token) };
+            } else if (accept('[')) {
+                const property = parseConditional();
+                expect(']');
+                node = { type: 'member', object: node, property };
+            } else {
+                depth = start;
+                return node;
+            }
+        }
+    };
+
+    const checkProperty = (name, token) => {
+        if (BLOCKED_PROPERTIES.has(name)) fail(`"${name}" can't be used in expressions`, token);
+        return { type: 'literal', value: name };
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (token.value === 'null') return { type: 'literal', value: null };
+
+            if (accept('(')) {
+                if (!Object.hasOwn(FUNCTIONS, token.value)) {
+                    fail(`Unknown function "${token.value}"`, token);
+                }
+                const args = [];
+                if (!accept(')')) {
+                    do {
+                        args.push(parseConditional());
+                    } while (accept(','));
+                    expect(')');
+                }
+                return { type: 'call', name: token.value, args };
+            }
+
+            if (!EXPRESSION_NAMES.includes(token.value)) {
+                fail(`Unknown name "${token.value}" (expressions can use ${EXPRESSION_NAMES.join(', ')})`, token);
+            }
+            return { type: 'name', name: token.value };
+        }
+
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseConditional();
+            expect(')');
+            return inner;
+        }
+
+        index--;
+        return fail(token.type === 'end' ? 'Expression is incomplete' : `Unexpected ${describe(token)}`);
+    };
+
+    if (peek().type === 'end') fail('Expression is empty');
+    const tree = parseConditional();
+    if (peek().type !== 'end') fail(`Unexpected ${describe(peek())}`);
+
+    if (cache.size >= MAX_CACHE) cache.clear();
+    cache.set(source, tree);
+    return tree;
+}
+
+/**
+ * Check an expression without running it
+ * @param {string} source
+ * @returns {string|null} - What's wrong with it, or null if it's fine
+ */
+export function checkExpression(source) {
+    try {
+        parseExpression(source);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Build the names an expression sees from an action or condition context
+ * @param {Object} context - Execution context ({ scenario, event, iteration, ... })
+ * @returns {Object} - Scope for evaluateExpression()
+ */
+export function createScope(context = {}) {
+    const scenario = context.scenario || {};
+    const now = Date.now();
+
+    return {
+        state: scenario.state || {},
+        event: context.event || {},
+        elapsed: scenario.startTime ? now - scenario.startTime : 0,
+        stageElapsed: scenario.stageStartTime ? now - scenario.stageStartTime : 0,
+        stage: scenario.currentStageId ?? null,
+        iteration: context.iteration ?? null
+    };
+}
+
+/**
+ * Evaluate an expression
+ * @param {string} source - Expression without the braces
+ * @param {Object} scope - From createScope()
+ * @returns {*} - The value
+ * @throws {ExpressionError} If the expression doesn't parse
+ */
+export function evaluateExpression(source, scope = {}) {
+    return evaluateNode(parseExpression(source), scope);
+}
+
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'name':
+            return node.name === 'global' ? StateManager.getState() : scope[node.name];
+
+        case 'member': {
+            const key = evaluateNode(node.property, scope);
+            // global.x reads StateManager's "x"
+            if (node.object.type === 'name' && node.object.name === 'global') {
+                return StateManager.getState(toText(key));
+            }
+            return getProperty(evaluateNode(node.object, scope), key);
+        }
+
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope)));
+
+        case 'unary': {
+            const value = evaluateNode(node.argument, scope);
+            if (node.op === '!') return !value;
+            return node.op === '-' ? -toNumber(value) : toNumber(value);
+        }
+
+        case 'conditional':
+            return evaluateNode(node.test, scope)
+                ? evaluateNode(node.then, scope)
+                : evaluateNode(node.otherwise, scope);
+
+        case 'binary':
+            return evaluateBinary(node, scope);
+
+        default:
+            throw new ExpressionError(`Unknown expression node: ${node.type}`, '', 0);
+    }
+}
+
+function evaluateBinary({ op, left: leftNode, right: rightNode }, scope) {
+    const left = evaluateNode(leftNode, scope);
+
+    // Short-circuit like JavaScript
+    if (op === '&&') return left ? evaluateNode(rightNode, scope) : left;
+    if (op === '||') return left ? left : evaluateNode(rightNode, scope);
+    if (op === '??') return left ?? evaluateNode(rightNode, scope);
+
+    const right = evaluateNode(rightNode, scope);
+
+    switch (op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+':
+            return typeof left === 'string' || typeof right === 'string'
+                ? toText(left) + toText(right)
+                : toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+        case '%': return toNumber(left) % toNumber(right);
+        default:
+            throw new ExpressionError(`Unknown operator: ${op}`, '', 0);
+    }
+}
+
+/**
+ * Read a property of plain data: own properties, and the length of text and lists
+ */
+function getProperty(object, key) {
+    if (object === null || object === undefined) return undefined;
+
+    key = typeof key === 'number' ? key : toText(key);
+    if (BLOCKED_PROPERTIES.has(key)) return undefined;
+
+    if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') {
+        return object.length;
+    }
+    if (typeof object === 'string') {
+        return Number.isInteger(key) ? object[key] : undefined;
+    }
+    if (typeof object === 'object' && Object.hasOwn(object, key)) {
+        return object[key];
+    }
+    return undefined;
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    return Number(value);
+}
+
+/**
+ * Turn a value into display text: nothing for a missing value, lists joined with commas
+ * @param {*} value
+ * @returns {string}
+ */
+export function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(toText).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+/**
+ * Whether a value is text containing {{expressions}}
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function hasTemplate(value) {
+    return typeof value === 'string' && value.includes('{{');
+}
+
+/**
+ * Fill in the {{expressions}} of a string. A string that is a single
+ * {{expression}} gives the expression's value as is (a number stays a number).
+ * @param {string} text
+ * @param {Object} scope - From createScope()
+ * @returns {*} - The text with the values filled in, or the single value
+ * @throws {ExpressionError} If an expression doesn't parse
+ */
+export function interpolate(text, scope = {}) {
+    if (!hasTemplate(text)) return text;
+
+    const whole = text.match(WHOLE_TEMPLATE_PATTERN);
+    if (whole && !whole[1].includes('}}')) {
+        return evaluateExpression(whole[1], scope);
+    }
+
+    return text.replace(TEMPLATE_PATTERN, (match, source) => toText(evaluateExpression(source, scope)));
+}
+
+/**
+ * Fill in the {{expressions}} anywhere in a value (strings, lists, objects).
+ * An expression that fails is reported on the console and its text left as it was.
+ * @param {*} value
+ * @param {Object} scope - From createScope()
+ * @returns {*} - A copy with the values filled in (the value itself if it has none)
+ */
+export function resolveTemplates(value, scope = {}) {
+    if (typeof value === 'string') {
+        if (!hasTemplate(value)) return value;
+        try {
+            return interpolate(value, scope);
+        } catch (error) {
+            console.warn(`[ExpressionEvaluator] Could not fill in "${value}": ${error.message}`);
+            return value;
+        }
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTemplates(item, scope));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, scope)]));
+    }
+    return value;
+}
+
+/**
+ * Fill in the expressions of an action's or condition's parameters. Parameters
+ * holding nested actions or conditions are left for when those run.
+ * @param {Object} params - Parameters, without type
+ * @param {Object} kinds - Parameter name -> kind (getActionParams()/getConditionParams())
+ * @param {Object} scope - From createScope()
+ * @returns {Object} - Parameters with the values filled in
+ */
+export function resolveParams(params, kinds, scope) {
+    const resolved = {};
+    for (const [name, value] of Object.entries(params)) {
+        resolved[name] = NESTED_KINDS.includes(kinds?.[name]) ? value : resolveTemplates(value, scope);
+    }
+    return resolved;
+}
+
+/**
+ * Find the {{expressions}} in a string that don't parse
+ * @param {string} text
+ * @returns {Array<string>} - Problems, e.g. 'In "{{state.x +}}": Expression is incomplete'
+ */
+export function checkTemplate(text) {
+    if (!hasTemplate(text)) return [];
+
+    const problems = [];
+    let rest = text;
+    for (;;) {
+        const start = rest.indexOf('{{');
+        if (start === -1) break;
+        const end = rest.indexOf('}}', start + 2);
+        if (end === -1) {
+            problems.push(`"${rest.slice(start, start + 30)}" is missing its closing }}`);
+            break;
+        }
+        const source = rest.slice(start + 2, end);
+        const problem = checkExpression(source);
+        if (problem) problems.push(`In "{{${source}}}": ${problem}`);
+        rest = rest.slice(end + 2);
+    }
+    return problems;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+    parseExpression,
+    checkExpression,
+    evaluateExpression,
+    createScope,
+    interpolate,
+    resolveTemplates,
+    resolveParams,
+    checkTemplate,
+    hasTemplate,
+    toText,
+    getExpressionFunctions
+};
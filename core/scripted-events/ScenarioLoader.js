@@ -3,7 +3,8 @@
  *
  * Features:
  * - JSON parsing with error handling
- * - Schema validation
+ * - Schema validation (built-in checks and scenarios/schema.json)
+ * - Expression checks ({{...}} in any string, expression conditions)
  * - Default value population
  * - Scenario transformation/normalization
  * - File loading from various sources
@@ -11,6 +12,7 @@
 
 import FileSystemManager from '../FileSystemManager.js';
 import { isValidEvent, Events } from './SemanticEvents.js';
+import { checkExpression, checkTemplate } from './ExpressionEvaluator.js';
 
 /**
  * Default scenario configuration values
@@ -24,6 +26,9 @@ const DEFAULT_CONFIG = {
     pauseOnBlur: false
 };
 
+// JSON Schema describing scenario files
+const SCHEMA_URL = './scenarios/schema.json';
+
 /**
  * ScenarioLoader class
  */
@@ -34,6 +39,9 @@ export class ScenarioLoader {
 
         // Validation errors from last load
         this.lastErrors = [];
+
+        // scenarios/schema.json once fetched
+        this.schema = null;
     }
 
     /**
@@ -81,11 +89,11 @@ export class ScenarioLoader {
      * Load a scenario from a file path (virtual file system)
      * @param {string} path - File path
      * @param {Object} options - Loading options
-     * @returns {Object|null} - Parsed scenario or null
+     * @returns {Promise<Object|null>} - Parsed scenario or null
      */
-    loadFromFile(path, options = {}) {
+    async loadFromFile(path, options = {}) {
         try {
-            const content = FileSystemManager.readFile(path);
+            const content = await FileSystemManager.readFileAsync(path);
             if (content === null) {
                 this.lastErrors = [{ type: 'file', message: `File not found: ${path}` }];
                 return null;
@@ -205,6 +213,8 @@ export class ScenarioLoader {
             }
         }
 
+        errors.push(...this.validateExpressions(scenario));
+
         return errors;
     }
 
@@ -280,6 +290,148 @@ export class ScenarioLoader {
         return errors;
     }
 
+    /**
+     * Check every expression in a scenario: {{...}} in any string, and the
+     * expr of expression conditions
+     * @param {*} value - Scenario or part of one
+     * @param {string} path - Field path for error messages
+     * @returns {Array<Object>} - Validation errors
+     */
+    validateExpressions(value, path = '') {
+        const errors = [];
+
+        if (typeof value === 'string') {
+            checkTemplate(value).forEach(message => errors.push({ field: path, message }));
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                errors.push(...this.validateExpressions(item, `${path}[${index}]`));
+            });
+        } else if (value && typeof value === 'object') {
+            // Written without braces
+            if (value.type === 'expression' && typeof value.expr === 'string' && !value.expr.includes('{{')) {
+                const problem = checkExpression(value.expr);
+                if (problem) {
+                    errors.push({ field: path ? `${path}.expr` : 'expr', message: problem });
+                }
+            }
+            for (const [key, item] of Object.entries(value)) {
+                errors.push(...this.validateExpressions(item, path ? `${path}.${key}` : key));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Fetch the scenario JSON Schema (scenarios/schema.json)
+     * @returns {Promise<Object|null>} - The schema, or null if it can't be loaded
+     */
+    async loadSchema() {
+        if (this.schema) return this.schema;
+
+        try {
+            const response = await fetch(SCHEMA_URL);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.schema = await response.json();
+        } catch (error) {
+            console.warn('[ScenarioLoader] Could not load scenario schema:', error.message);
+        }
+        return this.schema;
+    }
+
+    /**
+     * Validate a value against a JSON Schema
+     * Covers the parts of draft-07 that schema.json uses: type, required, enum,
+     * pattern, properties, items, minItems and local $ref.
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema (or sub-schema) to check against
+     * @param {string} path - Field path for error messages
+     * @param {Object} root - Schema that $ref paths resolve against
+     * @returns {Array<Object>} - Validation errors
+     */
+    validateSchema(value, schema, path = '', root = schema) {
+        const errors = [];
+        if (!schema || typeof schema !== 'object') return errors;
+
+        const field = path || '(root)';
+
+        if (schema.$ref) {
+            const target = schema.$ref.replace(/^#\//, '').split('/')
+                .reduce((node, key) => node?.[key], root);
+            if (!target) {
+                errors.push({ field, message: `Unknown schema reference: ${schema.$ref}` });
+                return errors;
+            }
+            return this.validateSchema(value, target, path, root);
+        }
+
+        if (schema.type && !this.matchesSchemaType(value, schema.type)) {
+            errors.push({ field, message: `Must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({
+                field,
+                message: schema.enum.length > 8
+                    ? `Unknown value "${value}"`
+                    : `"${value}" is not one of: ${schema.enum.join(', ')}`
+            });
+        }
+
+        if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: `Does not match the pattern ${schema.pattern}` });
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({ field: path ? `${path}.${key}` : key, message: `${key} is required` });
+                }
+            }
+            for (const [key, subSchema] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined) {
+                    errors.push(...this.validateSchema(value[key], subSchema, path ? `${path}.${key}` : key, root));
+                }
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ field, message: `Needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validateSchema(item, schema.items, `${path}[${index}]`, root));
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a value against a JSON Schema type
+     * @param {*} value - Value to check
+     * @param {string|Array<string>} type - Schema type(s)
+     * @returns {boolean}
+     */
+    matchesSchemaType(value, type) {
+        if (Array.isArray(type)) {
+            return type.some(t => this.matchesSchemaType(value, t));
+        }
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
     /**
      * Normalize a scenario (add defaults, transform structure)
      * @param {Object} raw - Raw scenario object
@@ -312,7 +464,7 @@ export class ScenarioLoader {
         // Normalize global triggers
         if (Array.isArray(scenario.globalTriggers)) {
             scenario.globalTriggers = scenario.globalTriggers.map(
-                trigger => this.normalizeTrigger(trigger)
+                (trigger, index) => this.normalizeTrigger(trigger, null, index)
             );
         } else {
             scenario.globalTriggers = [];
@@ -337,8 +489,9 @@ export class ScenarioLoader {
      * @returns {Object} - Normalized stage
      */
     normalizeStage(stage, index) {
+        const normalizedId = stage.id || `stage-${index}`;
         const normalized = {
-            id: stage.id || `stage-${index}`,
+            id: normalizedId,
             name: stage.name || `Stage ${index + 1}`,
             description: stage.description || '',
             isInitialStage: stage.isInitialStage || false,
@@ -346,7 +499,7 @@ export class ScenarioLoader {
             onExit: this.normalizeLifecycleHook(stage.onExit),
             hints: Array.isArray(stage.hints) ? stage.hints : [],
             triggers: Array.isArray(stage.triggers)
-                ? stage.triggers.map(t => this.normalizeTrigger(t, stage.id))
+                ? stage.triggers.map((t, i) => this.normalizeTrigger(t, normalizedId, i))
                 : []
         };
 
@@ -357,11 +510,18 @@ export class ScenarioLoader {
      * Normalize a trigger
      * @param {Object} trigger - Trigger object
      * @param {string} stageId - Parent stage ID (optional)
+     * @param {number} [index] - Position in its trigger list
      * @returns {Object} - Normalized trigger
      */
-    normalizeTrigger(trigger, stageId = null) {
+    normalizeTrigger(trigger, stageId = null, index = null) {
+        // Generated IDs must come out the same on every load, or a saved game
+        // couldn't tell which "once" triggers have already fired
+        const generatedId = index === null
+            ? `trigger-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+            : `${stageId || 'global'}-trigger-${index}`;
+
         const normalized = {
-            id: trigger.id || `trigger-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            id: trigger.id || generatedId,
             event: trigger.event,
             events: trigger.events || (trigger.event ? [trigger.event] : []),
             conditions: trigger.conditions || null,
@@ -490,16 +650,16 @@ export class ScenarioLoader {
 
     /**
      * List available scenarios in the scenarios directory
-     * @returns {Array<Object>} - Array of scenario metadata
+     * @returns {Promise<Array<Object>>} - Array of scenario metadata
      */
-    listScenarios() {
+    async listScenarios() {
         const scenarios = [];
 
         try {
             const files = FileSystemManager.listDirectory('/scenarios');
             for (const file of files) {
                 if (file.endsWith('.scenario.json')) {
-                    const content = FileSystemManager.readFile(`/scenarios/${file}`);
+                    const content = await FileSystemManager.readFileAsync(`/scenarios/${file}`);
                     if (content) {
                         try {
                             const parsed = JSON.parse(content);
@@ -17,14 +17,28 @@
  *
  *   // Or use as a feature
  *   FeatureRegistry.register(ScenarioManager);
+ *
+ * Saved games:
+ *   Progress is checkpointed to the "autosave" slot on every stage change and
+ *   state change (unless the scenario sets config.autoSave to false), and
+ *   saveProgress() keeps a snapshot under a name of the player's choosing.
+ *
+ *   ScenarioManager.saveProgress('Before the vault');
+ *   await ScenarioManager.continueScenario('cipher-hunt');                     // autosave
+ *   await ScenarioManager.continueScenario('cipher-hunt', 'Before the vault');
  */
 
 import FeatureBase from '../FeatureBase.js';
 import EventBus, { Events } from '../EventBus.js';
 import StateManager from '../StateManager.js';
+import StorageManager from '../StorageManager.js';
+import SystemTray from '../SystemTray.js';
+import { STORAGE_KEYS } from '../Constants.js';
 import { TriggerEngine } from './TriggerEngine.js';
 import { ScenarioLoader, scenarioLoader } from './ScenarioLoader.js';
 import { executeSequence } from './ActionExecutor.js';
+import { debugController } from './DebugController.js';
+import { createScope, resolveTemplates, toText } from './ExpressionEvaluator.js';
 import { emitScenarioEvent } from './EventEmitterMixin.js';
 import { ScenarioEvents } from './SemanticEvents.js';
 
@@ -35,6 +49,12 @@ const BUILT_IN_SCENARIOS = [
     { value: '/scenarios/cipher-hunt.scenario.json', label: 'The Cipher Hunt' }
 ];
 
+// Shape of a saved game; bump when it changes so old saves are refused
+const SAVE_FORMAT = 1;
+
+// Slot written automatically as the scenario progresses
+export const AUTOSAVE_SLOT = 'autosave';
+
 /**
  * ScenarioManager Feature
  */
@@ -104,9 +124,14 @@ class ScenarioManagerFeature extends FeatureBase {
             completedStages: new Set(),
             startTime: null,
             stageStartTime: null,
-            hintsUsed: 0
+            hintsUsed: 0,
+            // Whether progress is checkpointed to the autosave slot
+            autoSave: false
         };
 
+        // Path the scenario was loaded from (null for scenario objects)
+        this.source = null;
+
         // Loader instance
         this.loader = scenarioLoader;
     }
@@ -117,6 +142,19 @@ class ScenarioManagerFeature extends FeatureBase {
     async initialize() {
         this.log('Initializing Scenario Manager');
 
+        // Debug mode keeps the debugger timeline from the start of a scenario
+        if (this.getConfig('debugMode')) {
+            debugController.attach(this.id);
+        }
+        this.registerHook('config:changed', ({ key, value }) => {
+            if (key !== 'debugMode') return;
+            if (value) {
+                debugController.attach(this.id);
+            } else {
+                debugController.detach(this.id);
+            }
+        });
+
         // Subscribe to boot complete event for auto-starting default scenario
         this.subscribe(Events.BOOT_COMPLETE, () => {
             this.handleBootComplete();
@@ -141,6 +179,9 @@ class ScenarioManagerFeature extends FeatureBase {
         this.subscribe('scenario:stop', () => this.stopScenario());
         this.subscribe('scenario:pause', () => this.pauseScenario());
         this.subscribe('scenario:resume', () => this.resumeScenario());
+        this.subscribe('scenario:continue', (data) => {
+            this.continueScenario(data.scenarioId, data.slot).catch(error => this.warn(error.message));
+        });
 
         this.log('Scenario Manager initialized');
     }
@@ -161,6 +202,18 @@ class ScenarioManagerFeature extends FeatureBase {
 
         // Small delay to let the UI fully initialize
         setTimeout(async () => {
+            // A kiosk reloaded mid-game picks up where it left off
+            const autosave = this.findAutosave(defaultScenario);
+            if (autosave) {
+                try {
+                    await this.continueScenario(autosave.scenarioId);
+                    this.log('Default scenario continued from autosave');
+                    return;
+                } catch (error) {
+                    this.warn(`${error.message} Starting over.`);
+                }
+            }
+
             try {
                 const loaded = await this.loadScenario(defaultScenario);
                 if (loaded) {
@@ -209,6 +262,7 @@ class ScenarioManagerFeature extends FeatureBase {
             }
 
             this.scenario = scenario;
+            this.source = typeof source === 'string' ? source : null;
 
             // Initialize state with scenario variables
             this.state = { ...scenario.variables };
@@ -230,14 +284,21 @@ class ScenarioManagerFeature extends FeatureBase {
 
     /**
      * Start the loaded scenario
+     * @param {Object} [options]
+     * @param {string} [options.fromStage] - Enter this stage instead of the initial one (used to test a stage)
      * @returns {boolean} - Success status
      */
-    async startScenario() {
+    async startScenario(options = {}) {
         if (!this.scenario) {
             this.error('No scenario loaded');
             return false;
         }
 
+        if (options.fromStage && !this.scenario.stages.some(s => s.id === options.fromStage)) {
+            this.error(`Stage not found: ${options.fromStage}`);
+            return false;
+        }
+
         if (this.runtime.isRunning) {
             this.warn('Scenario already running');
             return false;
@@ -245,19 +306,7 @@ class ScenarioManagerFeature extends FeatureBase {
 
         this.log(`Starting scenario: ${this.scenario.name}`);
 
-        // Initialize trigger engine
-        this.triggerEngine = new TriggerEngine({
-            scenario: this.getScenarioContext(),
-            manager: this
-        });
-
-        // Register global triggers
-        if (this.scenario.globalTriggers.length > 0) {
-            this.triggerEngine.registerTriggers(this.scenario.globalTriggers);
-        }
-
-        // Start the trigger engine
-        this.triggerEngine.start();
+        this.startTriggerEngine();
 
         // Update runtime state
         this.runtime.isRunning = true;
@@ -265,6 +314,8 @@ class ScenarioManagerFeature extends FeatureBase {
         this.runtime.startTime = Date.now();
         this.runtime.completedStages = new Set();
         this.runtime.hintsUsed = 0;
+        // Test runs and scenarios that weren't loaded from a file can't be continued later
+        this.runtime.autoSave = !options.fromStage && this.isSaveable() && this.scenario.config.autoSave !== false;
 
         // Execute onStart actions
         if (this.scenario.onStart?.actions?.length > 0) {
@@ -280,8 +331,10 @@ class ScenarioManagerFeature extends FeatureBase {
             name: this.scenario.name
         }, 'ScenarioManager');
 
-        // Enter initial stage
-        const initialStage = this.scenario.stages.find(s => s.isInitialStage);
+        // Enter initial stage (or the one being tested)
+        const initialStage = options.fromStage
+            ? this.scenario.stages.find(s => s.id === options.fromStage)
+            : this.scenario.stages.find(s => s.isInitialStage);
         if (initialStage) {
             await this.enterStage(initialStage.id);
         }
@@ -294,6 +347,87 @@ class ScenarioManagerFeature extends FeatureBase {
         return true;
     }
 
+    /**
+     * Continue a saved game: load the scenario it was made with and pick up at
+     * the saved stage with the saved state. The scenario's onStart actions and
+     * the stage's onEnter actions are not run again.
+     * @param {string} scenarioId - Scenario ID
+     * @param {string} [slot='autosave'] - Save slot
+     * @returns {boolean} - Success status
+     * @throws {Error} If there is no such save, or the scenario changed too much to continue it
+     */
+    async continueScenario(scenarioId, slot = AUTOSAVE_SLOT) {
+        const save = this.getSave(scenarioId, slot);
+        if (!save) {
+            throw new Error(`There is no saved game "${slot}" for this scenario.`);
+        }
+
+        if (!await this.loadScenario(save.source)) {
+            const errors = this.loader.getLastErrors();
+            throw new Error(`Could not load the scenario: ${errors[0]?.message || 'Unknown error'}`);
+        }
+
+        const { compatible, reason } = this.checkSaveCompatibility(save, this.scenario);
+        if (!compatible) {
+            throw new Error(`This saved game can't be continued. ${reason}`);
+        }
+
+        this.log(`Continuing scenario: ${this.scenario.name} (${slot})`);
+
+        // Variables added to the scenario since the save keep their defaults
+        this.state = { ...this.scenario.variables, ...JSON.parse(JSON.stringify(save.state)) };
+
+        this.startTriggerEngine();
+        save.firedTriggers.forEach(id => this.triggerEngine.firedTriggers.add(id));
+
+        const now = Date.now();
+        this.runtime.isRunning = true;
+        this.runtime.isPaused = false;
+        this.runtime.startTime = now - save.elapsed;
+        this.runtime.completedStages = new Set(save.completedStages);
+        this.runtime.hintsUsed = save.hintsUsed;
+        this.runtime.autoSave = this.scenario.config.autoSave !== false;
+
+        // Re-arm the saved stage without running its onEnter actions again
+        const stage = this.scenario.stages.find(s => s.id === save.stageId);
+        this.runtime.currentStageId = stage.id;
+        this.runtime.stageStartTime = now - save.stageElapsed;
+        this.registerStageTriggers(stage);
+
+        emitScenarioEvent(ScenarioEvents.RESTORED, {
+            id: this.scenario.id,
+            name: this.scenario.name,
+            slot,
+            stageId: stage.id,
+            stageName: stage.name
+        }, 'ScenarioManager');
+
+        this.setupHintTimer(stage);
+        this.checkpoint();
+
+        if (this.getConfig('showIndicator')) {
+            this.showScenarioIndicator();
+        }
+
+        return true;
+    }
+
+    /**
+     * Create and start the trigger engine with the scenario's global triggers
+     */
+    startTriggerEngine() {
+        this.triggerEngine = new TriggerEngine({
+            scenario: this.getScenarioContext(),
+            manager: this
+        });
+
+        if (this.scenario.globalTriggers.length > 0) {
+            this.triggerEngine.registerTriggers(this.scenario.globalTriggers);
+        }
+
+        this.triggerEngine.start();
+    }
+
     /**
      * Stop the current scenario
      * @param {boolean} abort - Whether this is an abort (vs normal stop)
@@ -309,6 +443,9 @@ class ScenarioManagerFeature extends FeatureBase {
             this.triggerEngine = null;
         }
 
+        // Don't leave actions waiting at a breakpoint
+        debugController.resume();
+
         // Execute onAbort actions if aborting
         if (abort && this.scenario?.onAbort?.actions?.length > 0) {
             await executeSequence(this.scenario.onAbort.actions, {
@@ -341,6 +478,7 @@ class ScenarioManagerFeature extends FeatureBase {
         emitScenarioEvent(ScenarioEvents.PAUSED, {
             id: this.scenario?.id
         }, 'ScenarioManager');
+        this.updateScenarioIndicator();
 
         this.log('Scenario paused');
     }
@@ -356,6 +494,7 @@ class ScenarioManagerFeature extends FeatureBase {
         emitScenarioEvent(ScenarioEvents.RESUMED, {
             id: this.scenario?.id
         }, 'ScenarioManager');
+        this.updateScenarioIndicator();
 
         this.log('Scenario resumed');
     }
@@ -381,20 +520,9 @@ class ScenarioManagerFeature extends FeatureBase {
         // Update runtime
         this.runtime.currentStageId = stageId;
         this.runtime.stageStartTime = Date.now();
+        this.updateScenarioIndicator();
 
-        // Update trigger engine context
-        if (this.triggerEngine) {
-            this.triggerEngine.updateContext({
-                scenario: this.getScenarioContext()
-            });
-
-            // Register stage triggers
-            if (stage.triggers.length > 0) {
-                this.triggerEngine.registerTriggers(
-                    stage.triggers.map(t => ({ ...t, stageId }))
-                );
-            }
-        }
+        this.registerStageTriggers(stage);
 
         // Execute onEnter actions
         if (stage.onEnter?.actions?.length > 0) {
@@ -413,6 +541,26 @@ class ScenarioManagerFeature extends FeatureBase {
 
         // Setup hint timer
         this.setupHintTimer(stage);
+
+        this.checkpoint();
+    }
+
+    /**
+     * Point the trigger engine at the current stage and register its triggers
+     * @param {Object} stage - Stage object
+     */
+    registerStageTriggers(stage) {
+        if (!this.triggerEngine) return;
+
+        this.triggerEngine.updateContext({
+            scenario: this.getScenarioContext()
+        });
+
+        if (stage.triggers.length > 0) {
+            this.triggerEngine.registerTriggers(
+                stage.triggers.map(t => ({ ...t, stageId: stage.id }))
+            );
+        }
     }
 
     /**
@@ -502,6 +650,9 @@ class ScenarioManagerFeature extends FeatureBase {
 
         // Stop the scenario
         await this.stopScenario(false);
+
+        // Named saves stay, so a finished game can still be replayed from one
+        this.deleteSave(this.scenario.id, AUTOSAVE_SLOT);
     }
 
     /**
@@ -536,6 +687,8 @@ class ScenarioManagerFeature extends FeatureBase {
 
         // Stop the scenario
         await this.stopScenario(false);
+
+        this.deleteSave(this.scenario.id, AUTOSAVE_SLOT);
     }
 
     /**
@@ -599,9 +752,179 @@ class ScenarioManagerFeature extends FeatureBase {
             scenarioId: this.scenario?.id
         }, 'ScenarioManager');
 
+        this.checkpoint();
+
+        return true;
+    }
+
+    // ==========================================
+    // SAVED GAMES
+    // ==========================================
+
+    /**
+     * Whether the loaded scenario can be saved. Saves point back at the
+     * scenario's file, so scenarios loaded from an object can't be.
+     * @returns {boolean}
+     */
+    isSaveable() {
+        return !!this.scenario && !!this.source;
+    }
+
+    /**
+     * Write the autosave slot if the running scenario keeps one
+     */
+    checkpoint() {
+        if (!this.runtime.autoSave || !this.runtime.isRunning || !this.runtime.currentStageId) return;
+        this.writeSave(AUTOSAVE_SLOT);
+    }
+
+    /**
+     * Save the running scenario under a name
+     * @param {string} slot - Slot name; an existing save with this name is replaced
+     * @returns {Object|null} - The save, or null if nothing could be saved
+     */
+    saveProgress(slot) {
+        slot = String(slot ?? '').trim();
+        if (!slot) {
+            this.warn('saveProgress: A slot name is required');
+            return null;
+        }
+        if (!this.runtime.isRunning || !this.runtime.currentStageId) {
+            this.warn('saveProgress: No scenario is running');
+            return null;
+        }
+        if (!this.isSaveable()) {
+            this.warn('saveProgress: Only scenarios loaded from a file can be saved');
+            return null;
+        }
+
+        this.log(`Saving progress to "${slot}"`);
+        return this.writeSave(slot);
+    }
+
+    /**
+     * Store a snapshot of the running scenario in a slot
+     * @param {string} slot - Slot name
+     * @returns {Object} - The save
+     */
+    writeSave(slot) {
+        const now = Date.now();
+        const stage = this.scenario.stages.find(s => s.id === this.runtime.currentStageId);
+
+        const save = {
+            format: SAVE_FORMAT,
+            scenarioId: this.scenario.id,
+            scenarioName: this.scenario.name,
+            scenarioVersion: this.scenario.version,
+            source: this.source,
+            slot,
+            savedAt: now,
+            stageId: this.runtime.currentStageId,
+            stageName: stage?.name || this.runtime.currentStageId,
+            completedStages: [...this.runtime.completedStages],
+            elapsed: now - this.runtime.startTime,
+            stageElapsed: now - this.runtime.stageStartTime,
+            hintsUsed: this.runtime.hintsUsed,
+            state: JSON.parse(JSON.stringify(this.state)),
+            firedTriggers: this.triggerEngine ? [...this.triggerEngine.firedTriggers] : []
+        };
+
+        const saves = StorageManager.get(STORAGE_KEYS.SCENARIO_SAVES, {});
+        saves[save.scenarioId] = { ...saves[save.scenarioId], [slot]: save };
+        StorageManager.set(STORAGE_KEYS.SCENARIO_SAVES, saves);
+
+        emitScenarioEvent(ScenarioEvents.SAVED, {
+            id: save.scenarioId,
+            slot,
+            stageId: save.stageId
+        }, 'ScenarioManager');
+
+        return save;
+    }
+
+    /**
+     * Get the saved games of a scenario, newest first
+     * @param {string} scenarioId - Scenario ID
+     * @returns {Array<Object>}
+     */
+    getSaves(scenarioId) {
+        const saves = StorageManager.get(STORAGE_KEYS.SCENARIO_SAVES, {})[scenarioId] || {};
+        return Object.values(saves).sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Get one saved game
+     * @param {string} scenarioId - Scenario ID
+     * @param {string} [slot='autosave'] - Slot name
+     * @returns {Object|null}
+     */
+    getSave(scenarioId, slot = AUTOSAVE_SLOT) {
+        return StorageManager.get(STORAGE_KEYS.SCENARIO_SAVES, {})[scenarioId]?.[slot] || null;
+    }
+
+    /**
+     * Find the autosave of the scenario loaded from a path
+     * @param {string} source - Scenario path
+     * @returns {Object|null}
+     */
+    findAutosave(source) {
+        const saves = Object.values(StorageManager.get(STORAGE_KEYS.SCENARIO_SAVES, {}));
+        return saves.map(slots => slots[AUTOSAVE_SLOT]).find(save => save?.source === source) || null;
+    }
+
+    /**
+     * Delete a saved game
+     * @param {string} scenarioId - Scenario ID
+     * @param {string} slot - Slot name
+     * @returns {boolean} - Whether there was a save to delete
+     */
+    deleteSave(scenarioId, slot) {
+        const saves = StorageManager.get(STORAGE_KEYS.SCENARIO_SAVES, {});
+        if (!saves[scenarioId]?.[slot]) return false;
+
+        delete saves[scenarioId][slot];
+        if (Object.keys(saves[scenarioId]).length === 0) {
+            delete saves[scenarioId];
+        }
+        StorageManager.set(STORAGE_KEYS.SCENARIO_SAVES, saves);
         return true;
     }
 
+    /**
+     * Check whether a save can be continued with the scenario as it is now.
+     * Scenario authors bump the major version when a change breaks old saves;
+     * a save is also refused if the stages it refers to are gone.
+     * @param {Object} save - Saved game
+     * @param {Object} scenario - Loaded (normalized) scenario
+     * @returns {Object} - { compatible: boolean, reason: string|null }
+     */
+    checkSaveCompatibility(save, scenario) {
+        const refuse = reason => ({ compatible: false, reason });
+
+        if (save?.format !== SAVE_FORMAT) {
+            return refuse('It was made by a different version of the Scenario Manager.');
+        }
+        if (save.scenarioId !== scenario.id) {
+            return refuse(`It belongs to "${save.scenarioName}", not "${scenario.name}".`);
+        }
+
+        const major = version => parseInt(String(version).split('.')[0], 10) || 0;
+        if (major(save.scenarioVersion) !== major(scenario.version)) {
+            return refuse(`The scenario was updated from version ${save.scenarioVersion} to ${scenario.version}.`);
+        }
+
+        const stageIds = new Set(scenario.stages.map(s => s.id));
+        if (!stageIds.has(save.stageId)) {
+            return refuse(`The stage "${save.stageName}" no longer exists.`);
+        }
+        const missing = save.completedStages.find(id => !stageIds.has(id));
+        if (missing) {
+            return refuse(`The completed stage "${missing}" no longer exists.`);
+        }
+
+        return { compatible: true, reason: null };
+    }
+
     /**
      * Get the current scenario context for triggers/actions
      * @returns {Object} - Context object
@@ -622,6 +945,15 @@ class ScenarioManagerFeature extends FeatureBase {
         };
     }
 
+    /**
+     * Fill in the {{expressions}} of text shown to the player
+     * @param {string} text - e.g. "Clues found: {{state.cluesFound}}"
+     * @returns {string}
+     */
+    formatText(text) {
+        return toText(resolveTemplates(text, createScope({ scenario: this.getScenarioContext() })));
+    }
+
     /**
      * Setup hint timer for a stage
      * @param {Object} stage - Stage object
@@ -638,7 +970,7 @@ class ScenarioManagerFeature extends FeatureBase {
 
         this.hintTimer = setTimeout(() => {
             if (this.runtime.isRunning && !this.runtime.isPaused) {
-                this.showHint(hint.message, nextHintIndex);
+                this.showHint(this.formatText(hint.message), nextHintIndex);
             }
         }, delay);
     }
@@ -660,6 +992,7 @@ class ScenarioManagerFeature extends FeatureBase {
      */
     showHint(message, index) {
         this.runtime.hintsUsed++;
+        this.checkpoint();
 
         emitScenarioEvent(ScenarioEvents.HINT_SHOWN, {
             message,
@@ -675,22 +1008,43 @@ class ScenarioManagerFeature extends FeatureBase {
     }
 
     /**
-     * Show scenario indicator in taskbar
+     * Show scenario indicator in the system tray
      */
     showScenarioIndicator() {
-        EventBus.emit('taskbar:indicator:add', {
+        this.addTrayIcon({
             id: 'scenario',
             icon: this.scenario?.icon || '🎬',
-            tooltip: `${this.scenario?.name} - In Progress`,
-            onClick: () => this.showScenarioStatus()
+            tooltip: this.getIndicatorTooltip(),
+            onClick: () => this.showScenarioStatus(),
+            menu: () => [
+                { label: 'Status...', action: () => this.showScenarioStatus() },
+                this.runtime.isPaused
+                    ? { label: 'Resume', action: () => this.resumeScenario() }
+                    : { label: 'Pause', action: () => this.pauseScenario() },
+                { divider: true },
+                { label: 'Abort Scenario', action: () => this.stopScenario(true) }
+            ]
         });
     }
 
+    /**
+     * Refresh the indicator tooltip after the stage or pause state changes
+     */
+    updateScenarioIndicator() {
+        SystemTray.update('scenario', { tooltip: this.getIndicatorTooltip() });
+    }
+
+    getIndicatorTooltip() {
+        const stage = this.scenario?.stages.find(s => s.id === this.runtime.currentStageId);
+        const status = this.runtime.isPaused ? 'Paused' : 'In Progress';
+        return `${this.scenario?.name} - ${status}${stage ? ` (${this.formatText(stage.name)})` : ''}`;
+    }
+
     /**
      * Hide scenario indicator
      */
     hideScenarioIndicator() {
-        EventBus.emit('taskbar:indicator:remove', { id: 'scenario' });
+        SystemTray.unregister('scenario');
     }
 
     /**
@@ -704,7 +1058,7 @@ class ScenarioManagerFeature extends FeatureBase {
         EventBus.emit('dialog:show', {
             title: this.scenario?.name || 'Scenario Status',
             message: `
-                Stage: ${currentStage?.name || 'N/A'}
+                Stage: ${this.formatText(currentStage?.name) || 'N/A'}
                 Progress: ${this.runtime.completedStages.size}/${this.scenario?.stages.length} stages
                 Time: ${elapsedMinutes} minutes
                 Hints Used: ${this.runtime.hintsUsed}
@@ -744,7 +1098,7 @@ class ScenarioManagerFeature extends FeatureBase {
 
     /**
      * List available scenarios
-     * @returns {Array<Object>} - Array of scenario metadata
+     * @returns {Promise<Array<Object>>} - Array of scenario metadata
      */
     listScenarios() {
         return this.loader.listScenarios();
@@ -0,0 +1,339 @@
+/**
+ * ScenarioTestRunner - Plays a scripted run through a scenario and checks the result
+ *
+ * A scenario test is a JSON script (see scenarios/*.test.json) that stands in
+ * for the player: it emits the semantic events the apps would emit, in order,
+ * and says which stage the scenario should be in after each one and how it
+ * should end. The runner drives ScenarioManager directly, dismisses dialogs as
+ * soon as they open and returns a JSON report of what happened.
+ *
+ * It needs no real apps or DOM, so it runs under Node (tools/test-scenarios.js
+ * provides the DOM shim) as well as in the browser.
+ *
+ * Test script:
+ *   {
+ *     "name": "Tutorial walkthrough",
+ *     "scenario": "tutorial.scenario.json",
+ *     "timeout": 10000,
+ *     "steps": [
+ *       { "emit": "startmenu:opened", "expectStage": "open-notepad" },
+ *       { "emit": "notepad:typed", "data": { "wordCount": 3 }, "expectState": { "stepsCompleted": 3 } },
+ *       { "wait": 500 }
+ *     ],
+ *     "expect": { "stages": ["intro", "open-notepad"], "outcome": "completed", "state": { "gameWon": true } }
+ *   }
+ *
+ * Usage:
+ *   const report = await new ScenarioTestRunner(test, { scenario: scenarioObject }).run();
+ *   if (!report.passed) console.log(report.failures);
+ */
+
+import EventBus from '../EventBus.js';
+import ScenarioManager from './ScenarioManager.js';
+import { ScenarioEvents } from './SemanticEvents.js';
+
+// Time a test may take when its script doesn't say
+const DEFAULT_TIMEOUT = 10000;
+
+export const OUTCOMES = ['completed', 'failed', 'running'];
+
+export class ScenarioTestRunner {
+    /**
+     * @param {Object} test - Parsed test script
+     * @param {Object} [options]
+     * @param {string|Object} [options.scenario] - Scenario path or object; defaults to test.scenario
+     * @param {boolean} [options.dismissDialogs=true] - Close scenario dialogs as soon as they open
+     */
+    constructor(test, options = {}) {
+        this.test = test || {};
+        this.scenarioSource = options.scenario ?? this.test.scenario;
+        this.dismissDialogs = options.dismissDialogs !== false;
+        this.timeout = Number(this.test.timeout) > 0 ? Number(this.test.timeout) : DEFAULT_TIMEOUT;
+
+        // Filled in while running
+        this.deadline = 0;
+        this.pendingActions = 0;
+        this.stagesReached = [];
+        this.outcome = 'running';
+        this.failReason = null;
+        this.dialogs = [];
+        this.failedActions = [];
+        this.subscriptions = [];
+    }
+
+    /**
+     * Run the test
+     * @returns {Promise<Object>} - Report: { name, scenarioId, passed, outcome, stagesReached, steps, failures, ... }
+     */
+    async run() {
+        const startTime = Date.now();
+        this.deadline = startTime + this.timeout;
+
+        const report = {
+            name: this.test.name || 'Unnamed test',
+            scenarioId: null,
+            scenarioVersion: null,
+            passed: false,
+            outcome: null,
+            failReason: null,
+            finalStage: null,
+            stagesReached: this.stagesReached,
+            steps: [],
+            dialogs: this.dialogs,
+            failedActions: this.failedActions,
+            failures: [],
+            duration: 0
+        };
+
+        const problems = validateTest(this.test, this.scenarioSource);
+        if (problems.length > 0) {
+            report.failures.push(...problems);
+            report.duration = Date.now() - startTime;
+            return report;
+        }
+
+        if (ScenarioManager.runtime.isRunning) {
+            report.failures.push('Another scenario is already running');
+            report.duration = Date.now() - startTime;
+            return report;
+        }
+
+        this.listen();
+        try {
+            if (!await ScenarioManager.loadScenario(this.scenarioSource)) {
+                const errors = ScenarioManager.loader.getLastErrors();
+                report.failures.push(`Scenario did not load: ${errors.map(e => e.message).join('; ') || 'Unknown error'}`);
+                return report;
+            }
+            report.scenarioId = ScenarioManager.scenario.id;
+            report.scenarioVersion = ScenarioManager.scenario.version;
+
+            await ScenarioManager.startScenario();
+            await this.settle();
+
+            for (const [index, step] of this.test.steps.entries()) {
+                const result = await this.runStep(step, index);
+                report.steps.push(result);
+
+                if (result.failures.length > 0) {
+                    report.failures.push(...result.failures.map(f => `Step ${index + 1}: ${f}`));
+                }
+                if (this.timedOut()) {
+                    report.failures.push(`Timed out after ${this.timeout}ms`);
+                    break;
+                }
+            }
+
+            report.finalStage = ScenarioManager.runtime.currentStageId;
+            report.failures.push(...this.checkExpectations(this.test.expect || {}));
+        } catch (error) {
+            report.failures.push(`Error: ${error.message}`);
+        } finally {
+            report.outcome = this.outcome;
+            report.failReason = this.failReason;
+            if (ScenarioManager.runtime.isRunning) {
+                await ScenarioManager.stopScenario();
+            }
+            this.unlisten();
+            report.duration = Date.now() - startTime;
+        }
+
+        report.passed = report.failures.length === 0;
+        return report;
+    }
+
+    /**
+     * Play one step of the script and check its expectations
+     * @param {Object} step
+     * @param {number} index
+     * @returns {Promise<Object>} - { index, emit|wait, stage, failures }
+     */
+    async runStep(step, index) {
+        const result = { index };
+        const failures = [];
+
+        if (step.emit) {
+            result.emit = step.emit;
+            EventBus.emit(step.emit, step.data ?? {});
+        } else {
+            result.wait = Number(step.wait);
+            await delay(Math.min(result.wait, Math.max(this.deadline - Date.now(), 0)));
+        }
+        await this.settle();
+
+        result.stage = ScenarioManager.runtime.currentStageId;
+
+        if (step.expectStage !== undefined && result.stage !== step.expectStage) {
+            failures.push(`expected stage "${step.expectStage}", but the scenario is in ${describeStage(result.stage, this.outcome)}`);
+        }
+        failures.push(...checkState(step.expectState));
+
+        result.failures = failures;
+        return result;
+    }
+
+    /**
+     * Check the script's final expectations
+     * @param {Object} expect - { stages, outcome, state }
+     * @returns {string[]} - Failure messages
+     */
+    checkExpectations(expect) {
+        const failures = [];
+
+        // Expected stages must be entered in this order; others may come in between
+        if (Array.isArray(expect.stages)) {
+            let position = 0;
+            for (const stageId of expect.stages) {
+                const found = this.stagesReached.indexOf(stageId, position);
+                if (found === -1) {
+                    failures.push(`Stage "${stageId}" was not reached${this.stagesReached.includes(stageId) ? ' in the expected order' : ''}`);
+                } else {
+                    position = found + 1;
+                }
+            }
+        }
+
+        const outcome = expect.outcome ?? 'completed';
+        if (this.outcome !== outcome) {
+            failures.push(`Expected the scenario to be ${outcome}, but it is ${this.outcome}`);
+        }
+
+        failures.push(...checkState(expect.state));
+        return failures;
+    }
+
+    /**
+     * Wait until no scenario actions are running (a dialog being dismissed,
+     * a wait action, the actions of a trigger that just fired)
+     */
+    async settle() {
+        let idleTicks = 0;
+        while (idleTicks < 2 && !this.timedOut()) {
+            await delay(0);
+            idleTicks = this.pendingActions > 0 ? 0 : idleTicks + 1;
+        }
+    }
+
+    timedOut() {
+        return Date.now() >= this.deadline;
+    }
+
+    /**
+     * Follow the scenario while the test runs
+     */
+    listen() {
+        this.subscriptions.push(
+            EventBus.on(ScenarioEvents.STAGE_ENTERED, ({ stageId }) => {
+                this.stagesReached.push(stageId);
+            }),
+            EventBus.on(ScenarioEvents.COMPLETED, () => {
+                this.outcome = 'completed';
+            }),
+            EventBus.on(ScenarioEvents.FAILED, ({ reason }) => {
+                this.outcome = 'failed';
+                this.failReason = reason;
+            }),
+            EventBus.on(ScenarioEvents.ACTION_EXECUTED, ({ type, status, error }) => {
+                if (status === 'started') {
+                    this.pendingActions++;
+                    return;
+                }
+                this.pendingActions = Math.max(this.pendingActions - 1, 0);
+                if (status === 'failed') {
+                    this.failedActions.push({ type, error });
+                }
+            }),
+            // The showDialog action waits for its dialog to close
+            EventBus.on('dialog:alert', ({ title, message } = {}) => {
+                this.dialogs.push({ title: title ?? null, message: message ?? null });
+                if (this.dismissDialogs) {
+                    setTimeout(() => EventBus.emit('dialog:alert:closed'), 0);
+                }
+            })
+        );
+    }
+
+    unlisten() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+    }
+}
+
+/**
+ * Run a scenario test
+ * @param {Object} test - Parsed test script
+ * @param {Object} [options] - See ScenarioTestRunner
+ * @returns {Promise<Object>} - Report
+ */
+export function runScenarioTest(test, options = {}) {
+    return new ScenarioTestRunner(test, options).run();
+}
+
+/**
+ * Check the shape of a test script
+ * @param {Object} test
+ * @param {string|Object} [scenario] - Scenario given in place of test.scenario
+ * @returns {string[]} - Problems (empty if the script can run)
+ */
+export function validateTest(test, scenario = test?.scenario) {
+    const problems = [];
+
+    if (!scenario) {
+        problems.push('Test has no scenario');
+    }
+    if (!Array.isArray(test?.steps)) {
+        problems.push('Test has no steps array');
+        return problems;
+    }
+
+    test.steps.forEach((step, index) => {
+        const label = `Step ${index + 1}`;
+        if (!step || typeof step !== 'object') {
+            problems.push(`${label}: must be an object`);
+        } else if (typeof step.emit === 'string' && step.emit) {
+            if (step.data !== undefined && (typeof step.data !== 'object' || step.data === null)) {
+                problems.push(`${label}: data must be an object`);
+            }
+        } else if (step.emit !== undefined) {
+            problems.push(`${label}: emit must be an event name`);
+        } else if (!(Number(step.wait) >= 0)) {
+            problems.push(`${label}: needs "emit" or "wait"`);
+        }
+    });
+
+    const outcome = test.expect?.outcome;
+    if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+        problems.push(`expect.outcome must be one of: ${OUTCOMES.join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Compare scenario state against expected values
+ * @param {Object} [expected] - State path -> value
+ * @returns {string[]} - Failure messages
+ */
+function checkState(expected) {
+    if (!expected) return [];
+
+    return Object.entries(expected)
+        .filter(([path, value]) => !sameValue(ScenarioManager.getState(path), value))
+        .map(([path, value]) =>
+            `expected state "${path}" to be ${JSON.stringify(value)}, got ${JSON.stringify(ScenarioManager.getState(path)) ?? 'undefined'}`);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describeStage(stageId, outcome) {
+    if (stageId) return `"${stageId}"`;
+    return outcome === 'running' ? 'no stage' : `no stage (scenario ${outcome})`;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default ScenarioTestRunner;
@@ -535,7 +535,10 @@ export const WindowEvents = {
     DRAG_ENDED: 'window:drag:ended',
     SNAPPED: 'window:snapped',
     TITLEBAR_CLICKED: 'window:titlebar:clicked',
-    Z_CHANGED: 'window:z:changed'
+    Z_CHANGED: 'window:z:changed',
+    WORKSPACE_CHANGED: 'window:workspaceChanged',
+    WORKSPACE_MOVED: 'window:workspaceMoved',
+    GEOMETRY_RESET: 'window:geometry:reset'
 };
 
 export const FileSystemEvents = {
@@ -546,6 +549,13 @@ export const FileSystemEvents = {
     FILE_RENAMED: 'fs:file:renamed',
     FILE_MOVED: 'fs:file:moved',
     FILE_COPIED: 'fs:file:copied',
+    FILE_RESTORED: 'fs:file:restored',
+    LINK_CREATED: 'fs:link:created',
+    ATTRIBUTES_CHANGED: 'fs:attributes:changed',
+    DRIVE_MOUNTED: 'fs:drive:mounted',
+    DRIVE_UNMOUNTED: 'fs:drive:unmounted',
+    DISK_SPACE_LOW: 'fs:disk:low',
+    DISK_SPACE_OK: 'fs:disk:ok',
     DIRECTORY_CREATED: 'fs:directory:created',
     DIRECTORY_DELETED: 'fs:directory:deleted',
     DIRECTORY_LISTED: 'fs:directory:listed',
@@ -611,7 +621,12 @@ export const TaskbarEvents = {
     START_CLOSED: 'taskbar:start:closed',
     CLOCK_CLICKED: 'taskbar:clock:clicked',
     TRAY_ICON_CLICKED: 'taskbar:tray:icon:clicked',
-    QUICKLAUNCH_CLICKED: 'taskbar:quicklaunch:clicked'
+    TRAY_ICON_ADDED: 'taskbar:tray:icon:added',
+    TRAY_ICON_REMOVED: 'taskbar:tray:icon:removed',
+    TRAY_ICON_UPDATED: 'taskbar:tray:icon:updated',
+    TRAY_MENU_ITEM_CLICKED: 'taskbar:tray:menu:clicked',
+    QUICKLAUNCH_CLICKED: 'taskbar:quicklaunch:clicked',
+    PREVIEW_SHOWN: 'taskbar:preview:shown'
 };
 
 export const StartMenuEvents = {
@@ -646,7 +661,15 @@ export const SystemEvents = {
     DIALOG_CLOSED: 'system:dialog:closed',
     NOTIFICATION_SHOWN: 'system:notification:shown',
     NOTIFICATION_CLICKED: 'system:notification:clicked',
-    NOTIFICATION_DISMISSED: 'system:notification:dismissed'
+    NOTIFICATION_DISMISSED: 'system:notification:dismissed',
+    NOTIFICATION_POSTED: 'system:notification:posted',
+    NOTIFICATION_ACTION: 'system:notification:action',
+    NOTIFICATIONS_CHANGED: 'system:notifications:changed',
+    DO_NOT_DISTURB_CHANGED: 'system:donotdisturb:changed',
+    SESSION_SAVED: 'system:session:saved',
+    SESSION_RESTORED: 'system:session:restored',
+    SHORTCUT_TRIGGERED: 'system:shortcut:triggered',
+    WINDOW_SWITCHER_OPENED: 'system:windowswitcher:opened'
 };
 
 // =============================================================================
@@ -680,7 +703,16 @@ export const ScenarioEvents = {
     PAUSED: 'scenario:paused',
     RESUMED: 'scenario:resumed',
     STATE_CHANGED: 'scenario:state:changed',
-    VARIABLE_CHANGED: 'scenario:variable:changed'
+    VARIABLE_CHANGED: 'scenario:variable:changed',
+    SAVED: 'scenario:saved',
+    RESTORED: 'scenario:restored',
+    // Scenario Debugger (not seen by triggers)
+    DEBUG_ENTRY: 'scenario:debug:entry',
+    DEBUG_ENTRY_UPDATED: 'scenario:debug:entry:updated',
+    DEBUG_CLEARED: 'scenario:debug:cleared',
+    DEBUG_PAUSED: 'scenario:debug:paused',
+    DEBUG_RESUMED: 'scenario:debug:resumed',
+    DEBUG_BREAKPOINTS_CHANGED: 'scenario:debug:breakpoints:changed'
 };
 
 // =============================================================================
@@ -10,8 +10,9 @@
  */
 
 import EventBus from '../EventBus.js';
-import { evaluate } from './ConditionEvaluator.js';
+import { evaluate, explain, prepare } from './ConditionEvaluator.js';
 import { execute, executeSequence } from './ActionExecutor.js';
+import { debugController } from './DebugController.js';
 import { emitScenarioEvent } from './EventEmitterMixin.js';
 import { ScenarioEvents } from './SemanticEvents.js';
 
@@ -73,7 +74,7 @@ export class TriggerEngine {
             self._originalEmit(event, data);
 
             // Then handle for trigger matching (if active and not a scenario internal event to avoid loops)
-            if (self.active && !event.startsWith('scenario:action:')) {
+            if (self.active && !event.startsWith('scenario:action:') && !event.startsWith('scenario:debug:')) {
                 self.handleEvent(event, data || {});
             }
         };
@@ -241,18 +242,10 @@ export class TriggerEngine {
                 // Sort global triggers by priority
                 this.globalTriggers.sort((a, b) => b.priority - a.priority);
             } else {
+                // No subscription needed: start() routes every emitted event to handleEvent().
+                // Subscribing as well would handle the event twice.
                 if (!this.triggers.has(pattern)) {
                     this.triggers.set(pattern, []);
-
-                    // Subscribe to this event if not already subscribed
-                    if (!pattern.includes('*') && this.active) {
-                        const unsub = EventBus.on(pattern, (data) => {
-                            if (this.active) {
-                                this.handleEvent(pattern, data);
-                            }
-                        });
-                        this.subscriptions.push(unsub);
-                    }
                 }
 
                 this.triggers.get(pattern).push(triggerDef);
@@ -334,6 +327,8 @@ export class TriggerEngine {
         // Track event for history and counts
         this.trackEvent(eventName, data);
 
+        await debugController.breakOnEvent(eventName, pattern => this.matchesPattern(eventName, pattern));
+
         // Find matching triggers
         const matchingTriggers = this.findMatchingTriggers(eventName);
 
@@ -376,6 +371,8 @@ export class TriggerEngine {
 
         // Increment count
         this.eventCounts[eventName] = (this.eventCounts[eventName] || 0) + 1;
+
+        debugController.recordEvent(eventName, data);
     }
 
     /**
@@ -456,17 +453,28 @@ export class TriggerEngine {
     async processTrigger(trigger, context) {
         const debug = this.context.manager?.getConfig?.('debugMode');
 
+        // Before the "once" check, so another event can't fire the trigger while this one waits
+        if (trigger.conditions) {
+            await prepare(trigger.conditions, context);
+        }
+
         // Check if already fired (for "once" triggers)
         if (trigger.once && this.firedTriggers.has(trigger.id)) {
             if (debug) {
                 console.log(`[TriggerEngine] Skipping trigger "${trigger.id}" - already fired (once=true)`);
             }
+            debugController.recordTrigger(trigger, context.event?.name, { result: 'skipped', reason: 'Already fired (once)' });
             return;
         }
 
         // Check conditions
+        let conditionTree = null;
         if (trigger.conditions) {
-            const conditionMet = evaluate(trigger.conditions, context);
+            // The debugger shows how each part of the condition evaluated
+            if (debugController.attached) {
+                conditionTree = explain(trigger.conditions, context);
+            }
+            const conditionMet = conditionTree ? conditionTree.result : evaluate(trigger.conditions, context);
             if (debug) {
                 console.log(`[TriggerEngine] Evaluating conditions for trigger "${trigger.id}":`,
                     conditionMet ? '✓ PASS' : '✗ FAIL', trigger.conditions);
@@ -474,9 +482,22 @@ export class TriggerEngine {
                     console.log(`[TriggerEngine] Event data:`, context.event);
                 }
             }
-            if (!conditionMet) return;
+            if (!conditionMet) {
+                debugController.recordTrigger(trigger, context.event?.name, {
+                    result: 'rejected',
+                    reason: 'Conditions not met',
+                    conditions: conditionTree
+                });
+                return;
+            }
         }
 
+        debugController.recordTrigger(trigger, context.event?.name, {
+            result: trigger.debounce > 0 ? 'debounced' : 'fired',
+            reason: trigger.debounce > 0 ? `Fires after ${trigger.debounce}ms unless the event repeats` : null,
+            conditions: conditionTree
+        });
+
         // Handle debounce
         if (trigger.debounce > 0) {
             if (this.debounceTimers.has(trigger.id)) {
@@ -519,6 +540,8 @@ export class TriggerEngine {
             stageId: trigger.stageId
         }, 'TriggerEngine');
 
+        await debugController.breakOnTrigger(trigger);
+
         // Execute actions
         if (trigger.actions && trigger.actions.length > 0) {
             await executeSequence(trigger.actions, {
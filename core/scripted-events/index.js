@@ -96,13 +96,30 @@ export {
 export {
     evaluate as evaluateCondition,
     evaluateMultiple as evaluateConditions,
+    explain as explainCondition,
+    prepare as prepareCondition,
     registerCondition,
     unregisterCondition,
     normalizeCondition,
     getNestedValue,
+    getConditionTypes,
+    getConditionParams,
     conditionHandlers
 } from './ConditionEvaluator.js';
 
+// Expression Evaluator - {{expressions}} in scenario strings and expression conditions
+export {
+    ExpressionError,
+    parseExpression,
+    checkExpression,
+    evaluateExpression,
+    createScope as createExpressionScope,
+    interpolate,
+    resolveTemplates,
+    checkTemplate,
+    getExpressionFunctions
+} from './ExpressionEvaluator.js';
+
 // Action Executor - For executing scenario actions
 export {
     execute as executeAction,
@@ -110,6 +127,8 @@ export {
     executeParallel,
     registerAction,
     unregisterAction,
+    getActionTypes,
+    getActionParams,
     actionHandlers
 } from './ActionExecutor.js';
 
@@ -126,6 +145,19 @@ export {
     scenarioLoader
 } from './ScenarioLoader.js';
 
+// Debug Controller - Timeline, breakpoints and stepping for the Scenario Debugger
+export {
+    DebugController,
+    debugController
+} from './DebugController.js';
+
+// Scenario Test Runner - Scripted headless runs through a scenario
+export {
+    ScenarioTestRunner,
+    runScenarioTest,
+    validateTest as validateScenarioTest
+} from './ScenarioTestRunner.js';
+
 // Scenario Manager - Main orchestrator
 export {
     ScenarioManager
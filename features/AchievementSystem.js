@@ -6,6 +6,7 @@
 import FeatureBase from '../core/FeatureBase.js';
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import NotificationManager from '../core/NotificationManager.js';
 import { AchievementEvents } from '../core/scripted-events/SemanticEvents.js';
 
 // Feature metadata
@@ -57,7 +58,6 @@ const ALL_ACHIEVEMENTS = [
 class AchievementSystem extends FeatureBase {
     constructor() {
         super(FEATURE_METADATA);
-        this.activeToasts = new Set();
     }
 
     /**
@@ -81,19 +81,6 @@ class AchievementSystem extends FeatureBase {
         this.log('Initialized');
     }
 
-    /**
-     * Cleanup when disabled
-     */
-    cleanup() {
-        // Remove any active toasts
-        this.activeToasts.forEach(toast => {
-            toast.remove();
-        });
-        this.activeToasts.clear();
-
-        super.cleanup();
-    }
-
     /**
      * Show an achievement toast notification
      * @param {string} id - Achievement ID
@@ -106,20 +93,16 @@ class AchievementSystem extends FeatureBase {
             name: id, desc: 'Achievement unlocked!', icon: '🏆'
         };
 
-        const toast = document.createElement('div');
-        toast.className = 'achievement-toast active';
-        toast.innerHTML = `
-            <div class="achievement-icon">${achievement.icon}</div>
-            <div class="achievement-title">Achievement Unlocked!</div>
-            <div class="achievement-desc">${achievement.name}</div>
-        `;
-        document.body.appendChild(toast);
-        this.activeToasts.add(toast);
-
-        // Play sound if enabled
-        if (this.getConfig('playSound', true)) {
-            EventBus.emit(Events.SOUND_PLAY, { type: 'achievement' });
-        }
+        // Shown through the notification center so it also lands in the history
+        NotificationManager.notify({
+            title: 'Achievement Unlocked!',
+            message: achievement.name,
+            icon: achievement.icon,
+            source: 'Achievements',
+            tag: `achievement-${id}`,
+            duration: this.getConfig('toastDuration', 3000),
+            sound: this.getConfig('playSound', true) ? 'achievement' : false
+        });
 
         // Emit semantic event
         EventBus.emit(AchievementEvents.UNLOCKED, { id, name: achievement.name, icon: achievement.icon });
@@ -127,15 +110,6 @@ class AchievementSystem extends FeatureBase {
 
         // Trigger hook for other features to react
         this.triggerHook('achievement:unlocked', { id, achievement });
-
-        const duration = this.getConfig('toastDuration', 3000);
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => {
-                toast.remove();
-                this.activeToasts.delete(toast);
-            }, 500);
-        }, duration);
     }
 
     /**
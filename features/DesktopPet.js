@@ -8,6 +8,7 @@
 import FeatureBase from '../core/FeatureBase.js';
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import SystemTray from '../core/SystemTray.js';
 import { DesktopPetEvents } from '../core/scripted-events/SemanticEvents.js';
 
 // Feature metadata
@@ -177,6 +178,16 @@ class DesktopPet extends FeatureBase {
             this.toggle(enabled);
         });
 
+        // Tray icon to show or hide the pet
+        this.addTrayIcon({
+            tooltip: this.getTrayTooltip(),
+            onClick: () => this.toggle(!this.isPetVisible()),
+            menu: () => [
+                { label: 'Show Pet', checked: this.isPetVisible(), action: () => this.toggle(!this.isPetVisible()) },
+                { label: 'Tell My Fortune', disabled: !this.isPetVisible(), action: () => this.showFortune() }
+            ]
+        });
+
         console.log('[DesktopPet] Enhanced desktop pet initialized');
     }
 
@@ -271,6 +282,19 @@ class DesktopPet extends FeatureBase {
             this.hide();
         }
         StateManager.setState('settings.pet.enabled', enabled, true);
+        SystemTray.update(this.id, { tooltip: this.getTrayTooltip() });
+    }
+
+    /**
+     * Whether the pet is on screen
+     * @returns {boolean}
+     */
+    isPetVisible() {
+        return this.container?.style.display === 'block';
+    }
+
+    getTrayTooltip() {
+        return `Desktop Pet: click to ${this.isPetVisible() ? 'hide' : 'show'}`;
     }
 
     // Dragging
@@ -40,13 +40,24 @@ const FEATURE_METADATA = {
     ]
 };
 
+// Key sequences and the method each one triggers, switched on by a setting
+const CHEAT_CODES = [
+    {
+        id: 'konami',
+        keys: 'ArrowUp ArrowUp ArrowDown ArrowDown ArrowLeft ArrowRight ArrowLeft ArrowRight B A',
+        description: 'Konami code',
+        setting: 'enableKonami',
+        trigger: 'triggerKonami'
+    },
+    { id: 'rosebud', keys: 'R O S E B U D', description: 'Rosebud cheat', setting: 'enableCheats', trigger: 'triggerRosebud' },
+    { id: 'matrix', keys: 'M A T R I X', description: 'Matrix mode cheat', setting: 'enableCheats', trigger: 'triggerMatrix' },
+    { id: 'disco', keys: 'D I S C O', description: 'Disco mode cheat', setting: 'enableCheats', trigger: 'triggerDisco' }
+];
+
 class EasterEggs extends FeatureBase {
     constructor() {
         super(FEATURE_METADATA);
 
-        this.konamiCode = [];
-        this.konamiSequence = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
-        this.typedChars = [];
         this.activeEffects = new Set();
     }
 
@@ -56,8 +67,20 @@ class EasterEggs extends FeatureBase {
     async initialize() {
         if (!this.isEnabled()) return;
 
-        // Add keydown handler for cheat codes
-        this.addHandler(document, 'keydown', this.handleKeydown);
+        // Cheat codes are key sequences; hidden so Control Panel doesn't give them away
+        for (const cheat of CHEAT_CODES) {
+            this.registerShortcut({
+                id: `eastereggs.${cheat.id}`,
+                keys: cheat.keys,
+                description: cheat.description,
+                hidden: true,
+                preventDefault: false,
+                // Cheat codes count while typing in a text field too
+                allowInInputs: true,
+                // The settings can change while the feature is running
+                handler: () => this.getConfig(cheat.setting, true) ? this[cheat.trigger]() : false
+            });
+        }
 
         this.log('Initialized');
     }
@@ -78,49 +101,6 @@ class EasterEggs extends FeatureBase {
         super.cleanup();
     }
 
-    /**
-     * Handle keydown events for cheat codes
-     * @param {KeyboardEvent} e - Keyboard event
-     */
-    handleKeydown(e) {
-        if (!this.isEnabled()) return;
-
-        // Konami code detection
-        if (this.getConfig('enableKonami', true)) {
-            this.konamiCode.push(e.key);
-            if (this.konamiCode.length > 10) this.konamiCode.shift();
-
-            if (this.konamiCode.join(',') === this.konamiSequence.join(',')) {
-                this.triggerKonami();
-                this.konamiCode = [];
-            }
-        }
-
-        // Cheat code detection
-        if (this.getConfig('enableCheats', true)) {
-            this.typedChars.push(e.key);
-            if (this.typedChars.length > 10) this.typedChars.shift();
-
-            // Rosebud cheat
-            if (this.typedChars.slice(-7).join('') === 'rosebud') {
-                this.triggerRosebud();
-                this.typedChars = [];
-            }
-
-            // Matrix mode cheat
-            if (this.typedChars.slice(-6).join('') === 'matrix') {
-                this.triggerMatrix();
-                this.typedChars = [];
-            }
-
-            // Disco mode cheat
-            if (this.typedChars.slice(-5).join('') === 'disco') {
-                this.triggerDisco();
-                this.typedChars = [];
-            }
-        }
-    }
-
     /**
      * Trigger Konami code celebration
      */
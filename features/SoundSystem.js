@@ -15,6 +15,8 @@
 import FeatureBase from '../core/FeatureBase.js';
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import SystemTray from '../core/SystemTray.js';
+import AppRegistry from '../apps/AppRegistry.js';
 import { SoundSystemEvents } from '../core/scripted-events/SemanticEvents.js';
 
 // Feature metadata
@@ -144,9 +146,81 @@ class SoundSystem extends FeatureBase {
             this.volume = configVolume;
         }
 
+        this.setupTrayIcon();
+
         this.log('Initialized with MP3 support');
     }
 
+    /**
+     * Volume icon in the system tray: click for a volume slider, right-click to mute
+     */
+    setupTrayIcon() {
+        this.addTrayIcon({
+            id: 'volume',
+            order: 10,
+            ...this.getTrayIconState(),
+            popup: () => this.createVolumePopup(),
+            menu: () => [
+                { label: 'Mute', checked: !StateManager.getState('settings.sound'), action: () => this.toggleMute() },
+                { divider: true },
+                { label: 'Sound Settings...', action: () => AppRegistry.launch('sounds') }
+            ]
+        });
+
+        const refresh = () => SystemTray.update('volume', this.getTrayIconState());
+        this.eventUnsubscribers.push(StateManager.subscribe('settings.sound', refresh));
+        this.subscribe(SoundSystemEvents.VOLUME_CHANGED, refresh);
+    }
+
+    /**
+     * Icon and tooltip for the current volume and mute state
+     * @returns {{icon: string, tooltip: string}}
+     */
+    getTrayIconState() {
+        const muted = !StateManager.getState('settings.sound');
+        return {
+            icon: muted ? '🔇' : '📊',
+            tooltip: muted ? 'Volume: Muted' : `Volume: ${Math.round(this.volume * 100)}%`
+        };
+    }
+
+    /**
+     * Build the volume slider shown above the tray icon
+     * @returns {HTMLElement}
+     */
+    createVolumePopup() {
+        const popup = document.createElement('div');
+        popup.className = 'volume-popup';
+        popup.innerHTML = `
+            <label class="volume-popup-label" for="trayVolumeSlider">Volume</label>
+            <input type="range" id="trayVolumeSlider" class="volume-popup-slider" min="0" max="100" step="5"
+                aria-label="Volume">
+            <label class="volume-popup-mute"><input type="checkbox"> Mute</label>
+        `;
+
+        const slider = popup.querySelector('.volume-popup-slider');
+        const mute = popup.querySelector('.volume-popup-mute input');
+        slider.value = Math.round(this.volume * 100);
+        mute.checked = !StateManager.getState('settings.sound');
+
+        slider.addEventListener('input', () => this.setVolume(Number(slider.value) / 100));
+        // Play a click at the new level once the user lets go
+        slider.addEventListener('change', () => this.play('click'));
+        mute.addEventListener('change', () => this.toggleMute());
+
+        return popup;
+    }
+
+    /**
+     * Turn all sound on or off
+     * @returns {boolean} Whether sound is now on
+     */
+    toggleMute() {
+        const enabled = StateManager.toggleSetting('sound');
+        if (enabled) this.play('click');
+        return enabled;
+    }
+
     /**
      * Cleanup resources when disabled
      */
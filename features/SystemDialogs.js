@@ -14,6 +14,9 @@ import AppRegistry from '../apps/AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import { PATHS } from '../core/Constants.js';
 
+// Window ID prefix used when the file dialog is owned by an app window
+const FILE_DIALOG_WINDOW = 'system-file-dialog';
+
 // Feature metadata
 const FEATURE_METADATA = {
     id: 'systemdialogs',
@@ -60,6 +63,12 @@ class SystemDialogs extends FeatureBase {
         this.promptResolver = null;
         this.fileDialogResolver = null;
         this.currentFilePath = [...PATHS.DOCUMENTS];
+        // FileSystemManager.watch() handle for the folder shown in the file dialog
+        this.fileDialogUnwatch = null;
+        this.fileDialogWatchedPath = null;
+        // Window hosting the file dialog while it is owned by the calling app
+        this.fileDialogWindowId = null;
+        this.fileDialogWindowCount = 0;
     }
 
     /**
@@ -386,6 +395,7 @@ class SystemDialogs extends FeatureBase {
                                 <select class="file-dialog-filetype" id="fileDialogFiletype">
                                     <option value="*">All Files (*.*)</option>
                                     <option value="txt">Text Files (*.txt)</option>
+                                    <option value="json">JSON Files (*.json)</option>
                                     <option value="png">PNG Images (*.png)</option>
                                     <option value="bmp">BMP Images (*.bmp)</option>
                                 </select>
@@ -537,12 +547,11 @@ class SystemDialogs extends FeatureBase {
      * Setup keyboard shortcuts
      */
     setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Win+R or Ctrl+R = Run dialog
-            if ((e.metaKey || e.ctrlKey) && e.key === 'r') {
-                e.preventDefault();
-                this.showRunDialog();
-            }
+        this.registerShortcut({
+            id: 'system.run',
+            keys: ['Ctrl+R', 'Meta+R'],
+            description: 'Open the Run dialog',
+            handler: () => this.showRunDialog()
         });
     }
 
@@ -869,6 +878,23 @@ class SystemDialogs extends FeatureBase {
         return this.showAlert({ message, title, icon });
     }
 
+    /**
+     * Report a failed file operation. A full disk and a broken shortcut get
+     * their own title and icon.
+     * @param {Error} error - Error thrown by FileSystemManager
+     * @param {string} action - What failed, e.g. 'saving file'
+     * @returns {Promise}
+     */
+    fileError(error, action) {
+        if (error?.code === 'DISK_FULL') {
+            return this.alert(error.message, 'Disk Full', 'warning');
+        }
+        if (error?.code === 'BROKEN_LINK' || error?.code === 'LINK_LOOP') {
+            return this.alert(error.message, 'Problem with Shortcut', 'warning');
+        }
+        return this.alert(`Error ${action}: ${error.message}`, 'Error', 'error');
+    }
+
     // ==================== CONFIRM DIALOG ====================
 
     /**
@@ -979,7 +1005,7 @@ class SystemDialogs extends FeatureBase {
 
     /**
      * Show file open dialog
-     * @param {Object} options - { title, filter, initialPath }
+     * @param {Object} options - { title, filter, initialPath, owner }
      * @returns {Promise<{path: string[], filename: string}|null>}
      */
     showFileOpen(options = {}) {
@@ -988,7 +1014,7 @@ class SystemDialogs extends FeatureBase {
 
     /**
      * Show file save dialog
-     * @param {Object} options - { title, filter, initialPath, defaultFilename }
+     * @param {Object} options - { title, filter, initialPath, defaultFilename, owner }
      * @returns {Promise<{path: string[], filename: string}|null>}
      */
     showFileSave(options = {}) {
@@ -997,10 +1023,16 @@ class SystemDialogs extends FeatureBase {
 
     /**
      * Show file dialog (internal)
+     * The dialog opens as a modal window owned by options.owner (default: the
+     * focused window), so it blocks only that app. Without an owner it covers
+     * the whole desktop.
      * @param {Object} options - Dialog options
      * @returns {Promise}
      */
     showFileDialog(options = {}) {
+        // Only one file dialog at a time - the previous caller gets a cancel
+        if (this.fileDialogResolver) this.cancelFileDialog();
+
         return new Promise((resolve) => {
             this.fileDialogResolver = resolve;
             this.fileDialogMode = options.mode || 'open';
@@ -1037,13 +1069,79 @@ class SystemDialogs extends FeatureBase {
             // Populate file browser
             this.updateFileDialogBrowser();
 
-            if (dialog) {
+            const owner = options.owner !== undefined ? options.owner : StateManager.getState('ui.activeWindow');
+            if (owner && WindowManager.isOpen(owner)) {
+                this.openFileDialogWindow(owner, titleEl?.textContent, iconEl?.textContent);
+            } else if (dialog) {
                 dialog.classList.add('active');
                 EventBus.emit(Events.SOUND_PLAY, { type: 'open' });
             }
         });
     }
 
+    /**
+     * Move the file dialog into a modal window owned by an app window
+     * @param {string} owner - Owner window ID
+     * @param {string} title - Window title
+     * @param {string} icon - Window icon
+     */
+    openFileDialogWindow(owner, title, icon) {
+        const box = document.querySelector('#fileDialog .file-dialog');
+        if (!box) return;
+
+        // A fresh id each time, since the last window may still be animating closed
+        const windowId = `${FILE_DIALOG_WINDOW}-${++this.fileDialogWindowCount}`;
+        const windowEl = WindowManager.create({
+            id: windowId,
+            title,
+            icon,
+            content: '',
+            width: 540,
+            resizable: false,
+            owner,
+            modal: true,
+            // Closing the window (or its owner) cancels
+            onClose: () => {
+                if (this.fileDialogWindowId !== windowId) return;
+                this.returnFileDialogBox();
+                this.cancelFileDialog();
+            }
+        });
+        windowEl.querySelector('.window-content').appendChild(box);
+        WindowManager.centerOnOwner(windowId);
+        this.fileDialogWindowId = windowId;
+
+        setTimeout(() => document.getElementById('fileDialogFilename')?.focus(), 100);
+    }
+
+    /**
+     * Put the file dialog back in its overlay, detaching it from its window
+     * @returns {string|null} ID of the window it was in
+     */
+    returnFileDialogBox() {
+        const windowId = this.fileDialogWindowId;
+        if (!windowId) return null;
+
+        this.fileDialogWindowId = null;
+        const box = document.querySelector(`#window-${windowId} .file-dialog`);
+        if (box) document.getElementById('fileDialog')?.appendChild(box);
+        return windowId;
+    }
+
+    /**
+     * Hide the file dialog and close its window, if it has one
+     */
+    hideFileDialog() {
+        const dialog = document.getElementById('fileDialog');
+        if (dialog) {
+            dialog.classList.remove('active');
+        }
+        this.unwatchFileDialogPath();
+
+        const windowId = this.returnFileDialogBox();
+        if (windowId) WindowManager.close(windowId);
+    }
+
     /**
      * Update file dialog browser with current path contents
      */
@@ -1054,6 +1152,9 @@ class SystemDialogs extends FeatureBase {
 
         if (!browser) return;
 
+        // Re-list automatically while the shown folder changes
+        this.watchFileDialogPath();
+
         // Update path dropdown
         if (pathSelect) {
             const pathStr = this.currentFilePath.join('\\');
@@ -1127,6 +1228,33 @@ class SystemDialogs extends FeatureBase {
         }
     }
 
+    /**
+     * Watch the folder shown in the file dialog, replacing the previous watch
+     */
+    watchFileDialogPath() {
+        const pathKey = this.currentFilePath.join('\\');
+        if (this.fileDialogWatchedPath === pathKey) return;
+
+        this.unwatchFileDialogPath();
+        this.fileDialogWatchedPath = pathKey;
+        this.fileDialogUnwatch = FileSystemManager.watch(this.currentFilePath, {}, () => {
+            const selected = document.querySelector('#fileDialogBrowser .file-dialog-item.selected')?.dataset.name;
+            this.updateFileDialogBrowser();
+            if (selected) {
+                [...document.querySelectorAll('#fileDialogBrowser .file-dialog-item')]
+                    .find(el => el.dataset.name === selected)?.classList.add('selected');
+            }
+        });
+    }
+
+    unwatchFileDialogPath() {
+        if (this.fileDialogUnwatch) {
+            this.fileDialogUnwatch();
+            this.fileDialogUnwatch = null;
+        }
+        this.fileDialogWatchedPath = null;
+    }
+
     /**
      * Get icon for file item
      */
@@ -1200,10 +1328,7 @@ class SystemDialogs extends FeatureBase {
             return;
         }
 
-        const dialog = document.getElementById('fileDialog');
-        if (dialog) {
-            dialog.classList.remove('active');
-        }
+        this.hideFileDialog();
 
         if (this.fileDialogResolver) {
             this.fileDialogResolver({
@@ -1219,10 +1344,7 @@ class SystemDialogs extends FeatureBase {
      * Cancel file dialog
      */
     cancelFileDialog() {
-        const dialog = document.getElementById('fileDialog');
-        if (dialog) {
-            dialog.classList.remove('active');
-        }
+        this.hideFileDialog();
         if (this.fileDialogResolver) {
             this.fileDialogResolver(null);
             this.fileDialogResolver = null;
@@ -12,12 +12,21 @@ import StateManager from './core/StateManager.js';
 import EventBus, { Events } from './core/EventBus.js';
 import WindowManager from './core/WindowManager.js';
 import FileSystemManager from './core/FileSystemManager.js';
+import SearchIndex from './core/SearchIndex.js';
+import SessionManager from './core/SessionManager.js';
+import ShortcutManager from './core/ShortcutManager.js';
+import NotificationManager from './core/NotificationManager.js';
+import { WINDOW } from './core/Constants.js';
 
 // === UI RENDERERS ===
 import TaskbarRenderer from './ui/TaskbarRenderer.js';
 import DesktopRenderer from './ui/DesktopRenderer.js';
 import StartMenuRenderer from './ui/StartMenuRenderer.js';
 import ContextMenuRenderer from './ui/ContextMenuRenderer.js';
+import WindowSwitcher from './ui/WindowSwitcher.js';
+import SnapAssist from './ui/SnapAssist.js';
+import TaskbarPreview from './ui/TaskbarPreview.js';
+import NotificationToasts from './ui/NotificationToasts.js';
 
 // === APPLICATIONS ===
 import AppRegistry from './apps/AppRegistry.js';
@@ -150,7 +159,10 @@ async function initializeOS(onProgress = () => {}) {
     onProgress(15, 'Loading core systems...');
     await initComponent('StorageManager', () => StorageManager.initialize());
     await initComponent('StateManager', () => StateManager.initialize());
+    await initComponent('FileSystemManager', () => FileSystemManager.initialize());
     await initComponent('WindowManager', () => WindowManager.initialize());
+    await initComponent('ShortcutManager', () => ShortcutManager.initialize());
+    await initComponent('NotificationManager', () => NotificationManager.initialize());
 
     // === Phase 1.5: Sync Filesystem with Apps and Desktop ===
     console.log('[IlluminatOS!] Phase 1.5: Filesystem Sync');
@@ -169,6 +181,9 @@ async function initializeOS(onProgress = () => {}) {
         FileSystemManager.saveFileSystem();
     });
 
+    // Builds in the background; searches wait for it
+    await initComponent('SearchIndex', () => SearchIndex.initialize());
+
     // === Phase 2: Features ===
     console.log('[IlluminatOS!] Phase 2: Features');
     onProgress(35, 'Loading features...');
@@ -240,9 +255,13 @@ async function initializeOS(onProgress = () => {}) {
     console.log('[IlluminatOS!] Phase 3: UI Renderers');
     onProgress(60, 'Rendering desktop...');
     await initComponent('TaskbarRenderer', () => TaskbarRenderer.initialize());
+    await initComponent('TaskbarPreview', () => TaskbarPreview.initialize());
+    await initComponent('NotificationToasts', () => NotificationToasts.initialize());
     await initComponent('DesktopRenderer', () => DesktopRenderer.initialize());
     await initComponent('StartMenuRenderer', () => StartMenuRenderer.initialize());
     await initComponent('ContextMenuRenderer', () => ContextMenuRenderer.initialize());
+    await initComponent('WindowSwitcher', () => WindowSwitcher.initialize());
+    await initComponent('SnapAssist', () => SnapAssist.initialize());
 
     // === Phase 4: Apply saved settings ===
     console.log('[IlluminatOS!] Phase 4: Applying settings');
@@ -253,6 +272,7 @@ async function initializeOS(onProgress = () => {}) {
     console.log('[IlluminatOS!] Phase 5: Global handlers');
     onProgress(90, 'Setting up handlers...');
     await initComponent('GlobalHandlers', () => setupGlobalHandlers());
+    await initComponent('SessionManager', () => SessionManager.initialize());
 
     // Mark as visited
     if (!StateManager.getState('user.hasVisited')) {
@@ -393,15 +413,35 @@ function setupGlobalHandlers() {
     });
 
     // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        // Ctrl+Shift+T = Terminal
-        if (e.ctrlKey && e.shiftKey && e.key === 'T') {
+    registerSystemShortcuts();
+
+    // Prevent default context menu on body (except inputs)
+    document.body.addEventListener('contextmenu', (e) => {
+        if (!e.target.closest('input, textarea')) {
             e.preventDefault();
-            AppRegistry.launch('terminal');
         }
+    });
+}
 
-        // Escape closes context menu and start menu
-        if (e.key === 'Escape') {
+/**
+ * Register the desktop-wide keyboard shortcuts
+ */
+function registerSystemShortcuts() {
+    ShortcutManager.register({
+        id: 'system.terminal',
+        keys: 'Ctrl+Shift+T',
+        description: 'Open Terminal',
+        handler: () => AppRegistry.launch('terminal')
+    });
+
+    // Escape closes context menu and start menu
+    ShortcutManager.register({
+        id: 'system.closeMenus',
+        keys: 'Escape',
+        description: 'Close menus',
+        allowInInputs: true,
+        preventDefault: false,
+        handler: () => {
             EventBus.emit(Events.CONTEXT_MENU_HIDE);
             const startMenu = document.getElementById('startMenu');
             if (startMenu && startMenu.classList.contains('active')) {
@@ -410,12 +450,49 @@ function setupGlobalHandlers() {
         }
     });
 
-    // Prevent default context menu on body (except inputs)
-    document.body.addEventListener('contextmenu', (e) => {
-        if (!e.target.closest('input, textarea')) {
-            e.preventDefault();
-        }
-    });
+    // Move the active window to the previous/next workspace and follow it
+    const moveActiveWindow = (step) => {
+        const activeId = StateManager.getState('ui.activeWindow');
+        if (!activeId) return false;
+        const workspaces = WindowManager.getWorkspaces();
+        const index = workspaces.findIndex(ws => ws.active);
+        const target = workspaces[(index + step + workspaces.length) % workspaces.length];
+        WindowManager.moveToWorkspace(activeId, target.id, { follow: true });
+    };
+
+    const workspaceShortcuts = [
+        ['workspace.previous', 'Ctrl+Alt+ArrowLeft', 'Switch to the previous desktop', () => WindowManager.cycleWorkspace(-1)],
+        ['workspace.next', 'Ctrl+Alt+ArrowRight', 'Switch to the next desktop', () => WindowManager.cycleWorkspace(1)],
+        ['workspace.movePrevious', 'Ctrl+Alt+Shift+ArrowLeft', 'Move window to the previous desktop', () => moveActiveWindow(-1)],
+        ['workspace.moveNext', 'Ctrl+Alt+Shift+ArrowRight', 'Move window to the next desktop', () => moveActiveWindow(1)]
+    ];
+    for (let n = 1; n <= WINDOW.MAX_WORKSPACES; n++) {
+        workspaceShortcuts.push([`workspace.goto${n}`, `Ctrl+Alt+${n}`, `Switch to desktop ${n}`, () => { WindowManager.switchWorkspace(n); }]);
+    }
+
+    for (const [id, keys, description, handler] of workspaceShortcuts) {
+        ShortcutManager.register({ id, keys, description, category: 'Desktops', handler });
+    }
+
+    // Win+Arrow snaps the active window to halves, quarters or maximized
+    const snapShortcuts = [
+        ['window.snapLeft', 'Meta+ArrowLeft', 'Snap window left', 'left'],
+        ['window.snapRight', 'Meta+ArrowRight', 'Snap window right', 'right'],
+        ['window.snapUp', 'Meta+ArrowUp', 'Maximize or snap window up', 'up'],
+        ['window.snapDown', 'Meta+ArrowDown', 'Restore, minimize or snap window down', 'down']
+    ];
+    for (const [id, keys, description, direction] of snapShortcuts) {
+        ShortcutManager.register({
+            id,
+            keys,
+            description,
+            category: 'Windows',
+            handler: () => {
+                const activeId = StateManager.getState('ui.activeWindow');
+                return activeId ? WindowManager.snapInDirection(activeId, direction) : false;
+            }
+        });
+    }
 }
 
 /**
@@ -560,6 +637,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Wait for boot animation to finish
         await bootPromise;
 
+        // Reopen the windows from last time (if the user turned that on)
+        SessionManager.restore();
+
         console.log('[IlluminatOS!] System ready!');
     } catch (error) {
         console.error('[IlluminatOS!] Boot failed with error:', error);
@@ -4,6 +4,7 @@
  */
 
 import FeatureBase from '../../../core/FeatureBase.js';
+import { MemoryDriveProvider } from '../../../core/DriveProviders.js';
 
 // Feature metadata
 const FEATURE_METADATA = {
@@ -67,6 +68,15 @@ class ExampleFeature extends FeatureBase {
             return { success: true };
         });
 
+        // Supply a drive that shows up in My Computer and the terminal
+        await this.mountDrive('P:', new MemoryDriveProvider({
+            label: 'Example Plugin',
+            driveType: 'network',
+            entries: [
+                { path: 'README.TXT', content: 'This drive is supplied by the Example Plugin.\nIt disappears when the plugin is disabled.' }
+            ]
+        }));
+
         this.log('Initialized successfully!');
     }
 
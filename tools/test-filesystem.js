@@ -0,0 +1,163 @@
+/**
+ * test-filesystem - Checks FileSystemManager's body-record bookkeeping headlessly
+ *
+ * Runs the file system on an in-memory backend that stores bodies separately,
+ * like the IndexedDB backend, and checks that no body record is left behind
+ * without a node pointing at it.
+ *
+ * Usage:
+ *   node --test tools/test-filesystem.js
+ *
+ * As with tools/test-scenarios.js, Node versions before 22.12 need
+ * --experimental-default-type=module, e.g.
+ *   node --experimental-default-type=module --test tools/test-filesystem.js
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import FileSystemManager from '../core/FileSystemManager.js';
+import { MemoryDriveProvider } from '../core/DriveProviders.js';
+
+const DOCUMENTS = ['C:', 'Users', 'User', 'Documents'];
+
+/**
+ * Separate-body backend that keeps its records in memory
+ */
+class MemoryBodyBackend {
+    constructor() {
+        this.name = 'memory';
+        this.separateBodies = true;
+        this.index = null;
+        this.bodies = new Map();
+    }
+
+    loadIndexSync() {
+        return this.index;
+    }
+
+    async loadIndex() {
+        return this.index;
+    }
+
+    async readBody(blobId) {
+        return this.bodies.get(blobId);
+    }
+
+    async save(index, bodies = new Map(), removed = [], { replace = false } = {}) {
+        if (replace) this.bodies.clear();
+        bodies.forEach((content, blobId) => this.bodies.set(blobId, content));
+        for (const blobId of removed) this.bodies.delete(blobId);
+        this.index = structuredClone(index);
+    }
+
+    async estimateQuota() {
+        return null;
+    }
+
+    async clear() {
+        this.index = null;
+        this.bodies.clear();
+    }
+}
+
+const backend = new MemoryBodyBackend();
+
+/**
+ * Wait for body loads and queued saves to finish
+ */
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await FileSystemManager.saveChain;
+    }
+}
+
+/**
+ * Collect the blobIds the stored index points at
+ * @param {Object} node - Stored index node
+ * @param {Set<string>} found
+ * @returns {Set<string>}
+ */
+function referencedBodies(node, found = new Set()) {
+    if (!node || typeof node !== 'object') return found;
+    if (node.type === 'file') {
+        [node, ...(node.versions || [])].forEach(entry => entry.blobId && found.add(entry.blobId));
+        return found;
+    }
+    Object.values(node.type === undefined ? node : node.children || {}).forEach(child => referencedBodies(child, found));
+    return found;
+}
+
+function assertNoOrphans() {
+    const referenced = referencedBodies(backend.index);
+    const orphans = [...backend.bodies.keys()].filter(blobId => !referenced.has(blobId));
+    assert.deepEqual(orphans, [], 'body records without a node');
+}
+
+before(async () => {
+    // Quiet the managers' logging
+    console.log = () => {};
+    await FileSystemManager.migrateTo(backend);
+    await FileSystemManager.mount('R:', new MemoryDriveProvider({ capacity: 1024 * 1024 }));
+});
+
+test('syncing desktop icons and installed apps at every boot reuses their body records', async () => {
+    const icons = [
+        { id: 'notepad', label: 'Notepad', emoji: '📝', type: 'app' },
+        { id: 'calculator', label: 'Calculator', emoji: '🧮', type: 'app' }
+    ];
+    const apps = [{ id: 'paint', name: 'Paint', icon: '🎨', category: 'accessories', showInMenu: true }];
+
+    const counts = [];
+    for (let boot = 0; boot < 3; boot++) {
+        FileSystemManager.syncDesktopIcons(icons);
+        FileSystemManager.syncInstalledApps(apps);
+        FileSystemManager.saveFileSystem();
+        await settle();
+        counts.push(backend.bodies.size);
+    }
+
+    assert.equal(new Set(counts).size, 1, `body records per boot: ${counts.join(', ')}`);
+    assertNoOrphans();
+});
+
+test('moving a file to a mounted drive deletes its body record', async () => {
+    const file = [...DOCUMENTS, 'loaded.txt'];
+    FileSystemManager.writeFile(file, 'still in memory');
+    FileSystemManager.saveFileSystem();
+    await settle();
+
+    FileSystemManager.moveItem(file, ['R:']);
+    await settle();
+
+    assert.equal(FileSystemManager.readFile(['R:', 'loaded.txt']), 'still in memory');
+    assertNoOrphans();
+});
+
+test('moving a file whose body is not loaded yet keeps its content', async () => {
+    const file = [...DOCUMENTS, 'unloaded.txt'];
+    FileSystemManager.writeFile(file, 'only in storage');
+    FileSystemManager.saveFileSystem();
+    await settle();
+    // As after a reload: the index is in memory, the body isn't
+    delete FileSystemManager.getNode(file).content;
+
+    FileSystemManager.moveItem(file, ['R:']);
+    await settle();
+
+    assert.equal(FileSystemManager.readFile(['R:', 'unloaded.txt']), 'only in storage');
+    assertNoOrphans();
+});
+
+test('readFile refuses a body that is still in storage until it is loaded', async () => {
+    const file = [...DOCUMENTS, 'lazy.txt'];
+    FileSystemManager.writeFile(file, 'loaded on demand');
+    FileSystemManager.saveFileSystem();
+    await settle();
+    delete FileSystemManager.getNode(file).content;
+
+    assert.throws(() => FileSystemManager.readFile(file), { code: 'NOT_LOADED' });
+    assert.equal(await FileSystemManager.readFileAsync(file), 'loaded on demand');
+    assert.equal(FileSystemManager.readFile(file), 'loaded on demand');
+});
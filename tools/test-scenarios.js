@@ -0,0 +1,236 @@
+/**
+ * test-scenarios - Runs scenario test scripts headlessly under Node
+ *
+ * Each test script (scenarios/*.test.json, see ScenarioTestRunner) runs in its
+ * own Node process with a small DOM shim in place of the browser, so state left
+ * behind by one scenario can't affect the next. The scenario is read from disk
+ * relative to the test script.
+ *
+ * Usage:
+ *   node tools/test-scenarios.js                                  # every scenarios/*.test.json
+ *   node tools/test-scenarios.js scenarios/tutorial.test.json     # just these
+ *   node tools/test-scenarios.js --report scenario-report.json    # also write the JSON report
+ *   node tools/test-scenarios.js --json                           # print the JSON report instead of a summary
+ *   node tools/test-scenarios.js --verbose                        # show the OS's console output
+ *
+ * The repo has no package.json, so on Node versions before 22.12 the .js files
+ * are only loaded as ES modules with --experimental-default-type=module
+ * (Node 20.10+), e.g.
+ *   node --experimental-default-type=module tools/test-scenarios.js
+ *
+ * Exits with 1 if any test fails.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SCENARIOS_DIR = path.join(ROOT, 'scenarios');
+
+// Extra time a test process gets beyond the test's own timeout
+const PROCESS_GRACE = 15000;
+const DEFAULT_TIMEOUT = 10000;
+
+const args = process.argv.slice(2);
+
+if (args[0] === '--child') {
+    await runChild(args[1], args.includes('--verbose'));
+} else {
+    runAll(args);
+}
+
+// =============================================================================
+// PARENT - one process per test script
+// =============================================================================
+
+function runAll(args) {
+    const options = { report: null, json: false, verbose: false };
+    const files = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--report') {
+            options.report = args[++i];
+        } else if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--verbose') {
+            options.verbose = true;
+        } else {
+            files.push(path.resolve(args[i]));
+        }
+    }
+
+    if (files.length === 0) {
+        files.push(...fs.readdirSync(SCENARIOS_DIR)
+            .filter(name => name.endsWith('.test.json'))
+            .sort()
+            .map(name => path.join(SCENARIOS_DIR, name)));
+    }
+
+    const tests = files.map(file => ({ file: path.relative(ROOT, file), ...runInProcess(file, options.verbose) }));
+    const failed = tests.filter(test => !test.passed).length;
+    const report = {
+        passed: failed === 0,
+        total: tests.length,
+        failed,
+        tests
+    };
+
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printSummary(report);
+    }
+
+    process.exitCode = report.passed ? 0 : 1;
+}
+
+/**
+ * Run one test script in a child process
+ * @param {string} file - Test script path
+ * @param {boolean} verbose - Pass the child's console output through
+ * @returns {Object} - The test's report
+ */
+function runInProcess(file, verbose) {
+    let timeout = DEFAULT_TIMEOUT;
+    try {
+        timeout = Number(JSON.parse(fs.readFileSync(file, 'utf8')).timeout) || DEFAULT_TIMEOUT;
+    } catch (error) {
+        return crashReport(file, `Could not read the test script: ${error.message}`);
+    }
+
+    const child = spawnSync(process.execPath, [
+        ...process.execArgv,
+        fileURLToPath(import.meta.url),
+        '--child', file,
+        ...(verbose ? ['--verbose'] : [])
+    ], {
+        encoding: 'utf8',
+        timeout: timeout + PROCESS_GRACE,
+        stdio: ['ignore', 'pipe', verbose ? 'inherit' : 'pipe']
+    });
+
+    try {
+        return JSON.parse(child.stdout);
+    } catch {
+        const reason = child.error?.message
+            || child.stderr?.trim().split('\n').slice(-3).join(' ')
+            || `exited with code ${child.status}`;
+        return crashReport(file, `Test process failed: ${reason}`);
+    }
+}
+
+function crashReport(file, message) {
+    return { name: path.basename(file), passed: false, outcome: null, stagesReached: [], steps: [], failures: [message] };
+}
+
+function printSummary(report) {
+    for (const test of report.tests) {
+        const scenario = test.scenarioId ? ` (${test.scenarioId})` : '';
+        console.log(`${test.passed ? 'PASS' : 'FAIL'}  ${test.name}${scenario} - ${test.file}`);
+        if (!test.passed) {
+            test.failures.forEach(failure => console.log(`        ${failure}`));
+            if (test.stagesReached?.length > 0) {
+                console.log(`        Stages reached: ${test.stagesReached.join(' > ')}`);
+            }
+            test.failedActions?.forEach(({ type, error }) => console.log(`        Action "${type}" failed: ${error}`));
+        }
+    }
+    console.log(`\n${report.total - report.failed} passed, ${report.failed} failed`);
+}
+
+// =============================================================================
+// CHILD - runs one test script and prints its report
+// =============================================================================
+
+async function runChild(file, verbose) {
+    // Keep stdout for the report
+    const quiet = () => {};
+    for (const method of ['log', 'info', 'debug', 'warn', 'error']) {
+        console[method] = verbose ? (...values) => process.stderr.write(values.join(' ') + '\n') : quiet;
+    }
+
+    installDomShim();
+
+    const test = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const scenarioPath = path.resolve(path.dirname(file), test.scenario || '');
+    let scenario;
+    try {
+        scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+    } catch (error) {
+        process.stdout.write(JSON.stringify(crashReport(file, `Could not read the scenario: ${error.message}`)));
+        process.exit(0);
+    }
+
+    // AppRegistry has to load before the scripted events modules, which import it part-way through a cycle
+    await import('../apps/AppRegistry.js');
+    const { default: FileSystemManager } = await import('../core/FileSystemManager.js');
+    const { default: ScenarioManager } = await import('../core/scripted-events/ScenarioManager.js');
+    const { ScenarioTestRunner } = await import('../core/scripted-events/ScenarioTestRunner.js');
+
+    // Mounts the RAM disk and the CD-ROM, as at boot
+    await FileSystemManager.initialize();
+
+    // There's no desktop to show it on
+    ScenarioManager.setConfig('showIndicator', false);
+
+    const report = await new ScenarioTestRunner(test, { scenario }).run();
+    process.stdout.write(JSON.stringify(report));
+
+    // Hint timers and the like would keep the process alive
+    process.exit(0);
+}
+
+/**
+ * Just enough of window and document for the OS modules to load and for
+ * scenario actions to run without a page. Relative URLs are fetched from the
+ * repo, as the page would, so the CD-ROM image mounts and the schema loads.
+ */
+function installDomShim() {
+    const fetchUrl = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        if (typeof url !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+            return fetchUrl(url, options);
+        }
+        try {
+            return new Response(fs.readFileSync(path.join(ROOT, url)));
+        } catch {
+            return new Response(null, { status: 404, statusText: 'Not Found' });
+        }
+    };
+
+    const element = () => ({
+        style: {},
+        dataset: {},
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild(child) { return child; },
+        removeChild(child) { return child; },
+        remove() {},
+        setAttribute() {},
+        getAttribute: () => null,
+        addEventListener() {},
+        removeEventListener() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        getBoundingClientRect: () => ({ top: 0, left: 0, width: 0, height: 0, right: 0, bottom: 0 })
+    });
+
+    globalThis.window = globalThis;
+    globalThis.document = {
+        ...element(),
+        head: element(),
+        body: element(),
+        documentElement: element(),
+        createElement: element,
+        createTextNode: () => element(),
+        getElementById: () => null
+    };
+    globalThis.window.addEventListener = () => {};
+    globalThis.window.removeEventListener = () => {};
+}
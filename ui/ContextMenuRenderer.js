@@ -9,7 +9,10 @@ import AppRegistry from '../apps/AppRegistry.js';
 import WindowManager from '../core/WindowManager.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import SystemDialogs from '../features/SystemDialogs.js';
-import { PATHS } from '../core/Constants.js';
+import FileTransfer from '../core/FileTransfer.js';
+import FileAssociations from '../core/FileAssociations.js';
+import SystemTray from '../core/SystemTray.js';
+import { PATHS, WINDOW } from '../core/Constants.js';
 
 class ContextMenuRendererClass {
     constructor() {
@@ -45,13 +48,13 @@ class ContextMenuRendererClass {
         this.element.addEventListener('click', this.boundHandleMenuClick);
 
         // Listen for show events
-        EventBus.on(Events.CONTEXT_MENU_SHOW, ({ x, y, type, icon, windowId }) => {
-            this.show(x, y, type, { icon, windowId });
+        EventBus.on(Events.CONTEXT_MENU_SHOW, ({ x, y, type, icon, windowId, workspaceId, appId, windowIds, selectionCount, trayId }) => {
+            this.show(x, y, type, { icon, windowId, workspaceId, appId, windowIds, selectionCount, trayId });
         });
 
         // Listen for desktop actions
-        EventBus.on('desktop:arrange', () => {
-            import('./DesktopRenderer.js').then(m => m.default.arrangeIcons());
+        EventBus.on('desktop:arrange', ({ sortBy = null } = {}) => {
+            import('./DesktopRenderer.js').then(m => m.default.arrangeIcons(sortBy));
         });
         EventBus.on('desktop:refresh', () => {
             import('./DesktopRenderer.js').then(m => m.default.refresh());
@@ -135,13 +138,28 @@ class ContextMenuRendererClass {
             case 'desktop': return this.desktopMenu();
             case 'icon': return this.iconMenu(context);
             case 'taskbar': return this.taskbarMenu(context);
+            case 'taskbar-group': return this.taskbarGroupMenu(context);
+            case 'workspace': return this.workspaceMenu();
+            case 'tray': return this.trayMenu(context);
             default: return this.desktopMenu();
         }
     }
 
     desktopMenu() {
+        const { autoArrange, alignToGrid } = StateManager.getState('settings.desktop');
         return `
-            <div class="context-item" data-action="arrange">Arrange Icons</div>
+            <div class="context-item submenu-trigger">
+                Arrange Icons
+                <span class="submenu-arrow">▶</span>
+                <div class="context-submenu">
+                    <div class="context-item" data-action="arrange:name">by Name</div>
+                    <div class="context-item" data-action="arrange:type">by Type</div>
+                    <div class="context-item" data-action="arrange:date">by Date</div>
+                    <div class="context-divider"></div>
+                    <div class="context-item" data-action="auto-arrange">${autoArrange ? '✓ ' : ''}Auto Arrange</div>
+                    <div class="context-item" data-action="align-to-grid">${alignToGrid ? '✓ ' : ''}Align to Grid</div>
+                </div>
+            </div>
             <div class="context-item" data-action="refresh">Refresh</div>
             <div class="context-divider"></div>
             <div class="context-item submenu-trigger">
@@ -154,6 +172,7 @@ class ContextMenuRendererClass {
                     <div class="context-item" data-action="new-image">🖼️ Bitmap Image</div>
                 </div>
             </div>
+            <div class="context-item" data-action="import-zip">📥 Import ZIP Here...</div>
             <div class="context-divider"></div>
             <div class="context-item" data-action="open-terminal">💻 Open Terminal Here</div>
             <div class="context-divider"></div>
@@ -164,16 +183,23 @@ class ContextMenuRendererClass {
     iconMenu(context) {
         const icon = context.icon;
 
+        // Several icons selected: only actions that apply to all of them
+        if (context.selectionCount > 1) {
+            return `
+                <div class="context-item" data-action="delete-selected">Delete ${context.selectionCount} Items</div>
+            `;
+        }
+
         // Different menu for files vs apps
         if (icon.type === 'file') {
-            const isTextFile = ['txt', 'md', 'log'].includes(icon.extension);
-            const isImageFile = ['png', 'jpg', 'bmp'].includes(icon.extension);
+            const isFolder = icon.fileType === 'directory';
 
             return `
                 <div class="context-item" data-action="open"><strong>Open</strong></div>
-                ${isTextFile ? '<div class="context-item" data-action="edit-notepad">Edit with Notepad</div>' : ''}
-                ${isImageFile ? '<div class="context-item" data-action="edit-paint">Edit with Paint</div>' : ''}
+                ${isFolder ? '' : this.openWithMenu(icon.extension)}
+                ${isFolder ? '<div class="context-item" data-action="export-zip">📦 Export as ZIP</div>' : ''}
                 <div class="context-divider"></div>
+                <div class="context-item" data-action="create-shortcut">Create Shortcut</div>
                 <div class="context-item" data-action="rename">Rename</div>
                 <div class="context-item" data-action="delete">Delete</div>
                 <div class="context-divider"></div>
@@ -190,26 +216,168 @@ class ContextMenuRendererClass {
         `;
     }
 
+    /**
+     * Build the "Open With" submenu for a file type
+     * @param {string} extension - File extension
+     * @returns {string} Menu HTML
+     */
+    openWithMenu(extension) {
+        const handlers = FileAssociations.getHandlers(extension);
+        if (handlers.length === 0) return '';
+
+        const defaultApp = FileAssociations.getDefaultApp(extension);
+        const items = handlers.map(appId => {
+            const meta = AppRegistry.metadata.get(appId);
+            const label = `${meta?.icon || ''} ${FileAssociations.getAppName(appId)}`;
+            return `<div class="context-item" data-action="open-with:${appId}">${appId === defaultApp ? `<strong>${label}</strong>` : label}</div>`;
+        }).join('');
+
+        return `
+            <div class="context-item submenu-trigger">
+                Open With
+                <span class="submenu-arrow">▶</span>
+                <div class="context-submenu">
+                    ${items}
+                    <div class="context-divider"></div>
+                    <div class="context-item" data-action="file-types">Choose Default Program...</div>
+                </div>
+            </div>
+        `;
+    }
+
     taskbarMenu(context) {
+        // Right-clicking empty taskbar space only offers the arrange commands
+        if (!context?.windowId) return this.arrangeWindowsMenu();
+
         return `
             <div class="context-item" data-action="restore">Restore</div>
             <div class="context-item" data-action="minimize">Minimize</div>
             <div class="context-item" data-action="maximize">Maximize</div>
+            ${this.moveToWorkspaceMenu(context)}
+            <div class="context-divider"></div>
+            ${this.arrangeWindowsMenu()}
             <div class="context-divider"></div>
             <div class="context-item" data-action="close">Close</div>
         `;
     }
 
+    taskbarGroupMenu(context) {
+        // A group only exists for apps that allow several windows
+        const meta = AppRegistry.metadata.get(context?.appId);
+        return `
+            ${meta ? `<div class="context-item" data-action="group-new-window">${meta.icon} New ${this.escapeHtml(meta.name)} Window</div>` : ''}
+            <div class="context-item" data-action="group-restore">Restore All</div>
+            <div class="context-item" data-action="group-minimize">Minimize All</div>
+            <div class="context-divider"></div>
+            ${this.arrangeWindowsMenu()}
+            <div class="context-divider"></div>
+            <div class="context-item" data-action="group-close">Close All Windows</div>
+        `;
+    }
+
+    arrangeWindowsMenu() {
+        const autoTile = StateManager.getState('settings.autoTile');
+        return `
+            <div class="context-item" data-action="cascade-windows">Cascade Windows</div>
+            <div class="context-item" data-action="tile-horizontal">Tile Windows Horizontally</div>
+            <div class="context-item" data-action="tile-vertical">Tile Windows Vertically</div>
+            <div class="context-item" data-action="auto-tile">${autoTile ? '✓ ' : ''}Auto-arrange Windows</div>
+        `;
+    }
+
+    /**
+     * Build the "Move to" submenu listing the other workspaces
+     * @param {Object} context - Menu context with windowId
+     * @returns {string} Menu HTML
+     */
+    moveToWorkspaceMenu(context) {
+        const current = StateManager.getWindow(context?.windowId)?.workspace;
+        const items = WindowManager.getWorkspaces()
+            .filter(ws => ws.id !== current)
+            .map(ws => `<div class="context-item" data-action="move-to-workspace:${ws.id}">${ws.index + 1}. ${this.escapeHtml(ws.name)}</div>`)
+            .join('');
+        if (!items) return '';
+
+        return `
+            <div class="context-item submenu-trigger">
+                Move to
+                <span class="submenu-arrow">▶</span>
+                <div class="context-submenu">
+                    ${items}
+                </div>
+            </div>
+        `;
+    }
+
+    workspaceMenu() {
+        const canRemove = WindowManager.getWorkspaces().length > 1;
+        return `
+            <div class="context-item" data-action="workspace-switch">Switch To</div>
+            <div class="context-item" data-action="workspace-rename">Rename...</div>
+            ${canRemove ? '<div class="context-item" data-action="workspace-remove">Remove</div>' : ''}
+            <div class="context-divider"></div>
+            <div class="context-item" data-action="workspace-new">New Desktop</div>
+        `;
+    }
+
+    /**
+     * Menu supplied by a system tray icon
+     */
+    trayMenu(context) {
+        return SystemTray.getMenuItems(context.trayId).map((item, index) => {
+            if (item.divider) return '<div class="context-divider"></div>';
+            const label = `${item.checked ? '✓ ' : ''}${this.escapeHtml(item.label)}`;
+            return item.disabled
+                ? `<div class="context-item disabled">${label}</div>`
+                : `<div class="context-item" data-action="tray:${index}">${label}</div>`;
+        }).join('');
+    }
+
     handleAction(action) {
         const context = this.currentContext;
         this.hide();
 
         const desktopPath = [...PATHS.DESKTOP];
 
+        if (action.startsWith('move-to-workspace:')) {
+            if (context?.windowId) {
+                WindowManager.moveToWorkspace(context.windowId, action.slice('move-to-workspace:'.length));
+            }
+            return;
+        }
+
+        if (action.startsWith('tray:')) {
+            if (context?.trayId) {
+                SystemTray.runMenuItem(context.trayId, Number(action.slice('tray:'.length)));
+            }
+            return;
+        }
+
+        if (action.startsWith('arrange:')) {
+            EventBus.emit('desktop:arrange', { sortBy: action.slice('arrange:'.length) });
+            return;
+        }
+
+        if (action.startsWith('open-with:')) {
+            if (context?.icon?.filePath) {
+                this.openFileIcon(context.icon, action.slice('open-with:'.length));
+            }
+            return;
+        }
+
         switch (action) {
             case 'arrange':
                 EventBus.emit('desktop:arrange');
                 break;
+            case 'auto-arrange':
+                StateManager.setState('settings.desktop.autoArrange', !StateManager.getState('settings.desktop.autoArrange'), true);
+                break;
+            case 'align-to-grid':
+                StateManager.setState('settings.desktop.alignToGrid', !StateManager.getState('settings.desktop.alignToGrid'), true);
+                break;
+            case 'delete-selected':
+                EventBus.emit('desktop:delete-selected');
+                break;
             case 'refresh':
                 EventBus.emit('desktop:refresh');
                 break;
@@ -222,6 +390,14 @@ class ContextMenuRendererClass {
             case 'new-image':
                 AppRegistry.launch('paint');
                 break;
+            case 'import-zip':
+                this.importZip(desktopPath);
+                break;
+            case 'export-zip':
+                if (context?.icon?.filePath) {
+                    this.exportZip(context.icon.filePath);
+                }
+                break;
             case 'open-terminal':
                 AppRegistry.launch('terminal');
                 break;
@@ -240,14 +416,12 @@ class ContextMenuRendererClass {
                     }
                 }
                 break;
-            case 'edit-notepad':
-                if (context?.icon?.filePath) {
-                    AppRegistry.launch('notepad', { filePath: context.icon.filePath });
-                }
+            case 'file-types':
+                AppRegistry.launch('controlpanel', { section: 'file-types' });
                 break;
-            case 'edit-paint':
+            case 'create-shortcut':
                 if (context?.icon?.filePath) {
-                    AppRegistry.launch('paint', { filePath: context.icon.filePath });
+                    this.createShortcut(context.icon);
                 }
                 break;
             case 'rename':
@@ -278,6 +452,91 @@ class ContextMenuRendererClass {
             case 'close':
                 if (context?.windowId) WindowManager.close(context.windowId);
                 break;
+            case 'group-new-window':
+                if (context?.appId) AppRegistry.launch(context.appId);
+                break;
+            case 'group-restore':
+                (context?.windowIds || []).forEach(id => {
+                    if (WindowManager.isMinimized(id)) WindowManager.restore(id);
+                });
+                break;
+            case 'group-minimize':
+                (context?.windowIds || []).forEach(id => {
+                    if (!WindowManager.isMinimized(id)) WindowManager.minimize(id);
+                });
+                break;
+            case 'group-close':
+                (context?.windowIds || []).forEach(id => WindowManager.close(id));
+                break;
+            case 'cascade-windows':
+                WindowManager.cascadeWindows();
+                break;
+            case 'tile-horizontal':
+                WindowManager.tileWindows('horizontal');
+                break;
+            case 'tile-vertical':
+                WindowManager.tileWindows('vertical');
+                break;
+            case 'auto-tile':
+                WindowManager.setAutoTile(!StateManager.getState('settings.autoTile'));
+                break;
+            case 'workspace-switch':
+                if (context?.workspaceId) WindowManager.switchWorkspace(context.workspaceId);
+                break;
+            case 'workspace-rename':
+                if (context?.workspaceId) this.renameWorkspace(context.workspaceId);
+                break;
+            case 'workspace-remove':
+                if (context?.workspaceId) WindowManager.removeWorkspace(context.workspaceId);
+                break;
+            case 'workspace-new':
+                this.addWorkspace();
+                break;
+        }
+    }
+
+    async renameWorkspace(workspaceId) {
+        const workspace = WindowManager.findWorkspace(workspaceId);
+        if (!workspace) return;
+
+        const name = await SystemDialogs.prompt('Enter a name for this desktop:', workspace.name, 'Rename Desktop');
+        if (name?.trim()) {
+            WindowManager.renameWorkspace(workspaceId, name.trim());
+        }
+    }
+
+    addWorkspace() {
+        const workspace = WindowManager.addWorkspace();
+        if (workspace) {
+            WindowManager.switchWorkspace(workspace.id);
+        } else {
+            SystemDialogs.alert(`You can have at most ${WINDOW.MAX_WORKSPACES} desktops.`, 'New Desktop', 'info');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    async importZip(basePath) {
+        const file = await FileTransfer.pickFile('.zip,application/zip');
+        if (!file) return;
+
+        try {
+            await FileTransfer.importZip(file, basePath);
+            EventBus.emit('desktop:refresh');
+        } catch (e) {
+            await SystemDialogs.fileError(e, 'importing ZIP');
+        }
+    }
+
+    async exportZip(folderPath) {
+        try {
+            await FileTransfer.exportZip(folderPath);
+        } catch (e) {
+            await SystemDialogs.alert(`Error exporting folder: ${e.message}`, 'Error', 'error');
         }
     }
 
@@ -309,19 +568,15 @@ class ContextMenuRendererClass {
             // Open in Notepad
             AppRegistry.launch('notepad', { filePath });
         } catch (e) {
-            await SystemDialogs.alert(`Error creating file: ${e.message}`, 'Error', 'error');
+            await SystemDialogs.fileError(e, 'creating file');
         }
     }
 
-    openFileIcon(icon) {
-        const { filePath, extension, fileType } = icon;
-
-        if (fileType === 'directory') {
-            AppRegistry.launch('mycomputer', { initialPath: filePath });
-        } else if (extension === 'txt' || extension === 'md' || extension === 'log') {
-            AppRegistry.launch('notepad', { filePath });
-        } else if (extension === 'png' || extension === 'jpg' || extension === 'bmp') {
-            AppRegistry.launch('paint', { filePath });
+    openFileIcon(icon, appId) {
+        try {
+            FileAssociations.openFile(icon.filePath, { appId });
+        } catch (e) {
+            SystemDialogs.fileError(e, 'opening file');
         }
     }
 
@@ -338,7 +593,7 @@ class ContextMenuRendererClass {
 
             if (fileType !== 'directory') {
                 try {
-                    content = FileSystemManager.readFile(filePath);
+                    content = await FileSystemManager.readFileAsync(filePath);
                     const info = FileSystemManager.getInfo(filePath);
                     extension = info.extension || extension;
                 } catch (e) {
@@ -346,6 +601,22 @@ class ContextMenuRendererClass {
                 }
             }
 
+            // Delete from filesystem first - throws for read-only/system items
+            if (fileType === 'directory') {
+                // Try normal delete first, then recursive if needed
+                try {
+                    FileSystemManager.deleteDirectory(filePath);
+                } catch (e) {
+                    if (e.message.includes('not empty')) {
+                        FileSystemManager.deleteDirectory(filePath, true);
+                    } else {
+                        throw e;
+                    }
+                }
+            } else {
+                FileSystemManager.deleteFile(filePath);
+            }
+
             // Add to recycled items with file info for restore
             const recycledItem = {
                 id: `recycled_file_${Date.now()}`,
@@ -363,22 +634,6 @@ class ContextMenuRendererClass {
             recycledItems.push(recycledItem);
             StateManager.setState('recycledItems', recycledItems, true);
 
-            // Delete from filesystem
-            if (fileType === 'directory') {
-                // Try normal delete first, then recursive if needed
-                try {
-                    FileSystemManager.deleteDirectory(filePath);
-                } catch (e) {
-                    if (e.message.includes('not empty')) {
-                        FileSystemManager.deleteDirectory(filePath, true);
-                    } else {
-                        throw e;
-                    }
-                }
-            } else {
-                FileSystemManager.deleteFile(filePath);
-            }
-
             // Remove from file positions if tracked
             const filePositions = StateManager.getState('filePositions') || {};
             const fileId = `file_${icon.label}`;
@@ -393,28 +648,28 @@ class ContextMenuRendererClass {
         }
     }
 
+    /**
+     * Create a shortcut to a desktop file or folder next to it
+     * @param {Object} icon - File icon data
+     */
+    async createShortcut(icon) {
+        try {
+            FileSystemManager.createShortcut(icon.filePath);
+            EventBus.emit('desktop:refresh');
+        } catch (e) {
+            await SystemDialogs.fileError(e, 'creating shortcut');
+        }
+    }
+
     async renameFileIcon(icon) {
-        const { filePath, fileType } = icon;
+        const { filePath } = icon;
         const oldName = icon.label;
 
         const newName = await SystemDialogs.prompt(`Rename "${oldName}" to:`, oldName, 'Rename');
         if (!newName || newName === oldName) return;
 
         try {
-            // Read the content
-            const content = FileSystemManager.readFile(filePath);
-            const info = FileSystemManager.getInfo(filePath);
-
-            // Create new file path
-            const parentPath = filePath.slice(0, -1);
-            const newFilePath = [...parentPath, newName];
-
-            // Write to new location
-            FileSystemManager.writeFile(newFilePath, content, info.extension);
-
-            // Delete old file
-            FileSystemManager.deleteFile(filePath);
-
+            FileSystemManager.renameItem(filePath, newName);
             EventBus.emit('desktop:refresh');
         } catch (e) {
             await SystemDialogs.alert(`Error renaming: ${e.message}`, 'Error', 'error');
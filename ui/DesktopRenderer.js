@@ -1,12 +1,20 @@
 /**
  * DesktopRenderer - Renders and manages desktop icons
  * Handles icon display, drag & drop, and desktop interactions
+ *
+ * Icons are placed freely, snapped to a grid while "Align to Grid" is on, or
+ * packed into columns by arrangeIcons(). New icons that land on top of another
+ * one are moved to the first free spot. Several icons can be selected with the
+ * selection box or Ctrl+click, then dragged or deleted together.
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import AppRegistry from '../apps/AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import FileTransfer from '../core/FileTransfer.js';
+import FileAssociations from '../core/FileAssociations.js';
+import SystemDialogs from '../features/SystemDialogs.js';
 import { PATHS, DESKTOP } from '../core/Constants.js';
 import { DesktopEvents } from '../core/scripted-events/SemanticEvents.js';
 
@@ -17,6 +25,12 @@ class DesktopRendererClass {
         this.dragOffset = { x: 0, y: 0 };
         this.selectionBox = null;
         this.selectionStart = null;
+        // IDs of the selected icons, kept across re-renders
+        this.selectedIds = new Set();
+        // Set when a selection box ends, so the click that follows doesn't clear it
+        this.suppressDesktopClick = false;
+        // Icon IDs seen by the last render, to spot newly added icons
+        this.knownIconIds = null;
 
         // Bound handlers for selection box
         this.boundUpdateSelection = this.updateSelection.bind(this);
@@ -41,6 +55,19 @@ class DesktopRendererClass {
 
         // Listen for render requests
         EventBus.on('desktop:render', () => this.render());
+        EventBus.on('desktop:delete-selected', () => this.deleteSelected());
+
+        // Re-lay out the icons when the layout options change
+        StateManager.subscribe('settings.desktop', (settings, path) => {
+            if (path === 'settings.desktop.autoArrange') {
+                if (settings.autoArrange) this.arrangeIcons();
+            } else if (settings.alignToGrid) {
+                this.alignIconsToGrid();
+            }
+        });
+        EventBus.on('desktop:settings-change', () => {
+            if (StateManager.getState('settings.desktop.autoArrange')) this.arrangeIcons();
+        });
 
         // Listen for file system changes
         EventBus.on('filesystem:changed', () => this.render());
@@ -51,8 +78,7 @@ class DesktopRendererClass {
         EventBus.on('recyclebin:recycle-file', ({ iconId }) => {
             const iconEl = this.desktop.querySelector(`[data-icon-id="${iconId}"]`);
             if (iconEl && iconEl._iconData) {
-                this.recycleFileToTrash(iconEl._iconData);
-                this.render();
+                this.recycleFileToTrash(iconEl._iconData).then(() => this.render());
             }
         });
 
@@ -70,6 +96,13 @@ class DesktopRendererClass {
 
         const icons = StateManager.getState('icons') || [];
 
+        // Saving new icons in a free spot re-renders through the 'icons' subscription
+        const placed = this.placeNewIcons(icons);
+        if (placed) {
+            StateManager.setState('icons', placed, true);
+            return;
+        }
+
         // Clear existing icons (preserve special elements)
         Array.from(this.desktop.children).forEach(child => {
             if (child.classList.contains('icon')) {
@@ -82,34 +115,83 @@ class DesktopRendererClass {
 
         // Render file icons from Desktop folder
         this.renderFileIcons();
+
+        // Forget selected icons that are gone
+        const rendered = new Set(this.getRenderedIcons().map(icon => icon.id));
+        this.selectedIds.forEach(id => {
+            if (!rendered.has(id)) this.selectedIds.delete(id);
+        });
+
+        // Keep the icons packed while auto arrange is on
+        if (StateManager.getState('settings.desktop.autoArrange')) {
+            this.arrangeIcons();
+        }
+    }
+
+    /**
+     * Find a spot for icons added since the last render that have no position or
+     * sit on top of another icon. Icons present at startup keep their saved spot.
+     * @param {Object[]} icons - Icon state
+     * @returns {Object[]|null} Updated icon state, or null if nothing moved
+     */
+    placeNewIcons(icons) {
+        const known = this.knownIconIds;
+        this.knownIconIds = new Set(icons.map(icon => icon.id));
+
+        const hasPosition = icon => Number.isFinite(icon.x) && Number.isFinite(icon.y);
+        const isNew = icon => !hasPosition(icon) || (known && !known.has(icon.id));
+        if (!icons.some(isNew)) return null;
+
+        // File icons from the last render count as taken too
+        const occupied = [
+            ...icons.filter(icon => !isNew(icon)),
+            ...this.getRenderedIcons().filter(icon => icon.type === 'file')
+        ];
+
+        let moved = false;
+        const placed = icons.map(icon => {
+            if (!isNew(icon)) return icon;
+            if (hasPosition(icon) && !this.overlapsAny(icon, occupied)) {
+                occupied.push(icon);
+                return icon;
+            }
+            const position = this.findFreePosition(occupied);
+            occupied.push(position);
+            moved = true;
+            return { ...icon, ...position };
+        });
+
+        return moved ? placed : null;
     }
 
     /**
      * Render file icons from the Desktop folder
-     * Skips .lnk files since those are already rendered from StateManager icons
+     * Skips app and URL .lnk files since those are already rendered from StateManager icons
      */
     renderFileIcons() {
         try {
             const desktopPath = [...PATHS.DESKTOP];
             const files = FileSystemManager.listDirectory(desktopPath);
 
-            // Filter out .lnk files - those are shortcuts synced from StateManager
-            // and are already displayed as icons on the desktop
-            const realFiles = files.filter(file => file.extension !== 'lnk');
+            // Filter out app and URL .lnk files - those are shortcuts synced from
+            // StateManager and are already displayed as icons on the desktop.
+            // Shortcuts to files and folders (isLink) only live here.
+            const realFiles = files.filter(file => file.extension !== 'lnk' || file.isLink);
 
             // Get saved file positions
             const filePositions = StateManager.getState('filePositions') || {};
 
-            // Use a FIXED starting position for file icons to prevent them from
-            // shifting when app icons are moved. This ensures file icons have
-            // stable positions independent of app icon positions.
-            const FILE_ICONS_START_X = DESKTOP.FILE_ICONS_START_X;
-            const FILE_ICONS_START_Y = DESKTOP.FILE_ICONS_START_Y;
-            const FILE_ICON_SPACING = DESKTOP.FILE_ICON_SPACING;
+            // New file icons take the first free spot from a FIXED starting column,
+            // so they don't shift when app icons are moved
+            const startColumn = Math.round((DESKTOP.FILE_ICONS_START_X - DESKTOP.ARRANGE_MARGIN) / this.getCellSize().width);
+            const occupied = [
+                ...(StateManager.getState('icons') || []),
+                ...realFiles.map(file => filePositions[`file_${file.name}`]).filter(Boolean)
+            ];
 
             let positionsUpdated = false;
 
-            realFiles.forEach((file, index) => {
+            realFiles.forEach((file) => {
                 const fileId = `file_${file.name}`;
 
                 let x, y;
@@ -119,9 +201,8 @@ class DesktopRendererClass {
                     x = filePositions[fileId].x;
                     y = filePositions[fileId].y;
                 } else {
-                    // Calculate initial position using fixed starting point
-                    x = FILE_ICONS_START_X;
-                    y = FILE_ICONS_START_Y + (index * FILE_ICON_SPACING);
+                    ({ x, y } = this.findFreePosition(occupied, startColumn));
+                    occupied.push({ x, y });
 
                     // Save this position immediately so it persists across re-renders
                     filePositions[fileId] = { x, y };
@@ -136,6 +217,7 @@ class DesktopRendererClass {
                     filePath: [...desktopPath, file.name],
                     fileType: file.type,
                     extension: file.extension,
+                    modified: file.modified,
                     x: x,
                     y: y
                 };
@@ -158,7 +240,9 @@ class DesktopRendererClass {
      * @returns {string} Emoji
      */
     getFileEmoji(file) {
-        if (file.type === 'directory') {
+        if (file.isLink && file.extension === 'lnk') {
+            return '🔗';
+        } else if (file.type === 'directory') {
             return '📁';
         } else if (file.type === 'file') {
             switch (file.extension) {
@@ -202,6 +286,7 @@ class DesktopRendererClass {
 
         // Store full icon data for reference
         iconEl._iconData = icon;
+        if (this.selectedIds.has(icon.id)) iconEl.classList.add('selected');
 
         iconEl.innerHTML = `
             <div class="icon-image">${icon.emoji}</div>
@@ -216,14 +301,23 @@ class DesktopRendererClass {
         iconEl.addEventListener('contextmenu', (e) => this.showIconContextMenu(e, icon));
         iconEl.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') this.handleIconOpen(icon);
+            if (e.key === 'Delete') {
+                if (!this.selectedIds.has(icon.id)) this.selectIcon(iconEl);
+                this.deleteSelected();
+            }
         });
-        iconEl.addEventListener('click', () => {
+        iconEl.addEventListener('click', (e) => {
+            // Ctrl+click adds to or removes from the selection
+            this.selectIcon(iconEl, { toggle: e.ctrlKey || e.metaKey });
             EventBus.emit(DesktopEvents.ICON_CLICKED, { iconId: icon.id, iconLabel: icon.label });
         });
 
 
         // HTML5 drag start - set transfer data
         iconEl.addEventListener('dragstart', (e) => {
+            // Dragging an unselected icon drags just that icon
+            if (!this.selectedIds.has(icon.id)) this.selectIcon(iconEl);
+
             // Store the icon being dragged for repositioning
             this.draggedIcon = { element: iconEl, data: icon };
 
@@ -318,20 +412,11 @@ class DesktopRendererClass {
      * @param {Object} icon - File icon data
      */
     openFile(icon) {
-        const { filePath, extension, fileType } = icon;
-
-        if (fileType === 'directory') {
-            // Open directory in My Computer
-            AppRegistry.launch('mycomputer', { initialPath: filePath });
-        } else {
-            // Open file based on extension
-            if (extension === 'txt' || extension === 'md' || extension === 'log') {
-                AppRegistry.launch('notepad', { filePath });
-            } else if (extension === 'png' || extension === 'jpg' || extension === 'bmp') {
-                AppRegistry.launch('paint', { filePath });
-            } else {
-                console.log('No app registered for file type:', extension);
-            }
+        // Folders open in My Computer, files in the app associated with their type
+        try {
+            FileAssociations.openFile(icon.filePath);
+        } catch (e) {
+            SystemDialogs.fileError(e, 'opening file');
         }
     }
 
@@ -360,6 +445,10 @@ class DesktopRendererClass {
 
         // Click to deselect
         this.desktop.addEventListener('click', (e) => {
+            if (this.suppressDesktopClick) {
+                this.suppressDesktopClick = false;
+                return;
+            }
             if (e.target === this.desktop) {
                 EventBus.emit(DesktopEvents.CLICKED, {});
                 this.deselectAll();
@@ -370,6 +459,13 @@ class DesktopRendererClass {
         this.desktop.addEventListener('dragover', (e) => {
             e.preventDefault();
 
+            // Files dragged in from the host desktop
+            if (FileTransfer.hasHostFiles(e)) {
+                e.dataTransfer.dropEffect = 'copy';
+                this.desktop.classList.add('drop-target');
+                return;
+            }
+
             // Check if this is a desktop icon being repositioned
             const isDesktopIcon = e.dataTransfer.types.includes('application/retros-desktop-icon');
             const isFileData = e.dataTransfer.types.includes('application/retros-file');
@@ -418,6 +514,12 @@ class DesktopRendererClass {
             const recycleBin = this.desktop.querySelector('[data-icon-id="recyclebin"]');
             if (recycleBin) recycleBin.classList.remove('drop-target');
 
+            // Files dragged in from the host desktop
+            if (FileTransfer.hasHostFiles(e) && e.dataTransfer.files.length > 0) {
+                this.handleHostFileDrop(e.dataTransfer.files);
+                return;
+            }
+
             // Check if this is a restoration from recycle bin
             const restoreFileData = e.dataTransfer.getData('application/retros-restore-file');
             if (restoreFileData) {
@@ -480,36 +582,32 @@ class DesktopRendererClass {
         try {
             const iconInfo = JSON.parse(desktopIconData);
             const desktopRect = this.desktop.getBoundingClientRect();
-
-            // Calculate new position
-            let x = e.clientX - desktopRect.left - this.dragOffset.x;
-            let y = e.clientY - desktopRect.top - this.dragOffset.y;
+            const iconEl = this.desktop.querySelector(`[data-icon-id="${iconInfo.id}"]`);
+            const dragged = iconEl?._iconData;
+            if (!dragged) return;
 
             // Keep on screen
-            x = Math.max(0, Math.min(x, desktopRect.width - 100));
-            y = Math.max(0, Math.min(y, desktopRect.height - 100));
-
-            // Snap to grid
-            const gridSize = 20;
-            x = Math.round(x / gridSize) * gridSize;
-            y = Math.round(y / gridSize) * gridSize;
+            const clamp = (x, y) => ({
+                x: Math.max(0, Math.min(x, desktopRect.width - 100)),
+                y: Math.max(0, Math.min(y, desktopRect.height - 100))
+            });
 
-            // Find and update the icon element
-            const iconEl = this.desktop.querySelector(`[data-icon-id="${iconInfo.id}"]`);
-            if (iconEl) {
-                iconEl.style.left = `${x}px`;
-                iconEl.style.top = `${y}px`;
-            }
+            // Calculate new position
+            const drop = clamp(e.clientX - desktopRect.left - this.dragOffset.x, e.clientY - desktopRect.top - this.dragOffset.y);
+            const { x, y } = this.snapToGrid(drop.x, drop.y);
+
+            // The rest of the selection moves by the same amount
+            const group = this.selectedIds.has(dragged.id) ? this.getSelectedIcons() : [dragged];
+            const moves = group.map(icon => {
+                if (icon.id === dragged.id) return { icon, x, y };
+                const moved = clamp(icon.x + x - dragged.x, icon.y + y - dragged.y);
+                return { icon, ...this.snapToGrid(moved.x, moved.y) };
+            });
 
-            // Save position based on icon type
-            if (iconInfo.type === 'file') {
-                this.saveFilePosition(iconInfo.id, x, y);
-            } else {
-                StateManager.updateIconPosition(iconInfo.id, x, y);
-            }
+            this.moveIcons(moves);
 
-            EventBus.emit(Events.ICON_MOVE, { id: iconInfo.id, x, y });
-            EventBus.emit(DesktopEvents.ICON_DROPPED, { iconId: iconInfo.id, x, y });
+            moves.forEach(({ icon, x, y }) => EventBus.emit(Events.ICON_MOVE, { id: icon.id, x, y }));
+            EventBus.emit(DesktopEvents.ICON_DROPPED, { iconId: iconInfo.id, x, y, count: moves.length });
         } catch (err) {
             console.error('Failed to reposition desktop icon:', err);
         }
@@ -592,6 +690,12 @@ class DesktopRendererClass {
                 // Don't allow recycling the recycle bin
                 if (iconInfo.id === 'recyclebin') return;
 
+                // A dragged selection goes to the bin together
+                if (this.selectedIds.has(iconInfo.id) && this.selectedIds.size > 1) {
+                    this.deleteSelected({ confirm: false });
+                    return;
+                }
+
                 // For file icons, use the file recycling system
                 if (iconInfo.type === 'file') {
                     // Find the icon element to get full data
@@ -625,8 +729,7 @@ class DesktopRendererClass {
                         filePath: file.filePath,
                         fileType: file.fileType,
                         extension: file.extension || ''
-                    });
-                    EventBus.emit('desktop:render');
+                    }).then(() => EventBus.emit('desktop:render'));
                 }
             } catch (err) {
                 console.error('Failed to recycle file:', err);
@@ -637,8 +740,11 @@ class DesktopRendererClass {
     /**
      * Move a file to the recycle bin
      * @param {Object} fileIcon - File icon data with filePath
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet=false] - Skip the sound and message (the caller reports)
+     * @returns {Promise<boolean>} True if the file was recycled
      */
-    recycleFileToTrash(fileIcon) {
+    async recycleFileToTrash(fileIcon, { quiet = false } = {}) {
         const { filePath, fileType, label } = fileIcon;
 
         try {
@@ -648,7 +754,7 @@ class DesktopRendererClass {
 
             if (fileType !== 'directory') {
                 try {
-                    content = FileSystemManager.readFile(filePath);
+                    content = await FileSystemManager.readFileAsync(filePath);
                     const info = FileSystemManager.getInfo(filePath);
                     extension = info.extension || extension;
                 } catch (e) {
@@ -656,6 +762,13 @@ class DesktopRendererClass {
                 }
             }
 
+            // Delete from filesystem first - throws for read-only/system items
+            if (fileType === 'directory') {
+                FileSystemManager.deleteDirectory(filePath, true);
+            } else {
+                FileSystemManager.deleteFile(filePath);
+            }
+
             // Add to recycled items with file info for restore
             const recycledItem = {
                 id: `recycled_file_${Date.now()}`,
@@ -673,21 +786,6 @@ class DesktopRendererClass {
             recycledItems.push(recycledItem);
             StateManager.setState('recycledItems', recycledItems, true);
 
-            // Delete from filesystem
-            if (fileType === 'directory') {
-                try {
-                    FileSystemManager.deleteDirectory(filePath, true);
-                } catch (e) {
-                    console.error('Failed to delete directory:', e);
-                }
-            } else {
-                try {
-                    FileSystemManager.deleteFile(filePath);
-                } catch (e) {
-                    console.error('Failed to delete file:', e);
-                }
-            }
-
             // Remove from file positions if tracked
             const filePositions = StateManager.getState('filePositions') || {};
             const fileId = `file_${label}`;
@@ -696,13 +794,19 @@ class DesktopRendererClass {
                 StateManager.setState('filePositions', filePositions, true);
             }
 
-            EventBus.emit(Events.SOUND_PLAY, { type: 'recycle' });
-            this.showDropFeedback(`"${label}" moved to Recycle Bin`, 'success');
+            if (!quiet) {
+                EventBus.emit(Events.SOUND_PLAY, { type: 'recycle' });
+                this.showDropFeedback(`"${label}" moved to Recycle Bin`, 'success');
+            }
+            return true;
 
         } catch (err) {
             console.error('Failed to recycle file:', err);
-            EventBus.emit(Events.SOUND_PLAY, { type: 'error' });
-            this.showDropFeedback(`Failed to delete "${label}"`, 'error');
+            if (!quiet) {
+                EventBus.emit(Events.SOUND_PLAY, { type: 'error' });
+                this.showDropFeedback(`Failed to delete "${label}"`, 'error');
+            }
+            return false;
         }
     }
 
@@ -748,6 +852,28 @@ class DesktopRendererClass {
         }
     }
 
+    /**
+     * Import files dropped from the host desktop into the Desktop folder
+     * @param {FileList} files - Dropped host files
+     */
+    async handleHostFileDrop(files) {
+        try {
+            const created = await FileTransfer.importFiles(files, [...PATHS.DESKTOP]);
+            EventBus.emit(Events.SOUND_PLAY, { type: 'notify' });
+            this.showDropFeedback(created.length === 1
+                ? `Imported "${created[0]}" to Desktop`
+                : `Imported ${created.length} files to Desktop`, 'success');
+        } catch (err) {
+            console.error('Failed to import files:', err);
+            if (err.code === 'DISK_FULL') {
+                SystemDialogs.fileError(err, 'importing files');
+                return;
+            }
+            EventBus.emit(Events.SOUND_PLAY, { type: 'error' });
+            this.showDropFeedback(`Failed to import files: ${err.message}`, 'error');
+        }
+    }
+
     /**
      * Show feedback toast for drag and drop operations
      * @param {string} message - Message to display
@@ -794,7 +920,9 @@ class DesktopRendererClass {
      * @param {MouseEvent} e - Mouse event
      */
     startSelection(e) {
-        this.deselectAll();
+        // Ctrl+drag adds to the current selection
+        if (!e.ctrlKey && !e.metaKey) this.deselectAll();
+        this.suppressDesktopClick = false;
 
         this.selectionStart = { x: e.clientX, y: e.clientY };
 
@@ -838,6 +966,7 @@ class DesktopRendererClass {
     endSelection() {
         if (this.selectionBox && this.selectionStart) {
             const boxRect = this.selectionBox.getBoundingClientRect();
+            this.suppressDesktopClick = boxRect.width > 3 || boxRect.height > 3;
 
             // Select icons within bounds
             this.desktop.querySelectorAll('.icon').forEach(icon => {
@@ -851,6 +980,7 @@ class DesktopRendererClass {
 
                 if (overlaps) {
                     icon.classList.add('selected');
+                    this.selectedIds.add(icon.dataset.iconId);
                 }
             });
         }
@@ -871,6 +1001,85 @@ class DesktopRendererClass {
         this.desktop.querySelectorAll('.icon.selected').forEach(icon => {
             icon.classList.remove('selected');
         });
+
+        if (this.selectedIds.size > 0) {
+            this.selectedIds.clear();
+            EventBus.emit(DesktopEvents.SELECTION_CLEARED, {});
+        }
+    }
+
+    /**
+     * Select an icon
+     * @param {HTMLElement} iconEl - Icon element
+     * @param {Object} [options]
+     * @param {boolean} [options.toggle=false] - Add to/remove from the selection instead of replacing it
+     */
+    selectIcon(iconEl, { toggle = false } = {}) {
+        const id = iconEl.dataset.iconId;
+
+        if (toggle && this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+            iconEl.classList.remove('selected');
+            EventBus.emit(DesktopEvents.ICON_DESELECTED, { iconId: id });
+            return;
+        }
+
+        if (!toggle) this.deselectAll();
+        this.selectedIds.add(id);
+        iconEl.classList.add('selected');
+        EventBus.emit(DesktopEvents.ICON_SELECTED, { iconId: id, iconLabel: iconEl._iconData?.label, count: this.selectedIds.size });
+    }
+
+    /**
+     * Get the data of every icon on the desktop
+     * @returns {Object[]} Icon data (app, link and file icons)
+     */
+    getRenderedIcons() {
+        if (!this.desktop) return [];
+        return Array.from(this.desktop.querySelectorAll('.icon'), el => el._iconData).filter(Boolean);
+    }
+
+    /**
+     * Get the data of the selected icons
+     * @returns {Object[]} Icon data
+     */
+    getSelectedIcons() {
+        return this.getRenderedIcons().filter(icon => this.selectedIds.has(icon.id));
+    }
+
+    /**
+     * Send the selected icons to the Recycle Bin. App and link icons are removed
+     * from the desktop, files and folders are recycled.
+     * @param {Object} [options]
+     * @param {boolean} [options.confirm=true] - Ask first
+     */
+    async deleteSelected({ confirm = true } = {}) {
+        const icons = this.getSelectedIcons().filter(icon => icon.id !== 'recyclebin');
+        if (icons.length === 0) return;
+
+        if (confirm) {
+            const confirmed = icons.length === 1
+                ? await SystemDialogs.confirm(`Are you sure you want to send "${icons[0].label}" to the Recycle Bin?`, 'Confirm Delete')
+                : await SystemDialogs.confirm(`Are you sure you want to send these ${icons.length} items to the Recycle Bin?`, 'Confirm Multiple File Delete');
+            if (!confirmed) return;
+        }
+
+        let failed = 0;
+        for (const icon of icons) {
+            if (icon.type === 'file') {
+                if (!await this.recycleFileToTrash(icon, { quiet: true })) failed++;
+            } else {
+                StateManager.recycleIcon(icon.id);
+            }
+        }
+
+        this.deselectAll();
+        EventBus.emit(Events.SOUND_PLAY, { type: failed ? 'error' : 'recycle' });
+        this.showDropFeedback(failed
+            ? `${failed} of ${icons.length} items could not be deleted`
+            : `${icons.length === 1 ? `"${icons[0].label}"` : `${icons.length} items`} moved to Recycle Bin`, failed ? 'error' : 'success');
+        EventBus.emit('recyclebin:update');
+        this.render();
     }
 
     /**
@@ -882,33 +1091,186 @@ class DesktopRendererClass {
         e.preventDefault();
         e.stopPropagation();
 
+        // Right-clicking outside the selection selects just that icon
+        if (!this.selectedIds.has(icon.id)) this.selectIcon(e.currentTarget);
+
         EventBus.emit(Events.CONTEXT_MENU_SHOW, {
             x: e.clientX,
             y: e.clientY,
             type: 'icon',
-            icon
+            icon,
+            selectionCount: this.selectedIds.size
         });
     }
 
+    // ===== LAYOUT =====
+
     /**
-     * Arrange icons in grid
+     * Space taken by one arranged icon at the current icon size
+     * @returns {{width: number, height: number}}
      */
-    arrangeIcons() {
-        const icons = StateManager.getState('icons') || [];
-        let x = 20, y = 20;
+    getCellSize() {
+        const size = ['small', 'large'].find(s => document.body.classList.contains(`icon-size-${s}`)) || 'medium';
+        return DESKTOP.CELL_SIZES[size];
+    }
+
+    /**
+     * Number of arranged icons that fit in one column
+     * @returns {number}
+     */
+    getRowCount() {
+        const height = this.desktop?.clientHeight || window.innerHeight - 50;
+        return Math.max(1, Math.floor((height - DESKTOP.ARRANGE_MARGIN) / this.getCellSize().height));
+    }
+
+    /**
+     * Position of an arrangement slot; slots fill each column top to bottom
+     * @param {number} index - Slot number
+     * @returns {{x: number, y: number}}
+     */
+    getSlotPosition(index) {
+        const cell = this.getCellSize();
+        const rows = this.getRowCount();
+
+        return {
+            x: DESKTOP.ARRANGE_MARGIN + Math.floor(index / rows) * cell.width,
+            y: DESKTOP.ARRANGE_MARGIN + (index % rows) * cell.height
+        };
+    }
+
+    /**
+     * Whether a position would cover any of the given icons
+     * @param {{x: number, y: number}} position
+     * @param {Object[]} icons - Icons or positions with x/y
+     * @returns {boolean}
+     */
+    overlapsAny(position, icons) {
+        const cell = this.getCellSize();
+        return icons.some(icon =>
+            Math.abs(icon.x - position.x) < cell.width && Math.abs(icon.y - position.y) < cell.height
+        );
+    }
+
+    /**
+     * Find the first arrangement slot not covered by another icon
+     * @param {Object[]} occupied - Icons or positions already on the desktop
+     * @param {number} [startColumn=0] - Column to start looking in
+     * @returns {{x: number, y: number}}
+     */
+    findFreePosition(occupied, startColumn = 0) {
+        const first = startColumn * this.getRowCount();
+
+        // Each icon covers at most four slots, so one of these is free
+        for (let slot = first; slot <= first + occupied.length * 4; slot++) {
+            const position = this.getSlotPosition(slot);
+            if (!this.overlapsAny(position, occupied)) return position;
+        }
+        return this.getSlotPosition(first);
+    }
+
+    /**
+     * Round a position to the icon grid while "Align to Grid" is on
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    snapToGrid(x, y) {
+        const { alignToGrid, gridSize } = StateManager.getState('settings.desktop');
+        if (!alignToGrid) return { x: Math.round(x), y: Math.round(y) };
+
+        const grid = gridSize || DESKTOP.GRID_SIZE;
+        return { x: Math.round(x / grid) * grid, y: Math.round(y / grid) * grid };
+    }
+
+    /**
+     * Order icons for arranging
+     * @param {Object[]} icons - Icon data
+     * @param {string|null} sortBy - 'name', 'type', 'date', or null to keep their current order
+     * @returns {Object[]} Sorted copy
+     */
+    sortIcons(icons, sortBy) {
+        const cell = this.getCellSize();
+        const column = icon => Math.round((icon.x - DESKTOP.ARRANGE_MARGIN) / cell.width);
+        const byName = (a, b) => String(a.label).localeCompare(String(b.label), undefined, { numeric: true, sensitivity: 'base' });
+
+        // Current order: down each column, then across
+        const sorted = [...icons].sort((a, b) => column(a) - column(b) || a.y - b.y);
+
+        switch (sortBy) {
+            case 'name':
+                return sorted.sort(byName);
+            case 'type': {
+                // Programs, then web links, folders, and files grouped by extension
+                const rank = icon => icon.type === 'file' ? (icon.fileType === 'directory' ? 2 : 3) : (icon.type === 'link' ? 1 : 0);
+                return sorted.sort((a, b) => rank(a) - rank(b)
+                    || String(a.extension || '').localeCompare(String(b.extension || ''))
+                    || byName(a, b));
+            }
+            case 'date': {
+                // Oldest first; desktop shortcuts have no date and stay in front
+                const time = icon => (icon.modified ? new Date(icon.modified).getTime() : 0) || 0;
+                return sorted.sort((a, b) => time(a) - time(b));
+            }
+            default:
+                return sorted;
+        }
+    }
+
+    /**
+     * Move icons and save their positions
+     * @param {Array<{icon: Object, x: number, y: number}>} moves
+     */
+    moveIcons(moves) {
+        const filePositions = { ...(StateManager.getState('filePositions') || {}) };
+        const iconPositions = {};
 
-        icons.forEach(icon => {
-            icon.x = x;
-            icon.y = y;
-            y += 100;
-            if (y > window.innerHeight - 200) {
-                y = 20;
-                x += 120;
+        for (const { icon, x, y } of moves) {
+            if (icon.type === 'file') {
+                filePositions[icon.id] = { x, y };
+            } else {
+                iconPositions[icon.id] = { x, y };
             }
+        }
+
+        StateManager.setState('filePositions', filePositions, true);
+        if (Object.keys(iconPositions).length > 0) {
+            // Re-renders through the 'icons' subscription
+            StateManager.updateIconPositions(iconPositions);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Pack every icon into columns from the top-left corner
+     * @param {string|null} [sortBy=null] - 'name', 'type', 'date', or null to keep their current order
+     * @returns {boolean} True if any icon moved
+     */
+    arrangeIcons(sortBy = null) {
+        const icons = this.sortIcons(this.getRenderedIcons(), sortBy);
+
+        const moves = [];
+        icons.forEach((icon, index) => {
+            const { x, y } = this.getSlotPosition(index);
+            if (icon.x !== x || icon.y !== y) moves.push({ icon, x, y });
         });
 
-        StateManager.setState('icons', icons, true);
-        this.render();
+        if (moves.length > 0) this.moveIcons(moves);
+        if (sortBy || moves.length > 0) {
+            EventBus.emit(DesktopEvents.ARRANGED, { sortBy: sortBy || 'position', count: icons.length });
+        }
+        return moves.length > 0;
+    }
+
+    /**
+     * Snap every icon to the grid
+     */
+    alignIconsToGrid() {
+        const moves = this.getRenderedIcons()
+            .map(icon => ({ icon, ...this.snapToGrid(icon.x, icon.y) }))
+            .filter(({ icon, x, y }) => icon.x !== x || icon.y !== y);
+
+        if (moves.length > 0) this.moveIcons(moves);
     }
 
     /**
@@ -0,0 +1,196 @@
+/**
+ * NotificationToasts - Pops up new notifications above the system tray
+ *
+ * Shows a few notifications at a time, stacked bottom-right; the rest wait in a
+ * queue, higher priority first. Clicking a toast runs its default action, its
+ * buttons run the notification's actions and × closes it. The notification
+ * itself stays in the history listed by the tray panel (TaskbarRenderer).
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import NotificationManager, { PRIORITIES } from '../core/NotificationManager.js';
+import { SystemEvents } from '../core/scripted-events/SemanticEvents.js';
+
+// Toasts on screen at once
+const MAX_VISIBLE = 3;
+// Length of the fade-out animation
+const HIDE_ANIMATION = 300;
+
+class NotificationToastsClass {
+    constructor() {
+        this.element = null;
+        // Notifications waiting for a free slot
+        this.queue = [];
+        // Notification ID -> { toast, timeoutId }
+        this.visible = new Map();
+        this.initialized = false;
+    }
+
+    /**
+     * Create the toast container and listen for notifications
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'notification-toasts';
+        this.element.setAttribute('role', 'log');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.setAttribute('aria-label', 'Notifications');
+        document.body.appendChild(this.element);
+
+        EventBus.on(SystemEvents.NOTIFICATION_POSTED, ({ notification, toast }) => {
+            // A replaced notification (same tag) shouldn't linger
+            this.removeTagged(notification);
+            if (toast) this.enqueue(notification);
+        });
+
+        // Gone from the history - gone from the screen
+        EventBus.on(SystemEvents.NOTIFICATION_DISMISSED, ({ id }) => {
+            this.queue = this.queue.filter(n => n.id !== id);
+            this.hide(id);
+        });
+
+        // Turning on Do Not Disturb clears everything but critical toasts
+        EventBus.on(SystemEvents.DO_NOT_DISTURB_CHANGED, ({ enabled }) => {
+            if (!enabled) return;
+            this.queue = this.queue.filter(n => n.priority === 'critical');
+            for (const id of this.visible.keys()) {
+                if (NotificationManager.get(id)?.priority !== 'critical') this.hide(id);
+            }
+        });
+
+        this.initialized = true;
+    }
+
+    /**
+     * Queue a notification, most urgent first
+     * @param {Object} notification
+     */
+    enqueue(notification) {
+        const rank = PRIORITIES.indexOf(notification.priority);
+        const index = this.queue.findIndex(n => PRIORITIES.indexOf(n.priority) < rank);
+        if (index === -1) {
+            this.queue.push(notification);
+        } else {
+            this.queue.splice(index, 0, notification);
+        }
+        this.showNext();
+    }
+
+    /**
+     * Fill the free slots from the queue
+     */
+    showNext() {
+        while (this.visible.size < MAX_VISIBLE && this.queue.length > 0) {
+            this.show(this.queue.shift());
+        }
+    }
+
+    /**
+     * Put a toast on screen
+     * @param {Object} notification
+     */
+    show(notification) {
+        const toast = document.createElement('div');
+        toast.className = `notification-toast priority-${notification.priority}`;
+        toast.setAttribute('role', notification.priority === 'critical' ? 'alert' : 'status');
+        toast.innerHTML = `
+            <span class="notification-icon" aria-hidden="true"></span>
+            <div class="notification-body">
+                <div class="notification-source"></div>
+                <div class="notification-title"></div>
+                <div class="notification-message"></div>
+            </div>
+            <button class="notification-close" title="Close" aria-label="Close">×</button>
+        `;
+        toast.querySelector('.notification-icon').textContent = notification.icon;
+        toast.querySelector('.notification-source').textContent = notification.source;
+        toast.querySelector('.notification-title').textContent = notification.title;
+        toast.querySelector('.notification-message').textContent = notification.message;
+
+        if (notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            notification.actions.forEach((action, index) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn';
+                btn.textContent = action.label;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.hide(notification.id);
+                    NotificationManager.runAction(notification.id, index);
+                });
+                actions.appendChild(btn);
+            });
+            toast.querySelector('.notification-body').appendChild(actions);
+        }
+
+        // × only takes it off screen; it stays in the history
+        toast.querySelector('.notification-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hide(notification.id);
+        });
+        toast.addEventListener('click', () => {
+            this.hide(notification.id);
+            NotificationManager.activate(notification.id);
+        });
+
+        // Hovering keeps it up
+        const entry = { toast, timeoutId: null };
+        const startTimer = () => {
+            if (notification.duration > 0) {
+                entry.timeoutId = setTimeout(() => this.hide(notification.id), notification.duration);
+            }
+        };
+        toast.addEventListener('mouseenter', () => clearTimeout(entry.timeoutId));
+        toast.addEventListener('mouseleave', startTimer);
+
+        this.visible.set(notification.id, entry);
+        this.element.appendChild(toast);
+        startTimer();
+
+        if (notification.sound) {
+            EventBus.emit(Events.SOUND_PLAY, { type: notification.sound });
+        }
+        EventBus.emit(SystemEvents.NOTIFICATION_SHOWN, {
+            id: notification.id,
+            source: notification.source,
+            title: notification.title,
+            priority: notification.priority
+        });
+    }
+
+    /**
+     * Take a toast off screen and show the next one waiting
+     * @param {number} id - Notification ID
+     */
+    hide(id) {
+        const entry = this.visible.get(id);
+        if (!entry) return;
+
+        this.visible.delete(id);
+        clearTimeout(entry.timeoutId);
+        entry.toast.classList.add('hiding');
+        setTimeout(() => entry.toast.remove(), HIDE_ANIMATION);
+
+        this.showNext();
+    }
+
+    /**
+     * Drop toasts of notifications replaced by a newer one with the same tag
+     * @param {Object} notification - The newer notification
+     */
+    removeTagged(notification) {
+        if (!notification.tag) return;
+        this.queue = this.queue.filter(n => !(n.tag === notification.tag && n.source === notification.source));
+        for (const id of [...this.visible.keys()]) {
+            if (id !== notification.id && !NotificationManager.get(id)) this.hide(id);
+        }
+    }
+}
+
+// Singleton instance
+const NotificationToasts = new NotificationToastsClass();
+
+export default NotificationToasts;
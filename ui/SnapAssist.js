@@ -0,0 +1,145 @@
+/**
+ * SnapAssist - Offers the other open windows after a window snaps to half the screen
+ *
+ * When a window is snapped left or right by dragging or Win+Arrow, the empty half
+ * shows thumbnails of the remaining windows on the desktop. Picking one snaps it
+ * into that half; Escape or clicking elsewhere dismisses the picker.
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import WindowManager from '../core/WindowManager.js';
+import { WindowEvents } from '../core/scripted-events/SemanticEvents.js';
+
+// The half left empty by each snap
+const OPPOSITE_HALF = {
+    left: 'right',
+    right: 'left'
+};
+
+class SnapAssistClass {
+    constructor() {
+        this.element = null;
+        this.targetLayout = null;
+        this.isOpen = false;
+        this.initialized = false;
+    }
+
+    /**
+     * Create the picker and listen for snaps
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'snap-assist';
+        this.element.setAttribute('role', 'listbox');
+        this.element.setAttribute('aria-label', 'Choose a window for this side');
+        document.body.appendChild(this.element);
+
+        EventBus.on(WindowEvents.SNAPPED, ({ id, layout, assist }) => {
+            if (assist && OPPOSITE_HALF[layout]) {
+                this.show(id, OPPOSITE_HALF[layout]);
+            } else {
+                this.hide();
+            }
+        });
+
+        // Anything else happening to the windows makes the offer stale
+        EventBus.on(WindowEvents.DRAG_STARTED, () => this.hide());
+        EventBus.on(WindowEvents.WORKSPACE_CHANGED, () => this.hide());
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !this.element.contains(e.target)) this.hide();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hide();
+            }
+        }, true);
+
+        this.initialized = true;
+    }
+
+    /**
+     * Show the picker over the empty half
+     * @param {string} snappedId - The window that was just snapped
+     * @param {string} layout - Layout to fill ('left' or 'right')
+     */
+    show(snappedId, layout) {
+        const workspace = StateManager.getState('ui.activeWorkspace');
+        const candidates = StateManager.getState('windows')
+            .filter(w => w.id !== snappedId && w.workspace === workspace && !w.minimized && !w.owner)
+            .sort((a, b) => b.zIndex - a.zIndex);
+
+        if (candidates.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.targetLayout = layout;
+        this.element.innerHTML = '';
+        Object.assign(this.element.style, WindowManager.getSnapLayout(layout));
+
+        for (const win of candidates) {
+            const item = document.createElement('div');
+            item.className = 'snap-assist-item';
+            item.setAttribute('role', 'option');
+            item.tabIndex = 0;
+
+            const thumb = document.createElement('div');
+            thumb.className = 'window-switcher-thumb';
+            const preview = WindowManager.createThumbnail(win.id);
+            if (preview) thumb.appendChild(preview);
+
+            const title = document.createElement('div');
+            title.className = 'window-switcher-title';
+            title.textContent = win.title || win.id;
+
+            item.append(thumb, title);
+            item.addEventListener('click', () => this.pick(win.id));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.pick(win.id);
+                }
+            });
+            this.element.appendChild(item);
+        }
+
+        this.element.classList.add('active');
+        this.isOpen = true;
+    }
+
+    /**
+     * Snap the chosen window into the empty half
+     * @param {string} id - Window ID
+     */
+    pick(id) {
+        const layout = this.targetLayout;
+        this.hide();
+        if (!layout) return;
+
+        WindowManager.snap(id, layout);
+        WindowManager.focus(id);
+        EventBus.emit(Events.SOUND_PLAY, { type: 'click' });
+    }
+
+    /**
+     * Dismiss the picker
+     */
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.targetLayout = null;
+        this.element.classList.remove('active');
+        this.element.innerHTML = '';
+    }
+}
+
+// Singleton instance
+const SnapAssist = new SnapAssistClass();
+
+export default SnapAssist;
@@ -6,6 +6,7 @@
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import AppRegistry from '../apps/AppRegistry.js';
+import ShortcutManager from '../core/ShortcutManager.js';
 import { StartMenuEvents } from '../core/scripted-events/SemanticEvents.js';
 
 class StartMenuRendererClass {
@@ -28,6 +29,7 @@ class StartMenuRendererClass {
         this.boundHandleStartClick = this.handleStartClick.bind(this);
         this.boundHandleMenuClick = this.handleMenuClick.bind(this);
         this.boundHandleKeydown = this.handleKeydown.bind(this);
+        this.unregisterShortcut = null;
         this.boundHandleSubmenuMouseover = this.handleSubmenuMouseover.bind(this);
         this.boundHandleSubmenuMouseout = this.handleSubmenuMouseout.bind(this);
     }
@@ -61,6 +63,18 @@ class StartMenuRendererClass {
         // Keyboard navigation
         document.addEventListener('keydown', this.boundHandleKeydown);
 
+        // Windows key or Ctrl+Escape opens the menu
+        this.unregisterShortcut = ShortcutManager.register({
+            id: 'system.startMenu',
+            keys: ['Meta', 'Ctrl+Escape'],
+            description: 'Open the Start menu',
+            allowInInputs: true,
+            handler: () => {
+                if (this.isOpen) return false;
+                this.open();
+            }
+        });
+
         EventBus.on(Events.WINDOW_OPEN, () => this.close());
         StateManager.subscribe('menuItems', () => this.render());
         StateManager.subscribe('user.isAdmin', () => this.render());
@@ -111,16 +125,8 @@ class StartMenuRendererClass {
      * Handle keyboard navigation for Start Menu
      */
     handleKeydown(e) {
-        // Only handle when menu is open
-        if (!this.isOpen) {
-            // Windows key or Ctrl+Escape opens start menu
-            if (e.key === 'Meta' || (e.ctrlKey && e.key === 'Escape')) {
-                e.preventDefault();
-                this.open();
-                return;
-            }
-            return;
-        }
+        // Only handle when menu is open (opening is a ShortcutManager binding)
+        if (!this.isOpen) return;
 
         // Update focusable items list
         this.updateFocusableItems();
@@ -322,6 +328,8 @@ class StartMenuRendererClass {
 
         document.removeEventListener('click', this.boundHandleOutsideClick);
         document.removeEventListener('keydown', this.boundHandleKeydown);
+        this.unregisterShortcut?.();
+        this.unregisterShortcut = null;
 
         if (this.startButton) {
             this.startButton.removeEventListener('click', this.boundHandleStartClick);
@@ -0,0 +1,245 @@
+/**
+ * TaskbarPreview - Window previews shown when hovering a taskbar button
+ *
+ * Shows a live, scaled-down snapshot of every window behind a taskbar button
+ * (one for a single window, several for a group of the same app). Clicking a
+ * preview switches to that window and its close button closes it. Snapshots are
+ * refreshed while the popup is open, so games and animations keep moving.
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import WindowManager from '../core/WindowManager.js';
+import { TaskbarEvents } from '../core/scripted-events/SemanticEvents.js';
+
+// Size of each snapshot in pixels
+const PREVIEW_WIDTH = 200;
+const PREVIEW_HEIGHT = 130;
+// Hover time before the popup opens, and grace time to move the pointer onto it
+const SHOW_DELAY = 400;
+const HIDE_DELAY = 250;
+const REFRESH_INTERVAL = 500;
+
+class TaskbarPreviewClass {
+    constructor() {
+        this.element = null;
+        // App id of the taskbar button being previewed
+        this.groupKey = null;
+        this.showTimeout = null;
+        this.hideTimeout = null;
+        this.refreshInterval = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Create the popup element
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'taskbar-preview';
+        this.element.setAttribute('role', 'list');
+        this.element.setAttribute('aria-label', 'Window previews');
+        document.body.appendChild(this.element);
+
+        // Keep the popup open while the pointer is over it
+        this.element.addEventListener('mouseenter', () => this.cancelHide());
+        this.element.addEventListener('mouseleave', () => this.scheduleHide());
+
+        // Opening a menu closes the popup
+        EventBus.on(Events.CONTEXT_MENU_SHOW, () => this.hide());
+        EventBus.on(Events.START_MENU_TOGGLE, () => this.hide());
+
+        this.initialized = true;
+    }
+
+    /**
+     * Get the windows previewed for a taskbar button, in taskbar order
+     * @param {string} groupKey - App id of the button
+     * @returns {Object[]} Window state entries
+     */
+    getGroupWindows(groupKey) {
+        const workspace = StateManager.getState('ui.activeWorkspace');
+        return StateManager.getState('windows')
+            .filter(w => (w.appId || w.id) === groupKey && !w.owner && (!workspace || w.workspace === workspace));
+    }
+
+    /**
+     * Open the popup after the hover delay
+     * @param {HTMLElement} anchor - Taskbar button
+     * @param {string} groupKey - App id of the button
+     */
+    scheduleShow(anchor, groupKey) {
+        this.cancelHide();
+        clearTimeout(this.showTimeout);
+
+        // Moving between buttons while a popup is open switches straight away
+        if (this.isOpen()) {
+            this.show(anchor, groupKey);
+            return;
+        }
+        this.showTimeout = setTimeout(() => this.show(anchor, groupKey), SHOW_DELAY);
+    }
+
+    /**
+     * Close the popup unless the pointer reaches it first
+     */
+    scheduleHide() {
+        clearTimeout(this.showTimeout);
+        this.cancelHide();
+        this.hideTimeout = setTimeout(() => this.hide(), HIDE_DELAY);
+    }
+
+    cancelHide() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+    }
+
+    isOpen() {
+        return !!this.element?.classList.contains('active');
+    }
+
+    /**
+     * Open the popup above a taskbar button
+     * @param {HTMLElement} anchor - Taskbar button
+     * @param {string} groupKey - App id of the button
+     */
+    show(anchor, groupKey) {
+        if (!this.element || !anchor.isConnected) return;
+
+        this.groupKey = groupKey;
+        if (!this.render()) return;
+
+        this.element.classList.add('active');
+
+        // Centre over the button, kept on screen
+        const rect = anchor.getBoundingClientRect();
+        const width = this.element.offsetWidth;
+        const left = Math.max(4, Math.min(rect.left + rect.width / 2 - width / 2, window.innerWidth - width - 4));
+        this.element.style.left = `${left}px`;
+        this.element.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = setInterval(() => this.refreshSnapshots(), REFRESH_INTERVAL);
+
+        EventBus.emit(TaskbarEvents.PREVIEW_SHOWN, {
+            appId: groupKey,
+            windowIds: this.getGroupWindows(groupKey).map(w => w.id)
+        });
+    }
+
+    /**
+     * Close the popup
+     */
+    hide() {
+        clearTimeout(this.showTimeout);
+        this.cancelHide();
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+        this.groupKey = null;
+
+        if (this.element) {
+            this.element.classList.remove('active');
+            this.element.innerHTML = '';
+        }
+    }
+
+    /**
+     * Build one preview per window in the group
+     * @returns {boolean} False if the group has no windows left
+     */
+    render() {
+        const windows = this.getGroupWindows(this.groupKey);
+        if (windows.length === 0) {
+            this.hide();
+            return false;
+        }
+
+        const activeWindow = StateManager.getState('ui.activeWindow');
+        this.element.innerHTML = '';
+
+        for (const win of windows) {
+            const item = document.createElement('div');
+            item.className = `taskbar-preview-item${win.id === activeWindow && !win.minimized ? ' active' : ''}`;
+            item.dataset.windowId = win.id;
+            item.setAttribute('role', 'listitem');
+            item.draggable = true;
+
+            const header = document.createElement('div');
+            header.className = 'taskbar-preview-header';
+
+            const title = document.createElement('span');
+            title.className = 'taskbar-preview-title';
+            // Same markup as the taskbar button (icon entity + name)
+            title.innerHTML = win.title || win.id;
+
+            const close = document.createElement('button');
+            close.className = 'taskbar-preview-close';
+            close.textContent = 'X';
+            close.title = 'Close';
+            close.setAttribute('aria-label', `Close ${win.title || win.id}`);
+            close.addEventListener('click', (e) => {
+                e.stopPropagation();
+                WindowManager.close(win.id);
+                item.remove();
+                if (!this.element.querySelector('.taskbar-preview-item')) this.hide();
+            });
+
+            header.append(title, close);
+
+            const thumb = document.createElement('div');
+            thumb.className = 'taskbar-preview-thumb';
+
+            item.append(header, thumb);
+
+            item.addEventListener('click', () => {
+                this.hide();
+                if (WindowManager.isMinimized(win.id)) {
+                    WindowManager.restore(win.id);
+                } else {
+                    WindowManager.focus(win.id);
+                }
+            });
+
+            // Drag a preview onto a workspace button to move that window
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-window-id', win.id);
+                e.dataTransfer.effectAllowed = 'move';
+            });
+
+            this.element.appendChild(item);
+        }
+
+        this.refreshSnapshots();
+        return true;
+    }
+
+    /**
+     * Replace each snapshot with a fresh copy of its window
+     */
+    refreshSnapshots() {
+        if (!this.groupKey) return;
+
+        const openIds = new Set(this.getGroupWindows(this.groupKey).map(w => w.id));
+        if (openIds.size === 0) {
+            this.hide();
+            return;
+        }
+
+        this.element.querySelectorAll('.taskbar-preview-item').forEach(item => {
+            if (!openIds.has(item.dataset.windowId)) {
+                item.remove();
+                return;
+            }
+            const thumb = item.querySelector('.taskbar-preview-thumb');
+            const snapshot = WindowManager.createThumbnail(item.dataset.windowId, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+            thumb.replaceChildren(...(snapshot ? [snapshot] : []));
+        });
+    }
+}
+
+// Singleton instance
+const TaskbarPreview = new TaskbarPreviewClass();
+
+export default TaskbarPreview;
@@ -6,14 +6,24 @@
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import WindowManager from '../core/WindowManager.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import NotificationManager from '../core/NotificationManager.js';
+import SystemTray from '../core/SystemTray.js';
 import AppRegistry from '../apps/AppRegistry.js';
-import { TaskbarEvents } from '../core/scripted-events/SemanticEvents.js';
+import TaskbarPreview from './TaskbarPreview.js';
+import { TaskbarEvents, FileSystemEvents, SystemEvents } from '../core/scripted-events/SemanticEvents.js';
+import { WINDOW } from '../core/Constants.js';
 
 class TaskbarRendererClass {
     constructor() {
         this.taskbarButtons = null;
+        this.workspaceSwitcher = null;
         this.clockClickCount = 0;
         this.clockIntervalId = null;
+        this.notificationPanel = null;
+        // Popup opened from a registered tray icon
+        this.trayPopup = null;
+        this.trayPopupId = null;
         this.initialized = false;
     }
 
@@ -28,10 +38,23 @@ class TaskbarRendererClass {
         }
 
         this.taskbarButtons = document.getElementById('taskbarButtons');
+        this.workspaceSwitcher = document.getElementById('workspaceSwitcher');
+
+        // Right-click on empty taskbar space for the window arrange commands
+        this.taskbarButtons?.addEventListener('contextmenu', (e) => {
+            if (e.target.closest('.taskbar-button')) return;
+            e.preventDefault();
+            EventBus.emit(Events.CONTEXT_MENU_SHOW, {
+                x: e.clientX,
+                y: e.clientY,
+                type: 'taskbar'
+            });
+        });
 
         // Subscribe to state changes
         StateManager.subscribe('windows', () => this.renderButtons());
         StateManager.subscribe('ui.activeWindow', () => this.renderButtons());
+        StateManager.subscribe('ui.activeWorkspace', () => this.renderButtons());
 
         // Listen for taskbar update events
         EventBus.on('taskbar:update', () => this.renderButtons());
@@ -109,22 +132,19 @@ class TaskbarRendererClass {
      * Setup system tray
      */
     setupSystemTray() {
-        // Volume icon
-        const volumeIcon = document.getElementById('volumeIcon');
-        if (volumeIcon) {
-            this.updateVolumeIcon();
-            volumeIcon.addEventListener('click', () => {
-                const newState = StateManager.toggleSetting('sound');
-                this.updateVolumeIcon();
-                EventBus.emit(TaskbarEvents.TRAY_ICON_CLICKED, { icon: 'volume', enabled: newState });
-                if (newState) {
-                    EventBus.emit(Events.SOUND_PLAY, { type: 'click' });
-                }
-            });
-        }
+        // Icons registered by apps, features and plugins
+        this.setupTrayIcons();
 
-        // Subscribe to sound setting changes
-        StateManager.subscribe('settings.sound', () => this.updateVolumeIcon());
+        // Notification center
+        this.setupNotificationCenter();
+
+        // Low disk space warning
+        EventBus.on(FileSystemEvents.DISK_SPACE_LOW, ({ drive }) => {
+            this.updateDiskSpaceIcon();
+            this.notifyLowDiskSpace(drive);
+        });
+        EventBus.on(FileSystemEvents.DISK_SPACE_OK, () => this.updateDiskSpaceIcon());
+        this.updateDiskSpaceIcon();
 
         // Clock
         const clock = document.getElementById('clock');
@@ -154,15 +174,393 @@ class TaskbarRendererClass {
         }
     }
 
+    // ===== Registered tray icons =====
+
+    /**
+     * Draw the icons registered with SystemTray and keep them up to date
+     */
+    setupTrayIcons() {
+        const container = document.getElementById('trayIcons');
+        if (!container) return;
+
+        this.trayPopup = document.createElement('div');
+        this.trayPopup.className = 'tray-popup';
+        document.body.appendChild(this.trayPopup);
+
+        EventBus.on(TaskbarEvents.TRAY_ICON_ADDED, () => this.renderTrayIcons());
+        EventBus.on(TaskbarEvents.TRAY_ICON_UPDATED, () => this.renderTrayIcons());
+        EventBus.on(TaskbarEvents.TRAY_ICON_REMOVED, ({ id }) => {
+            if (id === this.trayPopupId) this.hideTrayPopup();
+            this.renderTrayIcons();
+        });
+
+        // Event delegation - icons are redrawn whenever one changes
+        container.addEventListener('click', (e) => {
+            const el = e.target.closest('.tray-icon[data-tray-id]');
+            if (!el) return;
+
+            const id = el.dataset.trayId;
+            const entry = SystemTray.get(id);
+            SystemTray.click(id, e);
+            if (entry?.popup) this.toggleTrayPopup(id, el);
+        });
+        container.addEventListener('contextmenu', (e) => {
+            const el = e.target.closest('.tray-icon[data-tray-id]');
+            if (!el) return;
+
+            e.preventDefault();
+            if (SystemTray.getMenuItems(el.dataset.trayId).length === 0) return;
+            this.hideTrayPopup();
+            EventBus.emit(Events.CONTEXT_MENU_SHOW, {
+                x: e.clientX,
+                y: e.clientY,
+                type: 'tray',
+                trayId: el.dataset.trayId
+            });
+        });
+        container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('.tray-icon[data-tray-id]')) {
+                e.preventDefault();
+                e.target.click();
+            }
+        });
+
+        // Close the popup on outside click or Escape
+        document.addEventListener('mousedown', (e) => {
+            if (this.trayPopupId && !this.trayPopup.contains(e.target) && !container.contains(e.target)) {
+                this.hideTrayPopup();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (this.trayPopupId && e.key === 'Escape') this.hideTrayPopup();
+        });
+
+        this.renderTrayIcons();
+    }
+
+    /**
+     * Redraw the registered tray icons
+     */
+    renderTrayIcons() {
+        const container = document.getElementById('trayIcons');
+        if (!container) return;
+
+        container.innerHTML = '';
+        for (const entry of SystemTray.getIcons()) {
+            const el = document.createElement('div');
+            el.className = 'tray-icon';
+            el.dataset.trayId = entry.id;
+            el.tabIndex = 0;
+            el.setAttribute('role', 'button');
+            el.textContent = entry.icon;
+            el.title = entry.tooltip;
+            el.setAttribute('aria-label', entry.tooltip || entry.id);
+            if (entry.popup) {
+                el.setAttribute('aria-haspopup', 'true');
+                el.setAttribute('aria-expanded', String(entry.id === this.trayPopupId));
+            }
+
+            if (entry.badge !== null && entry.badge !== '' && entry.badge !== 0) {
+                const badge = document.createElement('span');
+                badge.className = 'tray-badge';
+                badge.textContent = typeof entry.badge === 'number' && entry.badge > 9 ? '9+' : String(entry.badge);
+                el.appendChild(badge);
+            }
+
+            container.appendChild(el);
+        }
+    }
+
+    /**
+     * Open or close the popup of a tray icon
+     * @param {string} id - Icon ID
+     * @param {HTMLElement} anchor - The tray icon
+     */
+    toggleTrayPopup(id, anchor) {
+        if (this.trayPopupId === id) {
+            this.hideTrayPopup();
+            return;
+        }
+
+        const entry = SystemTray.get(id);
+        const content = SystemTray.call(entry, entry.popup);
+        if (!content) return;
+
+        this.trayPopup.innerHTML = '';
+        if (typeof content === 'string') {
+            this.trayPopup.innerHTML = content;
+        } else {
+            this.trayPopup.appendChild(content);
+        }
+
+        this.trayPopupId = id;
+        this.trayPopup.classList.add('active');
+        anchor.setAttribute('aria-expanded', 'true');
+
+        // Above the icon, kept on screen
+        const rect = anchor.getBoundingClientRect();
+        const width = this.trayPopup.offsetWidth;
+        const left = Math.max(4, Math.min(rect.left + rect.width / 2 - width / 2, window.innerWidth - width - 4));
+        this.trayPopup.style.left = `${left}px`;
+        this.trayPopup.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+    }
+
+    /**
+     * Close the tray icon popup
+     */
+    hideTrayPopup() {
+        if (!this.trayPopupId) return;
+
+        document.querySelector(`#trayIcons [data-tray-id="${CSS.escape(this.trayPopupId)}"]`)
+            ?.setAttribute('aria-expanded', 'false');
+        this.trayPopupId = null;
+        this.trayPopup.classList.remove('active');
+        this.trayPopup.innerHTML = '';
+    }
+
+    /**
+     * Show or hide the low disk space tray icon
+     */
+    updateDiskSpaceIcon() {
+        const drives = FileSystemManager.getLowSpaceDrives();
+
+        if (drives.length === 0) {
+            SystemTray.unregister('lowDisk');
+            NotificationManager.clear({ tag: 'low-disk' });
+            return;
+        }
+
+        const tooltip = `Low Disk Space: ${drives.join(', ')}`;
+        if (SystemTray.has('lowDisk')) {
+            SystemTray.update('lowDisk', { tooltip });
+            return;
+        }
+
+        SystemTray.register({
+            id: 'lowDisk',
+            icon: '⚠️',
+            tooltip,
+            order: -1,
+            owner: 'system',
+            onClick: () => {
+                const drive = FileSystemManager.getLowSpaceDrives()[0];
+                if (drive) this.notifyLowDiskSpace(drive);
+            }
+        });
+    }
+
+    /**
+     * Warn about a drive running out of space.
+     * Clicking the notification opens the drive in My Computer.
+     * @param {string} drive - Drive letter
+     */
+    notifyLowDiskSpace(drive) {
+        const space = FileSystemManager.getDriveSpace(drive);
+        const info = FileSystemManager.getDrives().find(d => d.letter === drive);
+        if (!space || !info) return;
+
+        const openDrive = { label: 'Open Drive', app: 'mycomputer', params: { initialPath: [drive] } };
+        NotificationManager.notify({
+            title: 'Low Disk Space',
+            message: `You are running out of disk space on ${info.label} (${drive}). ` +
+                `Only ${FileSystemManager.formatSize(space.free)} is free. Click here to free space on this drive.`,
+            icon: '⚠️',
+            priority: 'high',
+            tag: 'low-disk',
+            actions: [openDrive],
+            defaultAction: openDrive
+        });
+    }
+
+    // ===== Notification center =====
+
+    /**
+     * Wire up the tray bell and the panel listing past notifications
+     */
+    setupNotificationCenter() {
+        const icon = document.getElementById('notificationIcon');
+        if (!icon) return;
+
+        this.notificationPanel = document.createElement('div');
+        this.notificationPanel.className = 'notification-panel';
+        this.notificationPanel.setAttribute('role', 'dialog');
+        this.notificationPanel.setAttribute('aria-label', 'Notifications');
+        document.body.appendChild(this.notificationPanel);
+
+        icon.addEventListener('click', () => {
+            EventBus.emit(TaskbarEvents.TRAY_ICON_CLICKED, { icon: 'notifications' });
+            this.toggleNotificationPanel();
+        });
+
+        // Close on outside click
+        document.addEventListener('mousedown', (e) => {
+            if (this.isNotificationPanelOpen() && !this.notificationPanel.contains(e.target) && !icon.contains(e.target)) {
+                this.toggleNotificationPanel(false);
+            }
+        });
+
+        EventBus.on(SystemEvents.NOTIFICATIONS_CHANGED, () => {
+            this.updateNotificationIcon();
+            if (this.isNotificationPanelOpen()) this.renderNotificationPanel();
+        });
+        EventBus.on(SystemEvents.DO_NOT_DISTURB_CHANGED, () => {
+            this.updateNotificationIcon();
+            if (this.isNotificationPanelOpen()) this.renderNotificationPanel();
+        });
+
+        this.updateNotificationIcon();
+    }
+
+    isNotificationPanelOpen() {
+        return !!this.notificationPanel?.classList.contains('active');
+    }
+
+    /**
+     * Open or close the notification panel
+     * @param {boolean} [open] - Force open or closed
+     */
+    toggleNotificationPanel(open = !this.isNotificationPanelOpen()) {
+        if (!this.notificationPanel) return;
+
+        this.notificationPanel.classList.toggle('active', open);
+        document.getElementById('notificationIcon')?.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.renderNotificationPanel();
+            // Opening the panel counts as seeing everything in it
+            NotificationManager.markAllRead();
+            EventBus.emit(Events.SOUND_PLAY, { type: 'menuOpen' });
+        }
+    }
+
     /**
-     * Update volume icon state
+     * Show the unread count on the tray bell
      */
-    updateVolumeIcon() {
-        const volumeIcon = document.getElementById('volumeIcon');
-        if (volumeIcon) {
-            const soundEnabled = StateManager.getState('settings.sound');
-            volumeIcon.textContent = soundEnabled ? '📊' : '🔇';
+    updateNotificationIcon() {
+        const icon = document.getElementById('notificationIcon');
+        if (!icon) return;
+
+        const unread = NotificationManager.getUnreadCount();
+        const dnd = NotificationManager.isDoNotDisturb();
+
+        icon.textContent = dnd ? '🔕' : '🔔';
+        if (unread > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'tray-badge';
+            badge.textContent = unread > 9 ? '9+' : String(unread);
+            icon.appendChild(badge);
         }
+
+        const label = `Notifications: ${unread} unread${dnd ? ' (Do Not Disturb)' : ''}`;
+        icon.title = label;
+        icon.setAttribute('aria-label', label);
+    }
+
+    /**
+     * Build the panel: one section per source, newest first
+     */
+    renderNotificationPanel() {
+        const panel = this.notificationPanel;
+        const groups = NotificationManager.getGroups();
+        const dnd = NotificationManager.isDoNotDisturb();
+
+        panel.innerHTML = `
+            <div class="notification-panel-header">
+                <span>Notifications</span>
+                <label class="notification-dnd">
+                    <input type="checkbox" ${dnd ? 'checked' : ''}> Do Not Disturb
+                </label>
+            </div>
+            <div class="notification-panel-list"></div>
+            <div class="notification-panel-footer">
+                <button class="btn notification-clear-all" ${groups.length === 0 ? 'disabled' : ''}>Clear All</button>
+            </div>
+        `;
+
+        panel.querySelector('.notification-dnd input').addEventListener('change', (e) => {
+            NotificationManager.setDoNotDisturb(e.target.checked);
+        });
+        panel.querySelector('.notification-clear-all').addEventListener('click', () => {
+            NotificationManager.clear();
+        });
+
+        const list = panel.querySelector('.notification-panel-list');
+        if (groups.length === 0) {
+            list.innerHTML = '<div class="notification-empty">No new notifications</div>';
+            return;
+        }
+
+        for (const group of groups) {
+            const section = document.createElement('div');
+            section.className = 'notification-group';
+
+            const header = document.createElement('div');
+            header.className = 'notification-group-header';
+            const name = document.createElement('span');
+            name.textContent = group.source;
+            const clear = document.createElement('button');
+            clear.className = 'notification-group-clear';
+            clear.textContent = 'Clear';
+            clear.setAttribute('aria-label', `Clear notifications from ${group.source}`);
+            clear.addEventListener('click', () => NotificationManager.clear({ source: group.source }));
+            header.append(name, clear);
+            section.appendChild(header);
+
+            group.notifications.forEach(n => section.appendChild(this.createNotificationItem(n)));
+            list.appendChild(section);
+        }
+    }
+
+    /**
+     * Build one entry in the notification panel
+     * @param {Object} notification
+     * @returns {HTMLElement}
+     */
+    createNotificationItem(notification) {
+        const item = document.createElement('div');
+        item.className = `notification-item priority-${notification.priority}${notification.read ? '' : ' unread'}`;
+        item.innerHTML = `
+            <span class="notification-icon"></span>
+            <div class="notification-body">
+                <div class="notification-title"></div>
+                <div class="notification-message"></div>
+                <div class="notification-time"></div>
+            </div>
+            <button class="notification-close" title="Dismiss" aria-label="Dismiss">×</button>
+        `;
+        item.querySelector('.notification-icon').textContent = notification.icon;
+        item.querySelector('.notification-title').textContent = notification.title;
+        item.querySelector('.notification-message').textContent = notification.message;
+        item.querySelector('.notification-time').textContent = new Date(notification.timestamp)
+            .toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+        if (notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            notification.actions.forEach((action, index) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn';
+                btn.textContent = action.label;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleNotificationPanel(false);
+                    NotificationManager.runAction(notification.id, index);
+                });
+                actions.appendChild(btn);
+            });
+            item.querySelector('.notification-body').appendChild(actions);
+        }
+
+        item.querySelector('.notification-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            NotificationManager.dismiss(notification.id);
+        });
+        item.addEventListener('click', () => {
+            if (notification.defaultAction) this.toggleNotificationPanel(false);
+            NotificationManager.activate(notification.id);
+        });
+
+        return item;
     }
 
     /**
@@ -230,21 +628,48 @@ class TaskbarRendererClass {
     }
 
     /**
-     * Render taskbar window buttons
+     * Render taskbar window buttons for the active workspace.
+     * Several windows of the same app share one button.
      */
     renderButtons() {
+        this.renderWorkspaceSwitcher();
         if (!this.taskbarButtons) return;
 
-        const windows = StateManager.getState('windows') || [];
-        const activeWindow = StateManager.getState('ui.activeWindow');
+        const activeWorkspace = StateManager.getState('ui.activeWorkspace');
+        // Owned windows (dialogs) are reached through their owner's button
+        const windows = (StateManager.getState('windows') || []).filter(w => w.workspace === activeWorkspace && !w.owner);
+        // A focused dialog keeps its owner's button pressed
+        const activeWindow = WindowManager.getRootOwner(StateManager.getState('ui.activeWindow'));
+
+        // Group by app, in the order each app's first window opened
+        const groups = new Map();
+        for (const w of windows) {
+            const key = w.appId || w.id;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(w);
+        }
 
         this.taskbarButtons.innerHTML = '';
 
-        windows.forEach(w => {
+        for (const [appId, group] of groups) {
+            if (group.length > 1) {
+                this.renderGroupButton(appId, group, activeWindow);
+                continue;
+            }
+
+            const w = group[0];
             const btn = document.createElement('button');
             const isActive = w.id === activeWindow && !w.minimized;
-            btn.className = `taskbar-button${isActive ? ' active' : ''}`;
+            btn.className = `taskbar-button${isActive ? ' active' : ''}${w.minimized ? ' minimized' : ''}`;
             btn.innerHTML = `<span>${w.title}</span>`;
+            btn.draggable = true;
+            this.attachPreview(btn, appId);
+
+            // Drag onto a workspace button to move the window there
+            btn.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-window-id', w.id);
+                e.dataTransfer.effectAllowed = 'move';
+            });
 
             // Click handler
             btn.addEventListener('click', () => {
@@ -264,7 +689,122 @@ class TaskbarRendererClass {
             });
 
             this.taskbarButtons.appendChild(btn);
+        }
+    }
+
+    /**
+     * Render one button for several windows of the same app.
+     * Clicking opens the previews so the user can pick a window.
+     * @param {string} appId - App the windows belong to
+     * @param {Object[]} group - Window state entries
+     * @param {string} activeWindow - Focused window ID
+     */
+    renderGroupButton(appId, group, activeWindow) {
+        const meta = AppRegistry.metadata.get(appId);
+        const label = meta ? `${meta.icon} ${meta.name}` : group[0].title;
+        const isActive = group.some(w => w.id === activeWindow && !w.minimized);
+
+        const btn = document.createElement('button');
+        btn.className = `taskbar-button taskbar-group${isActive ? ' active' : ''}`;
+        btn.innerHTML = `<span>${label}</span><span class="taskbar-group-count">${group.length}</span>`;
+        btn.setAttribute('aria-label', `${meta?.name || label} - ${group.length} windows`);
+        btn.setAttribute('aria-haspopup', 'true');
+        this.attachPreview(btn, appId);
+
+        btn.addEventListener('click', () => {
+            EventBus.emit(TaskbarEvents.BUTTON_CLICKED, { appId, windowIds: group.map(w => w.id), title: label });
+            if (TaskbarPreview.isOpen() && TaskbarPreview.groupKey === appId) {
+                TaskbarPreview.hide();
+            } else {
+                TaskbarPreview.show(btn, appId);
+            }
         });
+
+        btn.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            EventBus.emit(Events.CONTEXT_MENU_SHOW, {
+                x: e.clientX,
+                y: e.clientY,
+                type: 'taskbar-group',
+                appId,
+                windowIds: group.map(w => w.id)
+            });
+        });
+
+        this.taskbarButtons.appendChild(btn);
+    }
+
+    /**
+     * Show window previews while hovering a taskbar button
+     * @param {HTMLElement} btn - Taskbar button
+     * @param {string} appId - App id the button stands for
+     */
+    attachPreview(btn, appId) {
+        btn.addEventListener('mouseenter', () => TaskbarPreview.scheduleShow(btn, appId));
+        btn.addEventListener('mouseleave', () => TaskbarPreview.scheduleHide());
+        btn.addEventListener('dragstart', () => TaskbarPreview.hide());
+    }
+
+    /**
+     * Render the workspace switcher: one numbered button per workspace plus an add button
+     */
+    renderWorkspaceSwitcher() {
+        if (!this.workspaceSwitcher) return;
+
+        const workspaces = WindowManager.getWorkspaces();
+        this.workspaceSwitcher.innerHTML = '';
+
+        workspaces.forEach(ws => {
+            const btn = document.createElement('button');
+            btn.className = `workspace-button${ws.active ? ' active' : ''}${ws.windowCount > 0 ? ' has-windows' : ''}`;
+            btn.textContent = String(ws.index + 1);
+            btn.title = `${ws.name} (${ws.windowCount} window${ws.windowCount === 1 ? '' : 's'}) - Ctrl+Alt+${ws.index + 1}`;
+            btn.setAttribute('aria-label', ws.name);
+            btn.setAttribute('aria-pressed', String(ws.active));
+
+            btn.addEventListener('click', () => {
+                WindowManager.switchWorkspace(ws.id);
+            });
+
+            btn.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                EventBus.emit(Events.CONTEXT_MENU_SHOW, {
+                    x: e.clientX,
+                    y: e.clientY,
+                    type: 'workspace',
+                    workspaceId: ws.id
+                });
+            });
+
+            btn.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes('application/x-window-id')) return;
+                e.preventDefault();
+                btn.classList.add('drop-target');
+            });
+            btn.addEventListener('dragleave', () => btn.classList.remove('drop-target'));
+            btn.addEventListener('drop', (e) => {
+                e.preventDefault();
+                btn.classList.remove('drop-target');
+                const windowId = e.dataTransfer.getData('application/x-window-id');
+                if (windowId) WindowManager.moveToWorkspace(windowId, ws.id);
+            });
+
+            this.workspaceSwitcher.appendChild(btn);
+        });
+
+        if (workspaces.length < WINDOW.MAX_WORKSPACES) {
+            const add = document.createElement('button');
+            add.className = 'workspace-button workspace-add';
+            add.textContent = '+';
+            add.title = 'New Desktop';
+            add.setAttribute('aria-label', 'New Desktop');
+            add.addEventListener('click', () => {
+                const workspace = WindowManager.addWorkspace();
+                if (workspace) WindowManager.switchWorkspace(workspace.id);
+            });
+            this.workspaceSwitcher.appendChild(add);
+        }
     }
 }
 
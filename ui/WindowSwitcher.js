@@ -0,0 +1,194 @@
+/**
+ * WindowSwitcher - Alt+Tab overlay for cycling through open windows
+ *
+ * Holding Alt and pressing Tab (Alt+Shift+Tab goes backwards) shows a thumbnail
+ * of every window on the current desktop, most recently used first. Releasing
+ * Alt switches to the highlighted window; Escape cancels. The keys are
+ * ShortcutManager bindings, so users can change them in Control Panel.
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import WindowManager from '../core/WindowManager.js';
+import ShortcutManager from '../core/ShortcutManager.js';
+import { SystemEvents } from '../core/scripted-events/SemanticEvents.js';
+
+class WindowSwitcherClass {
+    constructor() {
+        this.element = null;
+        this.windowIds = [];
+        this.selectedIndex = 0;
+        this.isOpen = false;
+        this.initialized = false;
+    }
+
+    /**
+     * Register the switcher shortcuts and create the overlay
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'window-switcher';
+        this.element.setAttribute('role', 'listbox');
+        this.element.setAttribute('aria-label', 'Open windows');
+        document.body.appendChild(this.element);
+
+        ShortcutManager.register({
+            id: 'window.switchNext',
+            keys: 'Alt+Tab',
+            description: 'Switch to the next window',
+            category: 'Windows',
+            allowInInputs: true,
+            handler: () => this.cycle(1)
+        });
+        ShortcutManager.register({
+            id: 'window.switchPrevious',
+            keys: 'Alt+Shift+Tab',
+            description: 'Switch to the previous window',
+            category: 'Windows',
+            allowInInputs: true,
+            handler: () => this.cycle(-1)
+        });
+
+        // Releasing the held modifier picks the highlighted window
+        document.addEventListener('keyup', (e) => {
+            if (this.isOpen && !e.altKey && !e.ctrlKey && !e.metaKey) {
+                this.commit();
+            }
+        });
+
+        // Escape cancels - capture phase so the window underneath doesn't see it
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        }, true);
+
+        window.addEventListener('blur', () => this.close());
+
+        this.initialized = true;
+    }
+
+    /**
+     * Windows on the current desktop, most recently focused first
+     * @returns {string[]} Window IDs
+     */
+    getSwitchableWindows() {
+        const workspace = StateManager.getState('ui.activeWorkspace');
+        const openIds = new Set(WindowManager.getOpenIds());
+
+        return StateManager.getState('windows')
+            .filter(w => openIds.has(w.id) && (!workspace || w.workspace === workspace))
+            .sort((a, b) => b.zIndex - a.zIndex)
+            .map(w => w.id);
+    }
+
+    /**
+     * Open the switcher or move the highlight
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {boolean} False if there is nothing to switch to
+     */
+    cycle(step) {
+        if (!this.isOpen) {
+            this.windowIds = this.getSwitchableWindows();
+            if (this.windowIds.length === 0) return false;
+
+            const count = this.windowIds.length;
+            this.selectedIndex = step > 0 ? 1 % count : count - 1;
+            this.open();
+        } else {
+            const count = this.windowIds.length;
+            this.selectedIndex = (this.selectedIndex + step + count) % count;
+        }
+
+        this.updateSelection();
+    }
+
+    /**
+     * Show the overlay
+     */
+    open() {
+        this.element.innerHTML = '';
+
+        this.windowIds.forEach((id, index) => {
+            const win = StateManager.getWindow(id);
+            const item = document.createElement('div');
+            item.className = 'window-switcher-item';
+            item.setAttribute('role', 'option');
+
+            const thumb = document.createElement('div');
+            thumb.className = 'window-switcher-thumb';
+            const preview = WindowManager.createThumbnail(id);
+            if (preview) thumb.appendChild(preview);
+
+            const title = document.createElement('div');
+            title.className = 'window-switcher-title';
+            if (win?.icon) {
+                // The icon is the HTML entity the title bar renders, the label plain text
+                const icon = document.createElement('span');
+                icon.className = 'window-switcher-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.innerHTML = win.icon;
+                title.appendChild(icon);
+            }
+            title.append(win?.label || id);
+
+            item.append(thumb, title);
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.selectedIndex = index;
+                this.commit();
+            });
+            this.element.appendChild(item);
+        });
+
+        this.element.classList.add('active');
+        this.isOpen = true;
+        EventBus.emit(SystemEvents.WINDOW_SWITCHER_OPENED, { windowCount: this.windowIds.length });
+    }
+
+    /**
+     * Hide the overlay without switching
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.remove('active');
+        this.element.innerHTML = '';
+    }
+
+    /**
+     * Hide the overlay and switch to the highlighted window
+     */
+    commit() {
+        const id = this.windowIds[this.selectedIndex];
+        this.close();
+        if (!id) return;
+
+        if (WindowManager.isMinimized(id)) {
+            WindowManager.restore(id);
+        } else {
+            WindowManager.focus(id);
+        }
+        EventBus.emit(Events.SOUND_PLAY, { type: 'click' });
+    }
+
+    /**
+     * Highlight the selected item
+     */
+    updateSelection() {
+        [...this.element.children].forEach((item, index) => {
+            const selected = index === this.selectedIndex;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', String(selected));
+        });
+    }
+}
+
+// Singleton instance
+const WindowSwitcher = new WindowSwitcherClass();
+
+export default WindowSwitcher;